@@ -17,6 +17,12 @@ const db = require('./src/config/database');
 const settings = require('./src/config/settings');
 const mercadopago = require('./src/config/mercadoPago');
 const transcriptionService = require('./src/features/Transcription/transcription.service'); // Para o cron job
+const assistantService = require('./src/features/Assistant/assistant.service'); // Registra o handler da fila
+require('./src/features/Batch/batch.service'); // Registra o handler da fila (assistente automático dos lotes)
+require('./src/features/Webhook/webhook.service'); // Registra o handler da fila (entrega de webhooks)
+require('./src/features/Chapter/chapter.service'); // Registra o handler da fila (divisão em capítulos)
+const retentionService = require('./src/features/Retention/retention.service');
+const jobQueue = require('./src/lib/jobQueue');
 
 console.log("Dependências carregadas. Configurando o servidor Express...");
 
@@ -57,6 +63,48 @@ db.sequelize.authenticate()
       { key: 'OPENAI_API_KEY', value: process.env.OPENAI_API_KEY || '', description: 'Chave de API da OpenAI (para uso do sistema)', isSensitive: true },
       // <<< ADICIONADO: Configuração da chave da API do Resend >>>
       { key: 'RESEND_API_KEY', value: process.env.RESEND_API_KEY || '', description: 'Chave de API do serviço de e-mail Resend', isSensitive: true },
+      { key: 'TRANSCRIPTION_PROVIDER', value: process.env.TRANSCRIPTION_PROVIDER || 'openai', description: 'Provedor de transcrição padrão: openai, openai-compatible ou fake', isSensitive: false },
+      { key: 'TRANSCRIPTION_MODEL', value: process.env.TRANSCRIPTION_MODEL || '', description: 'Modelo de transcrição (vazio usa o padrão do provedor)', isSensitive: false },
+      { key: 'TRANSCRIPTION_API_URL', value: process.env.TRANSCRIPTION_API_URL || '', description: 'URL base do servidor compatível com a OpenAI (ex: faster-whisper próprio)', isSensitive: false },
+      { key: 'TRANSCRIPTION_API_KEY', value: process.env.TRANSCRIPTION_API_KEY || '', description: 'Chave de API do servidor de transcrição compatível', isSensitive: true },
+      { key: 'TRANSCRIPTION_DEFAULT_LANGUAGE', value: process.env.TRANSCRIPTION_DEFAULT_LANGUAGE || 'auto', description: 'Idioma usado quando o upload não informa um (código ISO 639-1, ex: pt, ou auto para detectar)', isSensitive: false },
+      { key: 'TRANSLATION_PROVIDER', value: process.env.TRANSLATION_PROVIDER || 'openai', description: 'Provedor de tradução de transcrições: openai ou fake', isSensitive: false },
+      { key: 'TRANSLATION_MODEL', value: process.env.TRANSLATION_MODEL || '', description: 'Modelo de tradução (vazio usa o padrão do provedor)', isSensitive: false },
+      { key: 'TRANSCRIPTION_MAX_RETRIES', value: process.env.TRANSCRIPTION_MAX_RETRIES || '3', description: 'Número máximo de novas tentativas manuais de uma transcrição com falha', isSensitive: false },
+      { key: 'FAILED_AUDIO_RETENTION_HOURS', value: process.env.FAILED_AUDIO_RETENTION_HOURS || '72', description: 'Horas que o áudio de uma transcrição com falha fica guardado para nova tentativa', isSensitive: false },
+      { key: 'UPLOAD_EXPIRATION_HOURS', value: process.env.UPLOAD_EXPIRATION_HOURS || '24', description: 'Horas sem receber dados até um upload retomável ser descartado', isSensitive: false },
+      { key: 'WEBHOOK_ALLOW_PRIVATE_URLS', value: process.env.WEBHOOK_ALLOW_PRIVATE_URLS || 'false', description: 'Permite webhooks para endereços da rede interna (true/false)', isSensitive: false },
+      { key: 'URL_IMPORT_TIMEOUT_SECONDS', value: process.env.URL_IMPORT_TIMEOUT_SECONDS || '300', description: 'Tempo máximo (em segundos) para baixar um arquivo importado por link', isSensitive: false },
+      { key: 'URL_IMPORT_ALLOW_PRIVATE_URLS', value: process.env.URL_IMPORT_ALLOW_PRIVATE_URLS || 'false', description: 'Permite importar arquivos de endereços da rede interna (true/false)', isSensitive: false },
+      { key: 'CHAPTERS_MIN_DURATION_MINUTES', value: process.env.CHAPTERS_MIN_DURATION_MINUTES || '15', description: 'Transcrições a partir desta duração (em minutos) são divididas em capítulos automaticamente', isSensitive: false },
+      { key: 'CHAPTER_TARGET_MINUTES', value: process.env.CHAPTER_TARGET_MINUTES || '5', description: 'Duração aproximada (em minutos) de cada capítulo', isSensitive: false },
+      { key: 'CHAPTER_TITLE_PROVIDER', value: process.env.CHAPTER_TITLE_PROVIDER || 'openai', description: 'Provedor dos títulos dos capítulos: openai ou keywords', isSensitive: false },
+      { key: 'CHAPTER_TITLE_MODEL', value: process.env.CHAPTER_TITLE_MODEL || '', description: 'Modelo dos títulos dos capítulos (vazio usa o padrão do provedor)', isSensitive: false },
+      { key: 'DUPLICATE_UPLOAD_STRATEGY', value: process.env.DUPLICATE_UPLOAD_STRATEGY || 'ask', description: 'Upload de um arquivo já transcrito, para planos sem "duplicateUploadStrategy": ask, link, clone ou transcribe', isSensitive: false },
+      { key: 'AUDIO_PREPROCESSING_ENABLED', value: process.env.AUDIO_PREPROCESSING_ENABLED || 'true', description: 'Normaliza o volume e corta silêncios do áudio antes da transcrição (true/false)', isSensitive: false },
+      { key: 'AUDIO_MAX_SILENCE_SECONDS', value: process.env.AUDIO_MAX_SILENCE_SECONDS || '2', description: 'Pausas internas mais longas que isso (segundos) são encurtadas no pré-processamento', isSensitive: false },
+      { key: 'AUDIO_SILENCE_THRESHOLD_DB', value: process.env.AUDIO_SILENCE_THRESHOLD_DB || '-45', description: 'Limiar de silêncio (dB, após a normalização) do pré-processamento', isSensitive: false },
+      { key: 'PII_REDACTION_POLICY', value: process.env.PII_REDACTION_POLICY || 'optional', description: 'Anonimização padrão para planos sem "piiRedaction": disabled, optional ou enforced', isSensitive: false },
+      { key: 'PII_REDACTION_TYPES', value: process.env.PII_REDACTION_TYPES || 'cpf,rg,cns,phone,email,cep,name', description: 'Tipos de dados pessoais anonimizados (separados por vírgula)', isSensitive: false },
+      { key: 'PII_REDACTION_NAME_CUES', value: process.env.PII_REDACTION_NAME_CUES || '', description: 'Palavras extras que antecedem nomes de pessoas (ex: enfermeira,acompanhante)', isSensitive: false },
+      { key: 'PII_REDACTION_CUSTOM_RULES', value: process.env.PII_REDACTION_CUSTOM_RULES || '[]', description: 'Regras extras de anonimização em JSON: [{"type":"prontuario","pattern":"PRT-\\\\d+"}]', isSensitive: false },
+      { key: 'AUDIO_RETENTION_DAYS', value: process.env.AUDIO_RETENTION_DAYS || '30', description: 'Dias que o áudio de uma transcrição concluída fica guardado (padrão para planos sem audioRetentionDays; -1 = sempre)', isSensitive: false },
+      { key: 'OUTPUT_RETENTION_DAYS', value: process.env.OUTPUT_RETENTION_DAYS || '90', description: 'Dias que os PDFs gerados ficam guardados (padrão para planos sem outputRetentionDays; -1 = sempre)', isSensitive: false },
+      { key: 'TEMP_FILE_MAX_AGE_HOURS', value: process.env.TEMP_FILE_MAX_AGE_HOURS || '24', description: 'Idade máxima (em horas) de arquivos temporários e PDFs órfãos antes da limpeza', isSensitive: false },
+      { key: 'AUDIO_URL_TTL_SECONDS', value: process.env.AUDIO_URL_TTL_SECONDS || '900', description: 'Validade (em segundos) das URLs assinadas de reprodução de áudio', isSensitive: false },
+      { key: 'EVENTS_TOKEN_TTL_SECONDS', value: process.env.EVENTS_TOKEN_TTL_SECONDS || '300', description: 'Validade (em segundos) do token do stream de eventos; o stream é encerrado quando ele expira', isSensitive: false },
+      { key: 'DIARIZATION_PROVIDER', value: process.env.DIARIZATION_PROVIDER || 'none', description: 'Provedor de diarização: none, http ou heuristic (estimativa por pausas, apenas para testes)', isSensitive: false },
+      { key: 'DIARIZATION_API_URL', value: process.env.DIARIZATION_API_URL || '', description: 'URL do serviço externo de diarização (provedor http)', isSensitive: false },
+      { key: 'DIARIZATION_API_KEY', value: process.env.DIARIZATION_API_KEY || '', description: 'Chave (Bearer) do serviço externo de diarização (provedor http)', isSensitive: true },
+      { key: 'DIARIZATION_TIMEOUT_SECONDS', value: process.env.DIARIZATION_TIMEOUT_SECONDS || '600', description: 'Tempo máximo (em segundos) de espera pela resposta do serviço de diarização', isSensitive: false },
+      { key: 'STORAGE_DRIVER', value: process.env.STORAGE_DRIVER || 'local', description: 'Onde os arquivos são guardados: local ou s3 (qualquer serviço compatível com S3)', isSensitive: false },
+      { key: 'STORAGE_LOCAL_ROOT', value: process.env.STORAGE_LOCAL_ROOT || '', description: 'Diretório do armazenamento local (vazio usa uploads/ na raiz do projeto)', isSensitive: false },
+      { key: 'S3_ENDPOINT', value: process.env.S3_ENDPOINT || '', description: 'Endpoint do serviço compatível com S3 (vazio usa a AWS; ex: http://minio:9000)', isSensitive: false },
+      { key: 'S3_REGION', value: process.env.S3_REGION || 'us-east-1', description: 'Região do bucket S3', isSensitive: false },
+      { key: 'S3_BUCKET', value: process.env.S3_BUCKET || '', description: 'Nome do bucket S3', isSensitive: false },
+      { key: 'S3_ACCESS_KEY_ID', value: process.env.S3_ACCESS_KEY_ID || '', description: 'Access key do S3', isSensitive: false },
+      { key: 'S3_SECRET_ACCESS_KEY', value: process.env.S3_SECRET_ACCESS_KEY || '', description: 'Secret key do S3', isSensitive: true },
+      { key: 'S3_FORCE_PATH_STYLE', value: process.env.S3_FORCE_PATH_STYLE || '', description: 'Usar URLs path-style (true/false; vazio = true quando há S3_ENDPOINT)', isSensitive: false },
     ]);
 
     // <<< INÍCIO DA LÓGICA DE CRIAÇÃO DO ADMIN PADRÃO >>>
@@ -95,7 +143,16 @@ db.sequelize.authenticate()
       console.log('Executando tarefa agendada: reset de uso de usuários e expiração de planos...');
       await transcriptionService.resetUserUsageAndPlanExpiration();
     });
+    // Política de retenção: áudios expirados, PDFs antigos/órfãos e arquivos temporários
+    cron.schedule('15 * * * *', async () => {
+      await retentionService.runRetention();
+    });
     console.log('✅ Tarefas agendadas configuradas.');
+
+    // e. Retoma o que ficou sem tarefa na fila (ex: deploy no meio de um processamento) e inicia os workers
+    await transcriptionService.recoverOrphanedTranscriptions();
+    await assistantService.recoverOrphanedRuns();
+    jobQueue.start();
     
     console.log('✅ Configurações da aplicação finalizadas.');
     // --- FIM DA LÓGICA DE INICIALIZAÇÃO ---
@@ -0,0 +1,23 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // Progresso da transcrição em partes para áudios acima do limite do Whisper
+    await queryInterface.addColumn('transcriptions', 'totalChunks', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn('transcriptions', 'processedChunks', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('transcriptions', 'totalChunks');
+    await queryInterface.removeColumn('transcriptions', 'processedChunks');
+  }
+};
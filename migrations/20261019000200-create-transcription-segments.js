@@ -0,0 +1,30 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('transcription_segments', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true, allowNull: false },
+      transcriptionId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'transcriptions', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      segmentIndex: { type: Sequelize.INTEGER, allowNull: false },
+      startTime: { type: Sequelize.DOUBLE, allowNull: false },
+      endTime: { type: Sequelize.DOUBLE, allowNull: false },
+      text: { type: Sequelize.TEXT, allowNull: false },
+      words: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    });
+
+    await queryInterface.addIndex('transcription_segments', ['transcriptionId', 'segmentIndex']);
+    await queryInterface.addIndex('transcription_segments', ['transcriptionId', 'startTime']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('transcription_segments');
+  }
+};
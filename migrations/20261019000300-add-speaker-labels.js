@@ -0,0 +1,24 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // Rótulo do interlocutor atribuído pela diarização
+    await queryInterface.addColumn('transcription_segments', 'speaker', {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+
+    // Nomes escolhidos pelo usuário para cada rótulo
+    await queryInterface.addColumn('transcriptions', 'speakerNames', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('transcription_segments', 'speaker');
+    await queryInterface.removeColumn('transcriptions', 'speakerNames');
+  }
+};
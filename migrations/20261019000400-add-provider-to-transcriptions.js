@@ -0,0 +1,22 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // Provedor e modelo de speech-to-text que produziram cada transcrição
+    await queryInterface.addColumn('transcriptions', 'provider', {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn('transcriptions', 'model', {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('transcriptions', 'provider');
+    await queryInterface.removeColumn('transcriptions', 'model');
+  }
+};
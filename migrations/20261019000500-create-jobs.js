@@ -0,0 +1,30 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('jobs', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true, allowNull: false },
+      type: { type: Sequelize.STRING, allowNull: false },
+      payload: { type: Sequelize.JSONB, allowNull: false, defaultValue: {} },
+      status: { type: Sequelize.STRING, allowNull: false, defaultValue: 'pending' },
+      attempts: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      maxAttempts: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 5 },
+      runAt: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.fn('NOW') },
+      lockedBy: { type: Sequelize.STRING, allowNull: true },
+      leaseExpiresAt: { type: Sequelize.DATE, allowNull: true },
+      heartbeatAt: { type: Sequelize.DATE, allowNull: true },
+      lastError: { type: Sequelize.TEXT, allowNull: true },
+      completedAt: { type: Sequelize.DATE, allowNull: true },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    });
+
+    await queryInterface.addIndex('jobs', ['status', 'runAt']);
+    await queryInterface.addIndex('jobs', ['type', 'status']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('jobs');
+  }
+};
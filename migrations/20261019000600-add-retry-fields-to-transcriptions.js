@@ -0,0 +1,31 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // Novas tentativas manuais feitas pelo usuário após uma falha
+    await queryInterface.addColumn('transcriptions', 'retryCount', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+
+    // Até quando o áudio de uma transcrição com falha fica guardado para nova tentativa
+    await queryInterface.addColumn('transcriptions', 'audioExpiresAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    // Momento em que a transcrição foi cobrada da cota do usuário (evita cobrança dupla)
+    await queryInterface.addColumn('transcriptions', 'usageChargedAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('transcriptions', 'retryCount');
+    await queryInterface.removeColumn('transcriptions', 'audioExpiresAt');
+    await queryInterface.removeColumn('transcriptions', 'usageChargedAt');
+  }
+};
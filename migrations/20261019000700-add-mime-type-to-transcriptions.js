@@ -0,0 +1,16 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // Mimetype original do upload, usado no Content-Type da reprodução do áudio
+    await queryInterface.addColumn('transcriptions', 'mimeType', {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('transcriptions', 'mimeType');
+  }
+};
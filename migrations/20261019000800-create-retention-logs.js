@@ -0,0 +1,22 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('retention_logs', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true, allowNull: false },
+      category: { type: Sequelize.STRING, allowNull: false },
+      filePath: { type: Sequelize.STRING(1024), allowNull: false },
+      bytes: { type: Sequelize.BIGINT, allowNull: false, defaultValue: 0 },
+      referenceId: { type: Sequelize.UUID, allowNull: true },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+    });
+
+    await queryInterface.addIndex('retention_logs', ['createdAt']);
+    await queryInterface.addIndex('retention_logs', ['category']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('retention_logs');
+  }
+};
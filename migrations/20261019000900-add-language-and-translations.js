@@ -0,0 +1,43 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // Idioma pedido no upload (null = detecção automática) e idioma detectado pelo provedor
+    await queryInterface.addColumn('transcriptions', 'language', {
+      type: Sequelize.STRING(8),
+      allowNull: true,
+    });
+    await queryInterface.addColumn('transcriptions', 'detectedLanguage', {
+      type: Sequelize.STRING(8),
+      allowNull: true,
+    });
+
+    await queryInterface.createTable('transcription_translations', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true, allowNull: false },
+      transcriptionId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'transcriptions', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      language: { type: Sequelize.STRING(8), allowNull: false },
+      status: { type: Sequelize.STRING, allowNull: false, defaultValue: 'pending' },
+      text: { type: Sequelize.TEXT, allowNull: true },
+      segments: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+      provider: { type: Sequelize.STRING, allowNull: true },
+      model: { type: Sequelize.STRING, allowNull: true },
+      errorMessage: { type: Sequelize.TEXT, allowNull: true },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    });
+
+    await queryInterface.addIndex('transcription_translations', ['transcriptionId', 'language'], { unique: true });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('transcription_translations');
+    await queryInterface.removeColumn('transcriptions', 'detectedLanguage');
+    await queryInterface.removeColumn('transcriptions', 'language');
+  }
+};
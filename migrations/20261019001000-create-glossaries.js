@@ -0,0 +1,36 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('glossaries', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true, allowNull: false },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      planId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'plans', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      name: { type: Sequelize.STRING, allowNull: false },
+      contextPrompt: { type: Sequelize.TEXT, allowNull: true },
+      terms: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+      replacements: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+      isActive: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    });
+
+    await queryInterface.addIndex('glossaries', ['userId']);
+    await queryInterface.addIndex('glossaries', ['planId']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.dropTable('glossaries');
+  }
+};
@@ -0,0 +1,55 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('transcription_revisions', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true, allowNull: false },
+      transcriptionId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'transcriptions', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      revisionNumber: { type: Sequelize.INTEGER, allowNull: false },
+      authorId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+      source: { type: Sequelize.STRING, allowNull: false },
+      restoredFromRevision: { type: Sequelize.INTEGER, allowNull: true },
+      transcriptionText: { type: Sequelize.TEXT, allowNull: true },
+      segments: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+      segmentsOutdated: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+    });
+    await queryInterface.addIndex('transcription_revisions', ['transcriptionId', 'revisionNumber'], { unique: true });
+
+    // Revisão atual da transcrição (0 = ainda sem revisões) e texto editado sem os segmentos
+    await queryInterface.addColumn('transcriptions', 'revisionNumber', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+    await queryInterface.addColumn('transcriptions', 'segmentsOutdated', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    });
+
+    // Revisão da transcrição usada em cada execução de assistente
+    await queryInterface.addColumn('assistant_history', 'transcriptionRevision', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('assistant_history', 'transcriptionRevision');
+    await queryInterface.removeColumn('transcriptions', 'segmentsOutdated');
+    await queryInterface.removeColumn('transcriptions', 'revisionNumber');
+    await queryInterface.dropTable('transcription_revisions');
+  }
+};
@@ -0,0 +1,37 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface) {
+    // Configuração de busca "portuguese_unaccent": dicionário português (stemming) sem acentos,
+    // para "medicação" encontrar "medicacao" e vice-versa. Os índices abaixo usam exatamente as
+    // mesmas expressões do search.service, senão o Postgres não os aproveita.
+    await queryInterface.sequelize.query('CREATE EXTENSION IF NOT EXISTS unaccent');
+    await queryInterface.sequelize.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = 'portuguese_unaccent') THEN
+          CREATE TEXT SEARCH CONFIGURATION portuguese_unaccent (COPY = portuguese);
+          ALTER TEXT SEARCH CONFIGURATION portuguese_unaccent
+            ALTER MAPPING FOR hword, hword_part, word WITH unaccent, portuguese_stem;
+        END IF;
+      END
+      $$`);
+
+    await queryInterface.sequelize.query(`
+      CREATE INDEX IF NOT EXISTS transcriptions_search_idx ON transcriptions USING GIN ((
+        setweight(to_tsvector('portuguese_unaccent', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('portuguese_unaccent', coalesce("transcriptionText", '')), 'B')
+      ))`);
+    await queryInterface.sequelize.query(`
+      CREATE INDEX IF NOT EXISTS assistant_history_search_idx ON assistant_history USING GIN ((
+        to_tsvector('portuguese_unaccent', coalesce("outputText", ''))
+      ))`);
+  },
+
+  async down (queryInterface) {
+    await queryInterface.sequelize.query('DROP INDEX IF EXISTS assistant_history_search_idx');
+    await queryInterface.sequelize.query('DROP INDEX IF EXISTS transcriptions_search_idx');
+    await queryInterface.sequelize.query('DROP TEXT SEARCH CONFIGURATION IF EXISTS portuguese_unaccent');
+  }
+};
@@ -0,0 +1,53 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('folders', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true, allowNull: false },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      parentId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'folders', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      name: { type: Sequelize.STRING, allowNull: false },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    });
+    await queryInterface.addIndex('folders', ['userId', 'parentId']);
+
+    // Organização das transcrições: pasta, etiquetas livres e favorito
+    await queryInterface.addColumn('transcriptions', 'folderId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: { model: 'folders', key: 'id' },
+      onDelete: 'SET NULL',
+    });
+    await queryInterface.addColumn('transcriptions', 'tags', {
+      type: Sequelize.ARRAY(Sequelize.STRING),
+      allowNull: false,
+      defaultValue: [],
+    });
+    await queryInterface.addColumn('transcriptions', 'isFavorite', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    });
+    await queryInterface.addIndex('transcriptions', ['userId', 'folderId']);
+    await queryInterface.addIndex('transcriptions', ['tags'], { using: 'GIN' });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('transcriptions', 'isFavorite');
+    await queryInterface.removeColumn('transcriptions', 'tags');
+    await queryInterface.removeColumn('transcriptions', 'folderId');
+    await queryInterface.dropTable('folders');
+  }
+};
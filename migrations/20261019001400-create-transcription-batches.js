@@ -0,0 +1,41 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('transcription_batches', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true, allowNull: false },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      name: { type: Sequelize.STRING, allowNull: true },
+      totalFiles: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      assistantId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'assistants', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+      assistantOptions: { type: Sequelize.JSONB, allowNull: false, defaultValue: {} },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    });
+    await queryInterface.addIndex('transcription_batches', ['userId', 'createdAt']);
+
+    await queryInterface.addColumn('transcriptions', 'batchId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: { model: 'transcription_batches', key: 'id' },
+      onDelete: 'SET NULL',
+    });
+    await queryInterface.addIndex('transcriptions', ['batchId']);
+  },
+
+  async down (queryInterface) {
+    await queryInterface.removeColumn('transcriptions', 'batchId');
+    await queryInterface.dropTable('transcription_batches');
+  }
+};
@@ -0,0 +1,39 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('upload_sessions', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true, allowNull: false },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      fileName: { type: Sequelize.STRING, allowNull: false },
+      mimeType: { type: Sequelize.STRING, allowNull: false },
+      uploadLength: { type: Sequelize.BIGINT, allowNull: false },
+      uploadOffset: { type: Sequelize.BIGINT, allowNull: false, defaultValue: 0 },
+      parts: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+      metadata: { type: Sequelize.JSONB, allowNull: false, defaultValue: {} },
+      status: { type: Sequelize.STRING, allowNull: false, defaultValue: 'uploading' },
+      errorMessage: { type: Sequelize.TEXT, allowNull: true },
+      transcriptionId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'transcriptions', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+      expiresAt: { type: Sequelize.DATE, allowNull: false },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    });
+    await queryInterface.addIndex('upload_sessions', ['userId']);
+    await queryInterface.addIndex('upload_sessions', ['status', 'expiresAt']);
+  },
+
+  async down (queryInterface) {
+    await queryInterface.dropTable('upload_sessions');
+  }
+};
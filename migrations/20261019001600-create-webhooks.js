@@ -0,0 +1,56 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('webhook_endpoints', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true, allowNull: false },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      url: { type: Sequelize.STRING(2048), allowNull: false },
+      description: { type: Sequelize.STRING, allowNull: true },
+      events: { type: Sequelize.ARRAY(Sequelize.STRING), allowNull: false, defaultValue: ['*'] },
+      secret: { type: Sequelize.STRING, allowNull: false },
+      isActive: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    });
+    await queryInterface.addIndex('webhook_endpoints', ['userId']);
+
+    await queryInterface.createTable('webhook_deliveries', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true, allowNull: false },
+      endpointId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'webhook_endpoints', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      userId: { type: Sequelize.UUID, allowNull: false },
+      eventId: { type: Sequelize.UUID, allowNull: false },
+      eventType: { type: Sequelize.STRING, allowNull: false },
+      payload: { type: Sequelize.JSONB, allowNull: false },
+      status: { type: Sequelize.STRING, allowNull: false, defaultValue: 'pending' },
+      attempts: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      responseStatus: { type: Sequelize.INTEGER, allowNull: true },
+      responseBody: { type: Sequelize.TEXT, allowNull: true },
+      errorMessage: { type: Sequelize.TEXT, allowNull: true },
+      durationMs: { type: Sequelize.INTEGER, allowNull: true },
+      lastAttemptAt: { type: Sequelize.DATE, allowNull: true },
+      deliveredAt: { type: Sequelize.DATE, allowNull: true },
+      redeliveryOfId: { type: Sequelize.UUID, allowNull: true },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    });
+    await queryInterface.addIndex('webhook_deliveries', ['endpointId', 'createdAt']);
+    await queryInterface.addIndex('webhook_deliveries', ['userId', 'status']);
+  },
+
+  async down (queryInterface) {
+    await queryInterface.dropTable('webhook_deliveries');
+    await queryInterface.dropTable('webhook_endpoints');
+  }
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // Versão anonimizada da transcrição e o mapeamento marcador -> valor original (cifrado)
+    await queryInterface.addColumn('transcriptions', 'redactedText', { type: Sequelize.TEXT, allowNull: true });
+    await queryInterface.addColumn('transcriptions', 'redactionMapping', { type: Sequelize.TEXT, allowNull: true });
+    await queryInterface.addColumn('transcriptions', 'redactionSummary', { type: Sequelize.JSONB, allowNull: true });
+    await queryInterface.addColumn('transcriptions', 'redactedAt', { type: Sequelize.DATE, allowNull: true });
+
+    // Preferência do usuário: 'off', 'store' ou 'assistants' (limitada pela política do plano)
+    await queryInterface.addColumn('users', 'piiRedaction', {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+      defaultValue: 'off',
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.removeColumn('users', 'piiRedaction');
+    await queryInterface.removeColumn('transcriptions', 'redactedAt');
+    await queryInterface.removeColumn('transcriptions', 'redactionSummary');
+    await queryInterface.removeColumn('transcriptions', 'redactionMapping');
+    await queryInterface.removeColumn('transcriptions', 'redactedText');
+  }
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // Duração cobrada (sem os silêncios cortados no pré-processamento) e o resumo do pré-processamento
+    await queryInterface.addColumn('transcriptions', 'billedDurationSeconds', { type: Sequelize.INTEGER, allowNull: true });
+    await queryInterface.addColumn('transcriptions', 'preprocessing', { type: Sequelize.JSONB, allowNull: true });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.removeColumn('transcriptions', 'preprocessing');
+    await queryInterface.removeColumn('transcriptions', 'billedDurationSeconds');
+  }
+};
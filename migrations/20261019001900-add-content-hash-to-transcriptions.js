@@ -0,0 +1,23 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // SHA-256 do arquivo enviado, para reconhecer o mesmo áudio enviado de novo
+    await queryInterface.addColumn('transcriptions', 'contentHash', { type: Sequelize.STRING(64), allowNull: true });
+    // Cópia criada a partir de outra transcrição (upload repetido ou clonagem)
+    await queryInterface.addColumn('transcriptions', 'duplicateOfId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: { model: 'transcriptions', key: 'id' },
+      onDelete: 'SET NULL',
+    });
+    await queryInterface.addIndex('transcriptions', ['userId', 'contentHash']);
+  },
+
+  async down (queryInterface) {
+    await queryInterface.removeIndex('transcriptions', ['userId', 'contentHash']);
+    await queryInterface.removeColumn('transcriptions', 'duplicateOfId');
+    await queryInterface.removeColumn('transcriptions', 'contentHash');
+  }
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    // Origem do arquivo: upload direto ou importação por URL (com o link informado)
+    await queryInterface.addColumn('transcriptions', 'sourceType', { type: Sequelize.STRING, allowNull: false, defaultValue: 'upload' });
+    await queryInterface.addColumn('transcriptions', 'sourceUrl', { type: Sequelize.TEXT, allowNull: true });
+    // 'video' quando o áudio foi extraído de um vídeo
+    await queryInterface.addColumn('transcriptions', 'sourceMediaType', { type: Sequelize.STRING, allowNull: false, defaultValue: 'audio' });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.removeColumn('transcriptions', 'sourceMediaType');
+    await queryInterface.removeColumn('transcriptions', 'sourceUrl');
+    await queryInterface.removeColumn('transcriptions', 'sourceType');
+  }
+};
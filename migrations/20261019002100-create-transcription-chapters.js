@@ -0,0 +1,41 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.createTable('transcription_chapters', {
+      id: { type: Sequelize.UUID, defaultValue: Sequelize.UUIDV4, primaryKey: true, allowNull: false },
+      transcriptionId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'transcriptions', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      chapterIndex: { type: Sequelize.INTEGER, allowNull: false },
+      title: { type: Sequelize.STRING(200), allowNull: false },
+      titleSource: { type: Sequelize.STRING, allowNull: true },
+      startTime: { type: Sequelize.DOUBLE, allowNull: false },
+      endTime: { type: Sequelize.DOUBLE, allowNull: false },
+      startSegmentIndex: { type: Sequelize.INTEGER, allowNull: false },
+      endSegmentIndex: { type: Sequelize.INTEGER, allowNull: false },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    });
+    await queryInterface.addIndex('transcription_chapters', ['transcriptionId', 'chapterIndex']);
+
+    await queryInterface.addColumn('transcriptions', 'chaptersStatus', { type: Sequelize.STRING, allowNull: true });
+    // Execução de assistente restrita a um capítulo
+    await queryInterface.addColumn('assistant_history', 'chapterId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: { model: 'transcription_chapters', key: 'id' },
+      onDelete: 'SET NULL',
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.removeColumn('assistant_history', 'chapterId');
+    await queryInterface.removeColumn('transcriptions', 'chaptersStatus');
+    await queryInterface.dropTable('transcription_chapters');
+  }
+};
@@ -205,6 +205,78 @@ async getAllUsers(req, res, next) {
       const result = await adminService.getAllHistory(req.query);
       res.status(200).json(result);
     } catch (error) { next(error); }
+  },
+
+  /* Métodos da Fila de Tarefas */
+  async getAllJobs(req, res, next) {
+    try {
+      const result = await adminService.getAllJobs(req.query);
+      res.status(200).json(result);
+    } catch (error) { next(error); }
+  },
+  async retryJob(req, res, next) {
+    try {
+      const job = await adminService.retryJob(req.params.id);
+      res.status(200).json(job);
+    } catch (error) {
+      if (error.message.includes('não encontrada')) return res.status(404).json({ message: error.message });
+      if (error.message.includes('Apenas tarefas')) return res.status(400).json({ message: error.message });
+      next(error);
+    }
+  },
+
+  /* Métodos de Armazenamento e Retenção */
+  async getStorageReport(req, res, next) {
+    try {
+      const report = await adminService.getStorageReport(req.query);
+      res.status(200).json(report);
+    } catch (error) { next(error); }
+  },
+  async runRetentionNow(req, res, next) {
+    try {
+      const summary = await adminService.runRetentionNow();
+      res.status(200).json(summary);
+    } catch (error) {
+      if (error.message.includes('em andamento')) return res.status(409).json({ message: error.message });
+      next(error);
+    }
+  },
+
+  /* Métodos de Glossários de Plano */
+  async getPlanGlossaries(req, res, next) {
+    try {
+      const glossaries = await adminService.getPlanGlossaries(req.query);
+      res.status(200).json(glossaries);
+    } catch (error) { next(error); }
+  },
+  async createPlanGlossary(req, res, next) {
+    try {
+      const glossary = await adminService.createPlanGlossary(req.body);
+      res.status(201).json(glossary);
+    } catch (error) {
+      if (error.message.includes('não encontrado')) return res.status(404).json({ message: error.message });
+      if (error.message.includes('obrigatório') || error.message.includes('inválido')) return res.status(400).json({ message: error.message });
+      next(error);
+    }
+  },
+  async updatePlanGlossary(req, res, next) {
+    try {
+      const glossary = await adminService.updatePlanGlossary(req.params.id, req.body);
+      res.status(200).json(glossary);
+    } catch (error) {
+      if (error.message.includes('não encontrado')) return res.status(404).json({ message: error.message });
+      if (error.message.includes('obrigatório') || error.message.includes('inválido')) return res.status(400).json({ message: error.message });
+      next(error);
+    }
+  },
+  async deletePlanGlossary(req, res, next) {
+    try {
+      const result = await adminService.deletePlanGlossary(req.params.id);
+      res.status(200).json(result);
+    } catch (error) {
+      if (error.message.includes('não encontrado')) return res.status(404).json({ message: error.message });
+      next(error);
+    }
   }
 };
 
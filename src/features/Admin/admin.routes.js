@@ -54,4 +54,18 @@ router.delete('/transcriptions/:id', adminController.deleteTranscription);
 // Rotas de Gerenciamento de Histórico
 router.get('/history', adminController.getAllHistory);
 
+// Rotas da Fila de Tarefas (inclui as que foram para dead-letter)
+router.get('/jobs', adminController.getAllJobs);
+router.post('/jobs/:id/retry', adminController.retryJob);
+
+// Rotas de Armazenamento: espaço recuperado pela retenção (?days) e execução manual da limpeza
+router.get('/storage', adminController.getStorageReport);
+router.post('/storage/cleanup', adminController.runRetentionNow);
+
+// Rotas de Glossários de Plano (vocabulário aplicado às transcrições de todos os assinantes; ?planId)
+router.get('/glossaries', adminController.getPlanGlossaries);
+router.post('/glossaries', adminController.createPlanGlossary);
+router.put('/glossaries/:id', adminController.updatePlanGlossary);
+router.delete('/glossaries/:id', adminController.deletePlanGlossary);
+
 module.exports = router;
\ No newline at end of file
@@ -3,6 +3,9 @@ const { Op } = require('sequelize');
 const db = require('../../config/database');
 const cryptoUtils = require('../../utils/crypto');
 const assistantService = require('../Assistant/assistant.service');
+const jobQueue = require('../../lib/jobQueue');
+const retentionService = require('../Retention/retention.service');
+const glossaryService = require('../Glossary/glossary.service');
 
 const { User, Plan, SubscriptionOrder, Agent, Assistant, Transcription, AgentAction, AssistantHistory, Setting } = db;
 
@@ -242,6 +245,38 @@ async getAllUsers(filters) { // O parâmetro 'filters' não será mais usado aqu
       order: [['createdAt', 'DESC']],
     });
     return { history: rows, total: count, totalPages: Math.ceil(count / limit), currentPage: parseInt(page) };
+  },
+
+  /* Métodos da Fila de Tarefas */
+  async getAllJobs(filters) {
+    return jobQueue.listJobs(filters);
+  },
+  async retryJob(jobId) {
+    return jobQueue.retryDeadJob(jobId);
+  },
+
+  /* Métodos de Armazenamento e Retenção */
+  async getStorageReport(filters) {
+    return retentionService.getStorageReport(filters);
+  },
+  async runRetentionNow() {
+    const summary = await retentionService.runRetention();
+    if (!summary) throw new Error('Uma limpeza já está em andamento.');
+    return summary;
+  },
+
+  /* Métodos de Glossários de Plano */
+  async getPlanGlossaries(filters) {
+    return glossaryService.listPlanGlossaries(filters);
+  },
+  async createPlanGlossary(data) {
+    return glossaryService.createPlanGlossary(data);
+  },
+  async updatePlanGlossary(glossaryId, data) {
+    return glossaryService.updatePlanGlossary(glossaryId, data);
+  },
+  async deletePlanGlossary(glossaryId) {
+    return glossaryService.deletePlanGlossary(glossaryId);
   }
 };
 
@@ -1,6 +1,6 @@
 // src/features/Agent/agent.controller.js
 const agentService = require('./agent.service');
-const path = require('path');
+const sendStoredFile = require('../../utils/sendStoredFile');
 
 const agentController = {
   /**
@@ -77,20 +77,8 @@ const agentController = {
       const { id } = req.params;
       const userId = req.user.userId;
 
-      const filePath = await agentService.getAgentActionOutputFile(id, userId);
-
-      // Obtém o nome do arquivo para o download
-      const fileName = path.basename(filePath);
-
-      res.download(filePath, fileName, (err) => {
-        if (err) {
-          console.error('Erro ao enviar arquivo para download:', err);
-          // Se o arquivo não puder ser enviado, mas existe, não é um erro 404
-          if (!res.headersSent) {
-            return res.status(500).json({ message: 'Erro ao fazer download do arquivo.' });
-          }
-        }
-      });
+      const file = await agentService.getAgentActionOutputFile(id, userId);
+      await sendStoredFile(req, res, { ...file, contentType: 'application/pdf', download: true });
     } catch (error) {
       console.error('Erro no controller downloadAgentActionOutput:', error);
       if (error.message.includes('não encontrado') || error.message.includes('disponível')) {
@@ -3,7 +3,8 @@ const db = require('../../config/database');
 const openai = require('../../config/openai'); // Instância da OpenAI com token do sistema
 const pdfGenerator = require('../../utils/pdfGenerator'); // Para gerar PDFs
 const path = require('path');
-const fs = require('fs/promises'); // Para manipulação de arquivos
+const storage = require('../../lib/storage'); // Armazenamento dos PDFs gerados
+const transcriptionService = require('../Transcription/transcription.service');
 
 const { User, Plan, Agent, AgentAction, Transcription } = db;
 
@@ -94,19 +95,22 @@ const agentService = {
         // Caso contrário, usa openaiInstanceToUse (que é o token do sistema) e usedSystemToken (true)
       }
 
-      // 4. Criar registro inicial da ação do agente no DB como 'pending'
+      // 4. Texto de entrada: o mesmo dos assistentes (anonimizado se o plano ou o usuário pedirem)
+      const inputText = await transcriptionService.getTextForAssistant(transcription);
+
+      // 5. Criar registro inicial da ação do agente no DB como 'pending'
       agentActionRecord = await AgentAction.create({
         userId: user.id,
         agentId: agent.id,
         transcriptionId: transcription.id,
-        inputText: transcription.transcriptionText,
+        inputText,
         outputFormat: agent.outputFormat,
         status: 'pending',
         usedSystemToken: usedSystemToken,
       });
 
       // Iniciar a execução do agente em segundo plano
-      this._processAgentActionInBackground(agentActionRecord.id, openaiInstanceToUse, agent, transcription.transcriptionText, user);
+      this._processAgentActionInBackground(agentActionRecord.id, openaiInstanceToUse, agent, inputText, user);
 
       return agentActionRecord;
 
@@ -156,15 +160,14 @@ const agentService = {
       let outputFilePath = null;
       if (agent.outputFormat === 'pdf') {
         // 3. Gerar PDF se o formato de saída for PDF
-        const fileName = `agent_output_${agentActionId}`;
-        outputFilePath = await pdfGenerator.generateTextPdf(outputText, fileName);
+        outputFilePath = await pdfGenerator.generateTextPdf(outputText, `outputs/agent_output_${agentActionId}.pdf`);
         console.log(`PDF gerado em: ${outputFilePath}`);
       }
 
       // 4. Atualizar o registro da ação do agente no DB
       await agentActionRecord.update({
         outputText: outputText,
-        outputFilePath: outputFilePath ? path.relative(path.join(__dirname, '..', 'uploads'), outputFilePath) : null, // Salva caminho relativo
+        outputFilePath, // Chave do PDF no serviço de armazenamento
         status: 'completed',
         // cost: cost, // Atualizar custo
       });
@@ -182,8 +185,7 @@ const agentService = {
       }
       // Se um PDF foi gerado antes da falha final, você pode querer deletá-lo
       if (agentActionRecord && agentActionRecord.outputFilePath) {
-        const fullPath = path.join(__dirname, '..', 'uploads', agentActionRecord.outputFilePath);
-        await fs.unlink(fullPath).catch(err => console.error('Erro ao deletar PDF após falha:', err));
+        await storage.delete(agentActionRecord.outputFilePath).catch(err => console.error('Erro ao deletar PDF após falha:', err));
       }
     }
   },
@@ -254,10 +256,10 @@ const agentService = {
   },
 
   /**
-   * Fornece o caminho completo para download de um arquivo de saída de agente.
+   * Localiza no armazenamento o arquivo de saída de uma ação de agente, para download.
    * @param {string} agentActionId - ID da ação do agente.
    * @param {string} userId - ID do usuário.
-   * @returns {string} Caminho completo do arquivo para download.
+   * @returns {{key: string, size: number, fileName: string}} Dados do arquivo para download.
    */
   async getAgentActionOutputFile(agentActionId, userId) {
     try {
@@ -269,13 +271,13 @@ const agentService = {
         throw new Error('Arquivo de saída não encontrado ou não disponível para download.');
       }
 
-      // Construir o caminho completo do arquivo
-      const fullPath = path.join(__dirname, '..', 'uploads', agentAction.outputFilePath);
-
       // Verificar se o arquivo existe
-      await fs.access(fullPath);
+      const stat = await storage.stat(agentAction.outputFilePath);
+      if (!stat) {
+        throw new Error('Arquivo de saída não encontrado no servidor.');
+      }
 
-      return fullPath;
+      return { key: agentAction.outputFilePath, size: stat.size, fileName: path.basename(agentAction.outputFilePath) };
     } catch (error) {
       console.error('Erro ao obter arquivo de saída do agente:', error);
       throw error;
@@ -1,15 +1,16 @@
 // src/features/Assistant/assistant.controller.js
 const assistantService = require('./assistant.service');
-const path = require('path');
+const sendStoredFile = require('../../utils/sendStoredFile');
 
 const assistantController = {
 
   async runOnTranscription(req, res, next) {
     try {
       const userId = req.user.userId;
-      const { assistantId, transcriptionId, outputFormat } = req.body;
+      // chapterId (opcional): o assistente recebe só o trecho do capítulo
+      const { assistantId, transcriptionId, outputFormat, chapterId } = req.body;
       if (!assistantId || !transcriptionId) return res.status(400).json({ message: 'ID do assistente e ID da transcrição são obrigatórios.' });
-      const historyRecord = await assistantService.runAssistantOnTranscription(userId, assistantId, transcriptionId, outputFormat);
+      const historyRecord = await assistantService.runAssistantOnTranscription(userId, assistantId, transcriptionId, { outputFormat, chapterId });
       return res.status(202).json({
         message: 'Ação do assistente iniciada com sucesso.',
         historyId: historyRecord.id,
@@ -19,6 +20,7 @@ const assistantController = {
       if (error.message.includes('não encontrado') || error.message.includes('permissão') || error.message.includes('limite')) {
         return res.status(400).json({ message: error.message });
       }
+      if (error.message.includes('capítulos')) return res.status(409).json({ message: error.message });
       next(error);
     }
   },
@@ -101,11 +103,8 @@ const assistantController = {
     try {
       const { id } = req.params;
       const userId = req.user.userId;
-      const filePath = await assistantService.getHistoryOutputFile(id, userId);
-      const fileName = path.basename(filePath);
-      res.download(filePath, fileName, (err) => {
-        if (err && !res.headersSent) res.status(500).json({ message: 'Erro ao fazer download.' });
-      });
+      const file = await assistantService.getHistoryOutputFile(id, userId);
+      await sendStoredFile(req, res, { ...file, contentType: 'application/pdf', download: true });
     } catch (error) {
       if (error.message.includes('não encontrado')) return res.status(404).json({ message: error.message });
       next(error);
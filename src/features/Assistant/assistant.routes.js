@@ -7,7 +7,9 @@ const authMiddleware = require('../../utils/authMiddleware');
 // Exemplo: const uploadKnowledgeFiles = require('../../utils/uploadKnowledgeFiles');
 // Por enquanto, usaremos um placeholder.
 const multer = require('multer');
-const upload = multer({ dest: 'uploads/temp/' }); // Configuração básica de multer
+const createMulterStorage = require('../../lib/storage/multerStorage');
+// Arquivos de conhecimento ficam no armazenamento (prefixo temp/) só até serem enviados à OpenAI
+const upload = multer({ storage: createMulterStorage({ prefix: 'temp' }) });
 const uploadKnowledgeFiles = upload.array('knowledgeFiles', 10); // Aceita até 10 arquivos no campo 'knowledgeFiles'
 
 
@@ -1,15 +1,18 @@
   // src/features/Assistant/assistant.service.js
-  const { OpenAI } = require('openai');
+  const { OpenAI, toFile } = require('openai');
   const db = require('../../config/database');
   const systemOpenai = require('../../config/openai');
   const pdfGenerator = require('../../utils/pdfGenerator');
+  const transcriptionService = require('../Transcription/transcription.service');
+  const jobQueue = require('../../lib/jobQueue');
+  const eventBus = require('../../lib/eventBus');
+  const webhookService = require('../Webhook/webhook.service');
   const path = require('path');
-  const fs = require('fs');
-  const fsPromises = require('fs/promises');
+  const storage = require('../../lib/storage');
 
-  const UPLOADS_BASE_DIR = path.resolve(__dirname, '..', '..', '..', 'uploads');
-  const { Assistant, User, Plan, Transcription, AssistantHistory } = db;
+  const { Assistant, User, Plan, Transcription, TranscriptionChapter, AssistantHistory } = db;
   const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  const ASSISTANT_RUN_JOB = 'assistant.run';
 
   const assistantService = {
 
@@ -194,103 +197,144 @@
     async runAssistantOnTranscription(userId, assistantId, transcriptionId, options = {}) {
       let historyRecord;
       try {
-        const { user, assistant, transcription } = await this._validateRunInputs(userId, assistantId, transcriptionId);
+        const { assistant, transcription } = await this._validateRunInputs(userId, assistantId, transcriptionId);
         
         if (!assistant.openaiAssistantId) {
           throw new Error("Assistente não sincronizado. Edite e salve o assistente para sincronizar com a OpenAI.");
         }
         
-        // ================== INÍCIO DA CORREÇÃO DE PERMISSÃO (Passo 1) ==================
-        let openaiClient;
-
-        if (assistant.isSystemAssistant) {
-            // Assistentes do sistema SEMPRE devem ser executados com a chave de API do sistema.
-            if (!systemOpenai) {
-                throw new Error("Chave de API do sistema indisponível para execução.");
-            }
-            openaiClient = systemOpenai;
-        } else {
-            // Assistentes de usuário SEMPRE devem ser executados com a chave de API do seu CRIADOR.
-            const creator = await User.findByPk(assistant.createdByUserId);
-            if (!creator || !creator.openAiApiKey) {
-                throw new Error(`O criador do assistente "${assistant.name}" não foi encontrado ou não possui uma chave de API configurada.`);
-            }
-            openaiClient = new OpenAI({ apiKey: creator.openAiApiKey });
-        }
-        // ================== FIM DA CORREÇÃO DE PERMISSÃO ==================
+        // Valida a chave de execução antes de criar o histórico, para o erro voltar direto ao usuário
+        await this._resolveExecutionClient(assistant);
         
         const finalOutputFormat = options.outputFormat || assistant.outputFormat;
+        // Com diarização, o texto vai com os nomes dos interlocutores definidos pelo usuário; com
+        // `chapterId`, só o trecho do capítulo
+        const chapterId = options.chapterId || null;
+        const inputText = await transcriptionService.getTextForAssistant(transcription, { chapterId });
         
         historyRecord = await AssistantHistory.create({
           userId, 
           assistantId, 
           transcriptionId,
-          inputText: transcription.transcriptionText,
+          inputText,
+          transcriptionRevision: transcription.revisionNumber || null,
+          chapterId,
           outputFormat: finalOutputFormat,
           status: 'pending',
           // ================== CORREÇÃO DO REGISTRO DE USO (Passo 3) ==================
           usedSystemToken: assistant.isSystemAssistant,
         });
 
-        (async () => {
-          try {
-            await this._processRunInBackground(historyRecord.id, openaiClient, assistant, transcription.transcriptionText, user, options);
-          } catch (error) {
-            console.error(`Erro fatal no processo de background [HistoryID: ${historyRecord.id}]:`, error);
-            const errorMessage = error.response?.data?.error?.message || error.message;
-            await AssistantHistory.update({ status: 'failed', errorMessage: `Erro de background: ${errorMessage}` }, { where: { id: historyRecord.id } });
-          }
-        })();
+        await jobQueue.enqueue(ASSISTANT_RUN_JOB, { historyId: historyRecord.id, options });
+        this._publishRunStatus(historyRecord);
         
         return historyRecord;
       } catch (error) {
         if (historyRecord) {
           await historyRecord.update({ status: 'failed', errorMessage: error.message });
+          this._publishRunStatus(historyRecord);
         }
         throw error;
       }
     },
     
-    async _processRunInBackground(historyId, openaiClient, assistant, inputText, user, options) {
-      let threadId;
-      let runId;
+    /**
+     * Executa (ou retoma) um assistente a partir do histórico (executado pela fila de tarefas).
+     * Se a Run já tinha sido criada antes de uma queda, apenas retoma o polling, sem criar outra.
+     */
+    async _processRunInBackground(historyId, options = {}, { isFinalAttempt = true } = {}) {
+      const historyRecord = await AssistantHistory.findByPk(historyId);
+      if (!historyRecord) {
+        console.error(`Histórico ${historyId} não encontrado para execução do assistente.`);
+        return;
+      }
+      if (['completed', 'failed'].includes(historyRecord.status)) return;
+
+      let threadId = historyRecord.openaiThreadId;
+      let runId = historyRecord.openaiRunId;
       try {
-        await AssistantHistory.update({ status: 'processing' }, { where: { id: historyId } });
+        const assistant = await Assistant.findByPk(historyRecord.assistantId);
+        const user = await User.findByPk(historyRecord.userId);
+        if (!assistant || !user) {
+          throw Object.assign(new Error('Assistente ou usuário da execução não encontrado.'), { retryable: false });
+        }
+        const openaiClient = await this._resolveExecutionClient(assistant);
 
-        const thread = await openaiClient.beta.threads.create();
-        if (!thread?.id) throw new Error("Falha ao criar Thread na OpenAI.");
-        threadId = thread.id;
-        await AssistantHistory.update({ openaiThreadId: threadId }, { where: { id: historyId } });
-        console.log(`[HistoryID: ${historyId}] Thread criada com ID: ${threadId}`);
+        if (!runId) {
+          await this._updateRun(historyId, { status: 'processing', errorMessage: null });
 
-        await openaiClient.beta.threads.messages.create(threadId, { 
-          role: 'user', 
-          content: `Baseado na transcrição a seguir, execute suas instruções.\n\n--- TRANSCRIÇÃO ---\n${inputText}` 
-        });
-        
-        const runConfig = assistant.runConfiguration || {};
-        
-        const runParams = {
-            assistant_id: assistant.openaiAssistantId,
-            instructions: options.dynamicPrompt || assistant.instructions,
-            temperature: runConfig.temperature ?? 1.0,
-            top_p: runConfig.top_p ?? 1.0,
-            max_completion_tokens: runConfig.max_completion_tokens || null,
-        };
-
-        const run = await openaiClient.beta.threads.runs.create(threadId, runParams);
-        if (!run?.id) throw new Error("Falha ao criar Run na OpenAI.");
-        runId = run.id;
-        await AssistantHistory.update({ openaiRunId: runId }, { where: { id: historyId } });
-        console.log(`[HistoryID: ${historyId}] Run criada com ID: ${runId}. Iniciando polling.`);
+          const thread = await openaiClient.beta.threads.create();
+          if (!thread?.id) throw new Error("Falha ao criar Thread na OpenAI.");
+          threadId = thread.id;
+          await AssistantHistory.update({ openaiThreadId: threadId }, { where: { id: historyId } });
+          console.log(`[HistoryID: ${historyId}] Thread criada com ID: ${threadId}`);
+
+          await openaiClient.beta.threads.messages.create(threadId, { 
+            role: 'user', 
+            content: `Baseado na transcrição a seguir, execute suas instruções.\n\n--- TRANSCRIÇÃO ---\n${historyRecord.inputText}` 
+          });
+          
+          const runConfig = assistant.runConfiguration || {};
+          
+          const runParams = {
+              assistant_id: assistant.openaiAssistantId,
+              instructions: options.dynamicPrompt || assistant.instructions,
+              temperature: runConfig.temperature ?? 1.0,
+              top_p: runConfig.top_p ?? 1.0,
+              max_completion_tokens: runConfig.max_completion_tokens || null,
+          };
+
+          const run = await openaiClient.beta.threads.runs.create(threadId, runParams);
+          if (!run?.id) throw new Error("Falha ao criar Run na OpenAI.");
+          runId = run.id;
+          await AssistantHistory.update({ openaiRunId: runId }, { where: { id: historyId } });
+          console.log(`[HistoryID: ${historyId}] Run criada com ID: ${runId}. Iniciando polling.`);
+        } else {
+          console.log(`[HistoryID: ${historyId}] Retomando polling da Run ${runId}.`);
+        }
         console.log(`[DEBUG BEFORE POLLING] threadId: "${threadId}", runId: "${runId}"`);
         await this._pollRunStatus(historyId, threadId, runId, openaiClient, user);
 
       } catch (error) {
         const errorMessage = error.response?.data?.error?.message || error.message;
         console.error(`[ERRO] Falha em _processRunInBackground para HistoryID: ${historyId}. Causa: ${errorMessage}`, { stack: error.stack });
-        await AssistantHistory.update({ status: 'failed', errorMessage: `Erro na API OpenAI: ${errorMessage}` }, { where: { id: historyId } });
+        if (!isFinalAttempt && error.retryable !== false) {
+          await this._updateRun(historyId, { status: 'pending', errorMessage: `Falha temporária, nova tentativa agendada: ${errorMessage}` });
+        } else {
+          await this._updateRun(historyId, { status: 'failed', errorMessage: `Erro na API OpenAI: ${errorMessage}` });
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Executado na inicialização: execuções em andamento sem tarefa ativa na fila são retomadas
+     * quando a Run já existe na OpenAI; sem Run, o prompt dinâmico se perdeu e a execução é marcada como falha.
+     */
+    async recoverOrphanedRuns() {
+      const orphanCandidates = await AssistantHistory.findAll({
+        where: { status: { [db.Sequelize.Op.in]: ['pending', 'processing', 'queued', 'in_progress', 'cancelling'] } },
+        attributes: ['id', 'userId', 'assistantId', 'transcriptionId', 'status', 'openaiRunId'],
+      });
+
+      let requeued = 0;
+      let failed = 0;
+      for (const history of orphanCandidates) {
+        if (await jobQueue.hasActiveJob(ASSISTANT_RUN_JOB, { historyId: history.id })) continue;
+
+        if (history.openaiRunId) {
+          await jobQueue.enqueue(ASSISTANT_RUN_JOB, { historyId: history.id, options: {} });
+          requeued++;
+        } else {
+          await history.update({
+            status: 'failed',
+            errorMessage: 'A execução foi interrompida antes de ser enviada à OpenAI. Execute o assistente novamente.',
+          });
+          this._publishRunStatus(history);
+          failed++;
+        }
       }
+      console.log(`[Recuperação] Execuções de assistente órfãs: ${requeued} retomada(s), ${failed} marcada(s) como falha.`);
     },
 
     async _pollRunStatus(historyId, threadId, runId, openaiClient, user) {
@@ -322,7 +366,7 @@
             const runStatus = await openaiClient.beta.threads.runs.retrieve(threadId, runId);
             console.log(`[SUCCESS] Retrieve funcionou! Status: ${runStatus.status}`);
             
-            await AssistantHistory.update({ status: runStatus.status }, { where: { id: historyId } });
+            await this._updateRun(historyId, { status: runStatus.status });
 
             if (runStatus.status === 'completed') {
                 await this._processCompletedRun(historyId, threadId, openaiClient, user);
@@ -333,14 +377,14 @@
                 const lastError = runStatus.last_error;
                 const errorMessage = `A execução falhou com status: ${runStatus.status}. Causa: ${lastError ? lastError.message : 'Nenhuma informação adicional.'}`;
                 console.error(`[ERRO] HistoryID: ${historyId} - ${errorMessage}`);
-                await AssistantHistory.update({ status: 'failed', errorMessage }, { where: { id: historyId } });
+                await this._updateRun(historyId, { status: 'failed', errorMessage });
                 return;
             }
 
             if (runStatus.status === 'requires_action') {
                 const errorMessage = 'A execução parou pois requer uma ação manual (ex: function calling) que não está implementada.';
                 console.warn(`[AVISO] Run ${runId} requer ação.`, runStatus.required_action);
-                await AssistantHistory.update({ status: 'failed', errorMessage }, { where: { id: historyId } });
+                await this._updateRun(historyId, { status: 'failed', errorMessage });
                 return;
             }
 
@@ -371,7 +415,7 @@
               const runStatus = await response.json();
               console.log(`[SUCCESS] Fetch direto funcionou! Status: ${runStatus.status}`);
               
-              await AssistantHistory.update({ status: runStatus.status }, { where: { id: historyId } });
+              await this._updateRun(historyId, { status: runStatus.status });
 
               if (runStatus.status === 'completed') {
                   await this._processCompletedRun(historyId, threadId, openaiClient, user);
@@ -387,14 +431,14 @@
         } catch (error) {
           const errorMessage = error.response?.data?.error?.message || error.message;
           console.error(`[ERRO] Exceção durante o polling [RunID: ${runId}]: ${errorMessage}`, { stack: error.stack });
-          await AssistantHistory.update({ status: 'failed', errorMessage: `Erro de comunicação com a OpenAI: ${errorMessage}` }, { where: { id: historyId } });
-          return;
+          // Relança para a fila tentar de novo; a próxima tentativa retoma o polling da mesma Run
+          throw new Error(`Erro de comunicação com a OpenAI: ${errorMessage}`);
         }
       }
 
       const timeoutMessage = 'A execução excedeu o tempo limite de 5 minutos.';
       console.error(`[ERRO] HistoryID: ${historyId} - ${timeoutMessage}`);
-      await AssistantHistory.update({ status: 'failed', errorMessage: timeoutMessage }, { where: { id: historyId } });
+      await this._updateRun(historyId, { status: 'failed', errorMessage: timeoutMessage });
     },
 
     async _processCompletedRun(historyId, threadId, openaiClient, user) {
@@ -406,23 +450,57 @@
       const historyRecord = await AssistantHistory.findByPk(historyId);
       let outputFilePath = null;
       if (historyRecord.outputFormat === 'pdf') {
-          const fileName = `assistant_output_${historyId}`;
-          await fsPromises.mkdir(UPLOADS_BASE_DIR, { recursive: true });
-          const fullPath = await pdfGenerator.generateTextPdf(outputText, fileName, UPLOADS_BASE_DIR);
-          outputFilePath = path.basename(fullPath); 
+          outputFilePath = await pdfGenerator.generateTextPdf(outputText, `outputs/assistant_output_${historyId}.pdf`);
       }
       await historyRecord.update({ status: 'completed', outputText, outputFilePath });
+      this._publishRunStatus(historyRecord);
       if (historyRecord.usedSystemToken) await user.increment('assistantUsesUsed');
     },
     
     // =========================================================================
     // MÉTODOS AUXILIARES E DE VALIDAÇÃO
     // =========================================================================
+
+    /**
+     * Execução perdida na última tentativa (worker caiu ou travou e o lease venceu): marca como falha.
+     */
+    async _failInterruptedRun(historyId, error) {
+      const historyRecord = await AssistantHistory.findByPk(historyId, { attributes: ['id', 'status'] });
+      if (!historyRecord || ['completed', 'failed'].includes(historyRecord.status)) return;
+      await this._updateRun(historyId, { status: 'failed', errorMessage: `Execução interrompida: ${error.message}` });
+    },
+
+    /**
+     * Atualiza a execução e, se o status mudou (ex: queued -> in_progress), avisa o barramento de eventos.
+     */
+    async _updateRun(historyId, fields) {
+      const previous = await AssistantHistory.findByPk(historyId, { attributes: ['id', 'userId', 'assistantId', 'transcriptionId', 'status', 'errorMessage'] });
+      await AssistantHistory.update(fields, { where: { id: historyId } });
+      if (previous && fields.status && fields.status !== previous.status) {
+        this._publishRunStatus({ ...previous.get({ plain: true }), ...fields });
+      }
+    },
+
+    // Mudança de estado para o barramento de eventos (SSE em /api/events) e, nos estados finais, para os webhooks
+    _publishRunStatus(history) {
+      const data = {
+        historyId: history.id,
+        assistantId: history.assistantId,
+        transcriptionId: history.transcriptionId,
+        status: history.status,
+        errorMessage: history.errorMessage || null,
+      };
+      eventBus.publish(history.userId, 'assistant.status', data);
+      if (['completed', 'failed'].includes(history.status)) {
+        webhookService.emit(history.userId, `assistant_run.${history.status}`, data);
+      }
+    },
     
     async _uploadAndAssociateFiles(openaiClient, vectorStoreId, files) {
-        const uploadPromises = files.map(file => {
+        // Os arquivos chegam pelo multer já gravados no armazenamento (prefixo temp/)
+        const uploadPromises = files.map(async file => {
             return openaiClient.files.create({
-                file: fs.createReadStream(file.path),
+                file: await toFile(await storage.stream(file.key), file.originalname),
                 purpose: 'assistants',
             });
         });
@@ -432,11 +510,32 @@
             file_ids: openaiFiles.map(f => f.id)
         });
         
-        files.forEach(file => fsPromises.unlink(file.path).catch(err => console.error(`Falha ao remover arquivo temporário ${file.path}:`, err)));
+        files.forEach(file => storage.delete(file.key).catch(err => console.error(`Falha ao remover arquivo temporário ${file.key}:`, err)));
 
         return openaiFiles.map(file => file.id);
     },
     
+    /**
+     * Cliente usado para executar o assistente: assistentes do sistema SEMPRE usam a chave do sistema;
+     * assistentes de usuário SEMPRE usam a chave do seu CRIADOR.
+     */
+    async _resolveExecutionClient(assistant) {
+      if (assistant.isSystemAssistant) {
+        if (!systemOpenai) {
+          throw Object.assign(new Error("Chave de API do sistema indisponível para execução."), { retryable: false });
+        }
+        return systemOpenai;
+      }
+      const creator = await User.findByPk(assistant.createdByUserId);
+      if (!creator || !creator.openAiApiKey) {
+        throw Object.assign(
+          new Error(`O criador do assistente "${assistant.name}" não foi encontrado ou não possui uma chave de API configurada.`),
+          { retryable: false }
+        );
+      }
+      return new OpenAI({ apiKey: creator.openAiApiKey });
+    },
+
     _getOpenAIClientForManagement(user, assistant) {
         if (user.role === 'admin' || !assistant.requiresUserOpenAiToken) {
             if (!systemOpenai) throw new Error("A chave de API do sistema não está configurada.");
@@ -533,7 +632,8 @@
         where,
         include: [
           { model: Assistant, as: 'assistant', attributes: ['id', 'name', 'outputFormat'] },
-          { model: Transcription, as: 'transcription', attributes: ['id', 'originalFileName'] }
+          { model: Transcription, as: 'transcription', attributes: ['id', 'originalFileName'] },
+          { model: TranscriptionChapter, as: 'chapter', attributes: ['id', 'title', 'startTime', 'endTime'] }
         ],
         limit: parseInt(limit, 10),
         offset,
@@ -548,7 +648,8 @@
         where: { id: historyId, userId },
         include: [
           { model: Assistant, as: 'assistant' },
-          { model: Transcription, as: 'transcription' }
+          { model: Transcription, as: 'transcription' },
+          { model: TranscriptionChapter, as: 'chapter', attributes: ['id', 'title', 'startTime', 'endTime'] }
         ]
       });
       if (!history) throw new Error('Registro de histórico não encontrado.');
@@ -563,15 +664,18 @@
         throw new Error('Arquivo de saída não encontrado, não está pronto ou não está em formato PDF.');
       }
       
-      const fullPath = path.join(UPLOADS_BASE_DIR, history.outputFilePath);
-      try {
-        await fsPromises.access(fullPath);
-        return fullPath;
-      } catch (err) {
-        console.error(`Arquivo ${fullPath} não encontrado no servidor:`, err);
+      // Registros antigos guardam apenas o nome do arquivo, que é a chave na raiz do armazenamento local
+      const stat = await storage.stat(history.outputFilePath).catch(() => null);
+      if (!stat) {
+        console.error(`Arquivo ${history.outputFilePath} não encontrado no armazenamento.`);
         throw new Error('Arquivo de saída não encontrado no servidor.');
       }
+      return { key: history.outputFilePath, size: stat.size, fileName: path.basename(history.outputFilePath) };
     }
   };
 
+  jobQueue.registerHandler(ASSISTANT_RUN_JOB, ({ historyId, options }, { isFinalAttempt }) =>
+    assistantService._processRunInBackground(historyId, options, { isFinalAttempt }),
+  { onExpired: ({ historyId }, { error }) => assistantService._failInterruptedRun(historyId, error) });
+
   module.exports = assistantService;
\ No newline at end of file
@@ -0,0 +1,54 @@
+// src/features/Batch/batch.controller.js
+const batchService = require('./batch.service');
+
+const handleError = (error, res, next) => {
+  if (error.message.includes('não encontrado')) return res.status(404).json({ message: error.message });
+  if (
+    error.message.includes('obrigatório') || error.message.includes('inválid') || error.message.includes('Idioma inválido') ||
+    error.message.includes('plano ativo') || error.message.includes('Limite de') || error.message.includes('não sincronizado') ||
+    error.message.includes('duração do áudio')
+  ) {
+    return res.status(400).json({ message: error.message });
+  }
+  next(error);
+};
+
+const batchController = {
+  /**
+   * Cria um lote com os arquivos do campo 'audioFiles' (áudios e/ou .zip com áudios).
+   * Campos opcionais: name, language, translateTo, assistantId e outputFormat (text|pdf).
+   */
+  async createBatch(req, res, next) {
+    try {
+      const batch = await batchService.createBatch(req.user.userId, req.files || [], req.body || {});
+      res.status(202).json(batch);
+    } catch (error) {
+      console.error('Erro no controller createBatch:', error);
+      handleError(error, res, next);
+    }
+  },
+
+  async listMyBatches(req, res, next) {
+    try {
+      const result = await batchService.listBatches(req.user.userId, req.query);
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('Erro no controller listMyBatches:', error);
+      handleError(error, res, next);
+    }
+  },
+
+  /**
+   * Andamento do lote: status agregado, contagem por status, percentual e situação de cada arquivo.
+   */
+  async getBatch(req, res, next) {
+    try {
+      const batch = await batchService.getBatch(req.params.id, req.user.userId);
+      res.status(200).json(batch);
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  },
+};
+
+module.exports = batchController;
@@ -0,0 +1,18 @@
+// src/features/Batch/batch.routes.js
+const express = require('express');
+const batchController = require('./batch.controller');
+const authMiddleware = require('../../utils/authMiddleware');
+const { batchUpload } = require('../../utils/upload');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// Upload em lote: vários arquivos no campo 'audioFiles' (áudios ou .zip com áudios)
+router.post('/', batchUpload.array('audioFiles'), batchController.createBatch);
+
+// Lotes do usuário e o andamento de cada um (por arquivo e agregado)
+router.get('/', batchController.listMyBatches);
+router.get('/:id', batchController.getBatch);
+
+module.exports = router;
@@ -0,0 +1,292 @@
+// src/features/Batch/batch.service.js
+// Upload em lote: vários áudios (ou .zip com áudios) viram um TranscriptionBatch com uma
+// Transcription por arquivo. A cota é verificada para o lote inteiro antes de qualquer
+// processamento, e um assistente pode ser executado automaticamente em cada arquivo concluído.
+const path = require('path');
+const db = require('../../config/database');
+const settings = require('../../config/settings');
+const storage = require('../../lib/storage');
+const jobQueue = require('../../lib/jobQueue');
+const audioProbe = require('../../utils/audioProbe');
+const zipReader = require('../../utils/zipReader');
+const { audioMimeByExtension, zipMimeTypes, MAX_BATCH_FILES, MAX_UPLOAD_SIZE_MB } = require('../../utils/upload');
+const transcriptionService = require('../Transcription/transcription.service');
+const assistantService = require('../Assistant/assistant.service');
+
+const { Op } = db.Sequelize;
+const { User, Plan, Transcription, TranscriptionBatch, AssistantHistory } = db;
+
+const BATCH_ITEM_COMPLETED_JOB = 'batch.itemCompleted';
+const OUTPUT_FORMATS = ['text', 'pdf'];
+const FILE_ATTRIBUTES = ['id', 'title', 'originalFileName', 'status', 'errorMessage', 'durationSeconds', 'billedDurationSeconds', 'totalChunks', 'processedChunks', 'createdAt', 'updatedAt'];
+
+const batchService = {
+  /**
+   * Cria um lote a partir dos arquivos recebidos pelo multer (áudios em "audio/", zips em "temp/").
+   * @param {object} options - { name, language, translateTo, assistantId, outputFormat }
+   */
+  async createBatch(userId, files = [], options = {}) {
+    // Tudo o que foi gravado no armazenamento, para limpar se o lote não for criado
+    const storedKeys = files.map(file => file.key);
+    try {
+      if (files.length === 0) {
+        throw new Error('Envie ao menos um arquivo no campo "audioFiles" (obrigatório).');
+      }
+      const language = transcriptionService._parseLanguage(options.language || settings.get('TRANSCRIPTION_DEFAULT_LANGUAGE') || 'auto', { allowAuto: true });
+      const translateTo = options.translateTo ? transcriptionService._parseLanguage(options.translateTo) : null;
+
+      const user = await User.findByPk(userId, { include: [{ model: Plan, as: 'currentPlan' }] });
+      if (!user) throw new Error('Usuário não encontrado.');
+      const assistant = await this._resolveAssistant(userId, options);
+
+      const items = [];
+      for (const file of files) {
+        if (zipMimeTypes.includes(file.mimetype)) {
+          items.push(...await this._extractZip(file, storedKeys));
+        } else {
+          items.push(file);
+        }
+      }
+      if (items.length === 0) throw new Error('Nenhum arquivo de áudio encontrado no envio (arquivo inválido).');
+      if (items.length > MAX_BATCH_FILES) {
+        throw new Error(`Lote inválido: máximo de ${MAX_BATCH_FILES} arquivos por envio (recebidos ${items.length}).`);
+      }
+
+      // Cota verificada para o lote inteiro: ou todos os arquivos entram, ou nenhum. O hash fica
+      // registrado para reconhecer o arquivo num upload individual futuro.
+      let totalSeconds = 0;
+      for (const item of items) {
+        await storage.withLocalFile(item.key, async (localPath) => {
+          item.durationSeconds = Math.round(await audioProbe.getDurationSeconds(localPath, item.mimetype));
+          item.contentHash = await transcriptionService._hashFile(localPath);
+        });
+        totalSeconds += item.durationSeconds;
+      }
+      transcriptionService._assertActivePlanAndCount(user, items.length);
+      transcriptionService._assertMinutesQuota(user, totalSeconds / 60);
+
+      const batch = await db.sequelize.transaction(async (t) => {
+        const created = await TranscriptionBatch.create({
+          userId,
+          name: options.name || null,
+          totalFiles: items.length,
+          assistantId: assistant ? assistant.id : null,
+          assistantOptions: assistant && options.outputFormat ? { outputFormat: options.outputFormat } : {},
+        }, { transaction: t });
+        for (const item of items) {
+          await transcriptionService._createPendingTranscription(user, item, {
+            durationSeconds: item.durationSeconds,
+            contentHash: item.contentHash,
+            language,
+            translateTo,
+            batchId: created.id,
+          }, t);
+        }
+        return created;
+      });
+
+      return this.getBatch(batch.id, userId);
+    } catch (error) {
+      console.error('[Service Error] Erro ao criar lote, iniciando limpeza:', error.message);
+      for (const key of storedKeys) {
+        await storage.delete(key).catch(err => console.warn(`Aviso: Não foi possível limpar o arquivo ${key} após erro.`, err));
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Lista os lotes do usuário com o resumo de andamento de cada um.
+   */
+  async listBatches(userId, filters = {}) {
+    const limit = Math.min(Number.parseInt(filters.limit, 10) || 10, 50);
+    const page = Math.max(Number.parseInt(filters.page, 10) || 1, 1);
+
+    const { count, rows } = await TranscriptionBatch.findAndCountAll({
+      where: { userId },
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+    });
+    const statusRows = rows.length === 0 ? [] : await Transcription.findAll({
+      where: { batchId: { [Op.in]: rows.map(batch => batch.id) } },
+      attributes: ['batchId', 'status', [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'count']],
+      group: ['batchId', 'status'],
+      raw: true,
+    });
+
+    const batches = rows.map((batch) => {
+      const counts = {};
+      for (const row of statusRows.filter(r => r.batchId === batch.id)) counts[row.status] = Number(row.count);
+      return { ...batch.toJSON(), ...this._summarize(counts) };
+    });
+    return { batches, total: count, totalPages: Math.ceil(count / limit), currentPage: page };
+  },
+
+  /**
+   * Um lote com o andamento agregado e a situação de cada arquivo (e da execução do assistente).
+   */
+  async getBatch(batchId, userId) {
+    const batch = await TranscriptionBatch.findOne({ where: { id: batchId, userId } });
+    if (!batch) throw new Error('Lote não encontrado ou você não tem permissão.');
+
+    const transcriptions = await Transcription.findAll({
+      where: { batchId: batch.id },
+      attributes: FILE_ATTRIBUTES,
+      order: [['createdAt', 'ASC']],
+    });
+
+    const runsByTranscription = {};
+    if (batch.assistantId && transcriptions.length > 0) {
+      const runs = await AssistantHistory.findAll({
+        where: { assistantId: batch.assistantId, transcriptionId: { [Op.in]: transcriptions.map(t => t.id) } },
+        attributes: ['id', 'transcriptionId', 'status', 'errorMessage', 'createdAt'],
+        order: [['createdAt', 'ASC']],
+      });
+      for (const run of runs) runsByTranscription[run.transcriptionId] = run; // a mais recente prevalece
+    }
+
+    const counts = {};
+    let progressSum = 0;
+    for (const transcription of transcriptions) {
+      counts[transcription.status] = (counts[transcription.status] || 0) + 1;
+      if (['completed', 'failed'].includes(transcription.status)) progressSum += 1;
+      else if (transcription.status === 'processing' && transcription.totalChunks) {
+        progressSum += transcription.processedChunks / transcription.totalChunks;
+      }
+    }
+    const summary = this._summarize(counts);
+    summary.progressPercent = transcriptions.length ? Math.round((progressSum / transcriptions.length) * 100) : 100;
+
+    const files = transcriptions.map((transcription) => {
+      const run = runsByTranscription[transcription.id];
+      return {
+        ...transcription.toJSON(),
+        assistantRun: run ? { id: run.id, status: run.status, errorMessage: run.errorMessage } : null,
+      };
+    });
+
+    if (batch.assistantId) {
+      const runs = Object.values(runsByTranscription);
+      summary.assistantRuns = {
+        completed: runs.filter(run => run.status === 'completed').length,
+        failed: runs.filter(run => run.status === 'failed').length,
+        running: runs.filter(run => !['completed', 'failed'].includes(run.status)).length,
+        notStarted: transcriptions.length - runs.length,
+      };
+    }
+
+    return { ...batch.toJSON(), ...summary, files };
+  },
+
+  /**
+   * Executado pela fila quando um arquivo do lote conclui: roda o assistente automático do lote.
+   * Falhas de validação (ex: limite de uso do plano) ficam registradas no histórico do assistente,
+   * para aparecerem na situação do arquivo.
+   */
+  async _handleItemCompleted(transcriptionId) {
+    const transcription = await Transcription.findByPk(transcriptionId, { attributes: ['id', 'batchId', 'userId'] });
+    if (!transcription || !transcription.batchId) return;
+    const batch = await TranscriptionBatch.findByPk(transcription.batchId);
+    if (!batch || !batch.assistantId) return;
+
+    const where = { transcriptionId, assistantId: batch.assistantId };
+    // A tarefa pode ser repetida após um reinício: não executa o assistente duas vezes
+    if (await AssistantHistory.count({ where }) > 0) return;
+
+    try {
+      await assistantService.runAssistantOnTranscription(batch.userId, batch.assistantId, transcriptionId, batch.assistantOptions || {});
+    } catch (error) {
+      console.error(`[Batch] Falha ao executar o assistente do lote ${batch.id} na transcrição ${transcriptionId}:`, error.message);
+      if (await AssistantHistory.count({ where }) === 0) {
+        await AssistantHistory.create({
+          userId: batch.userId,
+          assistantId: batch.assistantId,
+          transcriptionId,
+          outputFormat: (batch.assistantOptions && batch.assistantOptions.outputFormat) || 'text',
+          status: 'failed',
+          errorMessage: error.message,
+        });
+      }
+    }
+  },
+
+  // Valida o assistente automático: precisa estar disponível para o usuário e sincronizado
+  async _resolveAssistant(userId, options) {
+    if (!options.assistantId) return null;
+    if (options.outputFormat && !OUTPUT_FORMATS.includes(options.outputFormat)) {
+      throw new Error('O campo "outputFormat" é inválido. Use "text" ou "pdf".');
+    }
+    const available = await assistantService.listAvailableAssistants(userId);
+    const assistant = available.find(a => a.id === options.assistantId);
+    if (!assistant) throw new Error('Assistente não encontrado ou não disponível no seu plano.');
+    if (!assistant.openaiAssistantId) {
+      throw new Error('Assistente não sincronizado. Edite e salve o assistente para sincronizar com a OpenAI.');
+    }
+    return assistant;
+  },
+
+  /**
+   * Extrai os áudios de um .zip para o armazenamento ("audio/") e remove o zip.
+   * As chaves criadas entram em `storedKeys` para a limpeza em caso de erro.
+   */
+  async _extractZip(zipFile, storedKeys) {
+    const maxBytes = MAX_UPLOAD_SIZE_MB * 1024 * 1024;
+    const items = [];
+    try {
+      await storage.withLocalFile(zipFile.key, async (zipPath) => {
+        const entries = await zipReader.readEntries(zipPath);
+        for (const entry of entries) {
+          const fileName = path.posix.basename(entry.name);
+          const mimetype = audioMimeByExtension[path.extname(fileName).toLowerCase()];
+          // Ignora pastas, metadados do macOS, arquivos ocultos e o que não for áudio
+          if (entry.isDirectory || entry.name.startsWith('__MACOSX/') || fileName.startsWith('.') || !mimetype) continue;
+          if (items.length >= MAX_BATCH_FILES) {
+            throw new Error(`Lote inválido: máximo de ${MAX_BATCH_FILES} arquivos por envio.`);
+          }
+          if (entry.size > maxBytes) {
+            throw new Error(`Arquivo "${fileName}" do zip é inválido: excede o limite de ${MAX_UPLOAD_SIZE_MB}MB.`);
+          }
+
+          const key = storage.buildKey('audio', fileName);
+          storedKeys.push(key);
+          const { size } = await storage.put(key, await zipReader.openEntryStream(zipPath, entry, { maxBytes }), { contentType: mimetype });
+          items.push({ key, originalname: fileName, mimetype, size });
+        }
+      });
+    } finally {
+      await storage.delete(zipFile.key).catch(err => console.warn(`Aviso: Não foi possível remover o zip ${zipFile.key}.`, err));
+    }
+    return items;
+  },
+
+  // Status do lote a partir da contagem de transcrições por status. Arquivos excluídos pelo usuário
+  // depois do envio deixam de contar (totalFiles guarda o tamanho original do lote).
+  _summarize(counts) {
+    const statusCounts = {
+      pending: counts.pending || 0,
+      processing: counts.processing || 0,
+      completed: counts.completed || 0,
+      failed: counts.failed || 0,
+    };
+    const totalFiles = Object.values(statusCounts).reduce((sum, value) => sum + value, 0);
+    const finished = statusCounts.completed + statusCounts.failed;
+    let status = 'processing';
+    if (finished >= totalFiles) {
+      if (statusCounts.failed === 0) status = 'completed';
+      else if (statusCounts.completed === 0) status = 'failed';
+      else status = 'partial';
+    }
+    return {
+      status,
+      counts: statusCounts,
+      progressPercent: totalFiles ? Math.round((finished / totalFiles) * 100) : 100,
+    };
+  },
+};
+
+jobQueue.registerHandler(BATCH_ITEM_COMPLETED_JOB, ({ transcriptionId }) =>
+  batchService._handleItemCompleted(transcriptionId)
+);
+
+module.exports = batchService;
@@ -0,0 +1,209 @@
+// src/features/Chapter/chapter.service.js
+// Capítulos de transcrições longas: depois de transcrito, os segmentos são divididos em trechos
+// (pelos tempos, preferindo pausas e trocas de interlocutor) e cada trecho ganha um título curto.
+// Roda numa tarefa própria da fila, para uma falha aqui não afetar a transcrição.
+const db = require('../../config/database');
+const settings = require('../../config/settings');
+const jobQueue = require('../../lib/jobQueue');
+const chapterTitles = require('../../lib/chapterTitles');
+const { planChapters } = require('../../utils/chapterPlanner');
+
+const { Transcription, TranscriptionSegment, TranscriptionChapter } = db;
+const { Op } = db.Sequelize;
+
+const CHAPTERS_JOB = 'transcription.chapters';
+const FALLBACK_TITLE_PROVIDER = 'keywords';
+const DEFAULT_MIN_DURATION_MINUTES = 15;
+const DEFAULT_TARGET_MINUTES = 5;
+const MAX_TITLE_LENGTH = 200;
+const CHAPTER_ATTRIBUTES = ['id', 'chapterIndex', 'title', 'titleSource', 'startTime', 'endTime', 'startSegmentIndex', 'endSegmentIndex'];
+
+const chapterService = {
+  /**
+   * Agenda a divisão em capítulos (na conclusão da transcrição ou a pedido do usuário).
+   * @param {object} [options] - { force: divide mesmo abaixo da duração mínima }
+   */
+  async scheduleGeneration(transcription, transaction, { force = false } = {}) {
+    await transcription.update({ chaptersStatus: 'pending' }, { transaction });
+    await jobQueue.enqueue(CHAPTERS_JOB, { transcriptionId: transcription.id, force }, { transaction });
+  },
+
+  /**
+   * Capítulos de uma transcrição do usuário, em ordem.
+   * @returns {Promise<{status: string|null, chapters: object[]}>}
+   */
+  async listChapters(transcriptionId, userId) {
+    const transcription = await this._findOwnedTranscription(transcriptionId, userId);
+    const chapters = await TranscriptionChapter.findAll({
+      where: { transcriptionId: transcription.id },
+      attributes: CHAPTER_ATTRIBUTES,
+      order: [['chapterIndex', 'ASC']],
+    });
+    return { status: transcription.chaptersStatus, chapters };
+  },
+
+  /**
+   * Um capítulo com os seus segmentos e o texto corrido.
+   */
+  async getChapter(transcriptionId, chapterId, userId) {
+    const transcription = await this._findOwnedTranscription(transcriptionId, userId);
+    const chapter = await this.findChapter(transcription.id, chapterId);
+    const segments = await this._chapterSegments(chapter, ['segmentIndex', 'startTime', 'endTime', 'text', 'speaker']);
+    return {
+      ...chapter.toJSON(),
+      text: segments.map(segment => segment.text).join(' '),
+      segments,
+    };
+  },
+
+  /**
+   * Renomeia um capítulo. O título passa a ser do usuário até a próxima divisão.
+   */
+  async updateChapter(transcriptionId, chapterId, userId, { title } = {}) {
+    const transcription = await this._findOwnedTranscription(transcriptionId, userId);
+    const chapter = await this.findChapter(transcription.id, chapterId);
+    const trimmed = typeof title === 'string' ? title.trim() : '';
+    if (!trimmed) throw new Error('O campo "title" é obrigatório.');
+    if (trimmed.length > MAX_TITLE_LENGTH) throw new Error(`Título inválido: use no máximo ${MAX_TITLE_LENGTH} caracteres.`);
+    await chapter.update({ title: trimmed, titleSource: 'user' });
+    return chapter;
+  },
+
+  /**
+   * Refaz a divisão em capítulos, mesmo de transcrições abaixo da duração mínima. Títulos editados
+   * pelo usuário são substituídos.
+   */
+  async regenerateChapters(transcriptionId, userId) {
+    const transcription = await this._findOwnedTranscription(transcriptionId, userId);
+    if (transcription.status !== 'completed') {
+      throw new Error('A transcrição ainda não foi concluída e não pode ser dividida em capítulos.');
+    }
+    if (transcription.segmentsOutdated) {
+      throw new Error('O texto foi editado e os segmentos com os tempos estão desatualizados: a transcrição não pode ser dividida em capítulos.');
+    }
+    await db.sequelize.transaction(t => this.scheduleGeneration(transcription, t, { force: true }));
+    return { status: transcription.chaptersStatus };
+  },
+
+  /**
+   * Capítulo de uma transcrição (quem chama já conferiu o acesso à transcrição).
+   */
+  async findChapter(transcriptionId, chapterId) {
+    const chapter = await TranscriptionChapter.findOne({ where: { id: chapterId, transcriptionId }, attributes: [...CHAPTER_ATTRIBUTES, 'transcriptionId'] });
+    if (!chapter) throw new Error('Capítulo não encontrado nesta transcrição.');
+    return chapter;
+  },
+
+  /**
+   * Copia os capítulos para outra transcrição com os mesmos segmentos (clonagem).
+   */
+  async copyChapters(sourceTranscriptionId, targetTranscriptionId, transaction) {
+    const chapters = await TranscriptionChapter.findAll({ where: { transcriptionId: sourceTranscriptionId }, transaction });
+    await TranscriptionChapter.bulkCreate(chapters.map(chapter => ({
+      transcriptionId: targetTranscriptionId,
+      chapterIndex: chapter.chapterIndex,
+      title: chapter.title,
+      titleSource: chapter.titleSource,
+      startTime: chapter.startTime,
+      endTime: chapter.endTime,
+      startSegmentIndex: chapter.startSegmentIndex,
+      endSegmentIndex: chapter.endSegmentIndex,
+    })), { transaction });
+  },
+
+  /**
+   * Divide a transcrição em capítulos (executado pela fila de tarefas). Se o provedor de títulos
+   * falhar, a fila tenta de novo; na última tentativa, os títulos vêm das palavras-chave.
+   */
+  async _generateChapters(transcriptionId, { force = false, isFinalAttempt = true } = {}) {
+    const transcription = await Transcription.findByPk(transcriptionId, {
+      attributes: ['id', 'status', 'language', 'detectedLanguage', 'segmentsOutdated', 'chaptersStatus'],
+    });
+    if (!transcription || transcription.status !== 'completed') {
+      console.error(`Transcrição ${transcriptionId} não encontrada ou não concluída para a divisão em capítulos.`);
+      return;
+    }
+
+    try {
+      const segments = transcription.segmentsOutdated ? [] : await TranscriptionSegment.findAll({
+        where: { transcriptionId },
+        attributes: ['segmentIndex', 'startTime', 'endTime', 'text', 'speaker'],
+        order: [['segmentIndex', 'ASC']],
+      });
+      const durationSeconds = segments.length > 0 ? segments[segments.length - 1].endTime : 0;
+      const minDurationSeconds = (Number(settings.get('CHAPTERS_MIN_DURATION_MINUTES')) || DEFAULT_MIN_DURATION_MINUTES) * 60;
+
+      // Transcrições curtas (ou sem segmentos) não são divididas; capítulos antigos deixam de valer
+      if (segments.length === 0 || (!force && durationSeconds < minDurationSeconds)) {
+        await db.sequelize.transaction(async (t) => {
+          await TranscriptionChapter.destroy({ where: { transcriptionId }, transaction: t });
+          await transcription.update({ chaptersStatus: 'skipped' }, { transaction: t });
+        });
+        return;
+      }
+
+      const targetSeconds = (Number(settings.get('CHAPTER_TARGET_MINUTES')) || DEFAULT_TARGET_MINUTES) * 60;
+      const ranges = planChapters(
+        segments.map(segment => ({ start: segment.startTime, end: segment.endTime, speaker: segment.speaker })),
+        { targetSeconds, minSeconds: targetSeconds * 0.4, maxSeconds: targetSeconds * 2 },
+      );
+      const texts = ranges.map(range => segments.slice(range.startIndex, range.endIndex + 1).map(segment => segment.text).join(' '));
+      const language = transcription.detectedLanguage || (transcription.language !== 'auto' ? transcription.language : null);
+
+      let result;
+      try {
+        result = await chapterTitles.generateTitles(texts, { language });
+      } catch (error) {
+        if (!isFinalAttempt) throw error;
+        console.warn(`Aviso: títulos dos capítulos da transcrição ${transcriptionId} gerados por palavras-chave (${error.message}).`);
+        result = await chapterTitles.generateTitles(texts, { language, provider: FALLBACK_TITLE_PROVIDER });
+      }
+
+      await db.sequelize.transaction(async (t) => {
+        await TranscriptionChapter.destroy({ where: { transcriptionId }, transaction: t });
+        await TranscriptionChapter.bulkCreate(ranges.map((range, i) => ({
+          transcriptionId,
+          chapterIndex: i,
+          title: result.titles[i],
+          titleSource: result.provider,
+          startTime: range.start,
+          endTime: range.end,
+          startSegmentIndex: segments[range.startIndex].segmentIndex,
+          endSegmentIndex: segments[range.endIndex].segmentIndex,
+        })), { transaction: t });
+        await transcription.update({ chaptersStatus: 'completed' }, { transaction: t });
+      });
+      console.log(`Transcrição ${transcriptionId} dividida em ${ranges.length} capítulo(s).`);
+
+    } catch (error) {
+      console.error(`Erro na divisão em capítulos da transcrição ${transcriptionId}:`, error.message);
+      if (isFinalAttempt) await transcription.update({ chaptersStatus: 'failed' });
+      throw error;
+    }
+  },
+
+  async _chapterSegments(chapter, attributes) {
+    return TranscriptionSegment.findAll({
+      where: {
+        transcriptionId: chapter.transcriptionId,
+        segmentIndex: { [Op.between]: [chapter.startSegmentIndex, chapter.endSegmentIndex] },
+      },
+      attributes,
+      order: [['segmentIndex', 'ASC']],
+    });
+  },
+
+  async _findOwnedTranscription(transcriptionId, userId) {
+    const transcription = await Transcription.findOne({ where: { id: transcriptionId, userId } });
+    if (!transcription) {
+      throw new Error('Transcrição não encontrada ou você não tem permissão para acessá-la.');
+    }
+    return transcription;
+  },
+};
+
+jobQueue.registerHandler(CHAPTERS_JOB, ({ transcriptionId, force }, { isFinalAttempt }) =>
+  chapterService._generateChapters(transcriptionId, { force, isFinalAttempt }),
+{ onExpired: ({ transcriptionId }) => Transcription.update({ chaptersStatus: 'failed' }, { where: { id: transcriptionId, chaptersStatus: 'pending' } }) });
+
+module.exports = chapterService;
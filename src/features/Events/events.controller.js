@@ -0,0 +1,64 @@
+// src/features/Events/events.controller.js
+const eventBus = require('../../lib/eventBus');
+const eventsService = require('./events.service');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const MAX_TIMER_MS = 2 ** 31 - 1; // Limite do setTimeout
+
+const formatEvent = (event) =>
+  `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, createdAt: event.createdAt })}\n\n`;
+
+const eventsController = {
+  /**
+   * Token de curta duração para abrir o stream com o EventSource (em ?token=).
+   */
+  createToken(req, res) {
+    try {
+      const { token, expiresAt } = eventsService.createStreamToken(req.user);
+      res.status(201).json({ token, expiresAt });
+    } catch (error) {
+      console.error('Erro ao emitir o token de eventos:', error);
+      res.status(500).json({ message: 'Erro interno ao emitir o token de eventos.' });
+    }
+  },
+
+  /**
+   * Stream SSE com as mudanças de estado das transcrições, traduções e execuções de assistentes
+   * do usuário logado. Eventos: transcription.status, translation.status e assistant.status.
+   * Ao reconectar, o navegador envia Last-Event-ID e recebe o que perdeu (se ainda em memória).
+   * Quando o token expira, o stream envia auth.expired e é encerrado: o cliente pede um novo
+   * token e reconecta com ?lastEventId=.
+   */
+  stream(req, res) {
+    const userId = req.user.userId;
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // Nginx: não segurar os eventos em buffer
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const send = (event) => res.write(formatEvent(event));
+    const lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId);
+    if (lastEventId) eventBus.recent(userId, lastEventId).forEach(send);
+
+    const unsubscribe = eventBus.subscribe(userId, send);
+    // Comentário periódico para proxies não encerrarem a conexão ociosa
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+    // A conexão não sobrevive ao token que a abriu
+    const expiry = req.user.exp && setTimeout(() => {
+      res.write(`event: auth.expired\ndata: ${JSON.stringify({ expiredAt: new Date(req.user.exp * 1000) })}\n\n`);
+      res.end();
+    }, Math.min(Math.max(0, req.user.exp * 1000 - Date.now()), MAX_TIMER_MS));
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      unsubscribe();
+    });
+  },
+};
+
+module.exports = eventsController;
@@ -0,0 +1,27 @@
+// src/features/Events/events.routes.js
+const express = require('express');
+const eventsController = require('./events.controller');
+const eventsService = require('./events.service');
+const authMiddleware = require('../../utils/authMiddleware');
+
+const router = express.Router();
+
+// O EventSource do navegador não envia cabeçalhos: aceita em ?token= o token de eventos (nunca o
+// JWT principal); clientes que enviam cabeçalhos continuam usando o Authorization
+const streamAuth = (req, res, next) => {
+  if (req.headers.authorization || req.query.token === undefined) return authMiddleware(req, res, next);
+  try {
+    req.user = eventsService.verifyStreamToken(req.query.token);
+    next();
+  } catch (error) {
+    return res.status(401).json({ message: error.message });
+  }
+};
+
+// Token curto para abrir o stream (pedido com o JWT no cabeçalho, antes de criar o EventSource)
+router.post('/token', authMiddleware, eventsController.createToken);
+
+// Atualizações em tempo real (Server-Sent Events) das transcrições e execuções de assistentes
+router.get('/', streamAuth, eventsController.stream);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+// src/features/Events/events.service.js
+// O EventSource do navegador não envia cabeçalhos, então o stream SSE é autenticado por um token na
+// URL. Para o JWT principal não aparecer em logs de acesso e no histórico, a URL leva um token
+// próprio: curto, assinado com HMAC e que só vale para o stream de eventos.
+const settings = require('../../config/settings');
+const cryptoUtils = require('../../utils/crypto');
+
+const DEFAULT_TOKEN_TTL_SECONDS = 300;
+
+const signaturePayload = (userId, expires) => `events:${userId}:${expires}`;
+
+const eventsService = {
+  /**
+   * Emite o token do stream para o usuário logado. Não vale além da sessão que o pediu.
+   * @param {object} user - O payload do JWT (req.user).
+   * @returns {{token: string, expiresAt: Date}}
+   */
+  createStreamToken(user) {
+    const ttlSeconds = Number(settings.get('EVENTS_TOKEN_TTL_SECONDS')) || DEFAULT_TOKEN_TTL_SECONDS;
+    let expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    if (user.exp) expires = Math.min(expires, user.exp);
+    const signature = cryptoUtils.signValue(signaturePayload(user.userId, expires));
+    return { token: `${user.userId}.${expires}.${signature}`, expiresAt: new Date(expires * 1000) };
+  },
+
+  /**
+   * Valida um token emitido por createStreamToken.
+   * @returns {{userId: string, exp: number}} No mesmo formato de req.user.
+   */
+  verifyStreamToken(token) {
+    const [userId, expires, signature] = String(token).split('.');
+    if (!userId || !cryptoUtils.verifySignature(signaturePayload(userId, expires), signature)) {
+      throw new Error('Token de eventos inválido.');
+    }
+    if (Number(expires) <= Math.floor(Date.now() / 1000)) {
+      throw new Error('Token de eventos expirado. Solicite um novo token.');
+    }
+    return { userId, exp: Number(expires) };
+  },
+};
+
+module.exports = eventsService;
@@ -0,0 +1,32 @@
+// src/features/Files/files.controller.js
+const path = require('path');
+const storage = require('../../lib/storage');
+const sendStoredFile = require('../../utils/sendStoredFile');
+
+const filesController = {
+  /**
+   * Serve um arquivo a partir de um link temporário assinado (gerado por storage.signedUrl no driver local).
+   * Não exige autenticação: a assinatura e a expiração do link fazem esse papel.
+   */
+  async getSignedFile(req, res, next) {
+    try {
+      const { key, contentType, fileName } = storage.verifySignedUrl(req.params.token, req.query);
+      const stat = await storage.stat(key);
+      if (!stat) return res.status(404).json({ message: 'Arquivo não encontrado.' });
+
+      await sendStoredFile(req, res, {
+        key,
+        size: stat.size,
+        contentType: contentType || stat.contentType,
+        fileName: fileName || path.basename(key),
+      });
+    } catch (error) {
+      if (error.message.includes('inválid') || error.message.includes('expirado')) {
+        return res.status(403).json({ message: error.message });
+      }
+      next(error);
+    }
+  },
+};
+
+module.exports = filesController;
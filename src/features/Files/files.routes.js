@@ -0,0 +1,11 @@
+// src/features/Files/files.routes.js
+const express = require('express');
+const filesController = require('./files.controller');
+
+const router = express.Router();
+
+// Links temporários assinados (?expires&signature), usados por <audio src> e downloads diretos.
+// Rota pública: a assinatura substitui o token de autenticação.
+router.get('/:token', filesController.getSignedFile);
+
+module.exports = router;
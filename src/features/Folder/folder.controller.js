@@ -0,0 +1,77 @@
+// src/features/Folder/folder.controller.js
+const folderService = require('./folder.service');
+
+const handleError = (error, res, next) => {
+  if (error.message.includes('não encontrad')) return res.status(404).json({ message: error.message });
+  if (error.message.includes('Já existe')) return res.status(409).json({ message: error.message });
+  if (error.message.includes('obrigatório') || error.message.includes('inválido') || error.message.includes('Limite')) {
+    return res.status(400).json({ message: error.message });
+  }
+  next(error);
+};
+
+const folderController = {
+  /**
+   * Lista plana das pastas do usuário logado (com parentId e transcriptionCount).
+   */
+  async listMyFolders(req, res, next) {
+    try {
+      const folders = await folderService.listFolders(req.user.userId);
+      res.status(200).json(folders);
+    } catch (error) {
+      console.error('Erro no controller listMyFolders:', error);
+      handleError(error, res, next);
+    }
+  },
+
+  async getFolder(req, res, next) {
+    try {
+      const folder = await folderService.getFolder(req.params.id, req.user.userId);
+      res.status(200).json(folder);
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  },
+
+  /**
+   * Cria uma pasta: body { name, parentId }.
+   */
+  async createFolder(req, res, next) {
+    try {
+      const folder = await folderService.createFolder(req.user.userId, req.body);
+      res.status(201).json(folder);
+    } catch (error) {
+      console.error('Erro no controller createFolder:', error);
+      handleError(error, res, next);
+    }
+  },
+
+  async updateFolder(req, res, next) {
+    try {
+      const folder = await folderService.updateFolder(req.params.id, req.user.userId, req.body);
+      res.status(200).json(folder);
+    } catch (error) {
+      console.error('Erro no controller updateFolder:', error);
+      handleError(error, res, next);
+    }
+  },
+
+  /**
+   * Exclui a pasta. Query: ?mode=move&targetFolderId=... (padrão) ou ?mode=cascade.
+   */
+  async deleteFolder(req, res, next) {
+    try {
+      const options = { mode: req.query.mode };
+      if (req.query.targetFolderId !== undefined) {
+        options.targetFolderId = req.query.targetFolderId === 'root' ? null : req.query.targetFolderId;
+      }
+      const result = await folderService.deleteFolder(req.params.id, req.user.userId, options);
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('Erro no controller deleteFolder:', error);
+      handleError(error, res, next);
+    }
+  },
+};
+
+module.exports = folderController;
@@ -0,0 +1,18 @@
+// src/features/Folder/folder.routes.js
+const express = require('express');
+const folderController = require('./folder.controller');
+const authMiddleware = require('../../utils/authMiddleware');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// Pastas do usuário para organizar as transcrições (podem ser aninhadas).
+// Para mover transcrições entre pastas, veja /transcriptions/my-transcriptions/bulk/move.
+router.get('/', folderController.listMyFolders);
+router.post('/', folderController.createFolder);
+router.get('/:id', folderController.getFolder);
+router.put('/:id', folderController.updateFolder);
+router.delete('/:id', folderController.deleteFolder);
+
+module.exports = router;
@@ -0,0 +1,169 @@
+// src/features/Folder/folder.service.js
+const db = require('../../config/database');
+const transcriptionService = require('../Transcription/transcription.service');
+
+const { Op } = db.Sequelize;
+const { Folder, Transcription } = db;
+
+const MAX_DEPTH = 10;
+const MAX_NAME_LENGTH = 100;
+
+const folderService = {
+  /**
+   * Lista todas as pastas do usuário (lista plana com parentId, para o cliente montar a árvore),
+   * com a quantidade de transcrições diretamente em cada uma.
+   */
+  async listFolders(userId) {
+    const [folders, counts] = await Promise.all([
+      Folder.findAll({ where: { userId }, order: [['name', 'ASC']] }),
+      Transcription.findAll({
+        where: { userId, folderId: { [Op.ne]: null } },
+        attributes: ['folderId', [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'count']],
+        group: ['folderId'],
+        raw: true,
+      }),
+    ]);
+    const countByFolder = Object.fromEntries(counts.map(row => [row.folderId, Number(row.count)]));
+    return folders.map(folder => ({ ...folder.toJSON(), transcriptionCount: countByFolder[folder.id] || 0 }));
+  },
+
+  /**
+   * Uma pasta com as subpastas diretas e o caminho até a raiz (breadcrumbs).
+   */
+  async getFolder(folderId, userId) {
+    const folder = await this._findOwnedFolder(folderId, userId);
+    const [children, allFolders] = await Promise.all([
+      Folder.findAll({ where: { userId, parentId: folder.id }, order: [['name', 'ASC']] }),
+      Folder.findAll({ where: { userId }, attributes: ['id', 'parentId', 'name'] }),
+    ]);
+    return { ...folder.toJSON(), children, path: this._pathTo(folder.id, allFolders) };
+  },
+
+  async createFolder(userId, data) {
+    const name = this._validateName(data.name);
+    const parentId = data.parentId || null;
+    if (parentId) {
+      await this._findOwnedFolder(parentId, userId);
+      const allFolders = await Folder.findAll({ where: { userId }, attributes: ['id', 'parentId', 'name'] });
+      if (this._pathTo(parentId, allFolders).length >= MAX_DEPTH) {
+        throw new Error(`Limite de ${MAX_DEPTH} níveis de pastas atingido.`);
+      }
+    }
+    await this._assertUniqueName(userId, parentId, name);
+    return Folder.create({ userId, parentId, name });
+  },
+
+  /**
+   * Renomeia e/ou move a pasta (parentId: null move para a raiz).
+   */
+  async updateFolder(folderId, userId, data) {
+    const folder = await this._findOwnedFolder(folderId, userId);
+    const name = data.name !== undefined ? this._validateName(data.name) : folder.name;
+    const parentId = data.parentId !== undefined ? (data.parentId || null) : folder.parentId;
+
+    if (parentId !== folder.parentId && parentId) {
+      await this._findOwnedFolder(parentId, userId);
+      const allFolders = await Folder.findAll({ where: { userId }, attributes: ['id', 'parentId', 'name'] });
+      const subtree = this._subtreeIds(folder.id, allFolders);
+      if (subtree.includes(parentId)) {
+        throw new Error('Destino inválido: uma pasta não pode ser movida para dentro dela mesma ou de uma subpasta.');
+      }
+      const subtreeDepth = Math.max(...subtree.map(id => this._pathTo(id, allFolders).length - this._pathTo(folder.id, allFolders).length + 1));
+      if (this._pathTo(parentId, allFolders).length + subtreeDepth > MAX_DEPTH) {
+        throw new Error(`Limite de ${MAX_DEPTH} níveis de pastas atingido.`);
+      }
+    }
+    if (name !== folder.name || parentId !== folder.parentId) {
+      await this._assertUniqueName(userId, parentId, name, folder.id);
+    }
+    return folder.update({ name, parentId });
+  },
+
+  /**
+   * Exclui a pasta e suas subpastas.
+   * @param {object} options - { mode: 'move' (padrão) | 'cascade', targetFolderId }
+   *   'move' leva transcrições e subpastas diretas para `targetFolderId` (padrão: a pasta-mãe);
+   *   'cascade' exclui também todas as transcrições da árvore, com seus áudios.
+   */
+  async deleteFolder(folderId, userId, options = {}) {
+    const mode = options.mode || 'move';
+    if (!['move', 'cascade'].includes(mode)) {
+      throw new Error('Parâmetro "mode" inválido. Use "move" ou "cascade".');
+    }
+    const folder = await this._findOwnedFolder(folderId, userId);
+    const allFolders = await Folder.findAll({ where: { userId }, attributes: ['id', 'parentId', 'name'] });
+    const subtree = this._subtreeIds(folder.id, allFolders);
+
+    if (mode === 'cascade') {
+      const transcriptions = await Transcription.findAll({ where: { userId, folderId: { [Op.in]: subtree } }, attributes: ['id'] });
+      // Uma a uma, para remover também os áudios do armazenamento
+      for (const transcription of transcriptions) {
+        await transcriptionService.deleteTranscription(transcription.id, userId);
+      }
+      await Folder.destroy({ where: { id: { [Op.in]: subtree }, userId } });
+      return { message: 'Pasta excluída com todo o seu conteúdo.', deletedFolders: subtree.length, deletedTranscriptions: transcriptions.length };
+    }
+
+    const targetFolderId = options.targetFolderId !== undefined ? (options.targetFolderId || null) : folder.parentId;
+    if (targetFolderId) {
+      await this._findOwnedFolder(targetFolderId, userId);
+      if (subtree.includes(targetFolderId)) {
+        throw new Error('Destino inválido: o conteúdo não pode ser movido para a pasta que está sendo excluída.');
+      }
+    }
+
+    const movedTranscriptions = await db.sequelize.transaction(async (t) => {
+      const [count] = await Transcription.update({ folderId: targetFolderId }, { where: { userId, folderId: folder.id }, transaction: t });
+      await Folder.update({ parentId: targetFolderId }, { where: { userId, parentId: folder.id }, transaction: t });
+      await folder.destroy({ transaction: t });
+      return count;
+    });
+    return { message: 'Pasta excluída e conteúdo movido.', movedTranscriptions, targetFolderId };
+  },
+
+  async _findOwnedFolder(folderId, userId) {
+    const folder = await Folder.findOne({ where: { id: folderId, userId } });
+    if (!folder) throw new Error('Pasta não encontrada ou você não tem permissão.');
+    return folder;
+  },
+
+  _validateName(value) {
+    const name = typeof value === 'string' ? value.trim() : '';
+    if (!name) throw new Error('O campo "name" é obrigatório.');
+    if (name.length > MAX_NAME_LENGTH) throw new Error(`O campo "name" é inválido: máximo de ${MAX_NAME_LENGTH} caracteres.`);
+    return name;
+  },
+
+  async _assertUniqueName(userId, parentId, name, exceptId = null) {
+    const where = { userId, parentId, name: { [Op.iLike]: name.replace(/[\\%_]/g, '\\$&') } };
+    if (exceptId) where.id = { [Op.ne]: exceptId };
+    if (await Folder.count({ where }) > 0) {
+      throw new Error('Já existe uma pasta com este nome neste local.');
+    }
+  },
+
+  // IDs da pasta e de todas as subpastas (em qualquer nível)
+  _subtreeIds(folderId, allFolders) {
+    const ids = [folderId];
+    for (let i = 0; i < ids.length; i++) {
+      for (const folder of allFolders) {
+        if (folder.parentId === ids[i]) ids.push(folder.id);
+      }
+    }
+    return ids;
+  },
+
+  // Caminho da raiz até a pasta: [{ id, name }, ...]
+  _pathTo(folderId, allFolders) {
+    const byId = new Map(allFolders.map(f => [f.id, f]));
+    const path = [];
+    let current = byId.get(folderId);
+    while (current && path.length <= MAX_DEPTH) {
+      path.unshift({ id: current.id, name: current.name });
+      current = current.parentId ? byId.get(current.parentId) : null;
+    }
+    return path;
+  },
+};
+
+module.exports = folderService;
@@ -0,0 +1,68 @@
+// src/features/Glossary/glossary.controller.js
+const glossaryService = require('./glossary.service');
+
+const handleError = (error, res, next) => {
+  if (error.message.includes('não encontrado')) return res.status(404).json({ message: error.message });
+  if (error.message.includes('obrigatório') || error.message.includes('inválido')) {
+    return res.status(400).json({ message: error.message });
+  }
+  next(error);
+};
+
+const glossaryController = {
+  /**
+   * Lista os glossários do usuário logado e os do seu plano (`scope: 'plan'`, somente leitura).
+   */
+  async listMyGlossaries(req, res, next) {
+    try {
+      const glossaries = await glossaryService.listUserGlossaries(req.user.userId);
+      res.status(200).json(glossaries);
+    } catch (error) {
+      console.error('Erro no controller listMyGlossaries:', error);
+      handleError(error, res, next);
+    }
+  },
+
+  async getGlossary(req, res, next) {
+    try {
+      const glossary = await glossaryService.getUserGlossary(req.params.id, req.user.userId);
+      res.status(200).json(glossary);
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  },
+
+  /**
+   * Cria um glossário: body { name, contextPrompt, terms: [], replacements: [{ from, to }], isActive }.
+   */
+  async createGlossary(req, res, next) {
+    try {
+      const glossary = await glossaryService.createUserGlossary(req.user.userId, req.body);
+      res.status(201).json(glossary);
+    } catch (error) {
+      console.error('Erro no controller createGlossary:', error);
+      handleError(error, res, next);
+    }
+  },
+
+  async updateGlossary(req, res, next) {
+    try {
+      const glossary = await glossaryService.updateUserGlossary(req.params.id, req.user.userId, req.body);
+      res.status(200).json(glossary);
+    } catch (error) {
+      console.error('Erro no controller updateGlossary:', error);
+      handleError(error, res, next);
+    }
+  },
+
+  async deleteGlossary(req, res, next) {
+    try {
+      const result = await glossaryService.deleteUserGlossary(req.params.id, req.user.userId);
+      res.status(200).json(result);
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  },
+};
+
+module.exports = glossaryController;
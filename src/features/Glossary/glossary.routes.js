@@ -0,0 +1,18 @@
+// src/features/Glossary/glossary.routes.js
+const express = require('express');
+const glossaryController = require('./glossary.controller');
+const authMiddleware = require('../../utils/authMiddleware');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// Glossários do usuário (vocabulário e correções aplicados às suas transcrições).
+// A listagem inclui os glossários do plano, que só o admin pode alterar.
+router.get('/', glossaryController.listMyGlossaries);
+router.post('/', glossaryController.createGlossary);
+router.get('/:id', glossaryController.getGlossary);
+router.put('/:id', glossaryController.updateGlossary);
+router.delete('/:id', glossaryController.deleteGlossary);
+
+module.exports = router;
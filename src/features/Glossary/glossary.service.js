@@ -0,0 +1,183 @@
+// src/features/Glossary/glossary.service.js
+// Glossários (vocabulário personalizado) da transcrição. Os termos e o contexto vão como `prompt`
+// para o modelo de speech-to-text, e as substituições corrigem erros conhecidos no texto final.
+// Usuários gerenciam os próprios glossários; os glossários de plano são gerenciados pelo admin.
+const db = require('../../config/database');
+
+const { Op } = db.Sequelize;
+const { Glossary, Plan, User } = db;
+
+const MAX_TERMS = 500;
+const MAX_REPLACEMENTS = 500;
+const MAX_TERM_LENGTH = 100;
+const MAX_CONTEXT_LENGTH = 1000;
+// O Whisper considera só o final do prompt (~224 tokens); acima disso os termos seriam ignorados
+const MAX_PROMPT_CHARS = 800;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const glossaryService = {
+  /**
+   * Lista os glossários do usuário e os do plano atual dele (estes somente leitura).
+   */
+  async listUserGlossaries(userId) {
+    const user = await User.findByPk(userId, { attributes: ['id', 'planId'] });
+    if (!user) throw new Error('Usuário não encontrado.');
+    const where = user.planId ? { [Op.or]: [{ userId }, { planId: user.planId }] } : { userId };
+    const glossaries = await Glossary.findAll({ where, order: [['createdAt', 'ASC']] });
+    return glossaries.map(glossary => ({ ...glossary.toJSON(), scope: glossary.planId ? 'plan' : 'user' }));
+  },
+
+  async getUserGlossary(glossaryId, userId) {
+    const glossary = await Glossary.findOne({ where: { id: glossaryId, userId } });
+    if (!glossary) throw new Error('Glossário não encontrado ou você não tem permissão.');
+    return glossary;
+  },
+
+  async createUserGlossary(userId, data) {
+    return Glossary.create({ ...this._validate(data), userId, planId: null });
+  },
+
+  async updateUserGlossary(glossaryId, userId, data) {
+    const glossary = await this.getUserGlossary(glossaryId, userId);
+    return glossary.update(this._validate(data, { partial: true }));
+  },
+
+  async deleteUserGlossary(glossaryId, userId) {
+    const glossary = await this.getUserGlossary(glossaryId, userId);
+    await glossary.destroy();
+    return { message: 'Glossário excluído com sucesso.' };
+  },
+
+  /* Glossários de plano (admin) */
+  async listPlanGlossaries(filters = {}) {
+    const where = filters.planId ? { planId: filters.planId } : { planId: { [Op.ne]: null } };
+    return Glossary.findAll({
+      where,
+      include: [{ model: Plan, as: 'plan', attributes: ['id', 'name'] }],
+      order: [['createdAt', 'ASC']],
+    });
+  },
+
+  async createPlanGlossary(data) {
+    if (!data.planId) throw new Error('O campo "planId" é obrigatório.');
+    const plan = await Plan.findByPk(data.planId);
+    if (!plan) throw new Error('Plano não encontrado.');
+    return Glossary.create({ ...this._validate(data), planId: plan.id, userId: null });
+  },
+
+  async updatePlanGlossary(glossaryId, data) {
+    const glossary = await Glossary.findOne({ where: { id: glossaryId, planId: { [Op.ne]: null } } });
+    if (!glossary) throw new Error('Glossário não encontrado.');
+    return glossary.update(this._validate(data, { partial: true }));
+  },
+
+  async deletePlanGlossary(glossaryId) {
+    const glossary = await Glossary.findOne({ where: { id: glossaryId, planId: { [Op.ne]: null } } });
+    if (!glossary) throw new Error('Glossário não encontrado.');
+    await glossary.destroy();
+    return { message: 'Glossário excluído com sucesso.' };
+  },
+
+  /**
+   * Glossários ativos que se aplicam a uma transcrição: os do plano primeiro, depois os do usuário.
+   * @param {object} user - Usuário com `currentPlan` carregado.
+   */
+  async getActiveGlossaries(user) {
+    const owners = [{ userId: user.id }];
+    if (user.currentPlan) owners.push({ planId: user.currentPlan.id });
+    const glossaries = await Glossary.findAll({
+      where: { isActive: true, [Op.or]: owners },
+      order: [['createdAt', 'ASC']],
+    });
+    return [...glossaries.filter(g => g.planId), ...glossaries.filter(g => !g.planId)];
+  },
+
+  /**
+   * Monta o prompt de contexto enviado ao speech-to-text.
+   * Os termos do usuário ficam por último, pois o modelo dá mais peso ao final do prompt.
+   * @returns {string|null}
+   */
+  buildPrompt(glossaries) {
+    const contexts = glossaries.map(g => g.contextPrompt).filter(Boolean);
+    const terms = [...new Set(glossaries.flatMap(g => g.terms))];
+    if (contexts.length === 0 && terms.length === 0) return null;
+
+    const parts = [...contexts];
+    if (terms.length > 0) parts.push(`Termos: ${terms.join(', ')}.`);
+    const prompt = parts.join(' ');
+    return prompt.length > MAX_PROMPT_CHARS ? prompt.slice(prompt.length - MAX_PROMPT_CHARS) : prompt;
+  },
+
+  /**
+   * Aplica as substituições dos glossários a um texto. A comparação diferencia maiúsculas
+   * e só casa palavras inteiras (ex: "AS" não altera "CASA").
+   */
+  applyReplacements(text, glossaries) {
+    if (!text) return text;
+    let result = text;
+    for (const { from, to } of glossaries.flatMap(g => g.replacements)) {
+      const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(from)}(?![\\p{L}\\p{N}])`, 'gu');
+      result = result.replace(pattern, () => to);
+    }
+    return result;
+  },
+
+  /**
+   * Valida e normaliza os dados de um glossário.
+   * @param {object} data - { name, contextPrompt, terms, replacements, isActive }
+   * @param {object} [options] - { partial: true } para atualizações (campos ausentes não mudam)
+   */
+  _validate(data, { partial = false } = {}) {
+    const result = {};
+
+    if (data.name !== undefined || !partial) {
+      const name = typeof data.name === 'string' ? data.name.trim() : '';
+      if (!name) throw new Error('O campo "name" é obrigatório.');
+      result.name = name.slice(0, 255);
+    }
+
+    if (data.contextPrompt !== undefined) {
+      if (data.contextPrompt !== null && typeof data.contextPrompt !== 'string') {
+        throw new Error('O campo "contextPrompt" é inválido.');
+      }
+      const contextPrompt = data.contextPrompt ? data.contextPrompt.trim() : '';
+      if (contextPrompt.length > MAX_CONTEXT_LENGTH) {
+        throw new Error(`O campo "contextPrompt" é inválido: máximo de ${MAX_CONTEXT_LENGTH} caracteres.`);
+      }
+      result.contextPrompt = contextPrompt || null;
+    }
+
+    if (data.terms !== undefined) {
+      if (!Array.isArray(data.terms)) throw new Error('O campo "terms" é inválido. Envie uma lista de termos.');
+      const terms = [...new Set(data.terms.map(term => (typeof term === 'string' ? term.trim() : '')).filter(Boolean))];
+      if (terms.length > MAX_TERMS || terms.some(term => term.length > MAX_TERM_LENGTH)) {
+        throw new Error(`O campo "terms" é inválido: até ${MAX_TERMS} termos de até ${MAX_TERM_LENGTH} caracteres.`);
+      }
+      result.terms = terms;
+    }
+
+    if (data.replacements !== undefined) {
+      if (!Array.isArray(data.replacements)) {
+        throw new Error('O campo "replacements" é inválido. Envie uma lista [{ "from": "...", "to": "..." }].');
+      }
+      const replacements = data.replacements.map((item) => ({
+        from: typeof item?.from === 'string' ? item.from.trim() : '',
+        to: typeof item?.to === 'string' ? item.to.trim() : '',
+      }));
+      if (replacements.some(r => !r.from || r.from.length > MAX_TERM_LENGTH || r.to.length > MAX_TERM_LENGTH)) {
+        throw new Error(`O campo "replacements" é inválido: cada item precisa de "from" e "to" com até ${MAX_TERM_LENGTH} caracteres.`);
+      }
+      if (replacements.length > MAX_REPLACEMENTS) {
+        throw new Error(`O campo "replacements" é inválido: máximo de ${MAX_REPLACEMENTS} substituições.`);
+      }
+      result.replacements = replacements;
+    }
+
+    if (data.isActive !== undefined) result.isActive = Boolean(data.isActive);
+
+    return result;
+  },
+};
+
+module.exports = glossaryService;
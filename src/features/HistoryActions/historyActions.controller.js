@@ -1,6 +1,5 @@
 // src/features/HistoryActions/historyActions.controller.js
 const historyActionsService = require('./historyActions.service');
-const fs = require('fs');
 
 const historyActionsController = {
 
@@ -12,7 +11,6 @@ const historyActionsController = {
     // <<< MUDANÇA: Agora passamos todo o 'body' para o serviço >>>
     const { action, ...options } = req.body; 
     const userId = req.user.userId;
-    let tempFilePath = null;
 
     try {
       if (!action) {
@@ -25,24 +23,8 @@ const historyActionsController = {
         res.setHeader('Content-Disposition', `attachment; filename="${result.fileName}"`); // Aspas no nome do arquivo
         res.setHeader('Content-Type', result.mimeType);
 
-        // <<< MUDANÇA: Lógica para diferenciar conteúdo em buffer de arquivo em disco >>>
-        if (result.filePath) {
-          // Se for um arquivo no disco (PDF temporário)
-          tempFilePath = result.filePath;
-          const fileStream = fs.createReadStream(tempFilePath);
-          fileStream.pipe(res);
-          
-          // O finally block cuidará da limpeza
-          fileStream.on('close', () => {
-              fs.unlink(tempFilePath, (err) => {
-                  if (err) console.error(`Erro ao deletar arquivo temporário ${tempFilePath}:`, err);
-              });
-          });
-
-        } else {
-          // Se for conteúdo em buffer (TXT)
-          res.send(result.content);
-        }
+        // TXT e PDF são gerados em memória
+        res.send(result.content);
 
       } else if (result.type === 'email_sent') {
         res.status(200).json({ message: result.message });
@@ -50,17 +32,10 @@ const historyActionsController = {
         throw new Error('Tipo de resultado de serviço desconhecido.');
       }
     } catch (error) {
-        // Limpa o arquivo temporário em caso de erro também
-        if (tempFilePath) {
-            fs.unlink(tempFilePath, (err) => {
-                if (err) console.error(`Erro ao deletar arquivo temporário ${tempFilePath} após falha:`, err);
-            });
-        }
         const status = error.status || 500;
         const message = error.message || 'Ocorreu um erro interno no servidor.';
         res.status(status).json({ message });
     } 
-    // O 'finally' foi removido para usar o callback 'close' do stream, que é mais seguro.
   },
 };
 module.exports = historyActionsController;
@@ -2,21 +2,8 @@
 const db = require('../../config/database');
 const pdfGenerator = require('../../utils/pdfGenerator');
 const emailService = require('../../utils/emailService');
-const fs = require('fs/promises');
-const path = require('path');
 
 const { AssistantHistory, User } = db;
-const TEMP_DIR = path.join(__dirname, '..', '..', '..', 'uploads', 'temp');
-
-// Garante que o diretório temporário exista
-const ensureTempDir = async () => {
-  try {
-    await fs.mkdir(TEMP_DIR, { recursive: true });
-  } catch (error) {
-    console.error("Erro ao criar diretório temporário:", error);
-  }
-};
-ensureTempDir();
 
 
 const historyActionsService = {
@@ -66,13 +53,12 @@ const historyActionsService = {
 
       // <<< NOVO CASE PARA DOWNLOAD DE PDF >>>
       case 'download_pdf': {
-        // Gera um PDF em um diretório temporário
-        const tempPdfPath = await pdfGenerator.generateTextPdf(outputText, `temp_${baseFileName}_${Date.now()}`, TEMP_DIR);
+        // Gera o PDF em memória: não há arquivo temporário para limpar depois
         return {
           type: 'download',
           fileName: `${baseFileName}.pdf`,
           mimeType: 'application/pdf',
-          filePath: tempPdfPath, // Retorna o caminho do arquivo para o controller
+          content: await pdfGenerator.renderTextPdf(outputText),
         };
       }
 
@@ -94,8 +80,7 @@ const historyActionsService = {
         
       case 'email_pdf': {
         if (!options.recipientEmail) throw { status: 400, message: 'Email do destinatário é obrigatório.'};
-        const tempPdfPath = await pdfGenerator.generateTextPdf(outputText, `temp_${baseFileName}_${Date.now()}`, TEMP_DIR);
-        const pdfBuffer = await fs.readFile(tempPdfPath);
+        const pdfBuffer = await pdfGenerator.renderTextPdf(outputText);
         const attachment = {
           filename: `${baseFileName}.pdf`,
           content: pdfBuffer,
@@ -106,7 +91,6 @@ const historyActionsService = {
           `<p>Olá!</p><p>Segue em anexo o conteúdo gerado pelo assistente <strong>${history.assistant.name}</strong> a partir da transcrição <strong>${history.transcription.originalFileName}</strong>.</p>`,
           attachment
         );
-        await fs.unlink(tempPdfPath); // Limpa o arquivo temporário
         return { type: 'email_sent', message: `E-mail com o resultado em PDF enviado para ${options.recipientEmail}.` };
       }
 
@@ -0,0 +1,181 @@
+// src/features/Redaction/redaction.service.js
+// Etapa de anonimização das transcrições: depois de transcrito (e a cada edição do texto), guarda
+// uma versão com os dados pessoais trocados por marcadores e o mapeamento marcador -> valor
+// original, cifrado. O plano define a política (`features.piiRedaction`) e o usuário escolhe
+// dentro dela se quer a anonimização e se os assistentes recebem o texto anonimizado.
+const db = require('../../config/database');
+const settings = require('../../config/settings');
+const cryptoUtils = require('../../utils/crypto');
+const piiRedactor = require('../../utils/piiRedactor');
+
+const { User, Plan, Transcription } = db;
+
+const USER_MODES = ['off', 'store', 'assistants'];
+const PLAN_POLICIES = ['disabled', 'optional', 'enforced'];
+const DEFAULT_POLICY = 'optional';
+
+const EMPTY_FIELDS = { redactedText: null, redactionMapping: null, redactionSummary: null, redactedAt: null };
+
+const redactionService = {
+  USER_MODES,
+
+  /**
+   * Política do plano: features.piiRedaction, com a configuração PII_REDACTION_POLICY como padrão.
+   * @returns {'disabled'|'optional'|'enforced'}
+   */
+  getPlanPolicy(plan) {
+    const policy = plan?.features?.piiRedaction || settings.get('PII_REDACTION_POLICY');
+    return PLAN_POLICIES.includes(policy) ? policy : DEFAULT_POLICY;
+  },
+
+  /**
+   * Modo efetivo do usuário: o plano "enforced" obriga 'assistants', o "disabled" desliga; no
+   * "optional" vale a preferência do usuário.
+   * @param {object} user - Com `currentPlan` carregado.
+   * @returns {'off'|'store'|'assistants'}
+   */
+  resolveMode(user) {
+    const policy = this.getPlanPolicy(user.currentPlan);
+    if (policy === 'disabled') return 'off';
+    if (policy === 'enforced') return 'assistants';
+    return USER_MODES.includes(user.piiRedaction) ? user.piiRedaction : 'off';
+  },
+
+  /**
+   * Campos de anonimização para gravar junto com um novo texto da transcrição. Com o modo 'off',
+   * limpa a versão anterior (ela não corresponderia mais ao texto).
+   * @param {object} user - Com `currentPlan` carregado.
+   * @param {string} text - Texto completo da transcrição.
+   * @param {object} [options] - { previousMapping: valor cifrado anterior (mantém os marcadores),
+   *   force: anonimiza mesmo com o modo 'off' (pedido manual) }
+   */
+  buildFields(user, text, { previousMapping = null, force = false } = {}) {
+    if (this.resolveMode(user) === 'off' && !(force && this.getPlanPolicy(user.currentPlan) !== 'disabled')) {
+      return { ...EMPTY_FIELDS };
+    }
+    const { text: redactedText, mapping, summary } = piiRedactor.redact(text, {
+      ...this._redactorOptions(),
+      mapping: this._decryptMapping(previousMapping),
+    });
+    return {
+      redactedText,
+      redactionMapping: cryptoUtils.encrypt(JSON.stringify(mapping)),
+      redactionSummary: summary,
+      redactedAt: new Date(),
+    };
+  },
+
+  /**
+   * Campos de anonimização a partir do dono da transcrição (edições e restaurações de revisão).
+   */
+  async buildFieldsForTranscription(transcription, text) {
+    const user = await this._loadUser(transcription.userId);
+    return this.buildFields(user, text, { previousMapping: transcription.redactionMapping });
+  },
+
+  /**
+   * Texto que o assistente vai receber. No modo 'assistants', anonimiza o texto montado para o
+   * assistente (que pode incluir os nomes dos interlocutores) com os mesmos marcadores da versão
+   * guardada; valores novos entram no mapeamento.
+   */
+  async textForAssistant(transcription, text) {
+    const user = await this._loadUser(transcription.userId);
+    if (this.resolveMode(user) !== 'assistants') return text;
+
+    const previous = this._decryptMapping(transcription.redactionMapping);
+    const { text: redactedText, mapping, summary } = piiRedactor.redact(text, { ...this._redactorOptions(), mapping: previous });
+    if (mapping.length !== previous.length || !transcription.redactedText) {
+      const fields = { redactionMapping: cryptoUtils.encrypt(JSON.stringify(mapping)), redactionSummary: summary };
+      if (!transcription.redactedText) {
+        // Transcrições anteriores à anonimização ganham a versão guardada na primeira execução
+        fields.redactedText = piiRedactor.redact(transcription.transcriptionText, { ...this._redactorOptions(), mapping }).text;
+        fields.redactedAt = new Date();
+      }
+      await Transcription.update(fields, { where: { id: transcription.id } });
+    }
+    return redactedText;
+  },
+
+  /**
+   * Versão anonimizada de uma transcrição do usuário.
+   * @param {object} [options] - { reveal: true } inclui o mapeamento decifrado (marcador -> valor).
+   */
+  async getRedaction(transcriptionId, userId, { reveal = false } = {}) {
+    const transcription = await this._findOwnedTranscription(transcriptionId, userId);
+    const user = await this._loadUser(userId);
+    const result = {
+      transcriptionId: transcription.id,
+      mode: this.resolveMode(user),
+      redactedText: transcription.redactedText,
+      summary: transcription.redactionSummary || {},
+      redactedAt: transcription.redactedAt,
+    };
+    if (reveal) result.mapping = this._decryptMapping(transcription.redactionMapping);
+    return result;
+  },
+
+  /**
+   * Anonimiza (ou refaz a anonimização de) uma transcrição concluída, mesmo com o modo 'off'.
+   */
+  async redactTranscription(transcriptionId, userId) {
+    const transcription = await this._findOwnedTranscription(transcriptionId, userId);
+    if (transcription.status !== 'completed') {
+      throw new Error('A transcrição ainda não foi concluída e não pode ser anonimizada.');
+    }
+    const user = await this._loadUser(userId);
+    if (this.getPlanPolicy(user.currentPlan) === 'disabled') {
+      throw new Error('A anonimização não está disponível no seu plano.');
+    }
+    await transcription.update(this.buildFields(user, transcription.transcriptionText, {
+      previousMapping: transcription.redactionMapping,
+      force: true,
+    }));
+    return this.getRedaction(transcriptionId, userId);
+  },
+
+  /**
+   * Troca os marcadores de um texto (ex: a resposta de um assistente) pelos valores originais.
+   */
+  async restoreText(transcriptionId, userId, text) {
+    if (typeof text !== 'string') throw new Error('O campo "text" é obrigatório.');
+    const transcription = await this._findOwnedTranscription(transcriptionId, userId);
+    return { text: piiRedactor.restore(text, this._decryptMapping(transcription.redactionMapping)) };
+  },
+
+  _redactorOptions() {
+    const list = (key) => String(settings.get(key) || '').split(',').map(item => item.trim()).filter(Boolean);
+    const types = list('PII_REDACTION_TYPES').map(type => type.toLowerCase()).filter(type => piiRedactor.TYPES.includes(type));
+    return {
+      types: types.length > 0 ? types : piiRedactor.TYPES,
+      nameCues: list('PII_REDACTION_NAME_CUES'),
+      customRules: piiRedactor.parseCustomRules(settings.get('PII_REDACTION_CUSTOM_RULES')),
+    };
+  },
+
+  _decryptMapping(encrypted) {
+    if (!encrypted) return [];
+    try {
+      return JSON.parse(cryptoUtils.decrypt(encrypted));
+    } catch (error) {
+      // Chave trocada ou dado corrompido: recomeça o mapeamento em vez de bloquear o uso
+      console.error('[Anonimização] Não foi possível decifrar o mapeamento:', error.message);
+      return [];
+    }
+  },
+
+  async _loadUser(userId) {
+    const user = await User.findByPk(userId, { include: [{ model: Plan, as: 'currentPlan' }] });
+    if (!user) throw new Error('Usuário não encontrado.');
+    return user;
+  },
+
+  async _findOwnedTranscription(transcriptionId, userId) {
+    const transcription = await Transcription.findOne({ where: { id: transcriptionId, userId } });
+    if (!transcription) {
+      throw new Error('Transcrição não encontrada ou você não tem permissão para acessá-la.');
+    }
+    return transcription;
+  },
+};
+
+module.exports = redactionService;
@@ -0,0 +1,163 @@
+// src/features/ResumableUpload/resumableUpload.controller.js
+const resumableUploadService = require('./resumableUpload.service');
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,expiration,termination';
+// Clientes no navegador precisam ler estes cabeçalhos nas respostas (CORS)
+const EXPOSED_HEADERS = 'Location, Upload-Offset, Upload-Length, Upload-Expires, Upload-Metadata, Tus-Resumable, Tus-Version, Tus-Extension, Tus-Max-Size, Transcription-Id';
+
+// Upload-Metadata: "chave valorBase64,chave2 valorBase64"
+const parseMetadata = (header = '') => {
+  const metadata = {};
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (!key) continue;
+    metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+  return metadata;
+};
+
+const sendError = (res, status, message) => res.status(status).json({ message });
+
+const handleError = (error, res, next) => {
+  if (error.code === 'UPLOAD_TOO_LARGE') return sendError(res, 413, error.message);
+  if (error.code === 'UPLOAD_EXPIRED') return sendError(res, 410, error.message);
+  if (error.code === 'UPLOAD_CONFLICT') return sendError(res, 409, error.message);
+  if (error.code === 'DUPLICATE_UPLOAD') {
+    return res.status(409).json({ message: error.message, code: error.code, existingTranscription: error.existingTranscription });
+  }
+  if (error.message.includes('não encontrado')) return sendError(res, 404, error.message);
+  if (
+    error.message.includes('obrigatório') || error.message.includes('Tipo de arquivo não suportado') ||
+    error.message.includes('Idioma inválido') || error.message.includes('plano ativo') ||
+    error.message.includes('Limite de') || error.message.includes('duração do áudio') ||
+    error.message.includes('duplicidade inválida')
+  ) {
+    return sendError(res, 400, error.message);
+  }
+  next(error);
+};
+
+const setUploadHeaders = (res, session) => {
+  res.set({
+    'Upload-Offset': String(Number(session.uploadOffset)),
+    'Upload-Length': String(Number(session.uploadLength)),
+    'Cache-Control': 'no-store',
+  });
+  if (session.status === 'uploading') res.set('Upload-Expires', session.expiresAt.toUTCString());
+  if (session.transcriptionId) res.set('Transcription-Id', session.transcriptionId);
+};
+
+const resumableUploadController = {
+  /**
+   * Cabeçalhos do protocolo em todas as respostas e verificação da versão pedida pelo cliente.
+   */
+  tusHeaders(req, res, next) {
+    res.set({
+      'Tus-Resumable': TUS_VERSION,
+      'Tus-Version': TUS_VERSION,
+      'Tus-Extension': TUS_EXTENSIONS,
+      'Tus-Max-Size': String(resumableUploadService.maxSize),
+      'Access-Control-Expose-Headers': EXPOSED_HEADERS,
+    });
+    // A consulta em JSON (GET) não faz parte do protocolo
+    if (req.method !== 'GET' && req.get('Tus-Resumable') !== TUS_VERSION) {
+      return sendError(res, 412, `Versão do protocolo não suportada. Envie "Tus-Resumable: ${TUS_VERSION}".`);
+    }
+    next();
+  },
+
+  /**
+   * POST: cria o upload. Cabeçalhos: Upload-Length e Upload-Metadata
+   * (filename obrigatório; filetype, language e translateTo opcionais).
+   */
+  async createUpload(req, res, next) {
+    try {
+      if (req.get('Upload-Defer-Length')) {
+        return sendError(res, 400, 'Upload-Defer-Length não é suportado: informe o Upload-Length.');
+      }
+      const session = await resumableUploadService.createUpload(req.user.userId, {
+        uploadLength: req.get('Upload-Length'),
+        metadata: parseMetadata(req.get('Upload-Metadata')),
+      });
+      setUploadHeaders(res, session);
+      res.set('Location', `${req.baseUrl}/${session.id}`).status(201).end();
+    } catch (error) {
+      console.error('Erro no controller createUpload:', error);
+      handleError(error, res, next);
+    }
+  },
+
+  /**
+   * HEAD: quantos bytes o servidor já tem, para o cliente retomar.
+   */
+  async headUpload(req, res, next) {
+    try {
+      const session = await resumableUploadService.getUpload(req.params.id, req.user.userId);
+      setUploadHeaders(res, session);
+      res.status(200).end();
+    } catch (error) {
+      // Respostas a HEAD não têm corpo
+      if (error.code === 'UPLOAD_EXPIRED') return res.status(410).end();
+      if (error.message.includes('não encontrado')) return res.status(404).end();
+      next(error);
+    }
+  },
+
+  /**
+   * PATCH: envia bytes a partir de Upload-Offset (Content-Type: application/offset+octet-stream).
+   * No último pedaço a transcrição é criada e o ID volta no cabeçalho Transcription-Id.
+   */
+  async patchUpload(req, res, next) {
+    try {
+      if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+        return sendError(res, 415, 'Content-Type deve ser "application/offset+octet-stream".');
+      }
+      const offsetHeader = req.get('Upload-Offset');
+      const offset = /^\d+$/.test(offsetHeader || '') ? Number(offsetHeader) : NaN;
+      if (Number.isNaN(offset)) return sendError(res, 400, 'Cabeçalho "Upload-Offset" obrigatório.');
+
+      const session = await resumableUploadService.appendChunk(req.params.id, req.user.userId, offset, req);
+      setUploadHeaders(res, session);
+      res.status(204).end();
+    } catch (error) {
+      console.error('Erro no controller patchUpload:', error);
+      handleError(error, res, next);
+    }
+  },
+
+  /**
+   * DELETE: cancela o upload e descarta os bytes recebidos.
+   */
+  async deleteUpload(req, res, next) {
+    try {
+      await resumableUploadService.terminateUpload(req.params.id, req.user.userId);
+      res.status(204).end();
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  },
+
+  /**
+   * GET: situação do upload em JSON (status, bytes recebidos, transcriptionId quando concluído).
+   */
+  async getUploadStatus(req, res, next) {
+    try {
+      const session = await resumableUploadService.getUpload(req.params.id, req.user.userId);
+      res.status(200).json({
+        id: session.id,
+        fileName: session.fileName,
+        status: session.status,
+        uploadLength: Number(session.uploadLength),
+        uploadOffset: Number(session.uploadOffset),
+        expiresAt: session.status === 'uploading' ? session.expiresAt : null,
+        transcriptionId: session.transcriptionId,
+        errorMessage: session.errorMessage,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  },
+};
+
+module.exports = resumableUploadController;
@@ -0,0 +1,21 @@
+// src/features/ResumableUpload/resumableUpload.routes.js
+const express = require('express');
+const resumableUploadController = require('./resumableUpload.controller');
+const authMiddleware = require('../../utils/authMiddleware');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+router.use(resumableUploadController.tusHeaders);
+
+// Upload retomável (protocolo tus 1.0) para arquivos grandes e conexões instáveis.
+// O arquivo vira uma transcrição quando o último byte chega; uploads parados expiram.
+router.post('/', resumableUploadController.createUpload);
+router.head('/:id', resumableUploadController.headUpload);
+router.patch('/:id', resumableUploadController.patchUpload);
+router.delete('/:id', resumableUploadController.deleteUpload);
+
+// Consulta em JSON (fora do protocolo), para acompanhar a conclusão e obter o transcriptionId
+router.get('/:id', resumableUploadController.getUploadStatus);
+
+module.exports = router;
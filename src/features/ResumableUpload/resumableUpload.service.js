@@ -0,0 +1,196 @@
+// src/features/ResumableUpload/resumableUpload.service.js
+// Uploads retomáveis compatíveis com o protocolo tus 1.0 (extensões creation, expiration e
+// termination). Cada PATCH vira um pedaço no armazenamento ("uploads/<id>/"); ao receber o último
+// byte, os pedaços são concatenados em "audio/" e a transcrição é criada como num upload comum.
+const crypto = require('crypto');
+const path = require('path');
+const { Readable } = require('stream');
+const db = require('../../config/database');
+const settings = require('../../config/settings');
+const storage = require('../../lib/storage');
+const { receiveChunk, allowedMimeTypes, audioMimeByExtension, MAX_UPLOAD_SIZE_MB } = require('../../utils/upload');
+const transcriptionService = require('../Transcription/transcription.service');
+
+const { User, Plan, UploadSession } = db;
+
+const DEFAULT_EXPIRATION_HOURS = 24;
+const PARTS_PREFIX = 'uploads';
+// Junção dos pedaços parada há mais que isso: o processo que a fazia morreu no meio
+const STALE_ASSEMBLY_MS = 30 * 60 * 1000;
+
+const resumableUploadService = {
+  maxSize: MAX_UPLOAD_SIZE_MB * 1024 * 1024,
+
+  /**
+   * Cria um upload (POST do tus).
+   * @param {object} data - { uploadLength, metadata } com a Upload-Metadata já decodificada:
+   *   filename (obrigatório), filetype, language, translateTo, duplicateStrategy.
+   */
+  async createUpload(userId, data) {
+    const uploadLength = Number(data.uploadLength);
+    if (!Number.isSafeInteger(uploadLength) || uploadLength <= 0) {
+      throw new Error('Cabeçalho "Upload-Length" obrigatório (tamanho do arquivo em bytes).');
+    }
+    if (uploadLength > this.maxSize) {
+      throw Object.assign(new Error(`Arquivo muito grande: o limite é de ${MAX_UPLOAD_SIZE_MB}MB.`), { code: 'UPLOAD_TOO_LARGE' });
+    }
+
+    const metadata = data.metadata || {};
+    const fileName = path.basename(String(metadata.filename || '').trim());
+    if (!fileName) throw new Error('O metadado "filename" é obrigatório.');
+    const mimeType = metadata.filetype || audioMimeByExtension[path.extname(fileName).toLowerCase()];
+    if (!allowedMimeTypes.includes(mimeType)) {
+      throw new Error('Tipo de arquivo não suportado. Apenas arquivos de áudio são permitidos (mp3, wav, m4a, ogg, webm, aac).');
+    }
+
+    // Idioma e plano validados antes de o cliente enviar o arquivo inteiro
+    const options = {};
+    if (metadata.language) options.language = transcriptionService._parseLanguage(metadata.language, { allowAuto: true }) || 'auto';
+    if (metadata.translateTo) options.translateTo = transcriptionService._parseLanguage(metadata.translateTo);
+    if (metadata.duplicateStrategy) options.duplicateStrategy = metadata.duplicateStrategy;
+    const user = await User.findByPk(userId, { include: [{ model: Plan, as: 'currentPlan' }] });
+    if (!user) throw new Error('Usuário não encontrado.');
+    transcriptionService._assertActivePlanAndCount(user);
+
+    return UploadSession.create({
+      userId,
+      fileName,
+      mimeType,
+      uploadLength,
+      metadata: { ...options, original: metadata },
+      expiresAt: this._nextExpiration(),
+    });
+  },
+
+  /**
+   * Situação do upload (HEAD do tus e consulta de status). Um upload completo cuja conclusão foi
+   * interrompida (queda do processo) é concluído aqui.
+   */
+  async getUpload(uploadId, userId) {
+    const session = await UploadSession.findOne({ where: { id: uploadId, userId } });
+    if (!session) throw new Error('Upload não encontrado.');
+    if (session.status === 'expired' || (session.status === 'uploading' && session.expiresAt < new Date())) {
+      throw Object.assign(new Error('Upload expirado. Inicie um novo envio.'), { code: 'UPLOAD_EXPIRED' });
+    }
+    if (this._isInterrupted(session)) return this._resumeCompletion(session);
+    return session;
+  },
+
+  /**
+   * Recebe um pedaço do arquivo a partir de `offset` (PATCH do tus). Se o pedaço completar o
+   * arquivo, cria a transcrição.
+   * @param {import('stream').Readable} body - Corpo bruto da requisição.
+   * @returns {Promise<object>} A sessão atualizada (uploadOffset, status, transcriptionId).
+   */
+  async appendChunk(uploadId, userId, offset, body) {
+    const session = await this.getUpload(uploadId, userId);
+    if (session.status !== 'uploading') {
+      throw Object.assign(new Error('Este upload já foi concluído.'), { code: 'UPLOAD_CONFLICT' });
+    }
+    const expectedOffset = Number(session.uploadOffset);
+    if (!Number.isSafeInteger(offset) || offset !== expectedOffset) {
+      throw Object.assign(new Error(`"Upload-Offset" não confere: o servidor tem ${expectedOffset} bytes.`), { code: 'UPLOAD_CONFLICT' });
+    }
+
+    const uploadLength = Number(session.uploadLength);
+    const partKey = `${PARTS_PREFIX}/${session.id}/${String(offset).padStart(15, '0')}-${crypto.randomUUID().slice(0, 8)}`;
+    const { size } = await receiveChunk(body, partKey, { maxBytes: uploadLength - offset });
+    if (size === 0) return session;
+
+    // Dois PATCHs simultâneos no mesmo offset: só o primeiro a registrar o pedaço vale
+    const updated = await db.sequelize.transaction(async (t) => {
+      const locked = await UploadSession.findByPk(session.id, { lock: t.LOCK.UPDATE, transaction: t });
+      if (locked.status !== 'uploading' || Number(locked.uploadOffset) !== offset) return null;
+      return locked.update({
+        // O último pedaço já marca a junção, para uma queda antes do fim poder ser retomada
+        status: offset + size === uploadLength ? 'assembling' : 'uploading',
+        uploadOffset: offset + size,
+        parts: [...locked.parts, { key: partKey, size }],
+        expiresAt: this._nextExpiration(),
+      }, { transaction: t });
+    });
+    if (!updated) {
+      await storage.delete(partKey).catch(() => {});
+      throw Object.assign(new Error('Outro envio alterou este upload ao mesmo tempo. Consulte o offset e tente novamente.'), { code: 'UPLOAD_CONFLICT' });
+    }
+
+    if (updated.status === 'assembling') {
+      await this._completeUpload(updated);
+    }
+    return updated;
+  },
+
+  /**
+   * Cancela o upload e remove os pedaços já recebidos (DELETE do tus).
+   */
+  async terminateUpload(uploadId, userId) {
+    const session = await UploadSession.findOne({ where: { id: uploadId, userId } });
+    if (!session) throw new Error('Upload não encontrado.');
+    await this._removeParts(session);
+    await session.destroy();
+  },
+
+  // Junta os pedaços no arquivo final e cria a transcrição (cota, duração e fila como no upload comum)
+  async _completeUpload(session) {
+    const file = {
+      key: storage.buildKey('audio', session.fileName),
+      originalname: session.fileName,
+      mimetype: session.mimeType,
+      size: Number(session.uploadLength),
+    };
+    try {
+      const parts = session.parts;
+      const combined = Readable.from((async function* () {
+        for (const part of parts) {
+          for await (const chunk of await storage.stream(part.key)) yield chunk;
+        }
+      })());
+      await storage.put(file.key, combined, { contentType: session.mimeType });
+      await this._removeParts(session);
+
+      const { language, translateTo, duplicateStrategy } = session.metadata;
+      const transcription = await transcriptionService.createTranscription(session.userId, file, { language, translateTo, duplicateStrategy });
+      await session.update({ status: 'completed', parts: [], transcriptionId: transcription.id });
+    } catch (error) {
+      console.error(`[Upload] Falha ao concluir o upload ${session.id}:`, error.message);
+      await storage.delete(file.key).catch(() => {});
+      await this._removeParts(session);
+      await session.update({ status: 'failed', errorMessage: error.message, parts: [] });
+      throw error;
+    }
+  },
+
+  // Completo mas sem transcrição: junção parada ou upload anterior ao status 'assembling'
+  _isInterrupted(session) {
+    if (session.status === 'assembling') return session.updatedAt.getTime() < Date.now() - STALE_ASSEMBLY_MS;
+    return session.status === 'uploading' && Number(session.uploadOffset) === Number(session.uploadLength);
+  },
+
+  // Retoma a conclusão. Só uma requisição assume a sessão (a que alterou o registro no estado lido)
+  async _resumeCompletion(session) {
+    const [claimed] = await UploadSession.update(
+      { status: 'assembling' },
+      { where: { id: session.id, status: session.status, updatedAt: session.updatedAt } }
+    );
+    if (claimed === 0) return session.reload();
+
+    console.warn(`[Upload] Retomando a conclusão interrompida do upload ${session.id}.`);
+    await session.reload();
+    // Uma falha fica registrada na sessão (status 'failed' e errorMessage)
+    await this._completeUpload(session).catch(() => {});
+    return session;
+  },
+
+  async _removeParts(session) {
+    for (const part of session.parts) {
+      await storage.delete(part.key).catch(err => console.warn(`Aviso: Não foi possível remover o pedaço ${part.key}.`, err));
+    }
+  },
+
+  _nextExpiration() {
+    const hours = Number(settings.get('UPLOAD_EXPIRATION_HOURS')) || DEFAULT_EXPIRATION_HOURS;
+    return new Date(Date.now() + hours * 3600 * 1000);
+  },
+};
+
+module.exports = resumableUploadService;
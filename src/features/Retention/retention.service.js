@@ -0,0 +1,316 @@
+// src/features/Retention/retention.service.js
+// Política de retenção de arquivos: remove áudios expirados, PDFs gerados antigos ou órfãos e
+// arquivos temporários esquecidos. Os prazos vêm das features do plano do dono do arquivo
+// (`audioRetentionDays`, `outputRetentionDays`), com as configurações do sistema como padrão.
+// Um valor -1 significa "guardar para sempre", seguindo a convenção de limites dos planos.
+const fsPromises = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const db = require('../../config/database');
+const settings = require('../../config/settings');
+const storage = require('../../lib/storage');
+
+const { Op } = db.Sequelize;
+const { Transcription, AssistantHistory, AgentAction, User, Plan, RetentionLog, UploadSession } = db;
+
+// Prefixos no serviço de armazenamento
+const STORAGE_PREFIXES = ['audio/', 'outputs/', 'temp/', 'uploads/'];
+// Diretórios de trabalho no disco local: pedaços e versões pré-processadas do áudio da transcrição
+// e cópias/spool do driver S3
+const SCRATCH_DIRS = [
+  path.join(os.tmpdir(), 'transcription-chunks'),
+  path.join(os.tmpdir(), 'transcription-preprocessing'),
+  path.join(os.tmpdir(), 'storage-downloads'),
+  path.join(os.tmpdir(), 'storage-uploads'),
+  path.join(os.tmpdir(), 'url-downloads'),
+];
+
+const DAY_MS = 24 * 3600 * 1000;
+const DEFAULTS = {
+  AUDIO_RETENTION_DAYS: 30,
+  OUTPUT_RETENTION_DAYS: 90,
+  TEMP_FILE_MAX_AGE_HOURS: 24,
+};
+
+const userWithPlan = {
+  model: User,
+  as: 'user',
+  attributes: ['id'],
+  include: [{ model: Plan, as: 'currentPlan', attributes: ['features'] }],
+};
+
+let isRunning = false;
+
+// Tamanho de um arquivo ou diretório (recursivo); 0 se não existir
+const pathSize = async (targetPath) => {
+  const stat = await fsPromises.stat(targetPath).catch(() => null);
+  if (!stat) return 0;
+  if (!stat.isDirectory()) return stat.size;
+  const entries = await fsPromises.readdir(targetPath).catch(() => []);
+  let total = 0;
+  for (const entry of entries) {
+    total += await pathSize(path.join(targetPath, entry));
+  }
+  return total;
+};
+
+const retentionService = {
+  /**
+   * Prazo de retenção (em dias) para uma feature do plano, com fallback para a configuração do sistema.
+   * @returns {number} Dias; -1 para nunca expirar.
+   */
+  getRetentionDays(plan, feature, settingKey) {
+    const planValue = plan?.features?.[feature];
+    if (planValue !== undefined && planValue !== null && planValue !== '') return Number(planValue);
+    const settingValue = settings.get(settingKey);
+    if (settingValue !== undefined && settingValue !== null && settingValue !== '') return Number(settingValue);
+    return DEFAULTS[settingKey];
+  },
+
+  /**
+   * Data de expiração do áudio de uma transcrição concluída, conforme o plano do usuário.
+   * @returns {Date|null} null quando o plano guarda o áudio para sempre.
+   */
+  audioExpiresAtFor(plan, from = new Date()) {
+    const days = this.getRetentionDays(plan, 'audioRetentionDays', 'AUDIO_RETENTION_DAYS');
+    if (days < 0) return null;
+    return new Date(from.getTime() + days * DAY_MS);
+  },
+
+  /**
+   * Executa todas as etapas da limpeza. Cada etapa é independente: a falha de uma não impede as demais.
+   * @returns {Promise<object>} Resumo por categoria: { files, bytes }.
+   */
+  async runRetention() {
+    if (isRunning) {
+      console.log('[Retenção] Limpeza anterior ainda em andamento; execução ignorada.');
+      return null;
+    }
+    isRunning = true;
+    const summary = {};
+    const steps = [
+      ['audio', () => this.purgeExpiredAudio()],
+      ['outputs', () => this.purgeExpiredOutputs()],
+      ['orphanOutputs', () => this.purgeOrphanOutputs()],
+      ['temp', () => this.purgeTempFiles()],
+      ['uploads', () => this.purgeAbandonedUploads()],
+    ];
+    try {
+      for (const [name, step] of steps) {
+        try {
+          summary[name] = await step();
+        } catch (error) {
+          console.error(`[Retenção] Erro na etapa "${name}":`, error);
+          summary[name] = { files: 0, bytes: 0, error: error.message };
+        }
+      }
+    } finally {
+      isRunning = false;
+    }
+
+    const totalFiles = Object.values(summary).reduce((sum, s) => sum + s.files, 0);
+    const totalBytes = Object.values(summary).reduce((sum, s) => sum + s.bytes, 0);
+    console.log(`[Retenção] Limpeza concluída: ${totalFiles} arquivo(s) removido(s), ${(totalBytes / 1024 / 1024).toFixed(1)} MB recuperados.`);
+    return summary;
+  },
+
+  /**
+   * Remove o áudio cujo prazo de retenção expirou (após sucesso ou falha definitiva).
+   */
+  async purgeExpiredAudio() {
+    const expired = await Transcription.findAll({
+      where: {
+        status: { [Op.notIn]: ['pending', 'processing'] },
+        audioPath: { [Op.ne]: null },
+        audioExpiresAt: { [Op.lt]: new Date() },
+      },
+      attributes: ['id', 'audioPath'],
+    });
+
+    const result = { files: 0, bytes: 0 };
+    for (const transcription of expired) {
+      result.bytes += await this._removeStored(transcription.audioPath, 'audio', transcription.id);
+      result.files++;
+      await transcription.update({ audioPath: null, audioExpiresAt: null });
+    }
+    return result;
+  },
+
+  /**
+   * Remove os PDFs gerados por assistentes e agentes após o prazo `outputRetentionDays` do plano.
+   * O texto da saída continua no banco; apenas o arquivo é apagado.
+   */
+  async purgeExpiredOutputs() {
+    const result = { files: 0, bytes: 0 };
+    const sources = [
+      { model: AssistantHistory, category: 'assistant_output' },
+      { model: AgentAction, category: 'agent_output' },
+    ];
+
+    for (const { model, category } of sources) {
+      const records = await model.findAll({
+        where: { outputFilePath: { [Op.ne]: null } },
+        attributes: ['id', 'outputFilePath', 'createdAt'],
+        include: [userWithPlan],
+      });
+
+      for (const record of records) {
+        const days = this.getRetentionDays(record.user?.currentPlan, 'outputRetentionDays', 'OUTPUT_RETENTION_DAYS');
+        if (days < 0 || record.createdAt.getTime() + days * DAY_MS > Date.now()) continue;
+
+        result.bytes += await this._removeStored(record.outputFilePath, category, record.id);
+        result.files++;
+        await record.update({ outputFilePath: null });
+      }
+    }
+    return result;
+  },
+
+  /**
+   * Remove PDFs gerados que não pertencem a nenhum registro (ex: gerados antes de uma falha ou de registros excluídos).
+   * Só considera arquivos mais antigos que TEMP_FILE_MAX_AGE_HOURS, para não competir com uma geração em andamento.
+   */
+  async purgeOrphanOutputs() {
+    const [histories, agentActions] = await Promise.all([
+      AssistantHistory.findAll({ where: { outputFilePath: { [Op.ne]: null } }, attributes: ['outputFilePath'] }),
+      AgentAction.findAll({ where: { outputFilePath: { [Op.ne]: null } }, attributes: ['outputFilePath'] }),
+    ]);
+    const referenced = new Set([...histories, ...agentActions].map(r => r.outputFilePath));
+    const cutoff = Date.now() - this._tempMaxAgeMs();
+
+    const result = { files: 0, bytes: 0 };
+    for (const file of await storage.list('outputs/')) {
+      if (referenced.has(file.key) || file.lastModified.getTime() > cutoff) continue;
+      result.bytes += await this._removeStored(file.key, 'orphan_output');
+      result.files++;
+    }
+    return result;
+  },
+
+  /**
+   * Remove arquivos temporários (prefixo temp/ do armazenamento e diretórios de trabalho locais)
+   * mais antigos que TEMP_FILE_MAX_AGE_HOURS.
+   */
+  async purgeTempFiles() {
+    const cutoff = Date.now() - this._tempMaxAgeMs();
+    const result = { files: 0, bytes: 0 };
+
+    for (const file of await storage.list('temp/')) {
+      if (file.lastModified.getTime() > cutoff) continue;
+      result.bytes += await this._removeStored(file.key, 'temp');
+      result.files++;
+    }
+
+    for (const dir of SCRATCH_DIRS) {
+      const entries = await fsPromises.readdir(dir).catch(() => []);
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry);
+        const stat = await fsPromises.stat(entryPath).catch(() => null);
+        if (!stat || stat.mtimeMs > cutoff) continue;
+
+        result.bytes += await this._removeLocalPath(entryPath, 'temp');
+        result.files++;
+      }
+    }
+    return result;
+  },
+
+  /**
+   * Expira os uploads retomáveis abandonados (sem novos pedaços até o prazo) e remove do
+   * prefixo uploads/ os pedaços que não pertencem a um upload em andamento. Pedaços recentes
+   * ficam: podem ser de um upload criado depois da consulta das sessões.
+   */
+  async purgeAbandonedUploads() {
+    const cutoff = Date.now() - this._tempMaxAgeMs();
+    const result = { files: 0, bytes: 0 };
+    await UploadSession.update(
+      { status: 'expired', parts: [] },
+      { where: { status: 'uploading', expiresAt: { [Op.lt]: new Date() } } }
+    );
+
+    const active = await UploadSession.findAll({ where: { status: ['uploading', 'assembling'] }, attributes: ['id'] });
+    const activeIds = new Set(active.map(session => session.id));
+    for (const file of await storage.list('uploads/')) {
+      const sessionId = file.key.split('/')[1];
+      if (activeIds.has(sessionId) || file.lastModified.getTime() > cutoff) continue;
+      result.bytes += await this._removeStored(file.key, 'upload', sessionId);
+      result.files++;
+    }
+    return result;
+  },
+
+  /**
+   * Relatório de armazenamento para o admin: espaço recuperado no período, por categoria,
+   * espaço ocupado hoje pelos diretórios de arquivos e as remoções mais recentes.
+   * @param {object} [filters] - { days } (padrão: 30)
+   */
+  async getStorageReport(filters = {}) {
+    const days = parseInt(filters.days, 10) || 30;
+    const since = new Date(Date.now() - days * DAY_MS);
+
+    const reclaimedRows = await RetentionLog.findAll({
+      where: { createdAt: { [Op.gte]: since } },
+      attributes: [
+        'category',
+        [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'files'],
+        [db.sequelize.fn('SUM', db.sequelize.col('bytes')), 'bytes'],
+      ],
+      group: ['category'],
+      raw: true,
+    });
+    const reclaimed = reclaimedRows.map(row => ({ category: row.category, files: Number(row.files), bytes: Number(row.bytes) || 0 }));
+
+    const currentUsage = [];
+    for (const prefix of STORAGE_PREFIXES) {
+      const files = await storage.list(prefix);
+      currentUsage.push({ location: `${storage.getDriver().name}:${prefix}`, files: files.length, bytes: files.reduce((sum, f) => sum + f.size, 0) });
+    }
+    for (const dir of SCRATCH_DIRS) {
+      currentUsage.push({ location: dir, bytes: await pathSize(dir) });
+    }
+
+    const recent = await RetentionLog.findAll({ order: [['createdAt', 'DESC']], limit: 50 });
+
+    return {
+      periodDays: days,
+      reclaimed,
+      totalReclaimedBytes: reclaimed.reduce((sum, row) => sum + row.bytes, 0),
+      currentUsage,
+      recent,
+    };
+  },
+
+  _tempMaxAgeMs() {
+    const hours = Number(settings.get('TEMP_FILE_MAX_AGE_HOURS')) || DEFAULTS.TEMP_FILE_MAX_AGE_HOURS;
+    return hours * 3600 * 1000;
+  },
+
+  // Remove um arquivo do armazenamento e registra no log; retorna os bytes liberados
+  async _removeStored(key, category, referenceId = null) {
+    const stat = await storage.stat(key).catch(() => null);
+    try {
+      await storage.delete(key);
+    } catch (error) {
+      console.warn(`[Retenção] Não foi possível remover ${key}: ${error.message}`);
+      return 0;
+    }
+    const bytes = stat ? stat.size : 0;
+    await RetentionLog.create({ category, filePath: key, bytes, referenceId });
+    return bytes;
+  },
+
+  // Remove um arquivo ou diretório de trabalho do disco local e registra no log
+  async _removeLocalPath(localPath, category) {
+    const bytes = await pathSize(localPath);
+    try {
+      await fsPromises.rm(localPath, { recursive: true, force: true });
+    } catch (error) {
+      console.warn(`[Retenção] Não foi possível remover ${localPath}: ${error.message}`);
+      return 0;
+    }
+    await RetentionLog.create({ category, filePath: localPath, bytes });
+    return bytes;
+  },
+};
+
+module.exports = retentionService;
@@ -0,0 +1,23 @@
+// src/features/Search/search.controller.js
+const searchService = require('./search.service');
+
+const searchController = {
+  /**
+   * Busca nas transcrições e saídas de assistentes do usuário logado.
+   * Query: ?q (obrigatório), ?type=transcriptions|outputs, ?status, ?from, ?to, ?page, ?limit
+   */
+  async search(req, res, next) {
+    try {
+      const result = await searchService.search(req.user.userId, req.query);
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('Erro no controller search:', error);
+      if (error.message.includes('obrigatório') || error.message.includes('inválido')) {
+        return res.status(400).json({ message: error.message });
+      }
+      next(error);
+    }
+  },
+};
+
+module.exports = searchController;
@@ -0,0 +1,13 @@
+// src/features/Search/search.routes.js
+const express = require('express');
+const searchController = require('./search.controller');
+const authMiddleware = require('../../utils/authMiddleware');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// Busca textual com ranking e trechos destacados (<mark>) nas transcrições e saídas de assistentes
+router.get('/', searchController.search);
+
+module.exports = router;
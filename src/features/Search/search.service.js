@@ -0,0 +1,118 @@
+// src/features/Search/search.service.js
+// Busca textual (full-text search do Postgres) nas transcrições e nas saídas de assistentes do
+// usuário, com ranking e trechos destacados. Usa a configuração "portuguese_unaccent" e os índices
+// GIN criados na migration 20261019001200; as expressões de tsvector aqui precisam ser idênticas
+// às dos índices.
+const db = require('../../config/database');
+
+const { QueryTypes } = db.Sequelize;
+
+const TRANSCRIPTION_VECTOR = `(
+  setweight(to_tsvector('portuguese_unaccent', coalesce(t.title, '')), 'A') ||
+  setweight(to_tsvector('portuguese_unaccent', coalesce(t."transcriptionText", '')), 'B')
+)`;
+const OUTPUT_VECTOR = `to_tsvector('portuguese_unaccent', coalesce(h."outputText", ''))`;
+
+// O texto é escapado antes do ts_headline: só as marcações <mark> do destaque chegam como HTML
+const escapeHtmlSql = (column) => `replace(replace(replace(${column}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`;
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=3, MaxWords=25, MinWords=10, FragmentDelimiter=" … "';
+
+const TYPES = ['transcriptions', 'outputs'];
+const MAX_LIMIT = 50;
+
+// "2026-10-19" no filtro `to` inclui o dia inteiro
+const parseDate = (value, name, { endOfDay = false } = {}) => {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`Parâmetro "${name}" inválido. Use uma data ISO (ex: 2026-10-19).`);
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+};
+
+const searchService = {
+  /**
+   * Busca nas transcrições (título e texto) e nas saídas de assistentes do usuário.
+   * @param {string} userId
+   * @param {object} filters - { q, type ('transcriptions'|'outputs'), status, from, to, page, limit }
+   *   `q` aceita a sintaxe de buscadores: "frase exata", OR e -palavra.
+   * @returns {Promise<object>} { results, total, totals, totalPages, currentPage }
+   */
+  async search(userId, filters = {}) {
+    const q = typeof filters.q === 'string' ? filters.q.trim() : '';
+    if (q.length < 2) throw new Error('O parâmetro "q" é obrigatório (mínimo de 2 caracteres).');
+    if (filters.type && !TYPES.includes(filters.type)) {
+      throw new Error(`Parâmetro "type" inválido. Use ${TYPES.map(t => `"${t}"`).join(' ou ')}.`);
+    }
+
+    const from = parseDate(filters.from, 'from');
+    const to = parseDate(filters.to, 'to', { endOfDay: true });
+    const limit = Math.min(Number.parseInt(filters.limit, 10) || 10, MAX_LIMIT);
+    const page = Math.max(Number.parseInt(filters.page, 10) || 1, 1);
+
+    const replacements = { userId, q, status: filters.status || null, from, to, limit, offset: (page - 1) * limit };
+    const matches = this._matchesSql(filters.type);
+
+    const countRows = await db.sequelize.query(`
+      WITH query AS (SELECT websearch_to_tsquery('portuguese_unaccent', :q) AS q),
+      matches AS (${matches})
+      SELECT type, COUNT(*)::int AS count FROM matches GROUP BY type`, {
+      replacements,
+      type: QueryTypes.SELECT,
+    });
+    const totals = { transcriptions: 0, outputs: 0 };
+    for (const row of countRows) totals[row.type === 'transcription' ? 'transcriptions' : 'outputs'] = row.count;
+    const total = totals.transcriptions + totals.outputs;
+
+    // O destaque (caro) só é calculado para os resultados da página
+    const results = total === 0 ? [] : await db.sequelize.query(`
+      WITH query AS (SELECT websearch_to_tsquery('portuguese_unaccent', :q) AS q),
+      matches AS (${matches})
+      SELECT page.type, page.id, page."transcriptionId", page.title, page."assistantName", page.status,
+             page."createdAt", page.rank,
+             ts_headline('portuguese_unaccent', ${escapeHtmlSql('page.body')}, query.q, '${HEADLINE_OPTIONS}') AS snippet
+      FROM (
+        SELECT * FROM matches ORDER BY rank DESC, "createdAt" DESC LIMIT :limit OFFSET :offset
+      ) page, query
+      ORDER BY page.rank DESC, page."createdAt" DESC`, {
+      replacements,
+      type: QueryTypes.SELECT,
+    });
+
+    return {
+      results: results.map(row => ({ ...row, rank: Number(row.rank) })),
+      total,
+      totals,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+    };
+  },
+
+  // Subconsulta com as ocorrências de cada tipo, já filtradas por usuário, status e data
+  _matchesSql(type) {
+    const filtersSql = (alias) => `
+      AND (:status::text IS NULL OR ${alias}.status = :status)
+      AND (:from::timestamptz IS NULL OR ${alias}."createdAt" >= :from)
+      AND (:to::timestamptz IS NULL OR ${alias}."createdAt" < :to)`;
+
+    const transcriptionsSql = `
+      SELECT 'transcription' AS type, t.id, t.id AS "transcriptionId", t.title, NULL AS "assistantName",
+             t.status, t."createdAt", ts_rank_cd(${TRANSCRIPTION_VECTOR}, query.q) AS rank, t."transcriptionText" AS body
+      FROM transcriptions t, query
+      WHERE t."userId" = :userId AND ${TRANSCRIPTION_VECTOR} @@ query.q ${filtersSql('t')}`;
+
+    const outputsSql = `
+      SELECT 'assistant_output' AS type, h.id, h."transcriptionId", t.title, a.name AS "assistantName",
+             h.status, h."createdAt", ts_rank_cd(${OUTPUT_VECTOR}, query.q) AS rank, h."outputText" AS body
+      FROM assistant_history h
+      LEFT JOIN transcriptions t ON t.id = h."transcriptionId"
+      LEFT JOIN assistants a ON a.id = h."assistantId",
+      query
+      WHERE h."userId" = :userId AND ${OUTPUT_VECTOR} @@ query.q ${filtersSql('h')}`;
+
+    if (type === 'transcriptions') return transcriptionsSql;
+    if (type === 'outputs') return outputsSql;
+    return `${transcriptionsSql} UNION ALL ${outputsSql}`;
+  },
+};
+
+module.exports = searchService;
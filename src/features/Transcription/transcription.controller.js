@@ -1,5 +1,8 @@
 // src/features/Transcription/transcription.controller.js
 const transcriptionService = require('./transcription.service');
+const redactionService = require('../Redaction/redaction.service');
+const chapterService = require('../Chapter/chapter.service');
+const sendStoredFile = require('../../utils/sendStoredFile');
 
 const transcriptionController = {
   
@@ -19,37 +22,40 @@ const transcriptionController = {
   },
 
 
-   async getTranscriptionAudio(req, res, next) {
+  async getTranscriptionAudio(req, res, next) {
     try {
       const { id } = req.params;
       const userId = req.user.userId;
-
-      const audioPath = await transcriptionService.getTranscriptionAudioPath(id, userId);
-      
-      // Cria um stream de leitura do arquivo
-      const stream = fs.createReadStream(audioPath);
-
-      // Define o cabeçalho Content-Type para que o navegador saiba que é um áudio
-      // Idealmente, salvaríamos o mimetype no DB, mas por enquanto vamos inferir
-      res.setHeader('Content-Type', 'audio/mpeg'); // Assumindo MP3, funciona para a maioria dos casos
-
-      // Envia o stream como resposta
-      stream.pipe(res);
-
+      const audio = await transcriptionService.getTranscriptionAudio(id, userId);
+      await sendStoredFile(req, res, { key: audio.key, size: audio.size, contentType: audio.mimeType, fileName: audio.fileName });
     } catch (error) {
       console.error('Erro no controller getTranscriptionAudio:', error);
-      if (error.message.includes('não encontrado')) {
+      if (error.message.includes('não encontrad')) {
         return res.status(404).json({ message: error.message });
       }
       next(error);
     }
   },
 
-  
-  
+  /**
+   * Gera uma URL assinada e temporária para tocar o áudio sem o cabeçalho Authorization.
+   */
+  async getTranscriptionAudioUrl(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const result = await transcriptionService.createAudioUrl(id, userId);
+      res.status(200).json(result);
+    } catch (error) {
+      if (error.message.includes('não encontrad')) return res.status(404).json({ message: error.message });
+      next(error);
+    }
+  },
+
   /**
    * Endpoint para upload e transcrição de áudio.
    * Usa `upload.single('audioFile')` do Multer para lidar com o arquivo.
+   * Campos opcionais do formulário: `language` (ex: "pt", ou "auto") e `translateTo` (ex: "pt").
    */
   async uploadAndTranscribe(req, res, next) {
     try {
@@ -59,39 +65,119 @@ const transcriptionController = {
         return res.status(400).json({ message: 'Nenhum arquivo de áudio foi enviado.' });
       }
 
-      const transcription = await transcriptionService.createTranscription(userId, req.file);
+      const { language, translateTo, duplicateStrategy } = req.body || {};
+      const transcription = await transcriptionService.createTranscription(userId, req.file, { language, translateTo, duplicateStrategy });
+
+      // Arquivo já transcrito, vinculado à transcrição existente ou clonado: nada a processar
+      if (transcription.duplicate && transcription.duplicate.strategy !== 'transcribe') {
+        return res.status(200).json({
+          message: transcription.duplicate.strategy === 'link'
+            ? 'Este arquivo já foi transcrito. Nenhuma nova transcrição foi criada.'
+            : 'Este arquivo já foi transcrito. Uma cópia da transcrição foi criada, sem custo.',
+          transcriptionId: transcription.id,
+          status: transcription.status,
+          duplicate: transcription.duplicate,
+        });
+      }
 
       // Retorna uma resposta imediata enquanto a transcrição é processada em segundo plano
       return res.status(202).json({
         message: 'Transcrição iniciada com sucesso. O processamento pode levar alguns minutos.',
         transcriptionId: transcription.id,
         status: transcription.status,
+        language: transcription.language || 'auto',
         originalFileName: transcription.originalFileName,
         checkStatusUrl: `/api/transcriptions/status/${transcription.id}`,
+        duplicate: transcription.duplicate || null,
         // Não retorna o audioPath por segurança
       });
 
     } catch (error) {
       console.error('Erro no controller uploadAndTranscribe:', error);
-      if (error.message.includes('plano ativo') || error.message.includes('Limite de transcrições') || error.message.includes('Tipo de arquivo não suportado')) {
+      if (error.code === 'DUPLICATE_UPLOAD') {
+        return res.status(409).json({
+          message: error.message,
+          code: error.code,
+          existingTranscription: error.existingTranscription,
+          cloneUrl: `/api/transcriptions/my-transcriptions/${error.existingTranscription.id}/clone`,
+        });
+      }
+      if (error.message.includes('duplicidade inválida')) {
+        return res.status(400).json({ message: error.message });
+      }
+      if (error.message.includes('plano ativo') || error.message.includes('Limite de transcrições') || error.message.includes('Limite de minutos') || error.message.includes('Tipo de arquivo não suportado') || error.message.includes('duração do áudio') || error.message.includes('Idioma inválido')) {
         return res.status(400).json({ message: error.message });
       }
       next(error); // Passa para o middleware de tratamento de erros
     }
   },
 
+  /**
+   * Cria uma cópia concluída da transcrição, sem transcrever de novo nem descontar da cota.
+   */
+  async cloneTranscription(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const transcription = await transcriptionService.cloneTranscription(id, userId);
+      // Como no upload: sem o caminho do áudio nem os dados da anonimização
+      return res.status(201).json({
+        message: 'Cópia da transcrição criada, sem custo.',
+        transcriptionId: transcription.id,
+        title: transcription.title,
+        status: transcription.status,
+        language: transcription.language || 'auto',
+        originalFileName: transcription.originalFileName,
+        duplicateOfId: transcription.duplicateOfId,
+      });
+    } catch (error) {
+      console.error('Erro no controller cloneTranscription:', error);
+      if (error.message.includes('não encontrad')) return res.status(404).json({ message: error.message });
+      if (error.message.includes('Apenas transcrições concluídas')) return res.status(409).json({ message: error.message });
+      next(error);
+    }
+  },
+
+  /**
+   * Reprocessa uma transcrição com falha usando o áudio já enviado.
+   */
+  async retryTranscription(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const transcription = await transcriptionService.retryTranscription(id, userId);
+      return res.status(202).json({
+        message: 'Nova tentativa de transcrição iniciada.',
+        transcriptionId: transcription.id,
+        status: transcription.status,
+        retryCount: transcription.retryCount,
+      });
+    } catch (error) {
+      console.error('Erro no controller retryTranscription:', error);
+      if (error.message.includes('não encontrada')) return res.status(404).json({ message: error.message });
+      if (error.message.includes('Apenas transcrições') || error.message.includes('novas tentativas') || error.message.includes('não está mais disponível')) {
+        return res.status(409).json({ message: error.message });
+      }
+      if (error.message.includes('plano ativo') || error.message.includes('Limite de transcrições') || error.message.includes('Limite de minutos')) {
+        return res.status(400).json({ message: error.message });
+      }
+      next(error);
+    }
+  },
+
   /**
    * Lista as transcrições do usuário logado.
    */
   async listMyTranscriptions(req, res, next) {
     try {
       const userId = req.user.userId;
-      const filters = req.query; // status, page, limit
+      const filters = req.query; // status, folderId, tag, favorite, page, limit
 
       const result = await transcriptionService.listUserTranscriptions(userId, filters);
       return res.status(200).json(result);
     } catch (error) {
       console.error('Erro no controller listMyTranscriptions:', error);
+      if (error.message.includes('inválid')) return res.status(400).json({ message: error.message });
       next(error);
     }
   },
@@ -115,6 +201,139 @@ const transcriptionController = {
     }
   },
 
+  /**
+   * Lista os segmentos com marcação de tempo de uma transcrição (paginado, com filtro por intervalo).
+   */
+  async getTranscriptionSegments(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const result = await transcriptionService.getTranscriptionSegments(id, userId, req.query);
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error('Erro no controller getTranscriptionSegments:', error);
+      if (error.message.includes('não encontrada')) {
+        return res.status(404).json({ message: error.message });
+      }
+      if (error.message.includes('inválido')) {
+        return res.status(400).json({ message: error.message });
+      }
+      next(error);
+    }
+  },
+
+  /**
+   * Lista os interlocutores da transcrição (rótulo, nome e tempo de fala).
+   */
+  async getTranscriptionSpeakers(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const speakers = await transcriptionService.getTranscriptionSpeakers(id, userId);
+      return res.status(200).json(speakers);
+    } catch (error) {
+      console.error('Erro no controller getTranscriptionSpeakers:', error);
+      if (error.message.includes('não encontrada')) {
+        return res.status(404).json({ message: error.message });
+      }
+      next(error);
+    }
+  },
+
+  /**
+   * Renomeia interlocutores: body { speakers: { "SPEAKER_1": "Médico" } }.
+   */
+  async renameTranscriptionSpeakers(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const speakers = await transcriptionService.renameTranscriptionSpeakers(id, userId, req.body.speakers);
+      return res.status(200).json(speakers);
+    } catch (error) {
+      console.error('Erro no controller renameTranscriptionSpeakers:', error);
+      if (error.message.includes('não encontrada')) {
+        return res.status(404).json({ message: error.message });
+      }
+      if (error.message.includes('inválido')) {
+        return res.status(400).json({ message: error.message });
+      }
+      next(error);
+    }
+  },
+
+  /**
+   * Exporta a transcrição como legenda (?format=srt|vtt|json, ?maxLineLength, ?maxCharsPerSecond, ?maxLines).
+   */
+  async exportTranscription(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const result = await transcriptionService.exportTranscription(id, userId, req.query);
+
+      res.attachment(result.fileName); // Define o Content-Disposition tratando nomes com acentos
+      res.setHeader('Content-Type', `${result.mimeType}; charset=utf-8`);
+      return res.status(200).send(result.content);
+    } catch (error) {
+      console.error('Erro no controller exportTranscription:', error);
+      if (error.message.includes('não encontrada')) {
+        return res.status(404).json({ message: error.message });
+      }
+      if (error.message.includes('inválido') || error.message.includes('não foi concluída') || error.message.includes('marcações de tempo')) {
+        return res.status(400).json({ message: error.message });
+      }
+      next(error);
+    }
+  },
+
+  /**
+   * Pede a tradução da transcrição: body { language: "pt" }.
+   */
+  async requestTranslation(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const translation = await transcriptionService.requestTranslation(id, userId, req.body.language);
+      return res.status(202).json({
+        message: 'Tradução solicitada. O processamento pode levar alguns minutos.',
+        translationId: translation.id,
+        language: translation.language,
+        status: translation.status,
+      });
+    } catch (error) {
+      console.error('Erro no controller requestTranslation:', error);
+      if (error.message.includes('não encontrada')) return res.status(404).json({ message: error.message });
+      if (error.message.includes('Idioma inválido')) return res.status(400).json({ message: error.message });
+      if (error.message.includes('não pode ser traduzida')) return res.status(409).json({ message: error.message });
+      next(error);
+    }
+  },
+
+  async listTranslations(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const translations = await transcriptionService.listTranslations(id, userId);
+      return res.status(200).json(translations);
+    } catch (error) {
+      console.error('Erro no controller listTranslations:', error);
+      if (error.message.includes('não encontrada')) return res.status(404).json({ message: error.message });
+      next(error);
+    }
+  },
+
+  async getTranslation(req, res, next) {
+    try {
+      const { id, language } = req.params;
+      const userId = req.user.userId;
+      const translation = await transcriptionService.getTranslation(id, userId, language);
+      return res.status(200).json(translation);
+    } catch (error) {
+      console.error('Erro no controller getTranslation:', error);
+      if (error.message.includes('não encontrada')) return res.status(404).json({ message: error.message });
+      next(error);
+    }
+  },
+
   /**
    * Obtém o uso atual do plano do usuário logado.
    */
@@ -137,6 +356,211 @@ const transcriptionController = {
       res.status(200).json(updatedTranscription);
     } catch (error) {
       if (error.message.includes('não encontrada')) return res.status(404).json({ message: error.message });
+      if (error.message.includes('inválid') || error.message.includes('não possui segmentos')) return res.status(400).json({ message: error.message });
+      if (error.message.includes('não foi concluída')) return res.status(409).json({ message: error.message });
+      next(error);
+    }
+  },
+
+  /**
+   * Move várias transcrições para uma pasta: body { transcriptionIds, folderId } (null = raiz).
+   */
+  async bulkMoveTranscriptions(req, res, next) {
+    try {
+      const result = await transcriptionService.bulkMove(req.user.userId, req.body);
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('Erro no controller bulkMoveTranscriptions:', error);
+      if (error.message.includes('não encontrada')) return res.status(404).json({ message: error.message });
+      if (error.message.includes('obrigatório') || error.message.includes('inválid')) return res.status(400).json({ message: error.message });
+      next(error);
+    }
+  },
+
+  /**
+   * Adiciona/remove etiquetas de várias transcrições: body { transcriptionIds, add: [], remove: [] }.
+   */
+  async bulkTagTranscriptions(req, res, next) {
+    try {
+      const result = await transcriptionService.bulkTag(req.user.userId, req.body);
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('Erro no controller bulkTagTranscriptions:', error);
+      if (error.message.includes('obrigatório') || error.message.includes('inválid')) return res.status(400).json({ message: error.message });
+      next(error);
+    }
+  },
+
+  /**
+   * Etiquetas usadas pelo usuário, com a contagem de transcrições.
+   */
+  async listMyTags(req, res, next) {
+    try {
+      const tags = await transcriptionService.listTags(req.user.userId);
+      res.status(200).json(tags);
+    } catch (error) {
+      console.error('Erro no controller listMyTags:', error);
+      next(error);
+    }
+  },
+
+  /**
+   * Lista as revisões do conteúdo da transcrição (autor, data e origem de cada uma).
+   */
+  async listRevisions(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const revisions = await transcriptionService.listRevisions(id, userId);
+      res.status(200).json(revisions);
+    } catch (error) {
+      if (error.message.includes('não encontrada')) return res.status(404).json({ message: error.message });
+      next(error);
+    }
+  },
+
+  async getRevision(req, res, next) {
+    try {
+      const { id, revisionNumber } = req.params;
+      const userId = req.user.userId;
+      const revision = await transcriptionService.getRevision(id, userId, revisionNumber);
+      res.status(200).json(revision);
+    } catch (error) {
+      if (error.message.includes('não encontrada')) return res.status(404).json({ message: error.message });
+      if (error.message.includes('inválido')) return res.status(400).json({ message: error.message });
+      next(error);
+    }
+  },
+
+  /**
+   * Diff entre duas revisões (?from=1&to=3; sem `to`, compara com a revisão atual).
+   */
+  async diffRevisions(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const diff = await transcriptionService.diffRevisions(id, userId, req.query);
+      res.status(200).json(diff);
+    } catch (error) {
+      if (error.message.includes('não encontrada')) return res.status(404).json({ message: error.message });
+      if (error.message.includes('inválido')) return res.status(400).json({ message: error.message });
+      next(error);
+    }
+  },
+
+  async restoreRevision(req, res, next) {
+    try {
+      const { id, revisionNumber } = req.params;
+      const userId = req.user.userId;
+      const transcription = await transcriptionService.restoreRevision(id, userId, revisionNumber);
+      res.status(200).json(transcription);
+    } catch (error) {
+      if (error.message.includes('não encontrada')) return res.status(404).json({ message: error.message });
+      if (error.message.includes('inválido')) return res.status(400).json({ message: error.message });
+      if (error.message.includes('já é a versão atual')) return res.status(409).json({ message: error.message });
+      next(error);
+    }
+  },
+
+  /**
+   * Versão anonimizada da transcrição; ?reveal=true inclui o mapeamento marcador -> valor original.
+   */
+  async getRedaction(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const redaction = await redactionService.getRedaction(id, userId, { reveal: req.query.reveal === 'true' });
+      res.status(200).json(redaction);
+    } catch (error) {
+      if (error.message.includes('não encontrad')) return res.status(404).json({ message: error.message });
+      next(error);
+    }
+  },
+
+  async redactTranscription(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const redaction = await redactionService.redactTranscription(id, userId);
+      res.status(200).json(redaction);
+    } catch (error) {
+      console.error('Erro no controller redactTranscription:', error);
+      if (error.message.includes('não encontrad')) return res.status(404).json({ message: error.message });
+      if (error.message.includes('não está disponível no seu plano')) return res.status(403).json({ message: error.message });
+      if (error.message.includes('não foi concluída')) return res.status(409).json({ message: error.message });
+      next(error);
+    }
+  },
+
+  /**
+   * Devolve os valores originais no lugar dos marcadores: body { text }.
+   */
+  async restoreRedactedText(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const result = await redactionService.restoreText(id, userId, req.body?.text);
+      res.status(200).json(result);
+    } catch (error) {
+      if (error.message.includes('não encontrad')) return res.status(404).json({ message: error.message });
+      if (error.message.includes('obrigatório')) return res.status(400).json({ message: error.message });
+      next(error);
+    }
+  },
+
+  /**
+   * Capítulos da transcrição: { status, chapters }.
+   */
+  async listChapters(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const result = await chapterService.listChapters(id, userId);
+      res.status(200).json(result);
+    } catch (error) {
+      if (error.message.includes('não encontrad')) return res.status(404).json({ message: error.message });
+      next(error);
+    }
+  },
+
+  async getChapter(req, res, next) {
+    try {
+      const { id, chapterId } = req.params;
+      const userId = req.user.userId;
+      const chapter = await chapterService.getChapter(id, chapterId, userId);
+      res.status(200).json(chapter);
+    } catch (error) {
+      if (error.message.includes('não encontrad')) return res.status(404).json({ message: error.message });
+      next(error);
+    }
+  },
+
+  /**
+   * Renomeia um capítulo: body { title }.
+   */
+  async updateChapter(req, res, next) {
+    try {
+      const { id, chapterId } = req.params;
+      const userId = req.user.userId;
+      const chapter = await chapterService.updateChapter(id, chapterId, userId, req.body || {});
+      res.status(200).json(chapter);
+    } catch (error) {
+      if (error.message.includes('não encontrad')) return res.status(404).json({ message: error.message });
+      if (error.message.includes('obrigatório') || error.message.includes('inválido')) return res.status(400).json({ message: error.message });
+      next(error);
+    }
+  },
+
+  async regenerateChapters(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const result = await chapterService.regenerateChapters(id, userId);
+      res.status(202).json({ message: 'Divisão em capítulos solicitada. O processamento pode levar alguns minutos.', ...result });
+    } catch (error) {
+      console.error('Erro no controller regenerateChapters:', error);
+      if (error.message.includes('não encontrad')) return res.status(404).json({ message: error.message });
+      if (error.message.includes('não foi concluída') || error.message.includes('desatualizados')) return res.status(409).json({ message: error.message });
       next(error);
     }
   },
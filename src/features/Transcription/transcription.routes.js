@@ -10,19 +10,71 @@ const router = express.Router();
 router.use(authMiddleware);
 
 // Rota para upload e transcrição de áudio
-// 'audioFile' deve ser o nome do campo no formulário multipart/form-data
+// 'audioFile' deve ser o nome do campo no formulário multipart/form-data;
+// campos opcionais: 'language' (ex: pt, en ou auto), 'translateTo' (ex: pt) e 'duplicateStrategy'
+// (ask, link, clone ou transcribe: o que fazer se o mesmo arquivo já tiver sido transcrito)
 router.post('/upload', upload.single('audioFile'), transcriptionController.uploadAndTranscribe);
 
-// Rota para listar as transcrições do usuário
+// Rota para listar as transcrições do usuário (?status, ?folderId ou 'root', ?tag=a,b, ?favorite=true)
 router.get('/my-transcriptions', transcriptionController.listMyTranscriptions);
 
+// Organização em lote: mover para uma pasta e adicionar/remover etiquetas
+router.post('/my-transcriptions/bulk/move', transcriptionController.bulkMoveTranscriptions);
+router.post('/my-transcriptions/bulk/tags', transcriptionController.bulkTagTranscriptions);
+
+// Etiquetas usadas pelo usuário, com a contagem de transcrições
+router.get('/my-tags', transcriptionController.listMyTags);
+
 // Rota para buscar uma transcrição específica
 router.get('/my-transcriptions/:id', transcriptionController.getTranscription);
 
+// Áudio original com suporte a Range (206), e URL assinada temporária para o player (<audio src>)
 router.get('/my-transcriptions/:id/audio', transcriptionController.getTranscriptionAudio);
+router.get('/my-transcriptions/:id/audio-url', transcriptionController.getTranscriptionAudioUrl);
+
+// Segmentos com marcação de tempo (?page, ?limit, ?from e ?to em segundos)
+router.get('/my-transcriptions/:id/segments', transcriptionController.getTranscriptionSegments);
+
+// Interlocutores identificados pela diarização e renomeação (ex: SPEAKER_1 -> Médico)
+router.get('/my-transcriptions/:id/speakers', transcriptionController.getTranscriptionSpeakers);
+router.put('/my-transcriptions/:id/speakers', transcriptionController.renameTranscriptionSpeakers);
+
+// Exportação como legenda: ?format=srt|vtt|json, ?maxLineLength, ?maxCharsPerSecond, ?maxLines
+router.get('/my-transcriptions/:id/export', transcriptionController.exportTranscription);
+
+// Traduções da transcrição (uma por idioma), mantendo os tempos dos segmentos
+router.get('/my-transcriptions/:id/translations', transcriptionController.listTranslations);
+router.post('/my-transcriptions/:id/translations', transcriptionController.requestTranslation);
+router.get('/my-transcriptions/:id/translations/:language', transcriptionController.getTranslation);
+
+// Histórico de edições do conteúdo: revisões, diff (?from, ?to) e restauração de uma revisão antiga
+router.get('/my-transcriptions/:id/revisions', transcriptionController.listRevisions);
+router.get('/my-transcriptions/:id/revisions/diff', transcriptionController.diffRevisions);
+router.get('/my-transcriptions/:id/revisions/:revisionNumber', transcriptionController.getRevision);
+router.post('/my-transcriptions/:id/revisions/:revisionNumber/restore', transcriptionController.restoreRevision);
+
+// Anonimização de dados pessoais: versão anonimizada (?reveal=true inclui o mapeamento), nova
+// anonimização sob demanda e restauração dos valores originais num texto com marcadores
+router.get('/my-transcriptions/:id/redaction', transcriptionController.getRedaction);
+router.post('/my-transcriptions/:id/redaction', transcriptionController.redactTranscription);
+router.post('/my-transcriptions/:id/redaction/restore', transcriptionController.restoreRedactedText);
+
+// Capítulos (gerados automaticamente para transcrições longas): lista, um capítulo com os
+// segmentos, renomeação e nova divisão sob demanda (também para transcrições curtas)
+router.get('/my-transcriptions/:id/chapters', transcriptionController.listChapters);
+router.post('/my-transcriptions/:id/chapters/regenerate', transcriptionController.regenerateChapters);
+router.get('/my-transcriptions/:id/chapters/:chapterId', transcriptionController.getChapter);
+router.patch('/my-transcriptions/:id/chapters/:chapterId', transcriptionController.updateChapter);
+
+// Cópia de uma transcrição concluída (sem nova transcrição nem custo), ex: após um upload repetido
+router.post('/my-transcriptions/:id/clone', transcriptionController.cloneTranscription);
+
+// Nova tentativa de uma transcrição com falha, reaproveitando o áudio guardado (sem novo upload)
+router.post('/my-transcriptions/:id/retry', transcriptionController.retryTranscription);
 
 
 router.get('/my-transcriptions/:id/agent-actions', transcriptionController.getAgentActionsForTranscription);
+// Edição do título e do conteúdo (transcriptionText e/ou segments); cada edição de conteúdo gera uma revisão
 router.put('/my-transcriptions/:id', transcriptionController.updateTranscription);
 router.delete('/my-transcriptions/:id', transcriptionController.deleteTranscription);
 
@@ -1,50 +1,110 @@
 // src/features/Transcription/transcription.service.js
 
+const crypto = require('crypto');
+const fs = require('fs');
 const db = require('../../config/database');
-const openai = require('../../config/openai');
+const settings = require('../../config/settings');
 const fsPromises = require('fs/promises');
-const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { User, Plan, Transcription, AgentAction, Agent } = db;
+const audioChunker = require('../../utils/audioChunker');
+const audioProbe = require('../../utils/audioProbe');
+const audioPreprocessor = require('../../utils/audioPreprocessor');
+const subtitleFormatter = require('../../utils/subtitleFormatter');
+const diarization = require('../../lib/diarization');
+const speechToText = require('../../lib/speechToText');
+const translation = require('../../lib/translation');
+const jobQueue = require('../../lib/jobQueue');
+const eventBus = require('../../lib/eventBus');
+const storage = require('../../lib/storage');
+const retentionService = require('../Retention/retention.service');
+const glossaryService = require('../Glossary/glossary.service');
+const redactionService = require('../Redaction/redaction.service');
+const webhookService = require('../Webhook/webhook.service');
+const chapterService = require('../Chapter/chapter.service');
+const { normalizeLanguage } = require('../../utils/languages');
+const { diffWords } = require('../../utils/textDiff');
+const { audioMimeByExtension } = require('../../utils/upload');
+const { User, Plan, Transcription, TranscriptionSegment, TranscriptionTranslation, TranscriptionRevision, Folder, AgentAction, Agent } = db;
+const { Op } = db.Sequelize;
+
+const CHUNKS_BASE_DIR = path.join(os.tmpdir(), 'transcription-chunks');
+const PREPROCESSING_BASE_DIR = path.join(os.tmpdir(), 'transcription-preprocessing');
+const TRANSCRIPTION_JOB = 'transcription.process';
+const TRANSLATION_JOB = 'transcription.translate';
+const BATCH_ITEM_COMPLETED_JOB = 'batch.itemCompleted'; // Handler em features/Batch
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_FAILED_AUDIO_RETENTION_HOURS = 72;
+const DEFAULT_AUDIO_URL_TTL_SECONDS = 15 * 60;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_BULK_ITEMS = 200;
+// Upload de um arquivo já transcrito: 'ask' (recusa e aponta a transcrição existente), 'link'
+// (devolve a existente), 'clone' (cópia sem nova transcrição nem cobrança) ou 'transcribe' (transcreve de novo)
+const DUPLICATE_STRATEGIES = ['ask', 'link', 'clone', 'transcribe'];
 
 const transcriptionService = {
-  async createTranscription(userId, file) {
+  /**
+   * @param {object} [options] - { language: código ISO 639-1 ou 'auto', translateTo: código ISO 639-1,
+   *   duplicateStrategy: 'ask' | 'link' | 'clone' | 'transcribe' (padrão: o do plano) }
+   * @returns {Promise<object>} A transcrição criada. Quando o arquivo repete uma transcrição concluída
+   *   do usuário, `duplicate` = { strategy, existingTranscriptionId } (com 'link', a própria existente).
+   */
+  async createTranscription(userId, file, options = {}) {
     let transcriptionRecord;
     try {
+      const language = this._parseLanguage(options.language || settings.get('TRANSCRIPTION_DEFAULT_LANGUAGE') || 'auto', { allowAuto: true });
+      const translateTo = options.translateTo ? this._parseLanguage(options.translateTo) : null;
+      if (options.duplicateStrategy && !DUPLICATE_STRATEGIES.includes(options.duplicateStrategy)) {
+        throw new Error(`Estratégia de duplicidade inválida. Use: ${DUPLICATE_STRATEGIES.join(', ')}.`);
+      }
+
       const user = await User.findByPk(userId, { include: [{ model: Plan, as: 'currentPlan' }] });
       if (!user) {
         throw new Error('Usuário não encontrado.');
       }
-      
-      if (user.role !== 'admin') {
-          if (!user.currentPlan || !user.planExpiresAt || user.planExpiresAt < new Date()) {
-            throw new Error('Você não tem um plano ativo. Por favor, adquira um plano.');
-          }
-          const planFeatures = user.currentPlan.features;
-          if (planFeatures.maxAudioTranscriptions !== -1 && user.transcriptionsUsedCount >= planFeatures.maxAudioTranscriptions) {
-            throw new Error('Limite de transcrições de áudio atingido para o seu plano.');
-          }
+
+      // Duração real lida dos cabeçalhos do arquivo e hash do conteúdo, com uma única cópia local
+      const { durationSeconds, contentHash } = await storage.withLocalFile(file.key, async (localPath) => ({
+        durationSeconds: Math.round(await audioProbe.getDurationSeconds(localPath, file.mimetype)),
+        contentHash: await this._hashFile(localPath),
+      }));
+
+      // Arquivo repetido: resolvido antes das cotas, porque vincular ou clonar não consome nenhuma
+      const existing = await this._findCompletedDuplicate(userId, contentHash);
+      const strategy = existing ? (options.duplicateStrategy || this._defaultDuplicateStrategy(user)) : 'transcribe';
+      if (strategy === 'ask') {
+        throw Object.assign(new Error('Este arquivo já foi transcrito. Abra a transcrição existente, clone-a ou envie novamente com duplicateStrategy=transcribe.'), {
+          code: 'DUPLICATE_UPLOAD',
+          existingTranscription: { id: existing.id, title: existing.title, createdAt: existing.createdAt },
+        });
       }
-      
-      const fileSizeInKB = Math.round(file.size / 1024);
-
-      transcriptionRecord = await Transcription.create({
-        userId: user.id,
-        title: file.originalname, 
-        audioPath: file.path,
-        originalFileName: file.originalname,
-        fileSizeKB: fileSizeInKB,
-        status: 'pending',
-      });
+      if (strategy === 'link') {
+        await storage.delete(file.key).catch(err => console.warn(`Aviso: Não foi possível remover o arquivo repetido ${file.key}.`, err));
+        existing.duplicate = { strategy, existingTranscriptionId: existing.id };
+        return existing;
+      }
+      if (strategy === 'clone') {
+        transcriptionRecord = await this._cloneTranscription(existing, user, { file, translateTo });
+        transcriptionRecord.duplicate = { strategy, existingTranscriptionId: existing.id };
+        return transcriptionRecord;
+      }
+
+      // A cota de minutos é verificada ANTES de chamar a API
+      this._assertActivePlanAndCount(user);
+      this._assertMinutesQuota(user, durationSeconds / 60);
 
-      this._processTranscriptionInBackground(transcriptionRecord.id, file.path, user);
+      transcriptionRecord = await db.sequelize.transaction(t =>
+        this._createPendingTranscription(user, file, { durationSeconds, contentHash, language, translateTo }, t)
+      );
+      if (existing) transcriptionRecord.duplicate = { strategy, existingTranscriptionId: existing.id };
       return transcriptionRecord;
 
     } catch (error) {
         console.error('[Service Error] Erro ao criar transcrição, iniciando limpeza:', error.message);
-        if (file && file.path) {
-            await fsPromises.unlink(file.path).catch(err => 
-              console.warn(`Aviso: Não foi possível limpar o arquivo ${file.path} após erro.`, err)
+        if (file && file.key) {
+            await storage.delete(file.key).catch(err => 
+              console.warn(`Aviso: Não foi possível limpar o arquivo ${file.key} após erro.`, err)
             );
         }
         if (transcriptionRecord && transcriptionRecord.id) {
@@ -54,7 +114,252 @@ const transcriptionService = {
     }
   },
 
-  async _processTranscriptionInBackground(transcriptionId, audioFilePath, user) {
+  /**
+   * Cria o registro `pending` de um arquivo já gravado no armazenamento e enfileira o processamento.
+   * Quem chama já validou o plano e a cota (upload individual ou lote).
+   * @param {object} details - { durationSeconds, contentHash, language, translateTo, batchId }
+   */
+  async _createPendingTranscription(user, file, details, transaction) {
+    const transcription = await Transcription.create({
+      userId: user.id,
+      title: file.originalname,
+      audioPath: file.key, // Chave no serviço de armazenamento
+      originalFileName: file.originalname,
+      fileSizeKB: Math.round(file.size / 1024),
+      mimeType: file.mimetype,
+      durationSeconds: details.durationSeconds,
+      contentHash: details.contentHash || null,
+      ...this._sourceFields(file),
+      language: details.language,
+      batchId: details.batchId || null,
+      status: 'pending',
+    }, { transaction });
+
+    // A tradução é enfileirada quando a transcrição terminar
+    if (details.translateTo) {
+      await TranscriptionTranslation.create({ transcriptionId: transcription.id, language: details.translateTo }, { transaction });
+    }
+
+    await jobQueue.enqueue(TRANSCRIPTION_JOB, { transcriptionId: transcription.id }, { transaction });
+    return transcription;
+  },
+
+  /**
+   * Cria uma cópia concluída de uma transcrição do usuário (texto, segmentos, interlocutores e
+   * traduções prontas), sem transcrever de novo e sem descontar da cota.
+   */
+  async cloneTranscription(transcriptionId, userId) {
+    const source = await this._findOwnedTranscription(transcriptionId, userId);
+    if (source.status !== 'completed') {
+      throw new Error('Apenas transcrições concluídas podem ser clonadas.');
+    }
+    const user = await User.findByPk(userId, { include: [{ model: Plan, as: 'currentPlan' }] });
+    if (!user) throw new Error('Usuário não encontrado.');
+    return this._cloneTranscription(source, user);
+  },
+
+  /**
+   * @param {object} [options] - { file: upload repetido, usado como áudio da cópia (sem ele, o áudio
+   *   da original é copiado no armazenamento), translateTo }
+   */
+  async _cloneTranscription(source, user, { file = null, translateTo = null } = {}) {
+    let audioPath = file?.key || null;
+    if (!audioPath && source.audioPath && await storage.exists(source.audioPath)) {
+      audioPath = storage.buildKey('audio', source.originalFileName || path.basename(source.audioPath));
+      await storage.put(audioPath, await storage.stream(source.audioPath), { contentType: source.mimeType || undefined });
+    }
+
+    try {
+      const clone = await db.sequelize.transaction(async (t) => {
+        const clone = await Transcription.create({
+          userId: user.id,
+          title: file ? file.originalname : `${source.title || source.originalFileName} (cópia)`,
+          status: 'completed',
+          audioPath,
+          originalFileName: file?.originalname || source.originalFileName,
+          mimeType: file?.mimetype || source.mimeType,
+          fileSizeKB: file ? Math.round(file.size / 1024) : source.fileSizeKB,
+          ...(file
+            ? this._sourceFields(file)
+            : { sourceType: source.sourceType, sourceUrl: source.sourceUrl, sourceMediaType: source.sourceMediaType }),
+          durationSeconds: source.durationSeconds,
+          transcriptionText: source.transcriptionText,
+          provider: source.provider,
+          model: source.model,
+          language: source.language,
+          detectedLanguage: source.detectedLanguage,
+          speakerNames: source.speakerNames,
+          segmentsOutdated: source.segmentsOutdated,
+          preprocessing: source.preprocessing,
+          chaptersStatus: source.chaptersStatus,
+          contentHash: source.contentHash,
+          duplicateOfId: source.id,
+          billedDurationSeconds: 0,
+          audioExpiresAt: audioPath ? retentionService.audioExpiresAtFor(user.currentPlan) : null,
+          ...redactionService.buildFields(user, source.transcriptionText),
+        }, { transaction: t });
+
+        const segments = await TranscriptionSegment.findAll({ where: { transcriptionId: source.id }, order: [['segmentIndex', 'ASC']], transaction: t });
+        await TranscriptionSegment.bulkCreate(segments.map(segment => ({
+          transcriptionId: clone.id,
+          segmentIndex: segment.segmentIndex,
+          startTime: segment.startTime,
+          endTime: segment.endTime,
+          text: segment.text,
+          speaker: segment.speaker,
+          words: segment.words,
+        })), { transaction: t });
+        await chapterService.copyChapters(source.id, clone.id, t);
+        await this._createRevision(clone, { source: 'clone' }, t);
+
+        const translations = await TranscriptionTranslation.findAll({ where: { transcriptionId: source.id, status: 'completed' }, transaction: t });
+        for (const translationRecord of translations) {
+          await TranscriptionTranslation.create({
+            transcriptionId: clone.id,
+            language: translationRecord.language,
+            status: 'completed',
+            text: translationRecord.text,
+            segments: translationRecord.segments,
+            provider: translationRecord.provider,
+            model: translationRecord.model,
+          }, { transaction: t });
+        }
+        if (translateTo && !translations.some(tr => tr.language === translateTo)) {
+          const translationRecord = await TranscriptionTranslation.create({ transcriptionId: clone.id, language: translateTo }, { transaction: t });
+          await jobQueue.enqueue(TRANSLATION_JOB, { translationId: translationRecord.id }, { transaction: t });
+        }
+        return clone;
+      });
+      this._publishStatus(clone);
+      return clone;
+    } catch (error) {
+      // O áudio copiado da original não tem dono se a cópia falhar (o do upload é limpo por quem chamou)
+      if (audioPath && !file) await storage.delete(audioPath).catch(() => {});
+      throw error;
+    }
+  },
+
+  // Origem do arquivo: `file.source` vem da importação por URL; sem ele, é um upload de áudio
+  _sourceFields(file) {
+    const source = file.source || {};
+    return {
+      sourceType: source.type || 'upload',
+      sourceUrl: source.url || null,
+      sourceMediaType: source.mediaType || 'audio',
+    };
+  },
+
+  // Transcrição concluída mais recente do usuário com o mesmo conteúdo
+  async _findCompletedDuplicate(userId, contentHash) {
+    if (!contentHash) return null;
+    return Transcription.findOne({
+      where: { userId, contentHash, status: 'completed' },
+      order: [['createdAt', 'DESC']],
+    });
+  },
+
+  /**
+   * Estratégia padrão para uploads repetidos: features.duplicateUploadStrategy do plano, com a
+   * configuração DUPLICATE_UPLOAD_STRATEGY como padrão.
+   */
+  _defaultDuplicateStrategy(user) {
+    const strategy = user.currentPlan?.features?.duplicateUploadStrategy || settings.get('DUPLICATE_UPLOAD_STRATEGY');
+    return DUPLICATE_STRATEGIES.includes(strategy) ? strategy : 'ask';
+  },
+
+  async _hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+    return hash.digest('hex');
+  },
+
+  /**
+   * Reenfileira uma transcrição que falhou, reaproveitando o áudio guardado (sem novo upload).
+   * A cota só é descontada quando a transcrição conclui, então uma nova tentativa nunca cobra em dobro.
+   */
+  async retryTranscription(transcriptionId, userId) {
+    const transcription = await Transcription.findOne({ where: { id: transcriptionId, userId } });
+    if (!transcription) throw new Error('Transcrição não encontrada ou você não tem permissão.');
+    if (transcription.status !== 'failed') {
+      throw new Error('Apenas transcrições com falha podem ser reprocessadas.');
+    }
+
+    const maxRetries = Number(settings.get('TRANSCRIPTION_MAX_RETRIES')) || DEFAULT_MAX_RETRIES;
+    if (transcription.retryCount >= maxRetries) {
+      throw new Error(`Limite de ${maxRetries} novas tentativas atingido para esta transcrição. Envie o arquivo novamente.`);
+    }
+
+    if (!await storage.exists(transcription.audioPath)) {
+      throw new Error('O áudio desta transcrição não está mais disponível. Envie o arquivo novamente.');
+    }
+
+    // O plano pode ter vencido ou a cota ter sido consumida desde o envio original
+    const user = await User.findByPk(userId, { include: [{ model: Plan, as: 'currentPlan' }] });
+    if (!user) throw new Error('Usuário não encontrado.');
+    if (!transcription.usageChargedAt) {
+      this._assertActivePlanAndCount(user);
+      this._assertMinutesQuota(user, (transcription.durationSeconds || 0) / 60);
+    }
+
+    await db.sequelize.transaction(async (t) => {
+      await transcription.update({
+        status: 'pending',
+        errorMessage: null,
+        retryCount: transcription.retryCount + 1,
+        audioExpiresAt: null,
+        processedChunks: 0,
+      }, { transaction: t });
+      await jobQueue.enqueue(TRANSCRIPTION_JOB, { transcriptionId: transcription.id }, { transaction: t });
+    });
+    this._publishStatus(transcription);
+
+    return transcription;
+  },
+
+  /**
+   * Localiza o arquivo de áudio de uma transcrição do usuário, para reprodução.
+   * @returns {Promise<{key: string, mimeType: string, size: number, fileName: string}>}
+   */
+  async getTranscriptionAudio(transcriptionId, userId) {
+    const transcription = await Transcription.findOne({
+      where: { id: transcriptionId, userId },
+      attributes: ['id', 'audioPath', 'mimeType', 'originalFileName'],
+    });
+    if (!transcription) throw new Error('Transcrição não encontrada ou você não tem permissão.');
+    return this._resolveAudioFile(transcription);
+  },
+
+  /**
+   * Gera uma URL temporária e assinada para o áudio, permitindo que um `<audio>` toque
+   * o arquivo sem enviar o cabeçalho Authorization.
+   */
+  async createAudioUrl(transcriptionId, userId) {
+    // Valida a posse e a existência do áudio antes de assinar
+    const audio = await this.getTranscriptionAudio(transcriptionId, userId);
+
+    const ttlSeconds = Number(settings.get('AUDIO_URL_TTL_SECONDS')) || DEFAULT_AUDIO_URL_TTL_SECONDS;
+    const url = await storage.signedUrl(audio.key, { expiresIn: ttlSeconds, contentType: audio.mimeType, fileName: audio.fileName });
+    return { url, expiresAt: new Date(Date.now() + ttlSeconds * 1000) };
+  },
+
+  async _resolveAudioFile(transcription) {
+    const stat = transcription.audioPath && await storage.stat(transcription.audioPath).catch(() => null);
+    if (!stat) throw new Error('Áudio não encontrado: o arquivo não está mais disponível no servidor.');
+    const extension = path.extname(transcription.audioPath).toLowerCase();
+    return {
+      key: transcription.audioPath,
+      mimeType: transcription.mimeType || stat.contentType || audioMimeByExtension[extension] || 'application/octet-stream',
+      size: stat.size,
+      fileName: transcription.originalFileName || path.basename(transcription.audioPath),
+    };
+  },
+
+  /**
+   * Processa uma transcrição (executado pela fila de tarefas). Carrega tudo do banco a partir do ID,
+   * para poder ser retomado depois de um reinício. Em falhas temporárias, deixa a transcrição como
+   * `pending` e relança o erro para a fila tentar de novo; na última tentativa, marca como `failed`.
+   */
+  async _processTranscriptionInBackground(transcriptionId, { isFinalAttempt = true } = {}) {
     let transcriptionRecord;
     try {
       transcriptionRecord = await Transcription.findByPk(transcriptionId);
@@ -62,58 +367,374 @@ const transcriptionService = {
         console.error(`Registro de transcrição ${transcriptionId} não encontrado para processamento.`);
         return;
       }
+      // A tarefa pode ser retomada após um reinício em que a transcrição já tinha sido concluída
+      if (transcriptionRecord.status === 'completed') return;
+
+      const user = await User.findByPk(transcriptionRecord.userId, { include: [{ model: Plan, as: 'currentPlan' }] });
+      if (!user) {
+        throw Object.assign(new Error('Usuário da transcrição não encontrado.'), { retryable: false });
+      }
+      if (!await storage.exists(transcriptionRecord.audioPath)) {
+        throw Object.assign(new Error('O arquivo de áudio não está mais disponível no servidor. Envie o arquivo novamente.'), { retryable: false });
+      }
 
-      await transcriptionRecord.update({ status: 'processing' });
+      const { provider, model } = speechToText.resolve(user.currentPlan);
+      await transcriptionRecord.update({ status: 'processing', provider: provider.name, model, errorMessage: null });
+      this._publishStatus(transcriptionRecord);
 
-      const transcriptionResponse = await openai.audio.transcriptions.create({
-        file: fs.createReadStream(audioFilePath),
-        model: 'whisper-1',
+      // Glossários do usuário e do plano: termos como contexto do modelo e correções no texto final
+      const glossaries = await glossaryService.getActiveGlossaries(user);
+      const prompt = glossaryService.buildPrompt(glossaries);
+
+      // ffmpeg e os provedores precisam de um arquivo local (no S3, uma cópia temporária)
+      const { transcriptionText, detectedLanguage, segments, preprocessing } = await storage.withLocalFile(transcriptionRecord.audioPath, async (audioFilePath) => {
+        // Normalização e corte de silêncios; os segmentos voltam para os tempos do áudio original
+        const prepared = await this._prepareAudio(transcriptionRecord, audioFilePath);
+        try {
+          // Arquivos acima do limite do provedor são transcritos em partes
+          const { size } = await fsPromises.stat(prepared.path);
+          const transcribe = (filePath, durationSeconds, language) => provider.transcribe({ filePath, model, durationSeconds, language, prompt });
+          const { text, language, segments: rawSegments } = provider.maxFileBytes && size > provider.maxFileBytes
+            ? await this._transcribeInChunks(transcriptionRecord, prepared.path, transcribe)
+            : await transcribe(prepared.path, prepared.durationSeconds, transcriptionRecord.language || undefined);
+
+          const correctedSegments = audioPreprocessor.remapSegments(rawSegments, prepared.ranges)
+            .map(segment => ({ ...segment, text: glossaryService.applyReplacements(segment.text, glossaries) }));
+          return {
+            transcriptionText: glossaryService.applyReplacements(text, glossaries),
+            detectedLanguage: language || transcriptionRecord.language,
+            segments: await this._diarizeSegments(transcriptionId, audioFilePath, correctedSegments),
+            preprocessing: prepared.summary,
+          };
+        } finally {
+          await prepared.cleanup();
+        }
       });
 
-      const transcriptionText = transcriptionResponse.text;
-      
-      const estimatedDurationSeconds = Math.round((transcriptionRecord.fileSizeKB * 8) / 128);
-      const estimatedDurationMinutes = estimatedDurationSeconds / 60;
+      // Cobrança pela duração efetivamente transcrita (sem os silêncios cortados)
+      const billedDurationSeconds = preprocessing
+        ? Math.min(Math.ceil(preprocessing.processedSeconds), transcriptionRecord.durationSeconds || Infinity)
+        : transcriptionRecord.durationSeconds || 0;
+      const durationMinutes = billedDurationSeconds / 60;
+
+      // Conclusão e cobrança na mesma transação, para uma nova tentativa nunca cobrar duas vezes
+      await db.sequelize.transaction(async (t) => {
+        await this._saveSegments(transcriptionRecord.id, segments, t);
+        // O áudio fica disponível para reprodução até o fim do prazo de retenção do plano
+        await transcriptionRecord.update({
+          transcriptionText: transcriptionText,
+          detectedLanguage,
+          status: 'completed',
+          segmentsOutdated: false,
+          audioExpiresAt: retentionService.audioExpiresAtFor(user.currentPlan),
+          billedDurationSeconds,
+          preprocessing,
+          // Versão anonimizada, conforme o plano e a preferência do usuário
+          ...redactionService.buildFields(user, transcriptionText, { previousMapping: transcriptionRecord.redactionMapping }),
+        }, { transaction: t });
+        // Revisão 1: o resultado original, base do histórico de edições
+        await this._createRevision(transcriptionRecord, { source: 'transcription' }, t);
+        // Capítulos em tarefa própria (transcrições curtas são ignoradas pelo serviço de capítulos)
+        await chapterService.scheduleGeneration(transcriptionRecord, t);
 
-      if (user.role !== 'admin' && user.currentPlan) {
-        const planFeatures = user.currentPlan.features;
-        if (planFeatures.maxTranscriptionMinutes !== -1 && (user.transcriptionMinutesUsed + estimatedDurationMinutes) > planFeatures.maxTranscriptionMinutes) {
-            throw new Error('A transcrição excederia o limite de minutos do seu plano.');
+        if (user.role !== 'admin' && !transcriptionRecord.usageChargedAt) {
+          await user.increment('transcriptionMinutesUsed', { by: durationMinutes, transaction: t });
+          await user.increment('transcriptionsUsedCount', { by: 1, transaction: t });
+          await transcriptionRecord.update({ usageChargedAt: new Date() }, { transaction: t });
+        }
+
+        // Traduções pedidas no upload (ou enquanto a transcrição processava)
+        const pendingTranslations = await TranscriptionTranslation.findAll({
+          where: { transcriptionId: transcriptionRecord.id, status: 'pending' },
+          attributes: ['id'],
+          transaction: t,
+        });
+        for (const pending of pendingTranslations) {
+          await jobQueue.enqueue(TRANSLATION_JOB, { translationId: pending.id }, { transaction: t });
+        }
+
+        // Arquivo de lote: o serviço de lotes executa o assistente automático, se houver
+        if (transcriptionRecord.batchId) {
+          await jobQueue.enqueue(BATCH_ITEM_COMPLETED_JOB, { transcriptionId: transcriptionRecord.id }, { transaction: t });
         }
-      }
-      
-      await transcriptionRecord.update({
-        transcriptionText: transcriptionText,
-        durationSeconds: estimatedDurationSeconds,
-        status: 'completed',
       });
-      
-      if (user.role !== 'admin') {
-        await user.increment('transcriptionMinutesUsed', { by: estimatedDurationMinutes });
-        await user.increment('transcriptionsUsedCount', { by: 1 });
-      }
 
+      this._publishStatus(transcriptionRecord);
       console.log(`Transcrição ${transcriptionId} concluída. Uso do usuário ${user.id} atualizado (se aplicável).`);
 
     } catch (error) {
       console.error(`Erro durante o processamento da transcrição ${transcriptionId}:`, error);
       const errorMessage = error.response ? JSON.stringify(error.response.data) : error.message;
+      const willRetry = !isFinalAttempt && error.retryable !== false;
       if (transcriptionRecord) {
-        await transcriptionRecord.update({ status: 'failed', errorMessage: `Erro na API Whisper: ${errorMessage}` });
+        await transcriptionRecord.update(willRetry
+          ? { status: 'pending', errorMessage: `Falha temporária, nova tentativa agendada: ${errorMessage}` }
+          : { status: 'failed', errorMessage: `Falha na transcrição: ${errorMessage}`, audioExpiresAt: this._failedAudioExpiresAt() });
+        this._publishStatus(transcriptionRecord);
       }
-    } finally {
-      if (audioFilePath) {
-        await fsPromises.unlink(audioFilePath).catch(err => console.error(`Erro ao deletar arquivo de áudio final: ${audioFilePath}`, err));
+      throw error;
+    }
+  },
+
+  /**
+   * Tarefa de transcrição perdida na última tentativa (worker caiu ou travou e o lease venceu):
+   * marca a transcrição como falha, como no fim das tentativas do processamento.
+   */
+  async _failInterruptedTranscription(transcriptionId, error) {
+    const transcriptionRecord = await Transcription.findByPk(transcriptionId);
+    if (!transcriptionRecord || ['completed', 'failed'].includes(transcriptionRecord.status)) return;
+    await transcriptionRecord.update({ status: 'failed', errorMessage: `Falha na transcrição: ${error.message}`, audioExpiresAt: this._failedAudioExpiresAt() });
+    this._publishStatus(transcriptionRecord);
+  },
+
+  // Na falha definitiva o áudio fica guardado por um tempo, para o usuário tentar de novo sem reenviar
+  _failedAudioExpiresAt() {
+    const retentionHours = Number(settings.get('FAILED_AUDIO_RETENTION_HOURS')) || DEFAULT_FAILED_AUDIO_RETENTION_HOURS;
+    return new Date(Date.now() + retentionHours * 3600 * 1000);
+  },
+
+  /**
+   * Executado na inicialização: reenfileira transcrições `pending`/`processing` que ficaram sem
+   * tarefa ativa (ex: criadas antes da fila existir ou interrompidas por um deploy). Sem o áudio,
+   * não há como retomar e a transcrição é marcada como `failed`.
+   */
+  async recoverOrphanedTranscriptions() {
+    const orphanCandidates = await Transcription.findAll({
+      where: { status: { [db.Sequelize.Op.in]: ['pending', 'processing'] } },
+      attributes: ['id', 'userId', 'audioPath', 'status'],
+    });
+
+    let requeued = 0;
+    let failed = 0;
+    for (const transcription of orphanCandidates) {
+      if (await jobQueue.hasActiveJob(TRANSCRIPTION_JOB, { transcriptionId: transcription.id })) continue;
+
+      if (await storage.exists(transcription.audioPath)) {
+        await transcription.update({ status: 'pending' });
+        await jobQueue.enqueue(TRANSCRIPTION_JOB, { transcriptionId: transcription.id });
+        this._publishStatus(transcription);
+        requeued++;
+      } else {
+        await transcription.update({
+          status: 'failed',
+          errorMessage: 'O processamento foi interrompido e o arquivo de áudio não está mais disponível. Envie o arquivo novamente.',
+        });
+        this._publishStatus(transcription);
+        failed++;
       }
     }
+    console.log(`[Recuperação] Transcrições órfãs: ${requeued} reenfileirada(s), ${failed} marcada(s) como falha.`);
   },
 
+  // Mudança de estado para o barramento de eventos (SSE em /api/events) e, nos estados finais, para os webhooks
+  _publishStatus(transcription) {
+    const data = {
+      transcriptionId: transcription.id,
+      status: transcription.status,
+      errorMessage: transcription.errorMessage || null,
+      totalChunks: transcription.totalChunks ?? null,
+      processedChunks: transcription.processedChunks ?? null,
+      batchId: transcription.batchId ?? null,
+    };
+    eventBus.publish(transcription.userId, 'transcription.status', data);
+    if (['completed', 'failed'].includes(transcription.status)) {
+      webhookService.emit(transcription.userId, `transcription.${transcription.status}`, data);
+    }
+  },
+
+  _publishTranslationStatus(translationRecord) {
+    if (!translationRecord.transcription) return;
+    const { userId } = translationRecord.transcription;
+    const data = {
+      translationId: translationRecord.id,
+      transcriptionId: translationRecord.transcriptionId,
+      language: translationRecord.language,
+      status: translationRecord.status,
+      errorMessage: translationRecord.errorMessage || null,
+    };
+    eventBus.publish(userId, 'translation.status', data);
+    if (['completed', 'failed'].includes(translationRecord.status)) {
+      webhookService.emit(userId, `translation.${translationRecord.status}`, data);
+    }
+  },
+
+  /**
+   * Plano ativo e limite de quantidade de transcrições (admins não têm limites).
+   * @param {number} [count] - Quantidade de transcrições a criar (lotes verificam todas de uma vez).
+   */
+  _assertActivePlanAndCount(user, count = 1) {
+    if (user.role === 'admin') return;
+    if (!user.currentPlan || !user.planExpiresAt || user.planExpiresAt < new Date()) {
+      throw new Error('Você não tem um plano ativo. Por favor, adquira um plano.');
+    }
+    const planFeatures = user.currentPlan.features;
+    if (planFeatures.maxAudioTranscriptions !== -1 && user.transcriptionsUsedCount + count > planFeatures.maxAudioTranscriptions) {
+      if (count === 1) throw new Error('Limite de transcrições de áudio atingido para o seu plano.');
+      const remaining = Math.max(0, planFeatures.maxAudioTranscriptions - user.transcriptionsUsedCount);
+      throw new Error(`Limite de transcrições de áudio atingido para o seu plano: o lote tem ${count} arquivos e restam ${remaining} transcrições.`);
+    }
+  },
+
+  /**
+   * Garante que a duração informada cabe no limite de minutos do plano do usuário.
+   * Admins e planos ilimitados (-1) não são verificados.
+   */
+  _assertMinutesQuota(user, durationMinutes) {
+    if (user.role === 'admin' || !user.currentPlan) return;
+    const maxMinutes = user.currentPlan.features.maxTranscriptionMinutes;
+    if (maxMinutes === undefined || maxMinutes === -1) return;
+
+    const usedMinutes = parseFloat(user.transcriptionMinutesUsed) || 0;
+    if (usedMinutes + durationMinutes > maxMinutes) {
+      const remaining = Math.max(0, maxMinutes - usedMinutes).toFixed(1);
+      throw new Error(`Limite de minutos de transcrição excedido: o áudio tem ${durationMinutes.toFixed(1)} min e restam ${remaining} min no seu plano.`);
+    }
+  },
+
+  /**
+   * Valida um idioma informado pelo usuário.
+   * @returns {string|null} Código ISO 639-1, ou null para 'auto' (quando permitido).
+   */
+  _parseLanguage(value, { allowAuto = false } = {}) {
+    if (allowAuto && String(value).trim().toLowerCase() === 'auto') return null;
+    const code = normalizeLanguage(value);
+    if (!code) {
+      throw new Error(`Idioma inválido: "${value}". Use um código ISO 639-1 (ex: "pt", "en")${allowAuto ? ' ou "auto"' : ''}.`);
+    }
+    return code;
+  },
+
+  async _saveSegments(transcriptionId, segments, transaction) {
+    await TranscriptionSegment.destroy({ where: { transcriptionId }, transaction });
+    await TranscriptionSegment.bulkCreate(segments.map((segment, index) => ({
+      transcriptionId,
+      segmentIndex: index,
+      startTime: segment.start,
+      endTime: segment.end,
+      text: segment.text,
+      speaker: segment.speaker || null,
+      words: segment.words || [],
+    })), { transaction });
+  },
+
+  /**
+   * Gera a versão pré-processada do áudio (mono 16kHz, volume normalizado, sem silêncios longos).
+   * Se estiver desativado (AUDIO_PREPROCESSING_ENABLED=false) ou o ffmpeg falhar, segue com o
+   * arquivo original, sem cortes.
+   * @returns {Promise<{path, durationSeconds, ranges, summary, cleanup}>} `ranges` e `summary` são
+   *   null sem pré-processamento.
+   */
+  async _prepareAudio(transcriptionRecord, audioFilePath) {
+    const original = {
+      path: audioFilePath,
+      durationSeconds: transcriptionRecord.durationSeconds,
+      ranges: null,
+      summary: null,
+      cleanup: async () => {},
+    };
+    if (settings.get('AUDIO_PREPROCESSING_ENABLED') === 'false') return original;
+
+    const workDir = path.join(PREPROCESSING_BASE_DIR, transcriptionRecord.id);
+    const cleanup = () => fsPromises.rm(workDir, { recursive: true, force: true })
+      .catch(err => console.warn(`Aviso: Não foi possível remover ${workDir}.`, err));
+    try {
+      const options = {};
+      const maxSilenceSeconds = Number(settings.get('AUDIO_MAX_SILENCE_SECONDS'));
+      if (maxSilenceSeconds > 0) options.maxSilenceSeconds = maxSilenceSeconds;
+      const silenceNoiseDb = Number(settings.get('AUDIO_SILENCE_THRESHOLD_DB'));
+      if (silenceNoiseDb < 0) options.silenceNoiseDb = silenceNoiseDb;
+
+      const result = await audioPreprocessor.preprocess(audioFilePath, workDir, options);
+      const { OUTPUT_FORMAT } = audioPreprocessor;
+      return {
+        path: result.path,
+        durationSeconds: result.durationSeconds,
+        ranges: result.ranges,
+        summary: {
+          originalSeconds: Number(result.originalDurationSeconds.toFixed(3)),
+          processedSeconds: Number(result.durationSeconds.toFixed(3)),
+          removedSeconds: Number((result.originalDurationSeconds - result.durationSeconds).toFixed(3)),
+          cuts: result.ranges.length - 1,
+          format: `${OUTPUT_FORMAT.codec}/${OUTPUT_FORMAT.sampleRate / 1000}kHz/mono`,
+          loudnessNormalized: true,
+        },
+        cleanup,
+      };
+    } catch (error) {
+      console.warn(`[Pré-processamento] Falha na transcrição ${transcriptionRecord.id}, usando o áudio original: ${error.message}`);
+      await cleanup();
+      return original;
+    }
+  },
+
+  /**
+   * Etapa de diarização: atribui rótulos de interlocutor aos segmentos.
+   * Uma falha aqui não invalida a transcrição; os segmentos seguem sem rótulo.
+   */
+  async _diarizeSegments(transcriptionId, audioFilePath, segments) {
+    try {
+      return await diarization.labelSegments({ audioPath: audioFilePath, segments });
+    } catch (error) {
+      console.warn(`[Diarização] Falha na transcrição ${transcriptionId}, segmentos seguirão sem interlocutor: ${error.message}`);
+      return segments;
+    }
+  },
+
+  /**
+   * Transcreve áudios acima do limite do provedor: divide o arquivo em partes sobrepostas
+   * (cortando em silêncios), transcreve cada parte em sequência e une textos e segmentos.
+   * O progresso fica registrado em `totalChunks`/`processedChunks` da transcrição.
+   * Na detecção automática, o idioma detectado na primeira parte é fixado para as seguintes,
+   * evitando que partes curtas ou com pouca fala sejam detectadas em outro idioma.
+   * @param {Function} transcribe - (filePath, durationSeconds, language) => Promise<{text, language, segments}>
+   */
+  async _transcribeInChunks(transcriptionRecord, audioFilePath, transcribe) {
+    const chunksDir = path.join(CHUNKS_BASE_DIR, transcriptionRecord.id);
+    try {
+      const chunks = await audioChunker.splitAudioIntoChunks(audioFilePath, chunksDir);
+      await transcriptionRecord.update({ totalChunks: chunks.length, processedChunks: 0 });
+      this._publishStatus(transcriptionRecord);
+      console.log(`Transcrição ${transcriptionRecord.id} dividida em ${chunks.length} partes.`);
+
+      const results = [];
+      let language = transcriptionRecord.language || undefined;
+      for (const chunk of chunks) {
+        const result = await transcribe(chunk.path, chunk.end - chunk.start, language);
+        language = language || result.language || undefined;
+        results.push({ chunk, ...result });
+        await transcriptionRecord.update({ processedChunks: chunk.index + 1 });
+        this._publishStatus(transcriptionRecord);
+      }
+
+      return {
+        text: audioChunker.mergeTranscriptTexts(results.map(r => r.text)),
+        language,
+        segments: audioChunker.mergeChunkSegments(results),
+      };
+    } finally {
+      await fsPromises.rm(chunksDir, { recursive: true, force: true }).catch(err =>
+        console.warn(`Aviso: Não foi possível remover as partes temporárias em ${chunksDir}.`, err)
+      );
+    }
+  },
+
+  /**
+   * Lista as transcrições do usuário.
+   * @param {object} filters - { status, folderId ('root' = fora de pastas), tag (uma ou várias,
+   *   separadas por vírgula; exige todas), favorite ('true'), page, limit }
+   */
   async listUserTranscriptions(userId, filters = {}) {
     try {
       const { status, page = 1, limit = 10 } = filters;
       const where = { userId };
 
       if (status) where.status = status;
+      if (filters.folderId) where.folderId = filters.folderId === 'root' ? null : filters.folderId;
+      if (filters.tag) {
+        const tags = this._normalizeTags(String(filters.tag).split(','));
+        if (tags.length > 0) where.tags = { [Op.contains]: tags };
+      }
+      if (filters.favorite === 'true' || filters.favorite === true) where.isFavorite = true;
 
       const offset = (page - 1) * limit;
 
@@ -122,7 +743,7 @@ const transcriptionService = {
         limit: Number.parseInt(limit),
         offset,
         order: [['createdAt', 'DESC']],
-        attributes: { exclude: ['audioPath', 'transcriptionText'] }
+        attributes: { exclude: ['audioPath', 'transcriptionText', 'redactedText', 'redactionMapping'] }
       });
 
       return {
@@ -141,7 +762,7 @@ const transcriptionService = {
     try {
       const transcription = await Transcription.findOne({
         where: { id: transcriptionId, userId },
-        attributes: { exclude: ['audioPath'] }
+        attributes: { exclude: ['audioPath', 'redactionMapping'] }
       });
 
       if (!transcription) {
@@ -154,6 +775,345 @@ const transcriptionService = {
     }
   },
 
+  /**
+   * Lista os segmentos com marcação de tempo de uma transcrição do usuário.
+   * Filtros opcionais `from`/`to` (segundos) retornam os segmentos que se sobrepõem ao intervalo.
+   */
+  async getTranscriptionSegments(transcriptionId, userId, filters = {}) {
+    const transcription = await Transcription.findOne({ where: { id: transcriptionId, userId }, attributes: ['id'] });
+    if (!transcription) {
+      throw new Error('Transcrição não encontrada ou você não tem permissão para acessá-la.');
+    }
+
+    const { page = 1, limit = 50, from, to } = filters;
+    const where = { transcriptionId };
+    if (from !== undefined && from !== '') {
+      const fromSeconds = parseFloat(from);
+      if (Number.isNaN(fromSeconds)) throw new Error('Parâmetro "from" inválido.');
+      where.endTime = { [db.Sequelize.Op.gt]: fromSeconds };
+    }
+    if (to !== undefined && to !== '') {
+      const toSeconds = parseFloat(to);
+      if (Number.isNaN(toSeconds)) throw new Error('Parâmetro "to" inválido.');
+      where.startTime = { [db.Sequelize.Op.lt]: toSeconds };
+    }
+
+    const pageSize = Math.min(Number.parseInt(limit) || 50, 500);
+    const { count, rows } = await TranscriptionSegment.findAndCountAll({
+      where,
+      limit: pageSize,
+      offset: (Number.parseInt(page) - 1) * pageSize,
+      order: [['segmentIndex', 'ASC']],
+      attributes: { exclude: ['transcriptionId', 'createdAt', 'updatedAt'] },
+    });
+
+    return {
+      segments: rows,
+      total: count,
+      totalPages: Math.ceil(count / pageSize),
+      currentPage: Number.parseInt(page),
+    };
+  },
+
+  /**
+   * Exporta uma transcrição concluída como legenda (SRT/WebVTT) ou documento JSON com tempos.
+   * @param {object} options - { format: 'srt'|'vtt'|'json', maxLineLength, maxCharsPerSecond, maxLines }
+   * @returns {Promise<{content: string, fileName: string, mimeType: string}>}
+   */
+  async exportTranscription(transcriptionId, userId, options = {}) {
+    const formats = {
+      srt: { mimeType: 'application/x-subrip', extension: 'srt' },
+      vtt: { mimeType: 'text/vtt', extension: 'vtt' },
+      json: { mimeType: 'application/json', extension: 'json' },
+    };
+    const format = (options.format || 'srt').toLowerCase();
+    if (!formats[format]) {
+      throw new Error('Formato de exportação inválido. Use "srt", "vtt" ou "json".');
+    }
+
+    const parseLimit = (value, name, min, max) => {
+      if (value === undefined || value === '') return subtitleFormatter.DEFAULT_OPTIONS[name];
+      const parsed = Number(value);
+      if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+        throw new Error(`Parâmetro "${name}" inválido. Use um valor entre ${min} e ${max}.`);
+      }
+      return parsed;
+    };
+    const cueOptions = {
+      maxLineLength: parseLimit(options.maxLineLength, 'maxLineLength', 10, 120),
+      maxCharsPerSecond: parseLimit(options.maxCharsPerSecond, 'maxCharsPerSecond', 5, 40),
+      maxLines: parseLimit(options.maxLines, 'maxLines', 1, 4),
+    };
+
+    const transcription = await Transcription.findOne({
+      where: { id: transcriptionId, userId },
+      include: [{ model: TranscriptionSegment, as: 'segments' }],
+      order: [[{ model: TranscriptionSegment, as: 'segments' }, 'segmentIndex', 'ASC']],
+    });
+    if (!transcription) {
+      throw new Error('Transcrição não encontrada ou você não tem permissão para acessá-la.');
+    }
+    if (transcription.status !== 'completed') {
+      throw new Error('A transcrição ainda não foi concluída e não pode ser exportada.');
+    }
+    if (!transcription.segments || transcription.segments.length === 0) {
+      throw new Error('Esta transcrição não possui marcações de tempo para exportação.');
+    }
+    if (transcription.segmentsOutdated) {
+      throw new Error('O texto foi editado e as marcações de tempo estão desatualizadas: a transcrição não pode ser exportada com tempos.');
+    }
+
+    const cues = subtitleFormatter.buildCues(transcription.segments, cueOptions);
+    let content;
+    if (format === 'srt') content = subtitleFormatter.toSrt(cues);
+    else if (format === 'vtt') content = subtitleFormatter.toVtt(cues);
+    else content = subtitleFormatter.toTimedJson(cues, {
+      transcriptionId: transcription.id,
+      title: transcription.title,
+      durationSeconds: transcription.durationSeconds,
+    });
+
+    const baseName = (transcription.title || transcription.originalFileName || 'transcricao').replace(/\.[^/.]+$/, '');
+    return {
+      content,
+      fileName: `${baseName}.${formats[format].extension}`,
+      mimeType: formats[format].mimeType,
+    };
+  },
+
+  /**
+   * Lista os interlocutores identificados na transcrição, com o nome definido pelo usuário.
+   */
+  async getTranscriptionSpeakers(transcriptionId, userId) {
+    const transcription = await Transcription.findOne({ where: { id: transcriptionId, userId }, attributes: ['id', 'speakerNames'] });
+    if (!transcription) {
+      throw new Error('Transcrição não encontrada ou você não tem permissão para acessá-la.');
+    }
+
+    const stats = await TranscriptionSegment.findAll({
+      where: { transcriptionId, speaker: { [db.Sequelize.Op.ne]: null } },
+      attributes: [
+        'speaker',
+        [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'segmentCount'],
+        [db.sequelize.fn('SUM', db.sequelize.literal('"endTime" - "startTime"')), 'totalSeconds'],
+      ],
+      group: ['speaker'],
+      order: [['speaker', 'ASC']],
+      raw: true,
+    });
+
+    return stats.map(row => ({
+      label: row.speaker,
+      name: transcription.speakerNames[row.speaker] || row.speaker,
+      segmentCount: Number(row.segmentCount),
+      totalSeconds: Math.round(Number(row.totalSeconds) * 10) / 10,
+    }));
+  },
+
+  /**
+   * Renomeia interlocutores. Recebe { "SPEAKER_1": "Médico" }; valor vazio/null volta ao rótulo original.
+   */
+  async renameTranscriptionSpeakers(transcriptionId, userId, speakers) {
+    if (!speakers || typeof speakers !== 'object' || Array.isArray(speakers)) {
+      throw new Error('O campo "speakers" é inválido. Envie um objeto { "SPEAKER_1": "Nome" }.');
+    }
+    const transcription = await Transcription.findOne({ where: { id: transcriptionId, userId } });
+    if (!transcription) {
+      throw new Error('Transcrição não encontrada ou você não tem permissão para editar.');
+    }
+
+    const speakerNames = { ...transcription.speakerNames };
+    for (const [label, name] of Object.entries(speakers)) {
+      const trimmed = typeof name === 'string' ? name.trim() : '';
+      if (trimmed) speakerNames[label] = trimmed.slice(0, 100);
+      else delete speakerNames[label];
+    }
+    await transcription.update({ speakerNames });
+    return this.getTranscriptionSpeakers(transcriptionId, userId);
+  },
+
+  /**
+   * Pede a tradução de uma transcrição para outro idioma. Se a transcrição ainda estiver em
+   * processamento, a tradução é enfileirada quando ela terminar. Pedir de novo um idioma que
+   * falhou gera uma nova tentativa; um idioma já pedido retorna a tradução existente.
+   */
+  async requestTranslation(transcriptionId, userId, language) {
+    const targetLanguage = this._parseLanguage(language);
+    const transcription = await Transcription.findOne({ where: { id: transcriptionId, userId }, attributes: ['id', 'status'] });
+    if (!transcription) {
+      throw new Error('Transcrição não encontrada ou você não tem permissão para acessá-la.');
+    }
+    if (transcription.status === 'failed') {
+      throw new Error('A transcrição falhou e não pode ser traduzida. Tente reprocessá-la primeiro.');
+    }
+
+    const existing = await TranscriptionTranslation.findOne({ where: { transcriptionId, language: targetLanguage } });
+    if (existing && existing.status !== 'failed') return existing;
+
+    return db.sequelize.transaction(async (t) => {
+      const translationRecord = existing
+        ? await existing.update({ status: 'pending', errorMessage: null }, { transaction: t })
+        : await TranscriptionTranslation.create({ transcriptionId, language: targetLanguage }, { transaction: t });
+      if (transcription.status === 'completed') {
+        await jobQueue.enqueue(TRANSLATION_JOB, { translationId: translationRecord.id }, { transaction: t });
+      }
+      return translationRecord;
+    });
+  },
+
+  /**
+   * Lista as traduções de uma transcrição (sem o texto, apenas idioma e status).
+   */
+  async listTranslations(transcriptionId, userId) {
+    const transcription = await Transcription.findOne({ where: { id: transcriptionId, userId }, attributes: ['id'] });
+    if (!transcription) {
+      throw new Error('Transcrição não encontrada ou você não tem permissão para acessá-la.');
+    }
+    return TranscriptionTranslation.findAll({
+      where: { transcriptionId },
+      attributes: { exclude: ['text', 'segments'] },
+      order: [['createdAt', 'ASC']],
+    });
+  },
+
+  async getTranslation(transcriptionId, userId, language) {
+    const transcription = await Transcription.findOne({ where: { id: transcriptionId, userId }, attributes: ['id'] });
+    if (!transcription) {
+      throw new Error('Transcrição não encontrada ou você não tem permissão para acessá-la.');
+    }
+    const translationRecord = await TranscriptionTranslation.findOne({
+      where: { transcriptionId, language: normalizeLanguage(language) || language },
+    });
+    if (!translationRecord) {
+      throw new Error('Tradução não encontrada para este idioma.');
+    }
+    return translationRecord;
+  },
+
+  /**
+   * Traduz os segmentos de uma transcrição concluída (executado pela fila de tarefas),
+   * mantendo os tempos e interlocutores do original. Se o texto foi editado depois dos
+   * segmentos, traduz o texto corrido (a tradução fica sem segmentos).
+   */
+  async _processTranslationInBackground(translationId, { isFinalAttempt = true } = {}) {
+    let translationRecord;
+    try {
+      translationRecord = await TranscriptionTranslation.findByPk(translationId, {
+        include: [{ model: Transcription, as: 'transcription', attributes: ['id', 'userId', 'status', 'transcriptionText', 'detectedLanguage', 'language', 'segmentsOutdated'] }],
+      });
+      if (!translationRecord) {
+        console.error(`Registro de tradução ${translationId} não encontrado para processamento.`);
+        return;
+      }
+      if (translationRecord.status === 'completed') return;
+
+      const transcription = translationRecord.transcription;
+      if (!transcription || transcription.status !== 'completed') {
+        throw Object.assign(new Error('A transcrição de origem não está concluída.'), { retryable: false });
+      }
+      await translationRecord.update({ status: 'processing', errorMessage: null });
+      this._publishTranslationStatus(translationRecord);
+
+      const sourceSegments = transcription.segmentsOutdated ? [] : await TranscriptionSegment.findAll({
+        where: { transcriptionId: transcription.id },
+        attributes: ['startTime', 'endTime', 'text', 'speaker'],
+        order: [['segmentIndex', 'ASC']],
+      });
+      const sourceLanguage = transcription.detectedLanguage || transcription.language;
+      const texts = sourceSegments.length > 0 ? sourceSegments.map(s => s.text) : [transcription.transcriptionText || ''];
+
+      // Áudio já no idioma pedido: a "tradução" é o próprio texto
+      const result = sourceLanguage === translationRecord.language
+        ? { texts, provider: null, model: null }
+        : await translation.translateTexts(texts, { sourceLanguage, targetLanguage: translationRecord.language });
+
+      const segments = sourceSegments.map((segment, i) => ({
+        start: segment.startTime,
+        end: segment.endTime,
+        text: result.texts[i],
+        speaker: segment.speaker,
+      }));
+      await translationRecord.update({
+        status: 'completed',
+        text: result.texts.join(' '),
+        segments,
+        provider: result.provider,
+        model: result.model,
+      });
+      this._publishTranslationStatus(translationRecord);
+      console.log(`Tradução ${translationId} (${translationRecord.language}) da transcrição ${transcription.id} concluída.`);
+
+    } catch (error) {
+      console.error(`Erro durante a tradução ${translationId}:`, error);
+      const willRetry = !isFinalAttempt && error.retryable !== false;
+      if (translationRecord) {
+        await translationRecord.update(willRetry
+          ? { status: 'pending', errorMessage: `Falha temporária, nova tentativa agendada: ${error.message}` }
+          : { status: 'failed', errorMessage: `Falha na tradução: ${error.message}` });
+        this._publishTranslationStatus(translationRecord);
+      }
+      throw error;
+    }
+  },
+
+  // Tradução perdida na última tentativa (lease vencido): marca como falha
+  async _failInterruptedTranslation(translationId, error) {
+    const translationRecord = await TranscriptionTranslation.findByPk(translationId, {
+      include: [{ model: Transcription, as: 'transcription', attributes: ['id', 'userId'] }],
+    });
+    if (!translationRecord || ['completed', 'failed'].includes(translationRecord.status)) return;
+    await translationRecord.update({ status: 'failed', errorMessage: `Falha na tradução: ${error.message}` });
+    this._publishTranslationStatus(translationRecord);
+  },
+
+  /**
+   * Texto enviado aos assistentes. Com diarização, cada turno vem prefixado pelo nome
+   * do interlocutor (ex: "Médico: ..."); sem ela, usa o texto corrido da transcrição.
+   * Se o plano ou o usuário pedirem, os dados pessoais vão anonimizados.
+   */
+  async getTextForAssistant(transcription, { chapterId = null } = {}) {
+    const chapter = chapterId ? await chapterService.findChapter(transcription.id, chapterId) : null;
+    const text = await this._buildAssistantText(transcription, chapter);
+    return redactionService.textForAssistant(transcription, text);
+  },
+
+  /**
+   * @param {object} [chapter] - Restringe o texto aos segmentos do capítulo.
+   */
+  async _buildAssistantText(transcription, chapter = null) {
+    // Texto editado sem os segmentos: o texto corrido é a versão mais recente
+    if (transcription.segmentsOutdated) {
+      if (chapter) {
+        throw new Error('O texto foi editado e os capítulos não correspondem mais a ele: use a transcrição inteira.');
+      }
+      return transcription.transcriptionText;
+    }
+
+    const where = { transcriptionId: transcription.id };
+    if (chapter) where.segmentIndex = { [Op.between]: [chapter.startSegmentIndex, chapter.endSegmentIndex] };
+    const segments = await TranscriptionSegment.findAll({
+      where,
+      attributes: ['speaker', 'text'],
+      order: [['segmentIndex', 'ASC']],
+    });
+    if (chapter && segments.every(s => !s.speaker)) {
+      return segments.map(s => s.text).join(' ');
+    }
+    if (segments.length === 0 || segments.every(s => !s.speaker)) {
+      return transcription.transcriptionText;
+    }
+
+    const speakerNames = transcription.speakerNames || {};
+    const turns = [];
+    for (const segment of segments) {
+      const name = speakerNames[segment.speaker] || segment.speaker || 'Desconhecido';
+      const lastTurn = turns[turns.length - 1];
+      if (lastTurn && lastTurn.name === name) lastTurn.texts.push(segment.text);
+      else turns.push({ name, texts: [segment.text] });
+    }
+    return turns.map(turn => `${turn.name}: ${turn.texts.join(' ')}`).join('\n');
+  },
+
   async getUserPlanUsage(userId) {
     try {
       const user = await User.findByPk(userId, {
@@ -277,7 +1237,13 @@ const transcriptionService = {
     });
   },
 
-   async updateTranscription(transcriptionId, userId, updateData) {
+  /**
+   * Atualiza o título, a organização (`folderId`, `tags`, `isFavorite`) e/ou o conteúdo da
+   * transcrição. Editar o conteúdo (`transcriptionText` e/ou
+   * `segments: [{ segmentIndex, text, speaker }]`) gera uma nova revisão com o autor da edição.
+   * Editando só os segmentos, o texto corrido é remontado a partir deles.
+   */
+  async updateTranscription(transcriptionId, userId, updateData) {
     const transcription = await Transcription.findOne({ where: { id: transcriptionId, userId } });
     if (!transcription) {
       throw new Error('Transcrição não encontrada ou você não tem permissão para editar.');
@@ -285,10 +1251,313 @@ const transcriptionService = {
     if (updateData.title !== undefined) {
       transcription.title = updateData.title;
     }
-    await transcription.save();
+    if (updateData.folderId !== undefined) {
+      transcription.folderId = await this._resolveFolderId(updateData.folderId, userId);
+    }
+    if (updateData.tags !== undefined) {
+      if (!Array.isArray(updateData.tags)) throw new Error('O campo "tags" é inválido: envie uma lista de textos.');
+      transcription.tags = this._normalizeTags(updateData.tags);
+    }
+    if (updateData.isFavorite !== undefined) {
+      if (typeof updateData.isFavorite !== 'boolean') throw new Error('O campo "isFavorite" é inválido.');
+      transcription.isFavorite = updateData.isFavorite;
+    }
+
+    const editsText = updateData.transcriptionText !== undefined;
+    const editsSegments = updateData.segments !== undefined;
+    if (!editsText && !editsSegments) {
+      await transcription.save();
+      return this.getTranscriptionById(transcription.id, userId);
+    }
+
+    if (transcription.status !== 'completed') {
+      throw new Error('A transcrição ainda não foi concluída e não pode ser editada.');
+    }
+    if (editsText && typeof updateData.transcriptionText !== 'string') {
+      throw new Error('O campo "transcriptionText" é inválido.');
+    }
+
+    await db.sequelize.transaction(async (t) => {
+      // Trava a transcrição para duas edições simultâneas não gerarem o mesmo número de revisão
+      await Transcription.findByPk(transcription.id, { attributes: ['id'], lock: t.LOCK.UPDATE, transaction: t });
+      await this._ensureBaselineRevision(transcription, t);
+
+      if (editsSegments) {
+        const segments = await this._applySegmentEdits(transcription.id, updateData.segments, t);
+        transcription.transcriptionText = editsText ? updateData.transcriptionText : segments.map(s => s.text).join(' ');
+        transcription.segmentsOutdated = false;
+      } else {
+        transcription.transcriptionText = updateData.transcriptionText;
+        const segmentCount = await TranscriptionSegment.count({ where: { transcriptionId: transcription.id }, transaction: t });
+        transcription.segmentsOutdated = segmentCount > 0;
+      }
+
+      transcription.set(await redactionService.buildFieldsForTranscription(transcription, transcription.transcriptionText));
+      await transcription.save({ transaction: t });
+      await this._createRevision(transcription, { source: 'edit', authorId: userId }, t);
+      await this._retranslate(transcription.id, t);
+    });
+    return this.getTranscriptionById(transcription.id, userId);
+  },
+
+  /**
+   * Lista as revisões da transcrição (sem o conteúdo), da mais recente para a mais antiga.
+   */
+  async listRevisions(transcriptionId, userId) {
+    await this._findOwnedTranscription(transcriptionId, userId);
+    return TranscriptionRevision.findAll({
+      where: { transcriptionId },
+      attributes: { exclude: ['transcriptionText', 'segments'] },
+      include: [{ model: User, as: 'author', attributes: ['id', 'name'] }],
+      order: [['revisionNumber', 'DESC']],
+    });
+  },
+
+  async getRevision(transcriptionId, userId, revisionNumber) {
+    await this._findOwnedTranscription(transcriptionId, userId);
+    return this._findRevision(transcriptionId, revisionNumber);
+  },
+
+  /**
+   * Diff entre duas revisões: palavras inseridas/removidas no texto e segmentos alterados.
+   * @param {object} query - { from, to } (números das revisões; `to` padrão = revisão atual)
+   */
+  async diffRevisions(transcriptionId, userId, query = {}) {
+    const transcription = await this._findOwnedTranscription(transcriptionId, userId);
+    const fromRevision = await this._findRevision(transcriptionId, query.from);
+    const toRevision = await this._findRevision(transcriptionId, query.to !== undefined && query.to !== '' ? query.to : transcription.revisionNumber);
+
+    const toSegments = new Map(toRevision.segments.map(s => [s.segmentIndex, s]));
+    const segmentChanges = fromRevision.segments
+      .filter(s => toSegments.has(s.segmentIndex))
+      .map(before => ({ before, after: toSegments.get(before.segmentIndex) }))
+      .filter(({ before, after }) => before.text !== after.text || before.speaker !== after.speaker)
+      .map(({ before, after }) => ({
+        segmentIndex: before.segmentIndex,
+        start: before.start,
+        end: before.end,
+        before: { text: before.text, speaker: before.speaker },
+        after: { text: after.text, speaker: after.speaker },
+        changes: diffWords(before.text, after.text).changes,
+      }));
+
+    return {
+      from: fromRevision.revisionNumber,
+      to: toRevision.revisionNumber,
+      text: diffWords(fromRevision.transcriptionText, toRevision.transcriptionText),
+      segments: segmentChanges,
+    };
+  },
+
+  /**
+   * Restaura o conteúdo de uma revisão antiga. O histórico não é reescrito: a restauração
+   * vira uma nova revisão, que aponta para a revisão de origem.
+   */
+  async restoreRevision(transcriptionId, userId, revisionNumber) {
+    const transcription = await this._findOwnedTranscription(transcriptionId, userId);
+    const revision = await this._findRevision(transcriptionId, revisionNumber);
+    if (revision.revisionNumber === transcription.revisionNumber) {
+      throw new Error('Esta revisão já é a versão atual da transcrição.');
+    }
+
+    await db.sequelize.transaction(async (t) => {
+      await Transcription.findByPk(transcription.id, { attributes: ['id'], lock: t.LOCK.UPDATE, transaction: t });
+      for (const segment of revision.segments) {
+        await TranscriptionSegment.update(
+          { text: segment.text, speaker: segment.speaker },
+          { where: { transcriptionId, segmentIndex: segment.segmentIndex }, transaction: t }
+        );
+      }
+      await transcription.update({
+        transcriptionText: revision.transcriptionText,
+        segmentsOutdated: revision.segmentsOutdated,
+        ...await redactionService.buildFieldsForTranscription(transcription, revision.transcriptionText),
+      }, { transaction: t });
+      await this._createRevision(transcription, { source: 'restore', authorId: userId, restoredFromRevision: revision.revisionNumber }, t);
+      await this._retranslate(transcription.id, t);
+    });
+    // Mesmos campos da consulta da transcrição (sem o caminho do áudio nem o mapeamento cifrado)
+    return this.getTranscriptionById(transcription.id, userId);
+  },
+
+  async _findOwnedTranscription(transcriptionId, userId) {
+    const transcription = await Transcription.findOne({ where: { id: transcriptionId, userId } });
+    if (!transcription) {
+      throw new Error('Transcrição não encontrada ou você não tem permissão para acessá-la.');
+    }
     return transcription;
   },
 
+  async _findRevision(transcriptionId, revisionNumber) {
+    const number = Number.parseInt(revisionNumber, 10);
+    if (Number.isNaN(number)) throw new Error('Número de revisão inválido.');
+    const revision = await TranscriptionRevision.findOne({ where: { transcriptionId, revisionNumber: number } });
+    if (!revision) throw new Error(`Revisão ${number} não encontrada.`);
+    return revision;
+  },
+
+  /**
+   * Grava o estado atual da transcrição (texto e segmentos) como uma nova revisão.
+   * @param {object} meta - { source, authorId, restoredFromRevision }
+   */
+  async _createRevision(transcription, meta, transaction) {
+    const segments = await TranscriptionSegment.findAll({
+      where: { transcriptionId: transcription.id },
+      attributes: ['segmentIndex', 'startTime', 'endTime', 'text', 'speaker'],
+      order: [['segmentIndex', 'ASC']],
+      transaction,
+    });
+    const revisionNumber = (transcription.revisionNumber || 0) + 1;
+    const revision = await TranscriptionRevision.create({
+      transcriptionId: transcription.id,
+      revisionNumber,
+      authorId: meta.authorId || null,
+      source: meta.source,
+      restoredFromRevision: meta.restoredFromRevision || null,
+      transcriptionText: transcription.transcriptionText,
+      segments: segments.map(s => ({ segmentIndex: s.segmentIndex, start: s.startTime, end: s.endTime, text: s.text, speaker: s.speaker })),
+      segmentsOutdated: transcription.segmentsOutdated,
+    }, { transaction });
+    await transcription.update({ revisionNumber }, { transaction });
+    return revision;
+  },
+
+  // Traduções concluídas não correspondem mais ao texto editado: voltam para a fila
+  async _retranslate(transcriptionId, transaction) {
+    const translations = await TranscriptionTranslation.findAll({ where: { transcriptionId, status: 'completed' }, transaction });
+    for (const translationRecord of translations) {
+      await translationRecord.update({ status: 'pending', text: null, segments: [], provider: null, model: null, errorMessage: null }, { transaction });
+      await jobQueue.enqueue(TRANSLATION_JOB, { translationId: translationRecord.id }, { transaction });
+    }
+  },
+
+  // Transcrições concluídas antes do histórico de revisões ganham a revisão 1 na primeira edição
+  async _ensureBaselineRevision(transcription, transaction) {
+    if (transcription.revisionNumber > 0) return;
+    await this._createRevision(transcription, { source: 'transcription' }, transaction);
+  },
+
+  /**
+   * Aplica edições de segmentos: [{ segmentIndex, text, speaker }]. Os tempos não mudam.
+   * @returns {Promise<Array>} Todos os segmentos da transcrição, já atualizados, em ordem.
+   */
+  async _applySegmentEdits(transcriptionId, edits, transaction) {
+    if (!Array.isArray(edits) || edits.length === 0) {
+      throw new Error('O campo "segments" é inválido. Envie uma lista [{ "segmentIndex": 0, "text": "..." }].');
+    }
+    const segments = await TranscriptionSegment.findAll({
+      where: { transcriptionId },
+      order: [['segmentIndex', 'ASC']],
+      transaction,
+    });
+    if (segments.length === 0) {
+      throw new Error('Esta transcrição não possui segmentos para editar. Edite o campo "transcriptionText".');
+    }
+
+    const byIndex = new Map(segments.map(s => [s.segmentIndex, s]));
+    for (const edit of edits) {
+      const segment = byIndex.get(edit?.segmentIndex);
+      if (!segment) throw new Error(`O campo "segments" é inválido: segmento ${edit?.segmentIndex} não existe.`);
+      if (edit.text !== undefined && (typeof edit.text !== 'string' || !edit.text.trim())) {
+        throw new Error(`O campo "segments" é inválido: o texto do segmento ${edit.segmentIndex} não pode ficar vazio.`);
+      }
+      if (edit.text !== undefined) segment.text = edit.text.trim();
+      if (edit.speaker !== undefined) segment.speaker = edit.speaker || null;
+      await segment.save({ transaction });
+    }
+    return segments;
+  },
+
+  /**
+   * Move várias transcrições do usuário para uma pasta (`folderId: null` tira da pasta).
+   */
+  async bulkMove(userId, data = {}) {
+    const ids = this._parseBulkIds(data.transcriptionIds);
+    if (data.folderId === undefined) throw new Error('O campo "folderId" é obrigatório (use null para a raiz).');
+    const folderId = await this._resolveFolderId(data.folderId, userId);
+
+    const [updated] = await Transcription.update({ folderId }, { where: { id: { [Op.in]: ids }, userId } });
+    return { updated, folderId };
+  },
+
+  /**
+   * Adiciona e/ou remove etiquetas de várias transcrições do usuário: body { transcriptionIds, add, remove }.
+   */
+  async bulkTag(userId, data = {}) {
+    const ids = this._parseBulkIds(data.transcriptionIds);
+    const add = this._normalizeTags(data.add || []);
+    const remove = this._normalizeTags(data.remove || []).map(tag => tag.toLowerCase());
+    if (add.length === 0 && remove.length === 0) {
+      throw new Error('Informe ao menos uma etiqueta em "add" ou "remove" (campo obrigatório).');
+    }
+
+    return db.sequelize.transaction(async (t) => {
+      const transcriptions = await Transcription.findAll({
+        where: { id: { [Op.in]: ids }, userId },
+        attributes: ['id', 'tags'],
+        lock: t.LOCK.UPDATE,
+        transaction: t,
+      });
+      for (const transcription of transcriptions) {
+        const kept = (transcription.tags || []).filter(tag => !remove.includes(tag.toLowerCase()));
+        const tags = this._normalizeTags([...kept, ...add]);
+        await transcription.update({ tags }, { transaction: t });
+      }
+      return { updated: transcriptions.length };
+    });
+  },
+
+  /**
+   * Etiquetas em uso pelo usuário, com a quantidade de transcrições de cada uma.
+   */
+  async listTags(userId) {
+    const rows = await db.sequelize.query(`
+      SELECT tag, COUNT(*)::int AS count
+      FROM transcriptions, unnest(tags) AS tag
+      WHERE "userId" = :userId
+      GROUP BY tag
+      ORDER BY count DESC, tag ASC`, {
+      replacements: { userId },
+      type: db.Sequelize.QueryTypes.SELECT,
+    });
+    return rows;
+  },
+
+  // Etiquetas sem espaços sobrando, sem vazias e sem repetição (ignorando maiúsculas/minúsculas)
+  _normalizeTags(values) {
+    if (!Array.isArray(values)) throw new Error('Etiquetas inválidas: envie uma lista de textos.');
+    const tags = [];
+    const seen = new Set();
+    for (const value of values) {
+      if (typeof value !== 'string') throw new Error('Etiquetas inválidas: envie uma lista de textos.');
+      const tag = value.trim().replace(/\s+/g, ' ');
+      if (!tag || seen.has(tag.toLowerCase())) continue;
+      if (tag.length > MAX_TAG_LENGTH) throw new Error(`Etiqueta inválida: máximo de ${MAX_TAG_LENGTH} caracteres.`);
+      seen.add(tag.toLowerCase());
+      tags.push(tag);
+    }
+    if (tags.length > MAX_TAGS) throw new Error(`Etiquetas inválidas: máximo de ${MAX_TAGS} por transcrição.`);
+    return tags;
+  },
+
+  // Confere que a pasta é do usuário; null/'' tira a transcrição da pasta
+  async _resolveFolderId(folderId, userId) {
+    if (!folderId) return null;
+    const folder = await Folder.findOne({ where: { id: folderId, userId }, attributes: ['id'] });
+    if (!folder) throw new Error('Pasta não encontrada ou você não tem permissão.');
+    return folder.id;
+  },
+
+  _parseBulkIds(ids) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new Error('O campo "transcriptionIds" é obrigatório (lista de IDs).');
+    }
+    if (ids.length > MAX_BULK_ITEMS) {
+      throw new Error(`O campo "transcriptionIds" é inválido: máximo de ${MAX_BULK_ITEMS} itens por vez.`);
+    }
+    return [...new Set(ids.map(String))];
+  },
+
   async deleteTranscription(transcriptionId, userId) {
     const transcription = await Transcription.findOne({ where: { id: transcriptionId, userId } });
     if (!transcription) {
@@ -297,8 +1566,7 @@ const transcriptionService = {
 
     if (transcription.audioPath) {
       try {
-        await fsPromises.access(transcription.audioPath);
-        await fsPromises.unlink(transcription.audioPath);
+        await storage.delete(transcription.audioPath);
         console.log(`Arquivo de áudio ${transcription.audioPath} deletado.`);
       } catch (fileError) {
         console.warn(`Aviso: Não foi possível deletar o arquivo de áudio ${transcription.audioPath}. Pode já ter sido removido. Erro: ${fileError.message}`);
@@ -311,4 +1579,11 @@ const transcriptionService = {
 
 };
 
+jobQueue.registerHandler(TRANSCRIPTION_JOB, ({ transcriptionId }, { isFinalAttempt }) =>
+  transcriptionService._processTranscriptionInBackground(transcriptionId, { isFinalAttempt }),
+{ onExpired: ({ transcriptionId }, { error }) => transcriptionService._failInterruptedTranscription(transcriptionId, error) });
+jobQueue.registerHandler(TRANSLATION_JOB, ({ translationId }, { isFinalAttempt }) =>
+  transcriptionService._processTranslationInBackground(translationId, { isFinalAttempt }),
+{ onExpired: ({ translationId }, { error }) => transcriptionService._failInterruptedTranslation(translationId, error) });
+
 module.exports = transcriptionService;
\ No newline at end of file
@@ -0,0 +1,65 @@
+// src/features/UrlImport/urlImport.controller.js
+const urlImportService = require('./urlImport.service');
+
+const handleError = (error, res, next) => {
+  if (error.code === 'UPLOAD_TOO_LARGE') return res.status(413).json({ message: error.message });
+  if (error.code === 'DUPLICATE_UPLOAD') {
+    return res.status(409).json({
+      message: error.message,
+      code: error.code,
+      existingTranscription: error.existingTranscription,
+      cloneUrl: `/api/transcriptions/my-transcriptions/${error.existingTranscription.id}/clone`,
+    });
+  }
+  // O problema está no link ou no servidor de origem, não nesta API
+  if (error.message.includes('Falha no download')) return res.status(502).json({ message: error.message });
+  if (
+    error.message.includes('obrigatório') || error.message.includes('inválid') ||
+    error.message.includes('Tipo de arquivo não suportado') || error.message.includes('faixa de áudio') ||
+    error.message.includes('plano ativo') || error.message.includes('Limite de') ||
+    error.message.includes('duração do áudio') || error.message.includes('Idioma inválido')
+  ) {
+    return res.status(400).json({ message: error.message });
+  }
+  next(error);
+};
+
+const urlImportController = {
+  /**
+   * Importa uma gravação por link: body { url, fileName, language, translateTo, duplicateStrategy }.
+   * Responde como o upload: 202 com a transcrição iniciada ou 200 quando o arquivo já foi transcrito.
+   */
+  async importFromUrl(req, res, next) {
+    try {
+      const transcription = await urlImportService.importFromUrl(req.user.userId, req.body || {});
+
+      if (transcription.duplicate && transcription.duplicate.strategy !== 'transcribe') {
+        return res.status(200).json({
+          message: transcription.duplicate.strategy === 'link'
+            ? 'Este arquivo já foi transcrito. Nenhuma nova transcrição foi criada.'
+            : 'Este arquivo já foi transcrito. Uma cópia da transcrição foi criada, sem custo.',
+          transcriptionId: transcription.id,
+          status: transcription.status,
+          duplicate: transcription.duplicate,
+        });
+      }
+
+      return res.status(202).json({
+        message: 'Arquivo baixado. A transcrição foi iniciada e pode levar alguns minutos.',
+        transcriptionId: transcription.id,
+        status: transcription.status,
+        language: transcription.language || 'auto',
+        originalFileName: transcription.originalFileName,
+        sourceType: transcription.sourceType,
+        sourceMediaType: transcription.sourceMediaType,
+        checkStatusUrl: `/api/transcriptions/status/${transcription.id}`,
+        duplicate: transcription.duplicate || null,
+      });
+    } catch (error) {
+      console.error('Erro no controller importFromUrl:', error.message);
+      handleError(error, res, next);
+    }
+  },
+};
+
+module.exports = urlImportController;
@@ -0,0 +1,15 @@
+// src/features/UrlImport/urlImport.routes.js
+const express = require('express');
+const urlImportController = require('./urlImport.controller');
+const authMiddleware = require('../../utils/authMiddleware');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// Importação por link (http/https, incluindo links de compartilhamento do Google Drive e do Dropbox).
+// Áudios seguem como estão; vídeos (mp4, mov, mkv, webm, avi) têm a faixa de áudio extraída.
+// Body JSON: { url, fileName?, language?, translateTo?, duplicateStrategy? }
+router.post('/', urlImportController.importFromUrl);
+
+module.exports = router;
@@ -0,0 +1,214 @@
+// src/features/UrlImport/urlImport.service.js
+// Importação de gravações por link (ex: gravação de teleconsulta no Google Drive ou Dropbox): o
+// servidor baixa o arquivo com limite de tamanho e de tempo, extrai o áudio quando é um vídeo e
+// segue o mesmo fluxo de um upload (createTranscription), com a origem registrada na transcrição.
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const db = require('../../config/database');
+const settings = require('../../config/settings');
+const storage = require('../../lib/storage');
+const transcriptionService = require('../Transcription/transcription.service');
+const audioExtractor = require('../../utils/audioExtractor');
+const { assertPublicUrl } = require('../../utils/publicUrl');
+const { allowedMimeTypes, audioMimeByExtension, videoMimeTypes, videoMimeByExtension, MAX_UPLOAD_SIZE_MB } = require('../../utils/upload');
+
+const { User, Plan } = db;
+
+const DOWNLOADS_BASE_DIR = path.join(os.tmpdir(), 'url-downloads');
+const DEFAULT_TIMEOUT_SECONDS = 300;
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const GENERIC_CONTENT_TYPES = ['', 'application/octet-stream', 'binary/octet-stream', 'application/binary'];
+
+const tooLargeError = () => Object.assign(
+  new Error(`Arquivo muito grande: o limite é de ${MAX_UPLOAD_SIZE_MB}MB.`),
+  { code: 'UPLOAD_TOO_LARGE' },
+);
+
+const urlImportService = {
+  /**
+   * Baixa a gravação do link e cria a transcrição.
+   * @param {object} data - { url, fileName (opcional, substitui o nome do arquivo), language,
+   *   translateTo, duplicateStrategy } — as mesmas opções do upload.
+   * @returns {Promise<object>} A transcrição criada (ou a existente, como no upload repetido).
+   */
+  async importFromUrl(userId, data = {}) {
+    const sourceUrl = await assertPublicUrl(data.url, { allowPrivate: this._allowPrivate() });
+
+    // Idioma e plano validados antes do download e da extração do áudio, que são o trabalho caro
+    if (data.language) transcriptionService._parseLanguage(data.language, { allowAuto: true });
+    if (data.translateTo) transcriptionService._parseLanguage(data.translateTo);
+    const user = await User.findByPk(userId, { include: [{ model: Plan, as: 'currentPlan' }] });
+    if (!user) throw new Error('Usuário não encontrado.');
+    transcriptionService._assertActivePlanAndCount(user);
+
+    const workDir = path.join(DOWNLOADS_BASE_DIR, crypto.randomUUID());
+    await fsPromises.mkdir(workDir, { recursive: true });
+
+    try {
+      const download = await this._download(this._directDownloadUrl(sourceUrl), path.join(workDir, 'download'));
+      const fileName = this._sanitizeFileName(data.fileName) || download.fileName;
+      const media = await this._prepareMedia(download, fileName, workDir);
+
+      const { size } = await fsPromises.stat(media.path);
+      const file = {
+        key: storage.buildKey('audio', media.fileName),
+        originalname: media.fileName,
+        mimetype: media.mimeType,
+        size,
+        source: { type: 'url', url: sourceUrl, mediaType: media.mediaType },
+      };
+      await storage.put(file.key, fs.createReadStream(media.path), { contentType: media.mimeType });
+
+      // Daqui em diante é um upload comum (o serviço limpa o arquivo do armazenamento se falhar)
+      const { language, translateTo, duplicateStrategy } = data;
+      return await transcriptionService.createTranscription(userId, file, { language, translateTo, duplicateStrategy });
+    } finally {
+      await fsPromises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  },
+
+  /**
+   * Links de compartilhamento apontam para uma página, não para o arquivo: troca pelo link de download.
+   */
+  _directDownloadUrl(value) {
+    const url = new URL(value);
+    if (url.hostname === 'drive.google.com') {
+      const fileId = url.pathname.match(/\/file\/d\/([^/]+)/)?.[1] || url.searchParams.get('id');
+      if (fileId) return `https://drive.google.com/uc?export=download&id=${encodeURIComponent(fileId)}`;
+    }
+    if (url.hostname === 'www.dropbox.com' || url.hostname === 'dropbox.com') {
+      url.searchParams.delete('dl');
+      url.searchParams.set('dl', '1');
+      return url.toString();
+    }
+    return value;
+  },
+
+  /**
+   * Baixa o arquivo para `destPath`, seguindo redirecionamentos (cada destino é validado de novo).
+   * @returns {Promise<{path: string, contentType: string, fileName: string}>}
+   */
+  async _download(url, destPath) {
+    const maxBytes = MAX_UPLOAD_SIZE_MB * 1024 * 1024;
+    const timeoutSeconds = Number(settings.get('URL_IMPORT_TIMEOUT_SECONDS')) || DEFAULT_TIMEOUT_SECONDS;
+    // O mesmo prazo vale para todos os redirecionamentos e para o corpo inteiro da resposta
+    const signal = AbortSignal.timeout(timeoutSeconds * 1000);
+
+    let currentUrl = url;
+    try {
+      for (let redirects = 0; ; redirects++) {
+        currentUrl = await assertPublicUrl(currentUrl, { allowPrivate: this._allowPrivate() });
+        const response = await fetch(currentUrl, { redirect: 'manual', signal });
+
+        if (REDIRECT_STATUSES.includes(response.status)) {
+          await response.body?.cancel();
+          const location = response.headers.get('location');
+          if (!location || redirects >= MAX_REDIRECTS) {
+            throw new Error('Falha no download: redirecionamentos demais ou sem destino.');
+          }
+          currentUrl = new URL(location, currentUrl).toString();
+          continue;
+        }
+        if (!response.ok || !response.body) {
+          await response.body?.cancel();
+          throw new Error(`Falha no download: o servidor respondeu com o status ${response.status}.`);
+        }
+
+        const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+        if (contentType === 'text/html') {
+          // Página de login, de confirmação ou de erro no lugar do arquivo
+          await response.body.cancel();
+          throw new Error('Falha no download: o link abre uma página, não um arquivo. Verifique se o link é público e aponta para a gravação.');
+        }
+        const declaredLength = Number(response.headers.get('content-length'));
+        if (declaredLength > maxBytes) {
+          await response.body.cancel();
+          throw tooLargeError();
+        }
+
+        // O Content-Length pode faltar ou mentir: o limite é conferido também durante a cópia
+        let received = 0;
+        const sizeLimit = new Transform({
+          transform(chunk, encoding, callback) {
+            received += chunk.length;
+            callback(received > maxBytes ? tooLargeError() : null, chunk);
+          },
+        });
+        await pipeline(Readable.fromWeb(response.body), sizeLimit, fs.createWriteStream(destPath));
+
+        return {
+          path: destPath,
+          contentType,
+          fileName: this._fileNameFromResponse(response, currentUrl),
+        };
+      }
+    } catch (error) {
+      if (error.name === 'TimeoutError' || signal.aborted) {
+        throw new Error(`Falha no download: o arquivo não foi baixado em ${timeoutSeconds} segundos.`);
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Áudios aceitos no upload são usados como estão; vídeos (e arquivos de tipo desconhecido) têm a
+   * faixa de áudio extraída. Um arquivo sem áudio ou ilegível termina em "Tipo de arquivo não suportado".
+   * @returns {Promise<{path, fileName, mimeType, mediaType: 'audio'|'video'}>}
+   */
+  async _prepareMedia(download, fileName, workDir) {
+    const extension = path.extname(fileName).toLowerCase();
+    const generic = GENERIC_CONTENT_TYPES.includes(download.contentType);
+    const isVideo = videoMimeTypes.includes(download.contentType) || (generic && videoMimeByExtension[extension]);
+    const audioMimeType = allowedMimeTypes.includes(download.contentType)
+      ? download.contentType
+      : (generic && !videoMimeByExtension[extension] && audioMimeByExtension[extension]);
+
+    if (!isVideo && audioMimeType) {
+      return { path: download.path, fileName, mimeType: audioMimeType, mediaType: 'audio' };
+    }
+    if (!isVideo && !generic && !download.contentType.startsWith('audio/')) {
+      throw new Error(`Tipo de arquivo não suportado (${download.contentType}). Use um link para um arquivo de áudio ou vídeo.`);
+    }
+
+    const { extension: audioExtension, mimeType } = audioExtractor.OUTPUT_FORMAT;
+    const extracted = await audioExtractor.extractAudioTrack(download.path, path.join(workDir, `audio${audioExtension}`));
+    return {
+      path: extracted.path,
+      fileName: `${path.basename(fileName, path.extname(fileName))}${audioExtension}`,
+      mimeType,
+      mediaType: isVideo ? 'video' : 'audio',
+    };
+  },
+
+  // Nome do Content-Disposition ou do último trecho do caminho da URL
+  _fileNameFromResponse(response, url) {
+    const disposition = response.headers.get('content-disposition') || '';
+    const encoded = disposition.match(/filename\*\s*=\s*[^']*'[^']*'([^;]+)/i)?.[1];
+    const plain = disposition.match(/filename\s*=\s*"?([^";]+)"?/i)?.[1];
+    let name = null;
+    try {
+      name = encoded ? decodeURIComponent(encoded) : plain || decodeURIComponent(path.posix.basename(new URL(url).pathname));
+    } catch (error) {
+      name = plain || null;
+    }
+    return this._sanitizeFileName(name) || 'gravacao';
+  },
+
+  _sanitizeFileName(name) {
+    if (typeof name !== 'string') return null;
+    const cleaned = path.basename(name.replace(/\\/g, '/')).replace(/[\x00-\x1f"<>|:*?]/g, '').trim().slice(0, 200);
+    return cleaned && cleaned !== '.' && cleaned !== '..' ? cleaned : null;
+  },
+
+  _allowPrivate() {
+    return settings.get('URL_IMPORT_ALLOW_PRIVATE_URLS') === 'true';
+  },
+};
+
+module.exports = urlImportService;
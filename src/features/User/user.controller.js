@@ -25,7 +25,7 @@ const userController = {
   async updateMe(req, res, next) {
     try {
       const userId = req.user.userId;
-      const updateData = req.body; // Pode conter name, email, password
+      const updateData = req.body; // Pode conter name, email, password, piiRedaction
 
       // Previne que o usuário tente mudar o role ou planId diretamente
       delete updateData.role;
@@ -48,6 +48,9 @@ const userController = {
       if (error.message.includes('não encontrado')) {
         return res.status(404).json({ message: error.message });
       }
+      if (error.message.includes('inválido')) {
+        return res.status(400).json({ message: error.message });
+      }
       next(error);
     }
   },
@@ -2,6 +2,7 @@
 const db = require('../../config/database');
 const cryptoUtils = require('../../utils/crypto'); // Para hashing de senha
 const transcriptionService = require('../Transcription/transcription.service'); // Para obter uso do plano
+const redactionService = require('../Redaction/redaction.service');
 const { User, Plan, Transcription } = db; // Adicionado Transcription
 
 const userService = {
@@ -28,7 +29,7 @@ const userService = {
   /**
    * Atualiza o perfil de um usuário.
    * @param {string} userId - ID do usuário.
-   * @param {object} updateData - Dados para atualização (name, email, password).
+   * @param {object} updateData - Dados para atualização (name, email, password, piiRedaction).
    * @returns {object} Dados do usuário atualizados (sem senha).
    */
   async updateUserProfile(userId, updateData) {
@@ -56,6 +57,14 @@ const userService = {
         user.password = await cryptoUtils.hashPassword(updateData.password);
       }
 
+      // Anonimização de dados pessoais ('off', 'store' ou 'assistants'); o plano pode sobrepor a escolha
+      if (updateData.piiRedaction !== undefined) {
+        if (!redactionService.USER_MODES.includes(updateData.piiRedaction)) {
+          throw new Error(`O campo "piiRedaction" é inválido. Use: ${redactionService.USER_MODES.join(', ')}.`);
+        }
+        user.piiRedaction = updateData.piiRedaction;
+      }
+
       await user.save();
 
       // Retorna o usuário sem a senha
@@ -0,0 +1,123 @@
+// src/features/Webhook/webhook.controller.js
+const webhookService = require('./webhook.service');
+
+const handleError = (error, res, next) => {
+  if (error.message.includes('não encontrad')) return res.status(404).json({ message: error.message });
+  if (error.message.includes('desativado')) return res.status(409).json({ message: error.message });
+  if (error.message.includes('obrigatório') || error.message.includes('inválid') || error.message.includes('Limite')) {
+    return res.status(400).json({ message: error.message });
+  }
+  next(error);
+};
+
+const webhookController = {
+  listEventTypes(req, res) {
+    res.status(200).json({ eventTypes: webhookService.EVENT_TYPES });
+  },
+
+  async listMyWebhooks(req, res, next) {
+    try {
+      const endpoints = await webhookService.listEndpoints(req.user.userId);
+      res.status(200).json(endpoints);
+    } catch (error) {
+      console.error('Erro no controller listMyWebhooks:', error);
+      handleError(error, res, next);
+    }
+  },
+
+  async getWebhook(req, res, next) {
+    try {
+      const endpoint = await webhookService.getEndpoint(req.params.id, req.user.userId);
+      res.status(200).json(endpoint);
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  },
+
+  /**
+   * Cadastra um webhook: body { url, events, description }. A resposta traz o `secret` usado nas
+   * assinaturas; ele não é exibido novamente.
+   */
+  async createWebhook(req, res, next) {
+    try {
+      const endpoint = await webhookService.createEndpoint(req.user.userId, req.body);
+      res.status(201).json(endpoint);
+    } catch (error) {
+      console.error('Erro no controller createWebhook:', error);
+      handleError(error, res, next);
+    }
+  },
+
+  async updateWebhook(req, res, next) {
+    try {
+      const endpoint = await webhookService.updateEndpoint(req.params.id, req.user.userId, req.body);
+      res.status(200).json(endpoint);
+    } catch (error) {
+      console.error('Erro no controller updateWebhook:', error);
+      handleError(error, res, next);
+    }
+  },
+
+  async deleteWebhook(req, res, next) {
+    try {
+      const result = await webhookService.deleteEndpoint(req.params.id, req.user.userId);
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('Erro no controller deleteWebhook:', error);
+      handleError(error, res, next);
+    }
+  },
+
+  async rotateSecret(req, res, next) {
+    try {
+      const endpoint = await webhookService.rotateSecret(req.params.id, req.user.userId);
+      res.status(200).json(endpoint);
+    } catch (error) {
+      console.error('Erro no controller rotateSecret:', error);
+      handleError(error, res, next);
+    }
+  },
+
+  async sendTestEvent(req, res, next) {
+    try {
+      const delivery = await webhookService.sendTestEvent(req.params.id, req.user.userId);
+      res.status(202).json(delivery);
+    } catch (error) {
+      console.error('Erro no controller sendTestEvent:', error);
+      handleError(error, res, next);
+    }
+  },
+
+  /**
+   * Log de entregas do webhook. Query: status, eventType, page, limit.
+   */
+  async listDeliveries(req, res, next) {
+    try {
+      const result = await webhookService.listDeliveries(req.params.id, req.user.userId, req.query);
+      res.status(200).json(result);
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  },
+
+  async getDelivery(req, res, next) {
+    try {
+      const delivery = await webhookService.getDelivery(req.params.deliveryId, req.user.userId);
+      res.status(200).json(delivery);
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  },
+
+  async redeliver(req, res, next) {
+    try {
+      const delivery = await webhookService.redeliver(req.params.deliveryId, req.user.userId);
+      res.status(202).json(delivery);
+    } catch (error) {
+      console.error('Erro no controller redeliver:', error);
+      handleError(error, res, next);
+    }
+  },
+};
+
+module.exports = webhookController;
@@ -0,0 +1,27 @@
+// src/features/Webhook/webhook.routes.js
+const express = require('express');
+const webhookController = require('./webhook.controller');
+const authMiddleware = require('../../utils/authMiddleware');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// Eventos disponíveis para assinatura
+router.get('/event-types', webhookController.listEventTypes);
+
+// Log de entregas (detalhe com payload e resposta do endpoint) e reenvio manual
+router.get('/deliveries/:deliveryId', webhookController.getDelivery);
+router.post('/deliveries/:deliveryId/redeliver', webhookController.redeliver);
+
+// Webhooks do usuário logado
+router.get('/', webhookController.listMyWebhooks);
+router.post('/', webhookController.createWebhook);
+router.get('/:id', webhookController.getWebhook);
+router.put('/:id', webhookController.updateWebhook);
+router.delete('/:id', webhookController.deleteWebhook);
+router.post('/:id/rotate-secret', webhookController.rotateSecret);
+router.post('/:id/test', webhookController.sendTestEvent);
+router.get('/:id/deliveries', webhookController.listDeliveries);
+
+module.exports = router;
@@ -0,0 +1,295 @@
+// src/features/Webhook/webhook.service.js
+// Webhooks de saída: o usuário cadastra endpoints com filtros de evento e recebe um POST assinado
+// (HMAC-SHA256) quando transcrições e execuções de assistentes terminam. Cada entrega é registrada
+// e tentada pela fila de tarefas, que repete com backoff exponencial em caso de falha.
+const crypto = require('crypto');
+const db = require('../../config/database');
+const settings = require('../../config/settings');
+const jobQueue = require('../../lib/jobQueue');
+const { assertPublicUrl } = require('../../utils/publicUrl');
+
+const { WebhookEndpoint, WebhookDelivery } = db;
+
+const DELIVERY_JOB = 'webhook.deliver';
+const EVENT_TYPES = [
+  'transcription.completed',
+  'transcription.failed',
+  'translation.completed',
+  'translation.failed',
+  'assistant_run.completed',
+  'assistant_run.failed',
+];
+const TEST_EVENT = 'webhook.test';
+const MAX_ENDPOINTS_PER_USER = 10;
+// Com o backoff da fila (30s, 1min, 2min... até 30min), 8 tentativas cobrem cerca de 2 horas
+const MAX_ATTEMPTS = 8;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_RESPONSE_BODY = 2000;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+const webhookService = {
+  EVENT_TYPES,
+
+  /**
+   * Assinatura enviada no cabeçalho X-Webhook-Signature: "t=<timestamp>,v1=<hmac>", em que o HMAC
+   * (SHA-256, hex) é calculado sobre "<timestamp>.<corpo>". O receptor deve recalcular com o
+   * segredo do endpoint e recusar timestamps antigos, para evitar replay.
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  },
+
+  // =========================================================================
+  // ENDPOINTS DO USUÁRIO
+  // =========================================================================
+
+  async listEndpoints(userId) {
+    const endpoints = await WebhookEndpoint.findAll({ where: { userId }, order: [['createdAt', 'ASC']] });
+    return endpoints.map(endpoint => this._serialize(endpoint));
+  },
+
+  async getEndpoint(endpointId, userId) {
+    return this._serialize(await this._findOwnedEndpoint(endpointId, userId));
+  },
+
+  /**
+   * Cadastra um endpoint: { url, events, description }. O segredo só é devolvido aqui e na rotação.
+   */
+  async createEndpoint(userId, data) {
+    const count = await WebhookEndpoint.count({ where: { userId } });
+    if (count >= MAX_ENDPOINTS_PER_USER) {
+      throw new Error(`Limite de ${MAX_ENDPOINTS_PER_USER} webhooks por usuário atingido.`);
+    }
+    const url = await this._validateUrl(data.url);
+    const events = this._validateEvents(data.events);
+    const endpoint = await WebhookEndpoint.create({
+      userId,
+      url,
+      events,
+      description: data.description || null,
+      secret: generateSecret(),
+    });
+    return this._serialize(endpoint, { includeSecret: true });
+  },
+
+  async updateEndpoint(endpointId, userId, data) {
+    const endpoint = await this._findOwnedEndpoint(endpointId, userId);
+    const updates = {};
+    if (data.url !== undefined) updates.url = await this._validateUrl(data.url);
+    if (data.events !== undefined) updates.events = this._validateEvents(data.events);
+    if (data.description !== undefined) updates.description = data.description || null;
+    if (data.isActive !== undefined) {
+      if (typeof data.isActive !== 'boolean') throw new Error('O campo "isActive" é inválido.');
+      updates.isActive = data.isActive;
+    }
+    await endpoint.update(updates);
+    return this._serialize(endpoint);
+  },
+
+  async deleteEndpoint(endpointId, userId) {
+    const endpoint = await this._findOwnedEndpoint(endpointId, userId);
+    await endpoint.destroy();
+    return { message: 'Webhook excluído com sucesso.' };
+  },
+
+  /**
+   * Gera um novo segredo; o anterior deixa de valer imediatamente.
+   */
+  async rotateSecret(endpointId, userId) {
+    const endpoint = await this._findOwnedEndpoint(endpointId, userId);
+    await endpoint.update({ secret: generateSecret() });
+    return this._serialize(endpoint, { includeSecret: true });
+  },
+
+  /**
+   * Envia um evento de teste (webhook.test) para o endpoint, mesmo que ele não o assine.
+   */
+  async sendTestEvent(endpointId, userId) {
+    const endpoint = await this._findOwnedEndpoint(endpointId, userId);
+    const [delivery] = await this._createDeliveries([endpoint], this._buildEvent(TEST_EVENT, { message: 'Evento de teste do webhook.' }));
+    return delivery;
+  },
+
+  // =========================================================================
+  // ENTREGAS
+  // =========================================================================
+
+  async listDeliveries(endpointId, userId, filters = {}) {
+    await this._findOwnedEndpoint(endpointId, userId);
+    const limit = Math.min(Number.parseInt(filters.limit, 10) || 20, 100);
+    const page = Math.max(Number.parseInt(filters.page, 10) || 1, 1);
+    const where = { endpointId };
+    if (filters.status) where.status = filters.status;
+    if (filters.eventType) where.eventType = filters.eventType;
+
+    const { count, rows } = await WebhookDelivery.findAndCountAll({
+      where,
+      attributes: { exclude: ['payload', 'responseBody'] },
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+    });
+    return { deliveries: rows, total: count, totalPages: Math.ceil(count / limit), currentPage: page };
+  },
+
+  async getDelivery(deliveryId, userId) {
+    const delivery = await WebhookDelivery.findOne({ where: { id: deliveryId, userId } });
+    if (!delivery) throw new Error('Entrega não encontrada ou você não tem permissão.');
+    return delivery;
+  },
+
+  /**
+   * Reenvia o mesmo evento (mesmo eventId) como uma nova entrega; o log da original é mantido.
+   */
+  async redeliver(deliveryId, userId) {
+    const original = await this.getDelivery(deliveryId, userId);
+    const endpoint = await this._findOwnedEndpoint(original.endpointId, userId);
+    if (!endpoint.isActive) throw new Error('O webhook está desativado. Ative-o antes de reenviar.');
+
+    return db.sequelize.transaction(async (t) => {
+      const delivery = await WebhookDelivery.create({
+        endpointId: endpoint.id,
+        userId,
+        eventId: original.eventId,
+        eventType: original.eventType,
+        payload: original.payload,
+        redeliveryOfId: original.id,
+      }, { transaction: t });
+      await jobQueue.enqueue(DELIVERY_JOB, { deliveryId: delivery.id }, { maxAttempts: MAX_ATTEMPTS, transaction: t });
+      return delivery;
+    });
+  },
+
+  // =========================================================================
+  // EMISSÃO E ENTREGA
+  // =========================================================================
+
+  /**
+   * Emite um evento para os endpoints ativos do usuário que o assinam. Chamado pelos serviços de
+   * transcrição e de assistentes; nunca lança erro para não afetar o fluxo de quem emitiu.
+   * @param {string} userId
+   * @param {string} type - Um dos EVENT_TYPES.
+   * @param {object} data - Conteúdo do evento (IDs e dados do recurso).
+   */
+  async emit(userId, type, data) {
+    try {
+      const endpoints = await WebhookEndpoint.findAll({ where: { userId, isActive: true } });
+      const subscribed = endpoints.filter(endpoint => endpoint.events.includes('*') || endpoint.events.includes(type));
+      if (subscribed.length === 0) return;
+      await this._createDeliveries(subscribed, this._buildEvent(type, data));
+    } catch (error) {
+      console.error(`[Webhook] Falha ao emitir o evento ${type} do usuário ${userId}:`, error);
+    }
+  },
+
+  /**
+   * Uma tentativa de entrega (executada pela fila). Respostas fora de 2xx e erros de rede lançam
+   * erro para a fila tentar de novo; na última tentativa a entrega fica como `failed`.
+   */
+  async _deliver(deliveryId, { attempt = 1, isFinalAttempt = true } = {}) {
+    const delivery = await WebhookDelivery.findByPk(deliveryId, {
+      include: [{ model: WebhookEndpoint, as: 'endpoint' }],
+    });
+    if (!delivery || delivery.status === 'succeeded') return;
+
+    const endpoint = delivery.endpoint;
+    if (!endpoint || !endpoint.isActive) {
+      await delivery.update({ status: 'failed', errorMessage: 'Webhook desativado ou excluído antes da entrega.' });
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const result = { attempts: attempt, lastAttemptAt: new Date(), responseStatus: null, responseBody: null, errorMessage: null };
+    try {
+      // Revalida na entrega: o DNS do domínio pode ter mudado para um endereço interno
+      await this._validateUrl(endpoint.url);
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Transcrimex-Webhooks/1.0',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Signature': `t=${timestamp},v1=${this.sign(endpoint.secret, timestamp, body)}`,
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      result.responseStatus = response.status;
+      result.responseBody = (await response.text().catch(() => '')).slice(0, MAX_RESPONSE_BODY);
+      if (!response.ok) throw new Error(`O endpoint respondeu HTTP ${response.status}.`);
+
+      await delivery.update({ ...result, durationMs: Date.now() - startedAt, status: 'succeeded', deliveredAt: new Date() });
+    } catch (error) {
+      result.errorMessage = error.name === 'TimeoutError' ? `Sem resposta em ${REQUEST_TIMEOUT_MS / 1000}s.` : error.message;
+      await delivery.update({ ...result, durationMs: Date.now() - startedAt, status: isFinalAttempt ? 'failed' : 'pending' });
+      throw new Error(`Entrega ${delivery.id} falhou: ${result.errorMessage}`);
+    }
+  },
+
+  _buildEvent(type, data) {
+    return { id: crypto.randomUUID(), type, createdAt: new Date().toISOString(), data };
+  },
+
+  async _createDeliveries(endpoints, event) {
+    return db.sequelize.transaction(async (t) => {
+      const deliveries = [];
+      for (const endpoint of endpoints) {
+        const delivery = await WebhookDelivery.create({
+          endpointId: endpoint.id,
+          userId: endpoint.userId,
+          eventId: event.id,
+          eventType: event.type,
+          payload: event,
+        }, { transaction: t });
+        await jobQueue.enqueue(DELIVERY_JOB, { deliveryId: delivery.id }, { maxAttempts: MAX_ATTEMPTS, transaction: t });
+        deliveries.push(delivery);
+      }
+      return deliveries;
+    });
+  },
+
+  async _findOwnedEndpoint(endpointId, userId) {
+    const endpoint = await WebhookEndpoint.findOne({ where: { id: endpointId, userId } });
+    if (!endpoint) throw new Error('Webhook não encontrado ou você não tem permissão.');
+    return endpoint;
+  },
+
+  _serialize(endpoint, { includeSecret = false } = {}) {
+    const { secret, ...data } = endpoint.toJSON();
+    return includeSecret ? { ...data, secret } : data;
+  },
+
+  _validateEvents(events) {
+    if (events === undefined || events === null) return ['*'];
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new Error('O campo "events" é inválido: envie uma lista de eventos ou ["*"] para todos.');
+    }
+    const unknown = events.filter(event => event !== '*' && !EVENT_TYPES.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`Evento(s) inválido(s): ${unknown.join(', ')}. Disponíveis: ${EVENT_TYPES.join(', ')}.`);
+    }
+    return [...new Set(events)];
+  },
+
+  /**
+   * Aceita apenas http(s) para endereços públicos. WEBHOOK_ALLOW_PRIVATE_URLS=true libera a rede
+   * interna (ex: integração com um sistema na mesma rede do servidor).
+   */
+  _validateUrl(value) {
+    return assertPublicUrl(value, { allowPrivate: settings.get('WEBHOOK_ALLOW_PRIVATE_URLS') === 'true' });
+  },
+};
+
+jobQueue.registerHandler(DELIVERY_JOB, ({ deliveryId }, { attempt, isFinalAttempt }) =>
+  webhookService._deliver(deliveryId, { attempt, isFinalAttempt }),
+{ onExpired: ({ deliveryId }, { error }) => WebhookDelivery.update(
+  { status: 'failed', errorMessage: error.message },
+  { where: { id: deliveryId, status: 'pending' } },
+) });
+
+module.exports = webhookService;
@@ -0,0 +1,52 @@
+// src/lib/chapterTitles/index.js
+// Provedores de títulos de capítulos. Cada provedor expõe:
+//   name, defaultModel e generateTitles({ texts, language, model }) -> string[]
+// devolvendo um título curto por capítulo, na mesma ordem. O provedor ativo vem da configuração
+// CHAPTER_TITLE_PROVIDER (padrão: 'openai') e o modelo de CHAPTER_TITLE_MODEL.
+const settings = require('../../config/settings');
+const openaiTitler = require('./openaiTitler');
+const keywordTitler = require('./keywordTitler');
+
+const MAX_TITLE_LENGTH = 120;
+
+const providers = {
+  [openaiTitler.name]: openaiTitler,
+  [keywordTitler.name]: keywordTitler,
+};
+
+const chapterTitles = {
+  registerProvider(provider) {
+    providers[provider.name] = provider;
+  },
+
+  getProvider(name = settings.get('CHAPTER_TITLE_PROVIDER') || openaiTitler.name) {
+    const provider = providers[name];
+    if (!provider) {
+      throw new Error(`Provedor de títulos de capítulos desconhecido: "${name}".`);
+    }
+    return provider;
+  },
+
+  /**
+   * Gera um título para o texto de cada capítulo.
+   * @param {string[]} texts - Texto de cada capítulo, em ordem.
+   * @param {object} options - { language (ISO 639-1 ou null), provider (padrão: o configurado) }
+   * @returns {Promise<{titles: string[], provider: string, model: string}>}
+   */
+  async generateTitles(texts, { language, provider: providerName } = {}) {
+    const provider = this.getProvider(providerName);
+    const model = (providerName ? null : settings.get('CHAPTER_TITLE_MODEL')) || provider.defaultModel;
+
+    const titles = await provider.generateTitles({ texts, language, model });
+    if (titles.length !== texts.length) {
+      throw new Error(`O provedor "${provider.name}" retornou ${titles.length} títulos para ${texts.length} capítulos.`);
+    }
+    return {
+      titles: titles.map((title, i) => String(title || '').trim().slice(0, MAX_TITLE_LENGTH) || `Capítulo ${i + 1}`),
+      provider: provider.name,
+      model,
+    };
+  },
+};
+
+module.exports = chapterTitles;
@@ -0,0 +1,44 @@
+// src/lib/chapterTitles/keywordTitler.js
+// Provedor local, sem API: o título são as palavras mais frequentes do capítulo (ignorando as
+// muito comuns). Usado em desenvolvimento e como alternativa quando o provedor configurado falha.
+
+const STOPWORDS = new Set([
+  // Português
+  'para', 'pela', 'pelo', 'com', 'como', 'mais', 'mas', 'que', 'porque', 'quando', 'onde', 'isso', 'isto',
+  'essa', 'esse', 'esta', 'este', 'aqui', 'ali', 'então', 'também', 'muito', 'muita', 'ainda', 'agora',
+  'você', 'vocês', 'ele', 'ela', 'eles', 'elas', 'nós', 'gente', 'minha', 'meu', 'sua', 'seu', 'dele', 'dela',
+  'tem', 'tinha', 'temos', 'está', 'estava', 'estou', 'são', 'era', 'foi', 'ser', 'ter', 'fazer', 'faz',
+  'vai', 'vou', 'pode', 'assim', 'aí', 'né', 'tá', 'sim', 'não', 'bem', 'tudo', 'nada', 'coisa', 'coisas',
+  'uma', 'umas', 'uns', 'dos', 'das', 'nos', 'nas', 'num', 'numa', 'sobre', 'depois', 'antes', 'até',
+  'acho', 'sei', 'bom', 'olha', 'certo', 'aquele', 'aquela', 'dizer', 'disse', 'falar', 'falou', 'quer',
+  // Inglês
+  'the', 'and', 'that', 'this', 'with', 'have', 'from', 'they', 'what', 'about', 'there', 'just', 'like',
+  'your', 'were', 'been', 'would', 'could', 'know', 'think', 'really', 'yeah', 'okay', 'right', 'because',
+]);
+
+const MIN_WORD_LENGTH = 3;
+const WORDS_PER_TITLE = 3;
+
+const keywordTitler = {
+  name: 'keywords',
+  defaultModel: 'keywords-1',
+
+  async generateTitles({ texts }) {
+    return texts.map((text) => {
+      const counts = new Map();
+      for (const word of String(text || '').toLowerCase().match(/\p{L}[\p{L}'’-]*/gu) || []) {
+        if (word.length < MIN_WORD_LENGTH || STOPWORDS.has(word)) continue;
+        counts.set(word, (counts.get(word) || 0) + 1);
+      }
+      const keywords = [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, WORDS_PER_TITLE)
+        .map(([word]) => word);
+      if (keywords.length === 0) return '';
+      const title = keywords.join(', ');
+      return title.charAt(0).toUpperCase() + title.slice(1);
+    });
+  },
+};
+
+module.exports = keywordTitler;
@@ -0,0 +1,65 @@
+// src/lib/chapterTitles/openaiTitler.js
+const { OpenAI } = require('openai');
+const settings = require('../../config/settings');
+const { getLanguageName } = require('../../utils/languages');
+
+// Cada capítulo vai resumido ao início e ao fim, que bastam para o assunto e limitam o custo
+const MAX_CHARS_PER_CHAPTER = 2400;
+
+let cachedClient = null;
+let cachedApiKey = null;
+
+const getClient = () => {
+  const apiKey = settings.get('OPENAI_API_KEY');
+  if (!apiKey) {
+    throw new Error('Chave de API da OpenAI não configurada. Configure OPENAI_API_KEY ou escolha outro provedor de títulos de capítulos.');
+  }
+  if (!cachedClient || cachedApiKey !== apiKey) {
+    cachedClient = new OpenAI({ apiKey });
+    cachedApiKey = apiKey;
+  }
+  return cachedClient;
+};
+
+const excerpt = (text) => {
+  if (text.length <= MAX_CHARS_PER_CHAPTER) return text;
+  const half = MAX_CHARS_PER_CHAPTER / 2;
+  return `${text.slice(0, half)} [...] ${text.slice(-half)}`;
+};
+
+const openaiTitler = {
+  name: 'openai',
+  defaultModel: 'gpt-4o-mini',
+
+  async generateTitles({ texts, language, model }) {
+    const languageName = language ? `em ${getLanguageName(language)}` : 'no idioma da transcrição';
+    const response = await getClient().chat.completions.create({
+      model: model || this.defaultModel,
+      temperature: 0,
+      response_format: { type: 'json_object' },
+      messages: [
+        {
+          role: 'system',
+          content: 'Você recebe os capítulos consecutivos de uma transcrição de áudio, no array "chapters". '
+            + `Escreva ${languageName} um título curto (até 8 palavras) com o assunto principal de cada capítulo, sem numeração. `
+            + 'Responda apenas com um JSON {"titles": [...]} com o mesmo número de itens, na mesma ordem.',
+        },
+        { role: 'user', content: JSON.stringify({ chapters: texts.map(excerpt) }) },
+      ],
+    });
+
+    const content = response.choices[0]?.message?.content || '';
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`A resposta do modelo de títulos não é um JSON válido: ${error.message}`);
+    }
+    if (!Array.isArray(parsed.titles)) {
+      throw new Error('A resposta do modelo de títulos não contém o campo "titles".');
+    }
+    return parsed.titles.map(title => String(title));
+  },
+};
+
+module.exports = openaiTitler;
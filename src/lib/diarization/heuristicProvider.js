@@ -0,0 +1,38 @@
+// src/lib/diarization/heuristicProvider.js
+// Provedor local de diarização, sem dependências externas. Não analisa a voz: estima as trocas
+// de interlocutor a partir das pausas e das perguntas, o que funciona razoavelmente bem para
+// diálogos de duas pessoas (ex: consulta médico–paciente) e permite testar o fluxo offline.
+
+const DEFAULT_OPTIONS = {
+  maxSpeakers: 2,          // Quantidade de interlocutores que se alternam
+  pauseThresholdSeconds: 1.0, // Pausa a partir da qual consideramos troca de turno
+};
+
+const heuristicProvider = {
+  name: 'heuristic',
+
+  /**
+   * @param {object} params
+   * @param {Array<{start: number, end: number, text: string}>} params.segments - Segmentos em ordem.
+   * @param {object} [params.options] - Sobrescreve os valores de DEFAULT_OPTIONS.
+   * @returns {Promise<Array<string>>} Um rótulo (SPEAKER_n) por segmento.
+   */
+  async diarize({ segments, options = {} }) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    let speaker = 0;
+
+    return segments.map((segment, i) => {
+      const previous = segments[i - 1];
+      if (previous) {
+        const pause = segment.start - previous.end;
+        const previousWasQuestion = previous.text.trim().endsWith('?');
+        if (pause >= opts.pauseThresholdSeconds || previousWasQuestion) {
+          speaker = (speaker + 1) % opts.maxSpeakers;
+        }
+      }
+      return `SPEAKER_${speaker + 1}`;
+    });
+  },
+};
+
+module.exports = heuristicProvider;
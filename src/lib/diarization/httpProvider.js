@@ -0,0 +1,56 @@
+// src/lib/diarization/httpProvider.js
+// Provedor que delega a diarização a um serviço HTTP externo (ex: servidor pyannote próprio).
+// Contrato esperado: POST multipart com o campo "file" e resposta
+// { "turns": [{ "start": 0.0, "end": 4.2, "speaker": "SPEAKER_1" }, ...] }.
+const fs = require('fs');
+const path = require('path');
+const settings = require('../../config/settings');
+
+// O lease da tarefa é renovado enquanto ela roda: sem prazo, um serviço travado prenderia a transcrição
+const DEFAULT_TIMEOUT_SECONDS = 600;
+
+// Escolhe, para cada segmento, o interlocutor com maior sobreposição de tempo
+const assignSpeakers = (segments, turns) => segments.map(segment => {
+  let best = { speaker: null, overlap: 0 };
+  for (const turn of turns) {
+    const overlap = Math.min(segment.end, turn.end) - Math.max(segment.start, turn.start);
+    if (overlap > best.overlap) best = { speaker: turn.speaker, overlap };
+  }
+  return best.speaker || 'SPEAKER_1';
+});
+
+const httpProvider = {
+  name: 'http',
+
+  async diarize({ audioPath, segments }) {
+    const apiUrl = settings.get('DIARIZATION_API_URL');
+    if (!apiUrl) {
+      throw new Error('DIARIZATION_API_URL não configurada para o provedor de diarização "http".');
+    }
+
+    const form = new FormData();
+    // O áudio pode ter centenas de MB: o Blob lê do disco durante o envio, sem carregar tudo na memória
+    form.append('file', await fs.openAsBlob(audioPath), path.basename(audioPath));
+
+    const headers = {};
+    const apiKey = settings.get('DIARIZATION_API_KEY');
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const timeoutSeconds = Number(settings.get('DIARIZATION_TIMEOUT_SECONDS')) || DEFAULT_TIMEOUT_SECONDS;
+    try {
+      const response = await fetch(apiUrl, { method: 'POST', body: form, headers, signal: AbortSignal.timeout(timeoutSeconds * 1000) });
+      if (!response.ok) {
+        throw new Error(`Serviço de diarização respondeu HTTP ${response.status}: ${response.statusText}`);
+      }
+      const { turns = [] } = await response.json();
+      return assignSpeakers(segments, turns);
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error(`Serviço de diarização sem resposta em ${timeoutSeconds}s.`);
+      }
+      throw error;
+    }
+  },
+};
+
+module.exports = httpProvider;
@@ -0,0 +1,51 @@
+// src/lib/diarization/index.js
+// Ponto único de acesso aos provedores de diarização (atribuição de interlocutores aos segmentos).
+// O provedor ativo vem da configuração DIARIZATION_PROVIDER ('none', 'http' ou 'heuristic'). O padrão é
+// 'none': o heurístico só estima os turnos e serve para testes offline, não para uso real.
+const settings = require('../../config/settings');
+const heuristicProvider = require('./heuristicProvider');
+const httpProvider = require('./httpProvider');
+
+const providers = {
+  [heuristicProvider.name]: heuristicProvider,
+  [httpProvider.name]: httpProvider,
+};
+
+const diarization = {
+  /**
+   * Registra um provedor adicional. Deve expor `name` e `diarize({ audioPath, segments, options })`,
+   * retornando um rótulo de interlocutor por segmento, na mesma ordem.
+   */
+  registerProvider(provider) {
+    providers[provider.name] = provider;
+  },
+
+  /**
+   * Retorna o provedor configurado, ou null quando a diarização está desativada.
+   */
+  getProvider(name = settings.get('DIARIZATION_PROVIDER') || 'none') {
+    if (name === 'none') return null;
+    const provider = providers[name];
+    if (!provider) {
+      throw new Error(`Provedor de diarização desconhecido: "${name}".`);
+    }
+    return provider;
+  },
+
+  /**
+   * Atribui rótulos de interlocutor aos segmentos usando o provedor configurado.
+   * @returns {Promise<Array<object>>} Os segmentos com o campo `speaker` preenchido.
+   */
+  async labelSegments({ audioPath, segments, options }) {
+    const provider = this.getProvider();
+    if (!provider || segments.length === 0) return segments;
+
+    const speakers = await provider.diarize({ audioPath, segments, options });
+    if (speakers.length !== segments.length) {
+      throw new Error(`O provedor "${provider.name}" retornou ${speakers.length} rótulos para ${segments.length} segmentos.`);
+    }
+    return segments.map((segment, i) => ({ ...segment, speaker: speakers[i] }));
+  },
+};
+
+module.exports = diarization;
@@ -0,0 +1,56 @@
+// src/lib/eventBus.js
+// Barramento interno de eventos por usuário. Os serviços publicam mudanças de estado (transcrições,
+// traduções, execuções de assistentes) e o endpoint SSE (/api/events) as repassa ao navegador.
+// Os últimos eventos ficam em memória para o cliente que reconectar com Last-Event-ID não perder
+// nada. O barramento vive no processo: a API e os workers da fila rodam no mesmo processo.
+const { EventEmitter } = require('events');
+
+const HISTORY_SIZE = 500;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // Uma conexão SSE = um listener
+
+// Começa no horário atual para os IDs continuarem crescendo depois de um reinício
+let lastId = Date.now();
+const history = [];
+
+const channel = (userId) => `user:${userId}`;
+
+const eventBus = {
+  /**
+   * @param {string} userId - Dono do recurso; só as conexões desse usuário recebem o evento.
+   * @param {string} type - Ex: 'transcription.status', 'assistant.status'.
+   * @param {object} data
+   */
+  publish(userId, type, data) {
+    if (!userId) return;
+    const event = { id: ++lastId, userId, type, data, createdAt: new Date().toISOString() };
+    history.push(event);
+    if (history.length > HISTORY_SIZE) history.shift();
+    try {
+      emitter.emit(channel(userId), event);
+    } catch (error) {
+      // Um listener com problema não pode interromper o serviço que publicou
+      console.error(`[EventBus] Erro ao entregar o evento ${type}:`, error);
+    }
+  },
+
+  /**
+   * @param {string} userId
+   * @param {function(object): void} listener - Recebe { id, type, data, createdAt }.
+   * @returns {function(): void} Cancela a inscrição.
+   */
+  subscribe(userId, listener) {
+    emitter.on(channel(userId), listener);
+    return () => emitter.off(channel(userId), listener);
+  },
+
+  /**
+   * Eventos do usuário posteriores a `afterId` ainda guardados em memória.
+   */
+  recent(userId, afterId) {
+    return history.filter(event => event.userId === userId && event.id > afterId);
+  },
+};
+
+module.exports = eventBus;
@@ -0,0 +1,221 @@
+// src/lib/jobQueue.js
+// Fila de tarefas persistida no Postgres (tabela `jobs`), para que transcrições e execuções de
+// assistentes sobrevivam a reinícios e deploys. Cada worker "aluga" uma tarefa por um tempo
+// (lease) e o renova com heartbeats; se o processo morrer, o lease vence e outra instância
+// retoma a tarefa. Falhas são repetidas com backoff exponencial até esgotar as tentativas,
+// quando a tarefa vai para o estado `dead` (dead-letter) para análise do admin.
+const os = require('os');
+const crypto = require('crypto');
+const db = require('../config/database');
+
+const { Job } = db;
+const { Op, QueryTypes } = db.Sequelize;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+const LEASE_SECONDS = 60;
+const HEARTBEAT_MS = 20 * 1000;
+const POLL_INTERVAL_MS = 2000;
+const BACKOFF_BASE_SECONDS = 30;
+const BACKOFF_MAX_SECONDS = 30 * 60;
+
+const handlers = {};
+const expiredHandlers = {};
+let running = false;
+const activeLoops = [];
+
+// 30s, 60s, 120s... limitado a 30 minutos, com variação aleatória para não sincronizar as tentativas
+const backoffSeconds = (attempt) => {
+  const base = Math.min(BACKOFF_MAX_SECONDS, BACKOFF_BASE_SECONDS * 2 ** (attempt - 1));
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const jobQueue = {
+  WORKER_ID,
+
+  /**
+   * Registra a função que processa um tipo de tarefa.
+   * O handler recebe (payload, { job, attempt, isFinalAttempt }) e deve lançar erro para falhar.
+   * Erros com `retryable === false` vão direto para dead-letter, sem novas tentativas.
+   * @param {object} [options] - { onExpired(payload, { job, error }) }: chamado quando o lease da
+   *   última tentativa vence (worker caiu ou travou) e a tarefa vai para dead-letter sem o handler
+   *   rodar de novo; é onde o serviço marca o registro como falho.
+   */
+  registerHandler(type, handler, { onExpired } = {}) {
+    handlers[type] = handler;
+    if (onExpired) expiredHandlers[type] = onExpired;
+  },
+
+  /**
+   * Enfileira uma tarefa.
+   * @param {string} type - Tipo registrado com registerHandler.
+   * @param {object} payload - Dados serializáveis em JSON (use IDs, não instâncias).
+   * @param {object} [options] - { maxAttempts, runAt, transaction }
+   */
+  async enqueue(type, payload, options = {}) {
+    if (!handlers[type]) {
+      console.warn(`[JobQueue] Enfileirando tarefa do tipo "${type}" sem handler registrado neste processo.`);
+    }
+    return Job.create({
+      type,
+      payload,
+      maxAttempts: options.maxAttempts || 5,
+      runAt: options.runAt || new Date(),
+    }, { transaction: options.transaction });
+  },
+
+  /**
+   * Indica se já existe tarefa pendente ou em execução para o tipo e os campos do payload informados.
+   */
+  async hasActiveJob(type, payloadMatch) {
+    const count = await Job.count({
+      where: { type, status: { [Op.in]: ['pending', 'running'] }, payload: payloadMatch },
+    });
+    return count > 0;
+  },
+
+  /**
+   * Reenfileira uma tarefa em dead-letter, zerando as tentativas.
+   */
+  async retryDeadJob(jobId) {
+    const job = await Job.findByPk(jobId);
+    if (!job) throw new Error('Tarefa não encontrada.');
+    if (job.status !== 'dead') throw new Error('Apenas tarefas com status "dead" podem ser reenfileiradas.');
+    await job.update({ status: 'pending', attempts: 0, runAt: new Date(), lastError: null, lockedBy: null, leaseExpiresAt: null });
+    return job;
+  },
+
+  async listJobs(filters = {}) {
+    const { status, type, page = 1, limit = 20 } = filters;
+    const where = {};
+    if (status) where.status = status;
+    if (type) where.type = type;
+    const { count, rows } = await Job.findAndCountAll({
+      where,
+      limit: parseInt(limit, 10),
+      offset: (page - 1) * limit,
+      order: [['updatedAt', 'DESC']],
+    });
+    return { jobs: rows, total: count, totalPages: Math.ceil(count / limit), currentPage: parseInt(page, 10) };
+  },
+
+  /**
+   * Reserva atomicamente a próxima tarefa disponível: pendente com runAt vencido, ou em execução
+   * com lease expirado (worker que morreu). SKIP LOCKED permite vários workers/instâncias.
+   */
+  async _claimNextJob() {
+    const types = Object.keys(handlers);
+    if (types.length === 0) return null;
+    // Identifica esta reserva (e não só o processo), para um loop não sobrescrever o resultado de
+    // outro que retomou a mesma tarefa depois de o lease vencer
+    const lockId = `${WORKER_ID}:${crypto.randomUUID().slice(0, 8)}`;
+
+    const rows = await db.sequelize.query(`
+      UPDATE jobs SET
+        status = 'running',
+        "lockedBy" = :lockId,
+        "leaseExpiresAt" = NOW() + (:leaseSeconds * INTERVAL '1 second'),
+        "heartbeatAt" = NOW(),
+        attempts = attempts + 1,
+        "updatedAt" = NOW()
+      WHERE id = (
+        SELECT id FROM jobs
+        WHERE type IN (:types)
+          AND ((status = 'pending' AND "runAt" <= NOW()) OR (status = 'running' AND "leaseExpiresAt" < NOW()))
+        ORDER BY "runAt" ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *`, {
+      replacements: { lockId, leaseSeconds: LEASE_SECONDS, types },
+      type: QueryTypes.SELECT,
+    });
+
+    return rows.length > 0 ? Job.build(rows[0], { isNewRecord: false, raw: true }) : null;
+  },
+
+  async _runJob(job) {
+    const heartbeat = setInterval(() => {
+      Job.update(
+        { heartbeatAt: new Date(), leaseExpiresAt: new Date(Date.now() + LEASE_SECONDS * 1000) },
+        { where: { id: job.id, lockedBy: job.lockedBy } }
+      ).catch(err => console.error(`[JobQueue] Falha no heartbeat da tarefa ${job.id}:`, err.message));
+    }, HEARTBEAT_MS);
+
+    const isFinalAttempt = job.attempts >= job.maxAttempts;
+    try {
+      if (job.attempts > job.maxAttempts) {
+        // Lease vencido de uma tarefa que já estava na última tentativa: o serviço registra a falha
+        const error = Object.assign(new Error('O processamento foi interrompido e o número máximo de tentativas foi excedido.'), { retryable: false });
+        if (expiredHandlers[job.type]) await expiredHandlers[job.type](job.payload, { job, error });
+        throw error;
+      }
+      await handlers[job.type](job.payload, { job, attempt: job.attempts, isFinalAttempt });
+      await this._release(job, { status: 'completed', completedAt: new Date(), lastError: null });
+    } catch (error) {
+      const lastError = error.message || String(error);
+      if (isFinalAttempt || error.retryable === false) {
+        console.error(`[JobQueue] Tarefa ${job.id} (${job.type}) movida para dead-letter após ${job.attempts} tentativa(s): ${lastError}`);
+        await this._release(job, { status: 'dead', lastError });
+      } else {
+        const delay = backoffSeconds(job.attempts);
+        console.warn(`[JobQueue] Tarefa ${job.id} (${job.type}) falhou na tentativa ${job.attempts}; nova tentativa em ${delay}s: ${lastError}`);
+        await this._release(job, { status: 'pending', lastError, runAt: new Date(Date.now() + delay * 1000) });
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  },
+
+  /**
+   * Grava o resultado e libera a tarefa, só se a reserva ainda for desta execução. Se o lease venceu
+   * e outro worker assumiu, o estado gravado por ele prevalece.
+   */
+  async _release(job, fields) {
+    const [updated] = await Job.update(
+      { ...fields, lockedBy: null, leaseExpiresAt: null },
+      { where: { id: job.id, lockedBy: job.lockedBy } }
+    );
+    if (updated === 0) {
+      console.warn(`[JobQueue] A tarefa ${job.id} (${job.type}) foi assumida por outro worker; o resultado desta execução foi descartado.`);
+    }
+  },
+
+  async _workerLoop() {
+    while (running) {
+      try {
+        const job = await this._claimNextJob();
+        if (!job) {
+          await sleep(POLL_INTERVAL_MS);
+          continue;
+        }
+        await this._runJob(job);
+      } catch (error) {
+        console.error('[JobQueue] Erro no loop do worker:', error);
+        await sleep(POLL_INTERVAL_MS);
+      }
+    }
+  },
+
+  /**
+   * Inicia os workers deste processo.
+   * @param {object} [options] - { concurrency } (padrão: JOB_WORKER_CONCURRENCY ou 2)
+   */
+  start(options = {}) {
+    if (running) return;
+    running = true;
+    const concurrency = options.concurrency || Number(process.env.JOB_WORKER_CONCURRENCY) || 2;
+    for (let i = 0; i < concurrency; i++) {
+      activeLoops.push(this._workerLoop());
+    }
+    console.log(`✅ [JobQueue] ${concurrency} worker(s) iniciados (${WORKER_ID}).`);
+  },
+
+  async stop() {
+    running = false;
+    await Promise.all(activeLoops.splice(0));
+  },
+};
+
+module.exports = jobQueue;
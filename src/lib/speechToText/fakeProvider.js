@@ -0,0 +1,34 @@
+// src/lib/speechToText/fakeProvider.js
+// Provedor determinístico para testes e desenvolvimento: não chama nenhuma API e sempre
+// produz o mesmo resultado para a mesma duração de áudio (um segmento a cada 10 segundos).
+
+const SEGMENT_SECONDS = 10;
+
+const fakeProvider = {
+  name: 'fake',
+  defaultModel: 'fake-1',
+  maxFileBytes: null,
+
+  async transcribe({ durationSeconds, language }) {
+    const duration = Math.max(1, durationSeconds || SEGMENT_SECONDS);
+    const segmentCount = Math.ceil(duration / SEGMENT_SECONDS);
+
+    const segments = Array.from({ length: segmentCount }, (_, i) => {
+      const start = i * SEGMENT_SECONDS;
+      const end = Math.min(duration, start + SEGMENT_SECONDS);
+      const text = `Segmento ${i + 1} da transcrição simulada.`;
+      const tokens = text.split(' ');
+      const step = (end - start) / tokens.length;
+      return {
+        start,
+        end,
+        text,
+        words: tokens.map((word, j) => ({ word: word.replace(/[.,]/g, ''), start: start + j * step, end: start + (j + 1) * step })),
+      };
+    });
+
+    return { text: segments.map(s => s.text).join(' '), language: language || 'pt', segments };
+  },
+};
+
+module.exports = fakeProvider;
@@ -0,0 +1,51 @@
+// src/lib/speechToText/index.js
+// Camada de provedores de transcrição (speech-to-text). Cada provedor expõe:
+//   name, defaultModel, maxFileBytes (null = sem limite) e
+//   transcribe({ filePath, model, durationSeconds, language, prompt }) -> { text, language, segments }
+// `language` é o código ISO 639-1 esperado (ou ausente, para detecção automática) e o
+// `language` retornado é o idioma detectado, também em ISO 639-1. `prompt` é o contexto
+// opcional (vocabulário dos glossários); provedores que não o suportam podem ignorá-lo.
+// A escolha vem da feature `transcriptionProvider` do plano do usuário ou, na falta dela,
+// da configuração TRANSCRIPTION_PROVIDER (padrão: 'openai').
+const settings = require('../../config/settings');
+const openaiWhisperProvider = require('./openaiWhisperProvider');
+const openaiCompatibleProvider = require('./openaiCompatibleProvider');
+const fakeProvider = require('./fakeProvider');
+
+const providers = {
+  [openaiWhisperProvider.name]: openaiWhisperProvider,
+  [openaiCompatibleProvider.name]: openaiCompatibleProvider,
+  [fakeProvider.name]: fakeProvider,
+};
+
+const speechToText = {
+  registerProvider(provider) {
+    providers[provider.name] = provider;
+  },
+
+  getProvider(name) {
+    const provider = providers[name];
+    if (!provider) {
+      throw new Error(`Provedor de transcrição desconhecido: "${name}".`);
+    }
+    return provider;
+  },
+
+  /**
+   * Resolve o provedor e o modelo a usar para um usuário.
+   * @param {object} [plan] - Plano atual do usuário (features.transcriptionProvider / transcriptionModel).
+   * @returns {{provider: object, model: string}}
+   */
+  resolve(plan = null) {
+    const features = plan?.features || {};
+    if (features.transcriptionProvider) {
+      const provider = this.getProvider(features.transcriptionProvider);
+      return { provider, model: features.transcriptionModel || provider.defaultModel };
+    }
+
+    const provider = this.getProvider(settings.get('TRANSCRIPTION_PROVIDER') || openaiWhisperProvider.name);
+    return { provider, model: settings.get('TRANSCRIPTION_MODEL') || provider.defaultModel };
+  },
+};
+
+module.exports = speechToText;
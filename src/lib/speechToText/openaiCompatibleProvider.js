@@ -0,0 +1,38 @@
+// src/lib/speechToText/openaiCompatibleProvider.js
+// Provedor para servidores que implementam a mesma rota /v1/audio/transcriptions da OpenAI,
+// como instalações próprias do faster-whisper. Não depende da chave da OpenAI do sistema.
+const fs = require('fs');
+const { OpenAI } = require('openai');
+const settings = require('../../config/settings');
+const { fromVerboseJson } = require('./verboseJson');
+
+const getClient = () => {
+  const baseURL = settings.get('TRANSCRIPTION_API_URL');
+  if (!baseURL) {
+    throw new Error('TRANSCRIPTION_API_URL não configurada para o provedor de transcrição "openai-compatible".');
+  }
+  // Servidores locais costumam ignorar a chave, mas o SDK exige um valor
+  return new OpenAI({ baseURL, apiKey: settings.get('TRANSCRIPTION_API_KEY') || 'not-needed' });
+};
+
+const openaiCompatibleProvider = {
+  name: 'openai-compatible',
+  defaultModel: 'Systran/faster-whisper-large-v3',
+  maxFileBytes: null, // Sem limite imposto; o servidor próprio define o seu
+
+  async transcribe({ filePath, model, language, prompt }) {
+    const response = await getClient().audio.transcriptions.create({
+      file: fs.createReadStream(filePath),
+      model: model || this.defaultModel,
+      response_format: 'verbose_json',
+      timestamp_granularities: ['segment', 'word'],
+      // Sem idioma, o modelo detecta sozinho (e pode errar em trechos curtos)
+      ...(language ? { language } : {}),
+      // Vocabulário e contexto dos glossários, para o modelo grafar corretamente termos técnicos
+      ...(prompt ? { prompt } : {}),
+    });
+    return fromVerboseJson(response);
+  },
+};
+
+module.exports = openaiCompatibleProvider;
@@ -0,0 +1,43 @@
+// src/lib/speechToText/openaiWhisperProvider.js
+const fs = require('fs');
+const { OpenAI } = require('openai');
+const settings = require('../../config/settings');
+const { fromVerboseJson } = require('./verboseJson');
+
+let cachedClient = null;
+let cachedApiKey = null;
+
+// A chave é lida no momento do uso (e não na importação), para refletir alterações feitas no painel
+const getClient = () => {
+  const apiKey = settings.get('OPENAI_API_KEY');
+  if (!apiKey) {
+    throw new Error('Chave de API da OpenAI não configurada. Configure OPENAI_API_KEY ou escolha outro provedor de transcrição.');
+  }
+  if (!cachedClient || cachedApiKey !== apiKey) {
+    cachedClient = new OpenAI({ apiKey });
+    cachedApiKey = apiKey;
+  }
+  return cachedClient;
+};
+
+const openaiWhisperProvider = {
+  name: 'openai',
+  defaultModel: 'whisper-1',
+  maxFileBytes: 24 * 1024 * 1024, // Limite de 25MB da API, com margem de segurança
+
+  async transcribe({ filePath, model, language, prompt }) {
+    const response = await getClient().audio.transcriptions.create({
+      file: fs.createReadStream(filePath),
+      model: model || this.defaultModel,
+      response_format: 'verbose_json',
+      timestamp_granularities: ['segment', 'word'],
+      // Sem idioma, o modelo detecta sozinho (e pode errar em trechos curtos)
+      ...(language ? { language } : {}),
+      // Vocabulário e contexto dos glossários, para o modelo grafar corretamente termos técnicos
+      ...(prompt ? { prompt } : {}),
+    });
+    return fromVerboseJson(response);
+  },
+};
+
+module.exports = openaiWhisperProvider;
@@ -0,0 +1,25 @@
+// src/lib/speechToText/verboseJson.js
+const { normalizeLanguage } = require('../../utils/languages');
+
+/**
+ * Converte a resposta `verbose_json` da API de transcrição (formato OpenAI) no formato interno.
+ * O Whisper devolve as palavras numa lista única; distribuímos cada uma no segmento em que começa.
+ * @param {object} response - Resposta da API.
+ * O idioma detectado é devolvido como código ISO 639-1 (ex: "pt").
+ * @returns {{text: string, language: string|null, segments: Array<{start: number, end: number, text: string, words: Array}>}}
+ */
+const fromVerboseJson = (response) => {
+  const words = response.words || [];
+  const segments = (response.segments || []).map(segment => ({
+    start: segment.start,
+    end: segment.end,
+    text: segment.text.trim(),
+    words: words
+      .filter(w => w.start >= segment.start && w.start < segment.end)
+      .map(w => ({ word: w.word, start: w.start, end: w.end })),
+  }));
+
+  return { text: response.text, language: normalizeLanguage(response.language), segments };
+};
+
+module.exports = { fromVerboseJson };
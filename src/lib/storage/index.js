@@ -0,0 +1,148 @@
+// src/lib/storage/index.js
+// Serviço único de armazenamento de arquivos (áudios, PDFs gerados, temporários). Os módulos
+// trabalham com chaves (ex: "audio/1700000000000-ab12cd34.mp3") e o driver configurado em
+// STORAGE_DRIVER decide onde os bytes ficam: disco local ("local", padrão) ou S3 compatível ("s3").
+const fsPromises = require('fs/promises');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const settings = require('../../config/settings');
+const localDriver = require('./localDriver');
+const s3Driver = require('./s3Driver');
+
+const DOWNLOAD_DIR = path.join(os.tmpdir(), 'storage-downloads');
+
+const drivers = {
+  [localDriver.name]: localDriver,
+  [s3Driver.name]: s3Driver,
+};
+
+const storage = {
+  registerDriver(driver) {
+    drivers[driver.name] = driver;
+  },
+
+  /**
+   * Retorna o driver configurado (STORAGE_DRIVER). Lido a cada chamada, para refletir mudanças nas configurações.
+   */
+  getDriver(name = settings.get('STORAGE_DRIVER') || 'local') {
+    const driver = drivers[name];
+    if (!driver) {
+      throw new Error(`Driver de armazenamento desconhecido: "${name}". Disponíveis: ${Object.keys(drivers).join(', ')}.`);
+    }
+    return driver;
+  },
+
+  /**
+   * Gera uma chave única dentro de um prefixo, preservando a extensão do nome original.
+   * @param {string} prefix - Ex: 'audio', 'outputs', 'temp'.
+   * @param {string} [originalName] - Nome original, usado só para a extensão.
+   */
+  buildKey(prefix, originalName = '') {
+    const extension = path.extname(originalName).toLowerCase();
+    return `${prefix}/${Date.now()}-${crypto.randomUUID().slice(0, 8)}${extension}`;
+  },
+
+  /**
+   * Grava um arquivo.
+   * @param {string} key
+   * @param {Buffer|string|import('stream').Readable} body
+   * @param {object} [options] - { contentType }
+   * @returns {Promise<{key: string, size: number}>}
+   */
+  put(key, body, options = {}) {
+    return this.getDriver().put(key, body, options);
+  },
+
+  /**
+   * Lê o arquivo inteiro em memória. Para arquivos grandes, prefira stream().
+   * @returns {Promise<Buffer>}
+   */
+  async get(key) {
+    const chunks = [];
+    for await (const chunk of await this.stream(key)) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  },
+
+  /**
+   * Abre o arquivo para leitura, opcionalmente apenas um intervalo de bytes (inclusivo).
+   * @param {string} key
+   * @param {object} [range] - { start, end }
+   * @returns {Promise<import('stream').Readable>}
+   */
+  stream(key, range = {}) {
+    return this.getDriver().stream(key, range);
+  },
+
+  /**
+   * @returns {Promise<{size: number, contentType: string|null, lastModified: Date|null}|null>} null se não existir.
+   */
+  stat(key) {
+    return this.getDriver().stat(key);
+  },
+
+  async exists(key) {
+    if (!key) return false;
+    return Boolean(await this.stat(key).catch(() => null));
+  },
+
+  /**
+   * Remove o arquivo. Não falha se ele já não existir.
+   */
+  delete(key) {
+    return this.getDriver().delete(key);
+  },
+
+  /**
+   * Lista os arquivos sob um prefixo (recursivo).
+   * @returns {Promise<Array<{key: string, size: number, lastModified: Date}>>}
+   */
+  list(prefix) {
+    return this.getDriver().list(prefix);
+  },
+
+  /**
+   * URL temporária para leitura sem autenticação (ex: `<audio src>`).
+   * @param {string} key
+   * @param {object} options - { expiresIn (segundos), contentType, fileName }
+   * @returns {Promise<string>}
+   */
+  signedUrl(key, options) {
+    return this.getDriver().signedUrl(key, options);
+  },
+
+  /**
+   * Valida um link gerado pelo driver local (rota /api/files).
+   * @returns {{key: string, contentType: string, fileName: string}}
+   */
+  verifySignedUrl(token, query) {
+    return localDriver.verifySignedUrl(token, query);
+  },
+
+  /**
+   * Executa `fn` com um caminho no disco local para o arquivo, para ferramentas que exigem
+   * um arquivo de verdade (ffmpeg, SDKs). No driver local usa o próprio arquivo; nos demais,
+   * baixa uma cópia temporária que é removida ao final.
+   * @template T
+   * @param {string} key
+   * @param {(localPath: string) => Promise<T>} fn
+   * @returns {Promise<T>}
+   */
+  async withLocalFile(key, fn) {
+    const driver = this.getDriver();
+    if (driver.localPath) return fn(driver.localPath(key));
+
+    await fsPromises.mkdir(DOWNLOAD_DIR, { recursive: true });
+    const localPath = path.join(DOWNLOAD_DIR, `${crypto.randomUUID()}${path.extname(key)}`);
+    try {
+      await pipeline(await driver.stream(key), fs.createWriteStream(localPath));
+      return await fn(localPath);
+    } finally {
+      await fsPromises.rm(localPath, { force: true });
+    }
+  },
+};
+
+module.exports = storage;
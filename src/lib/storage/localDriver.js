@@ -0,0 +1,137 @@
+// src/lib/storage/localDriver.js
+// Driver de armazenamento em disco local. As chaves são caminhos relativos à raiz configurada
+// (STORAGE_LOCAL_ROOT, padrão: uploads/ na raiz do projeto). Registros antigos guardam caminhos
+// absolutos (ex: áudios em src/uploads/); eles continuam aceitos desde que estejam dentro do projeto.
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const crypto = require('crypto');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const settings = require('../../config/settings');
+const cryptoUtils = require('../../utils/crypto');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..', '..', '..');
+const DEFAULT_ROOT = path.join(PROJECT_ROOT, 'uploads');
+
+const getRoot = () => path.resolve(settings.get('STORAGE_LOCAL_ROOT') || DEFAULT_ROOT);
+
+const isInside = (parent, child) => {
+  const relative = path.relative(parent, child);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+};
+
+// Converte a chave em caminho no disco, impedindo que saia da raiz (path traversal)
+const resolveKey = (key) => {
+  if (path.isAbsolute(key)) {
+    const legacyPath = path.resolve(key);
+    if (!isInside(PROJECT_ROOT, legacyPath) && !isInside(getRoot(), legacyPath)) {
+      throw new Error(`Chave de armazenamento inválida: ${key}`);
+    }
+    return legacyPath;
+  }
+  const root = getRoot();
+  const fullPath = path.resolve(root, key);
+  if (!isInside(root, fullPath) || fullPath === root) {
+    throw new Error(`Chave de armazenamento inválida: ${key}`);
+  }
+  return fullPath;
+};
+
+// Assinatura dos links temporários servidos pela rota /api/files
+const linkPayload = (key, expires, contentType, fileName) => `file:${key}\n${expires}\n${contentType}\n${fileName}`;
+
+const localDriver = {
+  name: 'local',
+
+  localPath(key) {
+    return resolveKey(key);
+  },
+
+  async put(key, body) {
+    const fullPath = resolveKey(key);
+    await fsPromises.mkdir(path.dirname(fullPath), { recursive: true });
+
+    // Grava num arquivo parcial e renomeia: leitores nunca veem um arquivo pela metade
+    const partialPath = `${fullPath}.${crypto.randomUUID().slice(0, 8)}.part`;
+    try {
+      if (Buffer.isBuffer(body) || typeof body === 'string') {
+        await fsPromises.writeFile(partialPath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(partialPath));
+      }
+      await fsPromises.rename(partialPath, fullPath);
+    } catch (error) {
+      await fsPromises.rm(partialPath, { force: true });
+      throw error;
+    }
+    const { size } = await fsPromises.stat(fullPath);
+    return { key, size };
+  },
+
+  async stream(key, { start, end } = {}) {
+    const fullPath = resolveKey(key);
+    await fsPromises.access(fullPath);
+    return fs.createReadStream(fullPath, { start, end });
+  },
+
+  async stat(key) {
+    const stat = await fsPromises.stat(resolveKey(key)).catch(() => null);
+    if (!stat || !stat.isFile()) return null;
+    return { size: stat.size, contentType: null, lastModified: stat.mtime };
+  },
+
+  async delete(key) {
+    await fsPromises.rm(resolveKey(key), { recursive: true, force: true });
+  },
+
+  async list(prefix = '') {
+    const base = prefix ? resolveKey(prefix) : getRoot();
+    const root = getRoot();
+    const results = [];
+    const walk = async (dir) => {
+      const entries = await fsPromises.readdir(dir, { withFileTypes: true }).catch(() => []);
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else if (entry.isFile() && !entry.name.endsWith('.part')) {
+          const stat = await fsPromises.stat(entryPath).catch(() => null);
+          if (stat) results.push({ key: path.relative(root, entryPath).split(path.sep).join('/'), size: stat.size, lastModified: stat.mtime });
+        }
+      }
+    };
+    await walk(base);
+    return results;
+  },
+
+  /**
+   * Link temporário para a rota pública /api/files, que valida a assinatura e serve o arquivo.
+   */
+  async signedUrl(key, { expiresIn, contentType = '', fileName = '' }) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const token = Buffer.from(key).toString('base64url');
+    const signature = cryptoUtils.signValue(linkPayload(key, expires, contentType, fileName));
+    const query = new URLSearchParams({ expires: String(expires), signature });
+    if (contentType) query.set('ct', contentType);
+    if (fileName) query.set('name', fileName);
+    return `/api/files/${token}?${query.toString()}`;
+  },
+
+  /**
+   * Valida um link gerado por signedUrl.
+   * @returns {{key: string, contentType: string, fileName: string}}
+   */
+  verifySignedUrl(token, query) {
+    const key = Buffer.from(String(token), 'base64url').toString();
+    const { expires, signature, ct = '', name = '' } = query;
+    if (!cryptoUtils.verifySignature(linkPayload(key, expires, ct, name), signature)) {
+      throw new Error('Link de arquivo inválido.');
+    }
+    if (Number(expires) < Math.floor(Date.now() / 1000)) {
+      throw new Error('Link de arquivo expirado. Solicite um novo link.');
+    }
+    return { key, contentType: ct, fileName: name };
+  },
+};
+
+module.exports = localDriver;
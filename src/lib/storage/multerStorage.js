@@ -0,0 +1,24 @@
+// src/lib/storage/multerStorage.js
+// Storage engine do multer que grava os uploads direto no serviço de armazenamento.
+// Cada arquivo recebido ganha `key` (chave no armazenamento) e `size`; não há `path` no disco.
+const storage = require('./index');
+
+/**
+ * @param {object} options
+ * @param {string|function(object): string} options.prefix - Prefixo das chaves geradas (ex: 'audio',
+ *   'temp'), ou uma função que o escolhe a partir do arquivo recebido.
+ */
+const createMulterStorage = ({ prefix }) => ({
+  _handleFile(req, file, cb) {
+    const key = storage.buildKey(typeof prefix === 'function' ? prefix(file) : prefix, file.originalname);
+    storage.put(key, file.stream, { contentType: file.mimetype })
+      .then(({ size }) => cb(null, { key, size }))
+      .catch(cb);
+  },
+
+  _removeFile(req, file, cb) {
+    storage.delete(file.key).then(() => cb(null), cb);
+  },
+});
+
+module.exports = createMulterStorage;
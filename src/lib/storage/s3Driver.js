@@ -0,0 +1,165 @@
+// src/lib/storage/s3Driver.js
+// Driver para serviços compatíveis com S3 (AWS S3, MinIO, Cloudflare R2...), via API REST
+// assinada com SigV4. Configuração: S3_ENDPOINT, S3_REGION, S3_BUCKET, S3_ACCESS_KEY_ID,
+// S3_SECRET_ACCESS_KEY e S3_FORCE_PATH_STYLE (padrão: true quando há endpoint próprio, como no MinIO).
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const settings = require('../../config/settings');
+const sigv4 = require('./sigv4');
+
+const SPOOL_DIR = path.join(os.tmpdir(), 'storage-uploads');
+
+const getConfig = () => {
+  const bucket = settings.get('S3_BUCKET');
+  const accessKeyId = settings.get('S3_ACCESS_KEY_ID');
+  const secretAccessKey = settings.get('S3_SECRET_ACCESS_KEY');
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('Armazenamento S3 não configurado. Defina S3_BUCKET, S3_ACCESS_KEY_ID e S3_SECRET_ACCESS_KEY.');
+  }
+  const region = settings.get('S3_REGION') || 'us-east-1';
+  const endpoint = settings.get('S3_ENDPOINT') || `https://s3.${region}.amazonaws.com`;
+  const forcePathStyleSetting = settings.get('S3_FORCE_PATH_STYLE');
+  const forcePathStyle = forcePathStyleSetting ? forcePathStyleSetting === 'true' : Boolean(settings.get('S3_ENDPOINT'));
+  return { bucket, region, endpoint, forcePathStyle, credentials: { accessKeyId, secretAccessKey } };
+};
+
+// URL do objeto: path-style (endpoint/bucket/chave) ou virtual-hosted (bucket.endpoint/chave)
+const objectUrl = (config, key = '') => {
+  const url = new URL(config.endpoint);
+  const encodedKey = key.split('/').map(sigv4.encodeRfc3986).join('/');
+  if (config.forcePathStyle) {
+    url.pathname = `${url.pathname.replace(/\/$/, '')}/${config.bucket}/${encodedKey}`;
+  } else {
+    url.hostname = `${config.bucket}.${url.hostname}`;
+    url.pathname = `/${encodedKey}`;
+  }
+  return url;
+};
+
+const send = async (config, method, url, { headers = {}, body, payloadHash } = {}) => {
+  const signedHeaders = sigv4.signRequest({ method, url, headers, payloadHash, credentials: config.credentials, region: config.region });
+  delete signedHeaders.host; // definido pelo fetch
+  return fetch(url, { method, headers: signedHeaders, body, duplex: body && !Buffer.isBuffer(body) ? 'half' : undefined });
+};
+
+const assertOk = async (response, action, key) => {
+  if (response.ok) return;
+  const details = await response.text().catch(() => '');
+  const code = details.match(/<Code>([^<]+)<\/Code>/)?.[1] || response.statusText;
+  throw new Error(`Falha no armazenamento S3 ao ${action} "${key}": ${response.status} ${code}`);
+};
+
+const decodeXml = (value) => value
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+  .replace(/&amp;/g, '&');
+
+const xmlValue = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1]) : null;
+};
+
+const s3Driver = {
+  name: 's3',
+
+  async put(key, body, { contentType } = {}) {
+    const config = getConfig();
+    const url = objectUrl(config, key);
+    const headers = contentType ? { 'content-type': contentType } : {};
+
+    if (Buffer.isBuffer(body) || typeof body === 'string') {
+      const buffer = Buffer.from(body);
+      const response = await send(config, 'PUT', url, {
+        headers: { ...headers, 'content-length': String(buffer.length) },
+        body: buffer,
+        payloadHash: sigv4.sha256Hex(buffer),
+      });
+      await assertOk(response, 'gravar', key);
+      return { key, size: buffer.length };
+    }
+
+    // O PUT do S3 exige Content-Length: streams (uploads) são gravadas antes num arquivo temporário
+    await fsPromises.mkdir(SPOOL_DIR, { recursive: true });
+    const spoolPath = path.join(SPOOL_DIR, crypto.randomUUID());
+    try {
+      await pipeline(body, fs.createWriteStream(spoolPath));
+      const { size } = await fsPromises.stat(spoolPath);
+      const response = await send(config, 'PUT', url, {
+        headers: { ...headers, 'content-length': String(size) },
+        body: Readable.toWeb(fs.createReadStream(spoolPath)),
+      });
+      await assertOk(response, 'gravar', key);
+      return { key, size };
+    } finally {
+      await fsPromises.rm(spoolPath, { force: true });
+    }
+  },
+
+  async stream(key, { start, end } = {}) {
+    const config = getConfig();
+    const headers = start !== undefined ? { range: `bytes=${start}-${end !== undefined ? end : ''}` } : {};
+    const response = await send(config, 'GET', objectUrl(config, key), { headers });
+    await assertOk(response, 'ler', key);
+    return Readable.fromWeb(response.body);
+  },
+
+  async stat(key) {
+    const config = getConfig();
+    const response = await send(config, 'HEAD', objectUrl(config, key));
+    if (response.status === 404) return null;
+    await assertOk(response, 'consultar', key);
+    return {
+      size: Number(response.headers.get('content-length')) || 0,
+      contentType: response.headers.get('content-type'),
+      lastModified: response.headers.get('last-modified') ? new Date(response.headers.get('last-modified')) : null,
+    };
+  },
+
+  async delete(key) {
+    const config = getConfig();
+    const response = await send(config, 'DELETE', objectUrl(config, key));
+    if (response.status === 404) return;
+    await assertOk(response, 'remover', key);
+  },
+
+  async list(prefix = '') {
+    const config = getConfig();
+    const results = [];
+    let continuationToken = null;
+    do {
+      const url = objectUrl(config);
+      url.searchParams.set('list-type', '2');
+      if (prefix) url.searchParams.set('prefix', prefix);
+      if (continuationToken) url.searchParams.set('continuation-token', continuationToken);
+
+      const response = await send(config, 'GET', url);
+      await assertOk(response, 'listar', prefix);
+      const xml = await response.text();
+
+      for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        results.push({
+          key: xmlValue(contents, 'Key'),
+          size: Number(xmlValue(contents, 'Size')) || 0,
+          lastModified: new Date(xmlValue(contents, 'LastModified')),
+        });
+      }
+      continuationToken = xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextContinuationToken') : null;
+    } while (continuationToken);
+    return results;
+  },
+
+  async signedUrl(key, { expiresIn, contentType, fileName }) {
+    const config = getConfig();
+    const url = objectUrl(config, key);
+    if (contentType) url.searchParams.set('response-content-type', contentType);
+    if (fileName) url.searchParams.set('response-content-disposition', `inline; filename*=UTF-8''${sigv4.encodeRfc3986(fileName)}`);
+    return sigv4.presignUrl({ url, expiresIn, credentials: config.credentials, region: config.region });
+  },
+};
+
+module.exports = s3Driver;
@@ -0,0 +1,121 @@
+// src/lib/storage/sigv4.js
+// Assinatura AWS Signature Version 4 para o driver S3. Implementada com o `crypto` do Node para
+// funcionar com qualquer serviço compatível (AWS S3, MinIO, R2...) sem depender do SDK da AWS.
+const crypto = require('crypto');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// Codificação RFC 3986 exigida pela AWS (encodeURIComponent não escapa !'()*)
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const canonicalUri = (pathname) => pathname
+  .split('/')
+  .map(segment => encodeRfc3986(decodeURIComponent(segment)))
+  .join('/') || '/';
+
+const canonicalQuery = (searchParams) => [...searchParams.entries()]
+  .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+  .sort(([a, av], [b, bv]) => (a === b ? (av < bv ? -1 : 1) : (a < b ? -1 : 1)))
+  .map(([key, value]) => `${key}=${value}`)
+  .join('&');
+
+// 20130524T000000Z
+const toAmzDate = (date) => date.toISOString().replace(/[:-]/g, '').replace(/\.\d{3}/, '');
+
+const signingKey = (secretAccessKey, dateStamp, region, service) => {
+  const kDate = hmac(`AWS4${secretAccessKey}`, dateStamp);
+  const kRegion = hmac(kDate, region);
+  const kService = hmac(kRegion, service);
+  return hmac(kService, 'aws4_request');
+};
+
+const buildSignature = ({ method, url, headers, payloadHash, credentials, region, service, amzDate }) => {
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+
+  const normalizedHeaders = Object.entries(headers)
+    .map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, ' ')])
+    .sort(([a], [b]) => (a < b ? -1 : 1));
+  const signedHeaders = normalizedHeaders.map(([name]) => name).join(';');
+
+  const canonicalRequest = [
+    method,
+    canonicalUri(url.pathname),
+    canonicalQuery(url.searchParams),
+    normalizedHeaders.map(([name, value]) => `${name}:${value}\n`).join(''),
+    signedHeaders,
+    payloadHash,
+  ].join('\n');
+
+  const stringToSign = [ALGORITHM, amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signature = crypto
+    .createHmac('sha256', signingKey(credentials.secretAccessKey, dateStamp, region, service))
+    .update(stringToSign)
+    .digest('hex');
+
+  return { signature, scope, signedHeaders };
+};
+
+/**
+ * Assina uma requisição com o cabeçalho Authorization.
+ * Todos os cabeçalhos informados entram na assinatura; `host`, `x-amz-date` e `x-amz-content-sha256`
+ * são adicionados automaticamente.
+ * @param {object} params
+ * @param {string} params.method
+ * @param {URL} params.url
+ * @param {object} [params.headers]
+ * @param {string} [params.payloadHash] - SHA-256 (hex) do corpo; padrão UNSIGNED-PAYLOAD.
+ * @param {{accessKeyId: string, secretAccessKey: string}} params.credentials
+ * @param {string} params.region
+ * @param {string} [params.service='s3']
+ * @param {Date} [params.date]
+ * @returns {object} Cabeçalhos a enviar (incluindo Authorization).
+ */
+const signRequest = ({ method, url, headers = {}, payloadHash = UNSIGNED_PAYLOAD, credentials, region, service = 's3', date = new Date() }) => {
+  const amzDate = toAmzDate(date);
+  const allHeaders = {
+    ...headers,
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+  };
+  const { signature, scope, signedHeaders } = buildSignature({ method, url, headers: allHeaders, payloadHash, credentials, region, service, amzDate });
+  return {
+    ...allHeaders,
+    authorization: `${ALGORITHM} Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+};
+
+/**
+ * Gera uma URL pré-assinada (assinatura na query string), válida por `expiresIn` segundos.
+ * @returns {string}
+ */
+const presignUrl = ({ method = 'GET', url, expiresIn, credentials, region, service = 's3', date = new Date() }) => {
+  const amzDate = toAmzDate(date);
+  const presigned = new URL(url.toString());
+  presigned.searchParams.set('X-Amz-Algorithm', ALGORITHM);
+  presigned.searchParams.set('X-Amz-Credential', `${credentials.accessKeyId}/${amzDate.slice(0, 8)}/${region}/${service}/aws4_request`);
+  presigned.searchParams.set('X-Amz-Date', amzDate);
+  presigned.searchParams.set('X-Amz-Expires', String(expiresIn));
+  presigned.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+  const { signature } = buildSignature({
+    method,
+    url: presigned,
+    headers: { host: presigned.host },
+    payloadHash: UNSIGNED_PAYLOAD,
+    credentials,
+    region,
+    service,
+    amzDate,
+  });
+  presigned.searchParams.set('X-Amz-Signature', signature);
+  return presigned.toString();
+};
+
+module.exports = { UNSIGNED_PAYLOAD, sha256Hex, encodeRfc3986, signRequest, presignUrl };
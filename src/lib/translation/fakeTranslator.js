@@ -0,0 +1,14 @@
+// src/lib/translation/fakeTranslator.js
+// Provedor determinístico para testes e desenvolvimento: não chama nenhuma API e apenas
+// marca cada texto com o idioma de destino (ex: "[pt] Hello").
+
+const fakeTranslator = {
+  name: 'fake',
+  defaultModel: 'fake-1',
+
+  async translateBatch({ texts, targetLanguage }) {
+    return texts.map(text => `[${targetLanguage}] ${text}`);
+  },
+};
+
+module.exports = fakeTranslator;
@@ -0,0 +1,71 @@
+// src/lib/translation/index.js
+// Provedores de tradução de transcrições. Cada provedor expõe:
+//   name, defaultModel e translateBatch({ texts, sourceLanguage, targetLanguage, model }) -> string[]
+// devolvendo uma tradução por texto, na mesma ordem. O provedor ativo vem da configuração
+// TRANSLATION_PROVIDER (padrão: 'openai') e o modelo de TRANSLATION_MODEL.
+const settings = require('../../config/settings');
+const openaiTranslator = require('./openaiTranslator');
+const fakeTranslator = require('./fakeTranslator');
+
+// Os segmentos são traduzidos em lotes, para manter o contexto sem estourar o limite do modelo
+const MAX_BATCH_ITEMS = 60;
+const MAX_BATCH_CHARS = 8000;
+
+const providers = {
+  [openaiTranslator.name]: openaiTranslator,
+  [fakeTranslator.name]: fakeTranslator,
+};
+
+const translation = {
+  registerProvider(provider) {
+    providers[provider.name] = provider;
+  },
+
+  getProvider(name = settings.get('TRANSLATION_PROVIDER') || openaiTranslator.name) {
+    const provider = providers[name];
+    if (!provider) {
+      throw new Error(`Provedor de tradução desconhecido: "${name}".`);
+    }
+    return provider;
+  },
+
+  /**
+   * Traduz uma lista de textos (ex: os segmentos de uma transcrição), preservando a ordem.
+   * @param {string[]} texts
+   * @param {object} options - { sourceLanguage (ISO 639-1 ou null), targetLanguage (ISO 639-1) }
+   * @returns {Promise<{texts: string[], provider: string, model: string}>}
+   */
+  async translateTexts(texts, { sourceLanguage, targetLanguage }) {
+    const provider = this.getProvider();
+    const model = settings.get('TRANSLATION_MODEL') || provider.defaultModel;
+
+    const translated = [];
+    for (const batch of this._batches(texts)) {
+      const result = await provider.translateBatch({ texts: batch, sourceLanguage, targetLanguage, model });
+      if (result.length !== batch.length) {
+        throw new Error(`O provedor "${provider.name}" retornou ${result.length} traduções para ${batch.length} textos.`);
+      }
+      translated.push(...result);
+    }
+    return { texts: translated, provider: provider.name, model };
+  },
+
+  _batches(texts) {
+    const batches = [];
+    let current = [];
+    let currentChars = 0;
+    for (const text of texts) {
+      if (current.length > 0 && (current.length >= MAX_BATCH_ITEMS || currentChars + text.length > MAX_BATCH_CHARS)) {
+        batches.push(current);
+        current = [];
+        currentChars = 0;
+      }
+      current.push(text);
+      currentChars += text.length;
+    }
+    if (current.length > 0) batches.push(current);
+    return batches;
+  },
+};
+
+module.exports = translation;
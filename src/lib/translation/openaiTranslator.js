@@ -0,0 +1,56 @@
+// src/lib/translation/openaiTranslator.js
+const { OpenAI } = require('openai');
+const settings = require('../../config/settings');
+const { getLanguageName } = require('../../utils/languages');
+
+let cachedClient = null;
+let cachedApiKey = null;
+
+const getClient = () => {
+  const apiKey = settings.get('OPENAI_API_KEY');
+  if (!apiKey) {
+    throw new Error('Chave de API da OpenAI não configurada. Configure OPENAI_API_KEY ou escolha outro provedor de tradução.');
+  }
+  if (!cachedClient || cachedApiKey !== apiKey) {
+    cachedClient = new OpenAI({ apiKey });
+    cachedApiKey = apiKey;
+  }
+  return cachedClient;
+};
+
+const openaiTranslator = {
+  name: 'openai',
+  defaultModel: 'gpt-4o-mini',
+
+  async translateBatch({ texts, sourceLanguage, targetLanguage, model }) {
+    const source = sourceLanguage ? `do ${getLanguageName(sourceLanguage)} ` : '';
+    const response = await getClient().chat.completions.create({
+      model: model || this.defaultModel,
+      temperature: 0,
+      response_format: { type: 'json_object' },
+      messages: [
+        {
+          role: 'system',
+          content: `Você é um tradutor profissional. Traduza ${source}para o ${getLanguageName(targetLanguage)} cada item do array "segments" recebido. `
+            + 'Os itens são trechos consecutivos de uma transcrição de áudio: use o contexto, mas traduza cada item separadamente. '
+            + 'Responda apenas com um JSON {"segments": [...]} com o mesmo número de itens, na mesma ordem.',
+        },
+        { role: 'user', content: JSON.stringify({ segments: texts }) },
+      ],
+    });
+
+    const content = response.choices[0]?.message?.content || '';
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`A resposta do modelo de tradução não é um JSON válido: ${error.message}`);
+    }
+    if (!Array.isArray(parsed.segments)) {
+      throw new Error('A resposta do modelo de tradução não contém o campo "segments".');
+    }
+    return parsed.segments.map(text => String(text));
+  },
+};
+
+module.exports = openaiTranslator;
@@ -11,6 +11,8 @@ module.exports = (sequelize) => {
     outputFormat: { type: DataTypes.STRING, allowNull: false, defaultValue: 'text' }, // 'text' ou 'pdf'
     errorMessage: { type: DataTypes.TEXT, allowNull: true },
     usedSystemToken: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    transcriptionRevision: { type: DataTypes.INTEGER, allowNull: true }, // Revisão da transcrição usada como entrada
+    chapterId: { type: DataTypes.UUID, allowNull: true }, // Capítulo usado como entrada (vazio = transcrição inteira)
     
     // <<< NOVO: IDs da OpenAI para rastreamento completo do ciclo de vida >>>
     openaiThreadId: { type: DataTypes.STRING, allowNull: true }, // O ID da conversa (thread_...)
@@ -25,6 +27,7 @@ module.exports = (sequelize) => {
     AssistantHistory.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
     AssistantHistory.belongsTo(models.Assistant, { foreignKey: 'assistantId', as: 'assistant' });
     AssistantHistory.belongsTo(models.Transcription, { foreignKey: 'transcriptionId', as: 'transcription' });
+    AssistantHistory.belongsTo(models.TranscriptionChapter, { foreignKey: 'chapterId', as: 'chapter', onDelete: 'SET NULL' });
   };
 
   return AssistantHistory;
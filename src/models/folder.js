@@ -0,0 +1,27 @@
+// src/models/folder.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Pasta do usuário para organizar transcrições; pode ficar dentro de outra pasta (parentId)
+  const Folder = sequelize.define('Folder', {
+    id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+    userId: { type: DataTypes.UUID, allowNull: false },
+    parentId: { type: DataTypes.UUID, allowNull: true }, // null = raiz
+    name: { type: DataTypes.STRING, allowNull: false },
+  }, {
+    tableName: 'folders',
+    timestamps: true,
+    indexes: [
+      { fields: ['userId', 'parentId'] },
+    ],
+  });
+
+  Folder.associate = (models) => {
+    Folder.belongsTo(models.User, { foreignKey: 'userId', as: 'user', onDelete: 'CASCADE' });
+    Folder.belongsTo(models.Folder, { foreignKey: 'parentId', as: 'parent' });
+    Folder.hasMany(models.Folder, { foreignKey: 'parentId', as: 'children' });
+    Folder.hasMany(models.Transcription, { foreignKey: 'folderId', as: 'transcriptions' });
+  };
+
+  return Folder;
+};
@@ -0,0 +1,34 @@
+// src/models/glossary.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Vocabulário personalizado usado na transcrição. Pertence a um usuário OU a um plano
+  // (neste caso, vale para todos os assinantes do plano e é gerenciado pelo admin).
+  const Glossary = sequelize.define('Glossary', {
+    id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+    userId: { type: DataTypes.UUID, allowNull: true },
+    planId: { type: DataTypes.UUID, allowNull: true },
+    name: { type: DataTypes.STRING, allowNull: false },
+    // Contexto livre enviado ao modelo (ex: "Consulta de cardiologia com prescrição de medicamentos")
+    contextPrompt: { type: DataTypes.TEXT, allowNull: true },
+    // Termos que o modelo deve reconhecer: ["Losartana", "AAS", "ecocardiograma"]
+    terms: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+    // Correções aplicadas ao texto transcrito, sensíveis a maiúsculas: [{ from: "lozartana", to: "Losartana" }]
+    replacements: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+    isActive: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+  }, {
+    tableName: 'glossaries',
+    timestamps: true,
+    indexes: [
+      { fields: ['userId'] },
+      { fields: ['planId'] },
+    ],
+  });
+
+  Glossary.associate = (models) => {
+    Glossary.belongsTo(models.User, { foreignKey: 'userId', as: 'user', onDelete: 'CASCADE' });
+    Glossary.belongsTo(models.Plan, { foreignKey: 'planId', as: 'plan', onDelete: 'CASCADE' });
+  };
+
+  return Glossary;
+};
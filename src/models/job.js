@@ -0,0 +1,30 @@
+// src/models/job.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Job = sequelize.define('Job', {
+    id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+    type: { type: DataTypes.STRING, allowNull: false },        // Ex: 'transcription.process', 'assistant.run'
+    payload: { type: DataTypes.JSONB, allowNull: false, defaultValue: {} },
+    // pending -> running -> completed; falhas voltam a pending (com backoff) até esgotar as tentativas -> dead
+    status: { type: DataTypes.STRING, allowNull: false, defaultValue: 'pending' },
+    attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    maxAttempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 5 },
+    runAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW }, // Próxima execução permitida
+    // Controle de posse: o worker renova o lease com heartbeats; lease vencido = worker morto
+    lockedBy: { type: DataTypes.STRING, allowNull: true },
+    leaseExpiresAt: { type: DataTypes.DATE, allowNull: true },
+    heartbeatAt: { type: DataTypes.DATE, allowNull: true },
+    lastError: { type: DataTypes.TEXT, allowNull: true },
+    completedAt: { type: DataTypes.DATE, allowNull: true },
+  }, {
+    tableName: 'jobs',
+    timestamps: true,
+    indexes: [
+      { fields: ['status', 'runAt'] },
+      { fields: ['type', 'status'] },
+    ],
+  });
+
+  return Job;
+};
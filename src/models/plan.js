@@ -36,7 +36,11 @@ module.exports = (sequelize, DataTypes) => {
         "maxAssistants": 2,
         "maxAssistantUses": 100, // Usos com o token do sistema
         "useSystemTokenForSystemAgents": true,
-        "allowUserProvideOwnAgentToken": true
+        "allowUserProvideOwnAgentToken": true,
+        "audioRetentionDays": 30,   // Dias que o áudio fica guardado após a transcrição (-1 = sempre)
+        "outputRetentionDays": 90,  // Dias que os PDFs gerados ficam guardados (-1 = sempre)
+        "duplicateUploadStrategy": "ask", // Arquivo já transcrito: "ask", "link", "clone" ou "transcribe"
+        "piiRedaction": "optional"  // Anonimização: "disabled", "optional" (o usuário escolhe) ou "enforced" (os assistentes só veem o texto anonimizado)
       },
     },
   }, {
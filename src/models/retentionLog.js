@@ -0,0 +1,25 @@
+// src/models/retentionLog.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Registro de cada arquivo removido pela política de retenção (auditoria e espaço recuperado)
+  const RetentionLog = sequelize.define('RetentionLog', {
+    id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+    // audio | assistant_output | agent_output | orphan_output | temp
+    category: { type: DataTypes.STRING, allowNull: false },
+    filePath: { type: DataTypes.STRING(1024), allowNull: false },
+    bytes: { type: DataTypes.BIGINT, allowNull: false, defaultValue: 0 },
+    // ID do registro dono do arquivo (transcrição, histórico ou ação), quando houver
+    referenceId: { type: DataTypes.UUID, allowNull: true },
+  }, {
+    tableName: 'retention_logs',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { fields: ['createdAt'] },
+      { fields: ['category'] },
+    ],
+  });
+
+  return RetentionLog;
+};
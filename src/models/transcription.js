@@ -9,10 +9,56 @@ module.exports = (sequelize) => {
     status: { type: DataTypes.STRING, allowNull: false, defaultValue: 'pending' },
     audioPath: { type: DataTypes.STRING, allowNull: true },
     originalFileName: { type: DataTypes.STRING },
+    // Mimetype original do upload (Content-Type da reprodução do áudio)
+    mimeType: { type: DataTypes.STRING, allowNull: true },
     fileSizeKB: { type: DataTypes.INTEGER },
     durationSeconds: { type: DataTypes.INTEGER, allowNull: true },
+    // Duração descontada da cota: a do áudio pré-processado, sem os silêncios cortados
+    billedDurationSeconds: { type: DataTypes.INTEGER, allowNull: true },
+    // Resumo do pré-processamento: { originalSeconds, processedSeconds, removedSeconds, cuts, format, loudnessNormalized }
+    preprocessing: { type: DataTypes.JSONB, allowNull: true },
     transcriptionText: { type: DataTypes.TEXT, allowNull: true },
     errorMessage: { type: DataTypes.TEXT, allowNull: true },
+    // Progresso de arquivos longos, transcritos em partes (null quando enviado em uma única chamada)
+    totalChunks: { type: DataTypes.INTEGER, allowNull: true },
+    processedChunks: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    // Provedor e modelo de speech-to-text que produziram o resultado (ex: openai / whisper-1)
+    provider: { type: DataTypes.STRING, allowNull: true },
+    model: { type: DataTypes.STRING, allowNull: true },
+    // Idioma pedido no upload (ISO 639-1; null = detecção automática) e o detectado pelo provedor
+    language: { type: DataTypes.STRING(8), allowNull: true },
+    detectedLanguage: { type: DataTypes.STRING(8), allowNull: true },
+    // Nomes definidos pelo usuário para os rótulos da diarização: { "SPEAKER_1": "Médico" }
+    speakerNames: { type: DataTypes.JSONB, allowNull: false, defaultValue: {} },
+    // Novas tentativas manuais após falha; o áudio fica guardado até audioExpiresAt (falha ou sucesso)
+    retryCount: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    audioExpiresAt: { type: DataTypes.DATE, allowNull: true },
+    // Preenchido quando a transcrição é descontada da cota, para nunca cobrar duas vezes
+    usageChargedAt: { type: DataTypes.DATE, allowNull: true },
+    // Revisão atual do conteúdo (0 = sem revisões, ex: ainda processando)
+    revisionNumber: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    // O texto foi editado sem os segmentos: eles não refletem mais o texto atual
+    segmentsOutdated: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    // Organização: pasta (null = raiz), etiquetas livres e favorito
+    folderId: { type: DataTypes.UUID, allowNull: true },
+    tags: { type: DataTypes.ARRAY(DataTypes.STRING), allowNull: false, defaultValue: [] },
+    isFavorite: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    // Lote de upload de origem (null = upload individual)
+    batchId: { type: DataTypes.UUID, allowNull: true },
+    // SHA-256 do arquivo enviado (uploads repetidos) e a transcrição de origem de uma cópia
+    contentHash: { type: DataTypes.STRING(64), allowNull: true },
+    duplicateOfId: { type: DataTypes.UUID, allowNull: true },
+    // Origem do arquivo: 'upload' ou 'url' (importado de um link); vídeos têm o áudio extraído
+    sourceType: { type: DataTypes.STRING, allowNull: false, defaultValue: 'upload' },
+    sourceUrl: { type: DataTypes.TEXT, allowNull: true },
+    sourceMediaType: { type: DataTypes.STRING, allowNull: false, defaultValue: 'audio' },
+    // Divisão em capítulos: null (nunca gerada), pending, completed, skipped (transcrição curta) ou failed
+    chaptersStatus: { type: DataTypes.STRING, allowNull: true },
+    // Anonimização: texto com marcadores ([CPF_1], [NOME_1]...), mapeamento cifrado e contagem por tipo
+    redactedText: { type: DataTypes.TEXT, allowNull: true },
+    redactionMapping: { type: DataTypes.TEXT, allowNull: true },
+    redactionSummary: { type: DataTypes.JSONB, allowNull: true },
+    redactedAt: { type: DataTypes.DATE, allowNull: true },
   }, {
     tableName: 'transcriptions',
     timestamps: true,
@@ -20,6 +66,9 @@ module.exports = (sequelize) => {
 
   Transcription.associate = (models) => {
     Transcription.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+    Transcription.belongsTo(models.Folder, { foreignKey: 'folderId', as: 'folder', onDelete: 'SET NULL' });
+    Transcription.belongsTo(models.TranscriptionBatch, { foreignKey: 'batchId', as: 'batch', onDelete: 'SET NULL' });
+    Transcription.belongsTo(models.Transcription, { foreignKey: 'duplicateOfId', as: 'duplicateOf', onDelete: 'SET NULL' });
     Transcription.hasMany(models.AgentAction, { foreignKey: 'transcriptionId', as: 'agentActions' });
     
     // <<< ALTERADO: Adicionado 'onDelete: CASCADE' para limpar o histórico ao excluir a transcrição >>>
@@ -29,6 +78,38 @@ module.exports = (sequelize) => {
       onDelete: 'CASCADE',
       hooks: true 
     });
+
+    // Segmentos com marcação de tempo (e tempo por palavra) retornados pelo Whisper
+    Transcription.hasMany(models.TranscriptionSegment, {
+      foreignKey: 'transcriptionId',
+      as: 'segments',
+      onDelete: 'CASCADE',
+      hooks: true
+    });
+
+    // Histórico imutável de edições do conteúdo
+    Transcription.hasMany(models.TranscriptionRevision, {
+      foreignKey: 'transcriptionId',
+      as: 'revisions',
+      onDelete: 'CASCADE',
+      hooks: true
+    });
+
+    // Capítulos gerados a partir dos segmentos
+    Transcription.hasMany(models.TranscriptionChapter, {
+      foreignKey: 'transcriptionId',
+      as: 'chapters',
+      onDelete: 'CASCADE',
+      hooks: true
+    });
+
+    // Versões traduzidas (uma por idioma)
+    Transcription.hasMany(models.TranscriptionTranslation, {
+      foreignKey: 'transcriptionId',
+      as: 'translations',
+      onDelete: 'CASCADE',
+      hooks: true
+    });
   };
 
   return Transcription;
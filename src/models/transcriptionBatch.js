@@ -0,0 +1,27 @@
+// src/models/transcriptionBatch.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Lote de arquivos enviados de uma vez (vários áudios ou um .zip), com uma Transcription por arquivo.
+  // O status e o progresso do lote são calculados a partir das transcrições.
+  const TranscriptionBatch = sequelize.define('TranscriptionBatch', {
+    id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+    userId: { type: DataTypes.UUID, allowNull: false },
+    name: { type: DataTypes.STRING, allowNull: true },
+    totalFiles: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    // Assistente executado automaticamente em cada arquivo assim que a transcrição conclui (opcional)
+    assistantId: { type: DataTypes.UUID, allowNull: true },
+    assistantOptions: { type: DataTypes.JSONB, allowNull: false, defaultValue: {} }, // { outputFormat }
+  }, {
+    tableName: 'transcription_batches',
+    timestamps: true,
+  });
+
+  TranscriptionBatch.associate = (models) => {
+    TranscriptionBatch.belongsTo(models.User, { foreignKey: 'userId', as: 'user', onDelete: 'CASCADE' });
+    TranscriptionBatch.belongsTo(models.Assistant, { foreignKey: 'assistantId', as: 'assistant' });
+    TranscriptionBatch.hasMany(models.Transcription, { foreignKey: 'batchId', as: 'transcriptions' });
+  };
+
+  return TranscriptionBatch;
+};
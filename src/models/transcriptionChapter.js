@@ -0,0 +1,36 @@
+// src/models/transcriptionChapter.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Capítulo de uma transcrição longa: trecho contínuo de segmentos com um título curto
+  const TranscriptionChapter = sequelize.define('TranscriptionChapter', {
+    id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+    transcriptionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'transcriptions', key: 'id' },
+      onDelete: 'CASCADE',
+    },
+    chapterIndex: { type: DataTypes.INTEGER, allowNull: false }, // Ordem do capítulo na transcrição
+    title: { type: DataTypes.STRING(200), allowNull: false },
+    // Quem escreveu o título: o provedor que o gerou (ex: openai, keywords) ou 'user' (editado)
+    titleSource: { type: DataTypes.STRING, allowNull: true },
+    startTime: { type: DataTypes.DOUBLE, allowNull: false },     // Em segundos, a partir do início do áudio
+    endTime: { type: DataTypes.DOUBLE, allowNull: false },
+    // Primeiro e último segmento (segmentIndex, inclusive)
+    startSegmentIndex: { type: DataTypes.INTEGER, allowNull: false },
+    endSegmentIndex: { type: DataTypes.INTEGER, allowNull: false },
+  }, {
+    tableName: 'transcription_chapters',
+    timestamps: true,
+    indexes: [
+      { fields: ['transcriptionId', 'chapterIndex'] },
+    ],
+  });
+
+  TranscriptionChapter.associate = (models) => {
+    TranscriptionChapter.belongsTo(models.Transcription, { foreignKey: 'transcriptionId', as: 'transcription' });
+  };
+
+  return TranscriptionChapter;
+};
@@ -0,0 +1,47 @@
+// src/models/transcriptionRevision.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Revisão imutável do conteúdo de uma transcrição: a 1ª é o resultado do speech-to-text e
+  // cada edição (ou restauração) do usuário gera uma nova, com autor e data.
+  const TranscriptionRevision = sequelize.define('TranscriptionRevision', {
+    id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+    transcriptionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'transcriptions', key: 'id' },
+      onDelete: 'CASCADE',
+    },
+    revisionNumber: { type: DataTypes.INTEGER, allowNull: false }, // 1, 2, 3... por transcrição
+    authorId: { type: DataTypes.UUID, allowNull: true },           // null = gerada pelo sistema
+    source: { type: DataTypes.STRING, allowNull: false },          // 'transcription', 'edit', 'restore' ou 'clone'
+    restoredFromRevision: { type: DataTypes.INTEGER, allowNull: true },
+    transcriptionText: { type: DataTypes.TEXT, allowNull: true },
+    // Retrato dos segmentos: [{ segmentIndex, start, end, text, speaker }]
+    segments: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+    // O texto foi editado sem os segmentos (ver Transcription.segmentsOutdated)
+    segmentsOutdated: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+  }, {
+    tableName: 'transcription_revisions',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { unique: true, fields: ['transcriptionId', 'revisionNumber'] },
+    ],
+    hooks: {
+      beforeUpdate() {
+        throw new Error('Revisões de transcrição são imutáveis.');
+      },
+      beforeBulkUpdate() {
+        throw new Error('Revisões de transcrição são imutáveis.');
+      },
+    },
+  });
+
+  TranscriptionRevision.associate = (models) => {
+    TranscriptionRevision.belongsTo(models.Transcription, { foreignKey: 'transcriptionId', as: 'transcription' });
+    TranscriptionRevision.belongsTo(models.User, { foreignKey: 'authorId', as: 'author' });
+  };
+
+  return TranscriptionRevision;
+};
@@ -0,0 +1,34 @@
+// src/models/transcriptionSegment.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const TranscriptionSegment = sequelize.define('TranscriptionSegment', {
+    id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+    transcriptionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'transcriptions', key: 'id' },
+      onDelete: 'CASCADE',
+    },
+    segmentIndex: { type: DataTypes.INTEGER, allowNull: false }, // Ordem do segmento na transcrição
+    startTime: { type: DataTypes.DOUBLE, allowNull: false },     // Em segundos, a partir do início do áudio
+    endTime: { type: DataTypes.DOUBLE, allowNull: false },
+    text: { type: DataTypes.TEXT, allowNull: false },
+    speaker: { type: DataTypes.STRING, allowNull: true },        // Rótulo da diarização (ex: SPEAKER_1)
+    // Tempo de cada palavra: [{ word, start, end }]
+    words: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+  }, {
+    tableName: 'transcription_segments',
+    timestamps: true,
+    indexes: [
+      { fields: ['transcriptionId', 'segmentIndex'] },
+      { fields: ['transcriptionId', 'startTime'] },
+    ],
+  });
+
+  TranscriptionSegment.associate = (models) => {
+    TranscriptionSegment.belongsTo(models.Transcription, { foreignKey: 'transcriptionId', as: 'transcription' });
+  };
+
+  return TranscriptionSegment;
+};
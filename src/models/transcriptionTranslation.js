@@ -0,0 +1,35 @@
+// src/models/transcriptionTranslation.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Versão traduzida de uma transcrição, guardada ao lado do original (uma por idioma)
+  const TranscriptionTranslation = sequelize.define('TranscriptionTranslation', {
+    id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+    transcriptionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'transcriptions', key: 'id' },
+      onDelete: 'CASCADE',
+    },
+    language: { type: DataTypes.STRING(8), allowNull: false }, // Idioma de destino (ISO 639-1)
+    status: { type: DataTypes.STRING, allowNull: false, defaultValue: 'pending' },
+    text: { type: DataTypes.TEXT, allowNull: true },
+    // Segmentos traduzidos com os mesmos tempos do original: [{ start, end, text, speaker }]
+    segments: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+    provider: { type: DataTypes.STRING, allowNull: true },
+    model: { type: DataTypes.STRING, allowNull: true },
+    errorMessage: { type: DataTypes.TEXT, allowNull: true },
+  }, {
+    tableName: 'transcription_translations',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['transcriptionId', 'language'] },
+    ],
+  });
+
+  TranscriptionTranslation.associate = (models) => {
+    TranscriptionTranslation.belongsTo(models.Transcription, { foreignKey: 'transcriptionId', as: 'transcription' });
+  };
+
+  return TranscriptionTranslation;
+};
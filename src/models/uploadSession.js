@@ -0,0 +1,39 @@
+// src/models/uploadSession.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Upload retomável (protocolo tus): o arquivo chega em pedaços e só vira uma Transcription
+  // quando completo. Os pedaços ficam no armazenamento sob "uploads/<id>/" até a conclusão.
+  const UploadSession = sequelize.define('UploadSession', {
+    id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+    userId: { type: DataTypes.UUID, allowNull: false },
+    fileName: { type: DataTypes.STRING, allowNull: false },
+    mimeType: { type: DataTypes.STRING, allowNull: false },
+    // BIGINT chega do Postgres como string: sempre converter com Number()
+    uploadLength: { type: DataTypes.BIGINT, allowNull: false },
+    uploadOffset: { type: DataTypes.BIGINT, allowNull: false, defaultValue: 0 },
+    // Pedaços já recebidos, em ordem: [{ key, size }]
+    parts: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+    // Upload-Metadata original e opções da transcrição ({ language, translateTo })
+    metadata: { type: DataTypes.JSONB, allowNull: false, defaultValue: {} },
+    status: { type: DataTypes.STRING, allowNull: false, defaultValue: 'uploading' }, // uploading, assembling (juntando os pedaços), completed, failed, expired
+    errorMessage: { type: DataTypes.TEXT, allowNull: true },
+    transcriptionId: { type: DataTypes.UUID, allowNull: true },
+    // Renovado a cada pedaço recebido; uploads abandonados são removidos pela retenção
+    expiresAt: { type: DataTypes.DATE, allowNull: false },
+  }, {
+    tableName: 'upload_sessions',
+    timestamps: true,
+    indexes: [
+      { fields: ['userId'] },
+      { fields: ['status', 'expiresAt'] },
+    ],
+  });
+
+  UploadSession.associate = (models) => {
+    UploadSession.belongsTo(models.User, { foreignKey: 'userId', as: 'user', onDelete: 'CASCADE' });
+    UploadSession.belongsTo(models.Transcription, { foreignKey: 'transcriptionId', as: 'transcription' });
+  };
+
+  return UploadSession;
+};
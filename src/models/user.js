@@ -26,6 +26,10 @@ module.exports = (sequelize) => {
     assistantsCreatedCount: { type: DataTypes.INTEGER, defaultValue: 0, allowNull: false },
     lastAssistantCreationResetDate: { type: DataTypes.DATE, allowNull: true },
 
+    // Anonimização de dados pessoais: 'off', 'store' (guarda a versão anonimizada) ou
+    // 'assistants' (guarda e envia aos assistentes só a versão anonimizada)
+    piiRedaction: { type: DataTypes.STRING(20), allowNull: false, defaultValue: 'off' },
+
     // <<< NOVOS CAMPOS PARA REDEFINIÇÃO DE SENHA >>>
     resetPasswordToken: {
       type: DataTypes.STRING,
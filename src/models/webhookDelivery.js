@@ -0,0 +1,38 @@
+// src/models/webhookDelivery.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Log de entrega de um evento a um endpoint. As tentativas são feitas pela fila de tarefas
+  // (backoff exponencial); um reenvio manual cria uma nova entrega com o mesmo evento.
+  const WebhookDelivery = sequelize.define('WebhookDelivery', {
+    id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+    endpointId: { type: DataTypes.UUID, allowNull: false },
+    userId: { type: DataTypes.UUID, allowNull: false },
+    eventId: { type: DataTypes.UUID, allowNull: false },
+    eventType: { type: DataTypes.STRING, allowNull: false },
+    payload: { type: DataTypes.JSONB, allowNull: false },
+    status: { type: DataTypes.STRING, allowNull: false, defaultValue: 'pending' }, // pending, succeeded, failed
+    attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    // Resultado da última tentativa
+    responseStatus: { type: DataTypes.INTEGER, allowNull: true },
+    responseBody: { type: DataTypes.TEXT, allowNull: true },
+    errorMessage: { type: DataTypes.TEXT, allowNull: true },
+    durationMs: { type: DataTypes.INTEGER, allowNull: true },
+    lastAttemptAt: { type: DataTypes.DATE, allowNull: true },
+    deliveredAt: { type: DataTypes.DATE, allowNull: true },
+    redeliveryOfId: { type: DataTypes.UUID, allowNull: true },
+  }, {
+    tableName: 'webhook_deliveries',
+    timestamps: true,
+    indexes: [
+      { fields: ['endpointId', 'createdAt'] },
+      { fields: ['userId', 'status'] },
+    ],
+  });
+
+  WebhookDelivery.associate = (models) => {
+    WebhookDelivery.belongsTo(models.WebhookEndpoint, { foreignKey: 'endpointId', as: 'endpoint' });
+  };
+
+  return WebhookDelivery;
+};
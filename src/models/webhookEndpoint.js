@@ -0,0 +1,27 @@
+// src/models/webhookEndpoint.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Endpoint HTTP do usuário que recebe eventos (ex: transcription.completed) assinados com HMAC
+  const WebhookEndpoint = sequelize.define('WebhookEndpoint', {
+    id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+    userId: { type: DataTypes.UUID, allowNull: false },
+    url: { type: DataTypes.STRING(2048), allowNull: false },
+    description: { type: DataTypes.STRING, allowNull: true },
+    // Tipos de evento assinados; ['*'] recebe todos
+    events: { type: DataTypes.ARRAY(DataTypes.STRING), allowNull: false, defaultValue: ['*'] },
+    // Segredo da assinatura HMAC; só é mostrado ao usuário na criação e na rotação
+    secret: { type: DataTypes.STRING, allowNull: false },
+    isActive: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+  }, {
+    tableName: 'webhook_endpoints',
+    timestamps: true,
+  });
+
+  WebhookEndpoint.associate = (models) => {
+    WebhookEndpoint.belongsTo(models.User, { foreignKey: 'userId', as: 'user', onDelete: 'CASCADE' });
+    WebhookEndpoint.hasMany(models.WebhookDelivery, { foreignKey: 'endpointId', as: 'deliveries', onDelete: 'CASCADE', hooks: true });
+  };
+
+  return WebhookEndpoint;
+};
@@ -9,6 +9,15 @@ const assistantRoutes = require('../features/Assistant/assistant.routes'); // <<
 const userRoutes = require('../features/User/user.routes');
 const publicRoutes = require('../features/Public/public.routes');
 const historyActionsRoutes = require('../features/HistoryActions/historyActions.routes');
+const filesRoutes = require('../features/Files/files.routes');
+const glossaryRoutes = require('../features/Glossary/glossary.routes');
+const searchRoutes = require('../features/Search/search.routes');
+const folderRoutes = require('../features/Folder/folder.routes');
+const batchRoutes = require('../features/Batch/batch.routes');
+const resumableUploadRoutes = require('../features/ResumableUpload/resumableUpload.routes');
+const eventsRoutes = require('../features/Events/events.routes');
+const webhookRoutes = require('../features/Webhook/webhook.routes');
+const urlImportRoutes = require('../features/UrlImport/urlImport.routes');
 
 const router = express.Router();
 
@@ -22,5 +31,14 @@ router.use('/transcriptions', transcriptionRoutes);
 router.use('/assistants', assistantRoutes); // <<< ADICIONAR
 router.use('/users', userRoutes);
 router.use('/history', historyActionsRoutes);
+router.use('/files', filesRoutes);
+router.use('/glossaries', glossaryRoutes);
+router.use('/search', searchRoutes);
+router.use('/folders', folderRoutes);
+router.use('/transcription-batches', batchRoutes);
+router.use('/uploads', resumableUploadRoutes);
+router.use('/events', eventsRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/url-imports', urlImportRoutes);
 
 module.exports = router;
\ No newline at end of file
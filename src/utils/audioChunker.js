@@ -0,0 +1,206 @@
+// src/utils/audioChunker.js
+const path = require('path');
+const fsPromises = require('fs/promises');
+const ffmpeg = require('./ffmpeg');
+
+// Valores padrão pensados para manter cada pedaço bem abaixo do limite de 25MB do Whisper
+// (10 minutos em mono/16kHz/64kbps ficam em torno de 5MB).
+const DEFAULT_OPTIONS = {
+  targetChunkSeconds: 600,   // Duração ideal de cada pedaço
+  searchWindowSeconds: 60,   // Janela (antes do ponto ideal) onde procuramos um silêncio para cortar
+  overlapSeconds: 2,         // Sobreposição de cada lado do corte, para não perder palavras
+  minTailSeconds: 30,        // Sobras menores que isso são anexadas ao último pedaço
+  silenceNoiseDb: -35,       // Limiar de ruído para considerar silêncio
+  minSilenceSeconds: 0.5,    // Duração mínima de um silêncio
+};
+
+/**
+ * Extrai a duração total ("Duration: HH:MM:SS.xx") da saída de diagnóstico do ffmpeg.
+ * @param {string} stderr - Saída de erro do ffmpeg.
+ * @returns {number|null} Duração em segundos.
+ */
+const parseDuration = (stderr) => {
+  const match = stderr.match(/Duration:\s*(\d+):(\d+):(\d+(?:\.\d+)?)/);
+  if (!match) return null;
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+};
+
+/**
+ * Extrai os intervalos de silêncio detectados pelo filtro `silencedetect`.
+ * @param {string} stderr - Saída de erro do ffmpeg.
+ * @returns {Array<{start: number, end: number}>}
+ */
+const parseSilences = (stderr) => {
+  const silences = [];
+  let currentStart = null;
+  for (const line of stderr.split('\n')) {
+    const startMatch = line.match(/silence_start:\s*(-?\d+(?:\.\d+)?)/);
+    if (startMatch) {
+      currentStart = Math.max(0, Number(startMatch[1]));
+      continue;
+    }
+    const endMatch = line.match(/silence_end:\s*(\d+(?:\.\d+)?)/);
+    if (endMatch && currentStart !== null) {
+      silences.push({ start: currentStart, end: Number(endMatch[1]) });
+      currentStart = null;
+    }
+  }
+  return silences;
+};
+
+/**
+ * Calcula os pedaços do áudio, cortando preferencialmente no meio de silêncios.
+ * Função pura: não toca no disco, facilitando ajustes e verificação isolada.
+ * @param {number} durationSeconds - Duração total do áudio.
+ * @param {Array<{start: number, end: number}>} silences - Silêncios detectados.
+ * @param {object} [options] - Sobrescreve os valores de DEFAULT_OPTIONS.
+ * @returns {Array<{index: number, start: number, end: number}>}
+ */
+const planChunks = (durationSeconds, silences = [], options = {}) => {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const chunks = [];
+  let start = 0;
+
+  while (start < durationSeconds) {
+    const idealCut = start + opts.targetChunkSeconds;
+    if (idealCut + opts.minTailSeconds >= durationSeconds) {
+      chunks.push({ index: chunks.length, start, end: durationSeconds });
+      break;
+    }
+
+    // Escolhe o silêncio mais longo dentro da janela de busca; sem silêncio, corta no ponto ideal
+    const windowStart = idealCut - opts.searchWindowSeconds;
+    const candidates = silences
+      .map(s => ({ middle: (s.start + s.end) / 2, length: s.end - s.start }))
+      .filter(s => s.middle > windowStart && s.middle <= idealCut && s.middle > start + opts.overlapSeconds);
+    const cut = candidates.length > 0
+      ? candidates.reduce((best, s) => (s.length > best.length ? s : best)).middle
+      : idealCut;
+
+    chunks.push({ index: chunks.length, start, end: Math.min(durationSeconds, cut + opts.overlapSeconds) });
+    start = cut - opts.overlapSeconds;
+  }
+
+  return chunks;
+};
+
+/**
+ * Divide um arquivo de áudio em pedaços sobrepostos, gravados em `outputDir`.
+ * Cada pedaço é recodificado em MP3 mono 16kHz para reduzir o tamanho enviado à API.
+ * @param {string} inputPath - Caminho do áudio original.
+ * @param {string} outputDir - Diretório onde os pedaços serão gravados.
+ * @param {object} [options] - Sobrescreve os valores de DEFAULT_OPTIONS.
+ * @returns {Promise<Array<{index: number, start: number, end: number, path: string}>>}
+ */
+const splitAudioIntoChunks = async (inputPath, outputDir, options = {}) => {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  await fsPromises.mkdir(outputDir, { recursive: true });
+
+  const { stderr } = await ffmpeg.run([
+    '-i', inputPath,
+    '-af', `silencedetect=noise=${opts.silenceNoiseDb}dB:d=${opts.minSilenceSeconds}`,
+    '-f', 'null', '-',
+  ]);
+
+  const durationSeconds = parseDuration(stderr);
+  if (!durationSeconds) {
+    throw new Error('Não foi possível determinar a duração do áudio para dividi-lo em partes.');
+  }
+
+  const plannedChunks = planChunks(durationSeconds, parseSilences(stderr), opts);
+  const chunks = [];
+  for (const chunk of plannedChunks) {
+    const chunkPath = path.join(outputDir, `chunk_${String(chunk.index).padStart(4, '0')}.mp3`);
+    await ffmpeg.run([
+      '-y',
+      '-ss', chunk.start.toFixed(3),
+      '-t', (chunk.end - chunk.start).toFixed(3),
+      '-i', inputPath,
+      '-vn', '-ac', '1', '-ar', '16000',
+      '-c:a', 'libmp3lame', '-b:a', '64k',
+      chunkPath,
+    ]);
+    chunks.push({ ...chunk, path: chunkPath });
+  }
+  return chunks;
+};
+
+// Normaliza uma palavra para comparação (sem acentos, pontuação ou caixa)
+const normalizeWord = (word) => word
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]/g, '');
+
+/**
+ * Junta os textos dos pedaços removendo as palavras repetidas na região de sobreposição.
+ * Procura o maior trecho em que o final do texto acumulado coincide com o início do próximo.
+ * @param {Array<string>} texts - Textos na ordem dos pedaços.
+ * @param {object} [options]
+ * @param {number} [options.maxOverlapWords=30] - Tamanho máximo da sobreposição procurada.
+ * @param {number} [options.minOverlapWords=2] - Abaixo disso a coincidência é tratada como acaso.
+ * @returns {string} Texto unificado.
+ */
+const mergeTranscriptTexts = (texts, { maxOverlapWords = 30, minOverlapWords = 2 } = {}) => {
+  const mergedWords = [];
+
+  for (const text of texts) {
+    const words = (text || '').trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) continue;
+
+    const tail = mergedWords.slice(-maxOverlapWords).map(normalizeWord);
+    const head = words.slice(0, maxOverlapWords).map(normalizeWord);
+    let overlap = 0;
+    for (let size = Math.min(tail.length, head.length); size >= minOverlapWords; size--) {
+      const tailSlice = tail.slice(tail.length - size);
+      if (tailSlice.every((word, i) => word === head[i])) {
+        overlap = size;
+        break;
+      }
+    }
+    mergedWords.push(...words.slice(overlap));
+  }
+
+  return mergedWords.join(' ');
+};
+
+/**
+ * Junta os segmentos com marcação de tempo dos pedaços, já convertidos para o tempo absoluto do áudio.
+ * Na região de sobreposição entre dois pedaços, o ponto médio decide de qual pedaço vem cada segmento.
+ * @param {Array<{chunk: {start: number, end: number}, segments: Array<{start: number, end: number}>}>} results
+ *   Resultado de cada pedaço, na ordem, com os tempos relativos ao início do pedaço.
+ * @returns {Array<object>} Segmentos em tempo absoluto, sem duplicatas.
+ */
+const mergeChunkSegments = (results) => {
+  const merged = [];
+
+  results.forEach(({ chunk, segments }, i) => {
+    const previous = results[i - 1];
+    const next = results[i + 1];
+    const lowerBound = previous ? (previous.chunk.end + chunk.start) / 2 : -Infinity;
+    const upperBound = next ? (chunk.end + next.chunk.start) / 2 : Infinity;
+
+    for (const segment of segments) {
+      const start = segment.start + chunk.start;
+      if (start < lowerBound || start >= upperBound) continue;
+      merged.push({
+        ...segment,
+        start,
+        end: segment.end + chunk.start,
+        words: (segment.words || []).map(w => ({ ...w, start: w.start + chunk.start, end: w.end + chunk.start })),
+      });
+    }
+  });
+
+  return merged;
+};
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  parseDuration,
+  parseSilences,
+  planChunks,
+  splitAudioIntoChunks,
+  mergeTranscriptTexts,
+  mergeChunkSegments,
+};
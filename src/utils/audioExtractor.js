@@ -0,0 +1,39 @@
+// src/utils/audioExtractor.js
+// Extrai a faixa de áudio de arquivos de vídeo (ex: MP4 de teleconsultas), para seguirem o mesmo
+// caminho de um upload de áudio. O resultado é um MP3, formato que o audioProbe lê pelos cabeçalhos.
+const ffmpeg = require('./ffmpeg');
+
+const OUTPUT_FORMAT = { extension: '.mp3', mimeType: 'audio/mpeg' };
+const TIMEOUT_SECONDS = 600;
+
+// O arquivo vem de um link qualquer: o ffmpeg só lê o próprio arquivo (playlists HLS e listas do
+// concat não podem buscar outros recursos) e só com os demuxers dos formatos aceitos
+const ALLOWED_PROTOCOLS = 'file,pipe';
+const ALLOWED_DEMUXERS = ['mov', 'matroska', 'avi', 'mpeg', 'mpegts', 'mp3', 'wav', 'aac', 'ogg', 'flac'];
+
+/**
+ * @param {string} inputPath - Vídeo (ou qualquer contêiner que o ffmpeg leia).
+ * @param {string} outputPath - Destino do MP3.
+ * @returns {Promise<{path: string, mimeType: string}>}
+ */
+const extractAudioTrack = async (inputPath, outputPath) => {
+  try {
+    await ffmpeg.run([
+      '-y',
+      '-protocol_whitelist', ALLOWED_PROTOCOLS,
+      '-format_whitelist', ALLOWED_DEMUXERS.join(','),
+      '-i', inputPath,
+      '-map', '0:a:0', '-vn', '-sn', '-dn',
+      '-c:a', 'libmp3lame', '-b:a', '128k',
+      outputPath,
+    ], { timeoutSeconds: TIMEOUT_SECONDS });
+  } catch (error) {
+    if (/matches no streams|does not contain any stream/i.test(error.message)) {
+      throw new Error('O arquivo não contém uma faixa de áudio.');
+    }
+    throw new Error(`Tipo de arquivo não suportado ou arquivo corrompido: não foi possível extrair o áudio (${error.message}).`);
+  }
+  return { path: outputPath, mimeType: OUTPUT_FORMAT.mimeType };
+};
+
+module.exports = { OUTPUT_FORMAT, extractAudioTrack };
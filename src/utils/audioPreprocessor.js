@@ -0,0 +1,166 @@
+// src/utils/audioPreprocessor.js
+// Pré-processamento do áudio antes da transcrição: converte para um formato canônico (FLAC mono
+// 16kHz), normaliza o volume (loudnorm, bom para gravações de telefone baixas) e corta o silêncio
+// do início, do fim e as pausas internas longas. O áudio original não muda: os trechos mantidos
+// ficam registrados para converter os tempos dos segmentos de volta para o áudio original.
+const path = require('path');
+const fsPromises = require('fs/promises');
+const ffmpeg = require('./ffmpeg');
+const { parseDuration, parseSilences } = require('./audioChunker');
+
+const DEFAULT_OPTIONS = {
+  silenceNoiseDb: -45,       // Limiar de silêncio, medido já com o volume normalizado
+  maxSilenceSeconds: 2,      // Pausas internas maiores que isso são encurtadas
+  keepSilenceSeconds: 0.5,   // Quanto sobra de cada pausa encurtada (separação natural entre falas)
+  edgeSilenceSeconds: 0.25,  // Silêncio mantido no início e no fim
+  minSpeechSeconds: 1,       // Com menos áudio que isso depois dos cortes, nada é cortado
+  targetLoudnessLufs: -16,
+};
+
+const OUTPUT_FORMAT = { extension: '.flac', mimeType: 'audio/flac', codec: 'flac', sampleRate: 16000, channels: 1 };
+
+const loudnormFilter = (opts) => `loudnorm=I=${opts.targetLoudnessLufs}:TP=-1.5:LRA=11`;
+
+// O silencedetect não fecha um silêncio que vai até o fim do arquivo em todas as versões do ffmpeg
+const parseTrailingSilenceStart = (stderr) => {
+  const lastStart = stderr.lastIndexOf('silence_start:');
+  if (lastStart === -1 || stderr.indexOf('silence_end:', lastStart) !== -1) return null;
+  const match = stderr.slice(lastStart).match(/silence_start:\s*(-?\d+(?:\.\d+)?)/);
+  return match ? Math.max(0, Number(match[1])) : null;
+};
+
+/**
+ * Calcula os trechos do áudio que serão mantidos. Função pura, como o planChunks do audioChunker.
+ * @param {number} durationSeconds - Duração total do áudio.
+ * @param {Array<{start: number, end: number}>} silences - Silêncios detectados.
+ * @param {object} [options] - Sobrescreve os valores de DEFAULT_OPTIONS.
+ * @returns {Array<{start: number, end: number}>} Trechos mantidos, em ordem e sem sobreposição.
+ */
+const planKeptRanges = (durationSeconds, silences = [], options = {}) => {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const edgeTolerance = 0.05;
+  const cuts = [];
+
+  for (const silence of silences) {
+    const start = Math.max(0, silence.start);
+    const end = Math.min(durationSeconds, silence.end);
+    if (end - start <= 0) continue;
+
+    if (start <= edgeTolerance) {
+      if (end - start > opts.edgeSilenceSeconds) cuts.push({ start: 0, end: end - opts.edgeSilenceSeconds });
+    } else if (end >= durationSeconds - edgeTolerance) {
+      if (end - start > opts.edgeSilenceSeconds) cuts.push({ start: start + opts.edgeSilenceSeconds, end: durationSeconds });
+    } else if (end - start > opts.maxSilenceSeconds) {
+      const keepHalf = opts.keepSilenceSeconds / 2;
+      cuts.push({ start: start + keepHalf, end: end - keepHalf });
+    }
+  }
+
+  const kept = [];
+  let position = 0;
+  for (const cut of cuts.sort((a, b) => a.start - b.start)) {
+    if (cut.start > position) kept.push({ start: position, end: cut.start });
+    position = Math.max(position, cut.end);
+  }
+  if (position < durationSeconds) kept.push({ start: position, end: durationSeconds });
+
+  return totalDuration(kept) < opts.minSpeechSeconds ? [{ start: 0, end: durationSeconds }] : kept;
+};
+
+const totalDuration = (ranges) => ranges.reduce((sum, range) => sum + (range.end - range.start), 0);
+
+/**
+ * Converte um tempo do áudio pré-processado para o tempo correspondente no áudio original.
+ * @param {number} time - Segundos no áudio pré-processado.
+ * @param {Array<{start: number, end: number}>} ranges - Trechos mantidos (saída de planKeptRanges).
+ */
+const toOriginalTime = (time, ranges) => {
+  if (!ranges || ranges.length === 0) return time;
+  let offset = 0;
+  for (const range of ranges) {
+    const length = range.end - range.start;
+    if (time <= offset + length) return range.start + Math.max(0, time - offset);
+    offset += length;
+  }
+  return ranges[ranges.length - 1].end;
+};
+
+/**
+ * Leva os tempos dos segmentos (e das palavras) para a linha do tempo do áudio original.
+ */
+const remapSegments = (segments, ranges) => {
+  if (!ranges) return segments;
+  return segments.map(segment => ({
+    ...segment,
+    start: toOriginalTime(segment.start, ranges),
+    end: toOriginalTime(segment.end, ranges),
+    words: (segment.words || []).map(w => ({ ...w, start: toOriginalTime(w.start, ranges), end: toOriginalTime(w.end, ranges) })),
+  }));
+};
+
+/**
+ * Gera a versão pré-processada do áudio em `outputDir`.
+ * @param {string} inputPath - Caminho do áudio original.
+ * @param {string} outputDir - Diretório de trabalho (o chamador remove depois).
+ * @param {object} [options] - Sobrescreve os valores de DEFAULT_OPTIONS.
+ * @returns {Promise<{path: string, mimeType: string, originalDurationSeconds: number,
+ *   durationSeconds: number, ranges: Array<{start: number, end: number}>}>}
+ */
+const preprocess = async (inputPath, outputDir, options = {}) => {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  await fsPromises.mkdir(outputDir, { recursive: true });
+
+  // 1ª passada: silêncios medidos depois da normalização, para gravações baixas não virarem "silêncio"
+  const minSilence = Math.min(opts.edgeSilenceSeconds, opts.maxSilenceSeconds);
+  const { stderr } = await ffmpeg.run([
+    '-i', inputPath, '-vn',
+    '-af', `${loudnormFilter(opts)},silencedetect=noise=${opts.silenceNoiseDb}dB:d=${minSilence}`,
+    '-f', 'null', '-',
+  ]);
+  const originalDurationSeconds = parseDuration(stderr);
+  if (!originalDurationSeconds) {
+    throw new Error('Não foi possível determinar a duração do áudio para o pré-processamento.');
+  }
+  const silences = parseSilences(stderr);
+  const trailingStart = parseTrailingSilenceStart(stderr);
+  if (trailingStart !== null) silences.push({ start: trailingStart, end: originalDurationSeconds });
+  const ranges = planKeptRanges(originalDurationSeconds, silences, opts);
+
+  // 2ª passada: só os trechos mantidos, com o volume normalizado, no formato canônico. O filtro vai
+  // num arquivo porque arquivos longos podem ter centenas de cortes.
+  const filters = [];
+  const trimmed = ranges.length > 1 || ranges[0].start > 0 || ranges[0].end < originalDurationSeconds;
+  if (trimmed) {
+    const selection = ranges.map(r => `between(t\\,${r.start.toFixed(3)}\\,${r.end.toFixed(3)})`).join('+');
+    filters.push(`aselect=${selection}`, 'asetpts=N/SR/TB');
+  }
+  filters.push(loudnormFilter(opts));
+  const filterPath = path.join(outputDir, 'filter.txt');
+  await fsPromises.writeFile(filterPath, filters.join(','));
+
+  const outputPath = path.join(outputDir, `preprocessed${OUTPUT_FORMAT.extension}`);
+  await ffmpeg.run([
+    '-y', '-i', inputPath, '-vn',
+    '-filter_script:a', filterPath,
+    '-ac', String(OUTPUT_FORMAT.channels), '-ar', String(OUTPUT_FORMAT.sampleRate),
+    '-c:a', OUTPUT_FORMAT.codec,
+    outputPath,
+  ]);
+
+  return {
+    path: outputPath,
+    mimeType: OUTPUT_FORMAT.mimeType,
+    originalDurationSeconds,
+    durationSeconds: totalDuration(ranges),
+    ranges,
+  };
+};
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  OUTPUT_FORMAT,
+  planKeptRanges,
+  toOriginalTime,
+  remapSegments,
+  preprocess,
+};
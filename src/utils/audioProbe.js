@@ -0,0 +1,405 @@
+// src/utils/audioProbe.js
+// Lê a duração real de arquivos de áudio a partir dos cabeçalhos do contêiner/codec,
+// sem decodificar o áudio. Cobre todos os mimetypes aceitos em utils/upload.js.
+const fsPromises = require('fs/promises');
+const ffmpeg = require('./ffmpeg');
+
+const BLOCK_SIZE = 64 * 1024;
+
+/**
+ * Leitor com cache de blocos, para percorrer cabeçalhos sem carregar o arquivo inteiro na memória.
+ */
+class BlockReader {
+  constructor(handle, size) {
+    this.handle = handle;
+    this.size = size;
+    this.blockStart = -1;
+    this.block = Buffer.alloc(0);
+  }
+
+  async read(position, length) {
+    if (position < 0 || position >= this.size) return Buffer.alloc(0);
+    const end = Math.min(position + length, this.size);
+    if (position < this.blockStart || end > this.blockStart + this.block.length) {
+      const blockLength = Math.max(BLOCK_SIZE, length);
+      const buffer = Buffer.alloc(Math.min(blockLength, this.size - position));
+      const { bytesRead } = await this.handle.read(buffer, 0, buffer.length, position);
+      this.blockStart = position;
+      this.block = buffer.subarray(0, bytesRead);
+    }
+    return this.block.subarray(position - this.blockStart, end - this.blockStart);
+  }
+}
+
+// Pula uma tag ID3v2 no início do arquivo (comum em MP3 e AAC), retornando a posição do áudio
+const skipId3v2 = async (reader) => {
+  const header = await reader.read(0, 10);
+  if (header.length < 10 || header.toString('latin1', 0, 3) !== 'ID3') return 0;
+  const tagSize = (header[6] << 21) | (header[7] << 14) | (header[8] << 7) | header[9];
+  const hasFooter = (header[5] & 0x10) !== 0;
+  return 10 + tagSize + (hasFooter ? 10 : 0);
+};
+
+// ---------------------------------------------------------------------------
+// WAV (RIFF)
+// ---------------------------------------------------------------------------
+const probeWav = async (reader) => {
+  const header = await reader.read(0, 12);
+  if (header.toString('latin1', 0, 4) !== 'RIFF' || header.toString('latin1', 8, 12) !== 'WAVE') return null;
+
+  let position = 12;
+  let byteRate = null;
+  while (position + 8 <= reader.size) {
+    const chunkHeader = await reader.read(position, 8);
+    const chunkId = chunkHeader.toString('latin1', 0, 4);
+    const chunkSize = chunkHeader.readUInt32LE(4);
+
+    if (chunkId === 'fmt ') {
+      const fmt = await reader.read(position + 8, 16);
+      byteRate = fmt.readUInt32LE(8);
+    } else if (chunkId === 'data') {
+      if (!byteRate) return null;
+      // Gravações interrompidas podem deixar o tamanho do bloco zerado ou maior que o arquivo
+      const available = reader.size - (position + 8);
+      const dataSize = chunkSize === 0 || chunkSize > available ? available : chunkSize;
+      return dataSize / byteRate;
+    }
+    position += 8 + chunkSize + (chunkSize % 2);
+  }
+  return null;
+};
+
+// ---------------------------------------------------------------------------
+// MP3 (MPEG-1/2/2.5 Layer I/II/III)
+// ---------------------------------------------------------------------------
+const MPEG_BITRATES = {
+  'V1L1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  'V1L2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  'V1L3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  'V2L1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  'V2L2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  'V2L3': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+const MPEG_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000],
+};
+
+const parseMpegFrameHeader = (bytes) => {
+  if (bytes.length < 4 || bytes[0] !== 0xFF || (bytes[1] & 0xE0) !== 0xE0) return null;
+  const version = { 0: 2.5, 2: 2, 3: 1 }[(bytes[1] >> 3) & 0x03];
+  const layer = { 1: 3, 2: 2, 3: 1 }[(bytes[1] >> 1) & 0x03];
+  const bitrateIndex = bytes[2] >> 4;
+  const sampleRateIndex = (bytes[2] >> 2) & 0x03;
+  if (!version || !layer || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return null;
+
+  const bitrate = MPEG_BITRATES[`${version === 1 ? 'V1' : 'V2'}L${layer}`][bitrateIndex] * 1000;
+  const sampleRate = MPEG_SAMPLE_RATES[version][sampleRateIndex];
+  const padding = (bytes[2] >> 1) & 0x01;
+  const samplesPerFrame = layer === 1 ? 384 : (layer === 3 && version !== 1 ? 576 : 1152);
+  const frameLength = layer === 1
+    ? (Math.floor((12 * bitrate) / sampleRate) + padding) * 4
+    : Math.floor((samplesPerFrame / 8) * bitrate / sampleRate) + padding;
+
+  return { version, layer, bitrate, sampleRate, samplesPerFrame, frameLength, isMono: (bytes[3] >> 6) === 3 };
+};
+
+// Procura o primeiro frame válido (confirmado pelo frame seguinte) a partir de `position`
+const findFirstMpegFrame = async (reader, position) => {
+  const limit = Math.min(reader.size, position + BLOCK_SIZE * 4);
+  for (let pos = position; pos + 4 <= limit; pos++) {
+    const frame = parseMpegFrameHeader(await reader.read(pos, 4));
+    if (frame && parseMpegFrameHeader(await reader.read(pos + frame.frameLength, 4))) {
+      return { position: pos, frame };
+    }
+  }
+  return null;
+};
+
+const probeMp3 = async (reader) => {
+  const first = await findFirstMpegFrame(reader, await skipId3v2(reader));
+  if (!first) return null;
+  const { frame } = first;
+
+  // Cabeçalho Xing/Info (gerado pela maioria dos encoders VBR) informa o total de frames
+  const sideInfoSize = frame.version === 1 ? (frame.isMono ? 17 : 32) : (frame.isMono ? 9 : 17);
+  const xing = await reader.read(first.position + 4 + sideInfoSize, 12);
+  const xingTag = xing.toString('latin1', 0, 4);
+  if ((xingTag === 'Xing' || xingTag === 'Info') && (xing.readUInt32BE(4) & 0x01)) {
+    return (xing.readUInt32BE(8) * frame.samplesPerFrame) / frame.sampleRate;
+  }
+
+  // Cabeçalho VBRI (encoder Fraunhofer) fica sempre 32 bytes após o cabeçalho do frame
+  const vbri = await reader.read(first.position + 36, 18);
+  if (vbri.toString('latin1', 0, 4) === 'VBRI') {
+    return (vbri.readUInt32BE(14) * frame.samplesPerFrame) / frame.sampleRate;
+  }
+
+  // Sem cabeçalho de VBR: percorre todos os frames, o que também cobre VBR "cru"
+  let position = first.position;
+  let totalSamples = 0;
+  let sampleRate = frame.sampleRate;
+  while (position + 4 <= reader.size) {
+    const current = parseMpegFrameHeader(await reader.read(position, 4));
+    if (!current) {
+      const next = await findFirstMpegFrame(reader, position + 1);
+      if (!next) break;
+      position = next.position;
+      continue;
+    }
+    totalSamples += current.samplesPerFrame;
+    sampleRate = current.sampleRate;
+    position += current.frameLength;
+  }
+  return totalSamples > 0 ? totalSamples / sampleRate : null;
+};
+
+// ---------------------------------------------------------------------------
+// AAC (ADTS)
+// ---------------------------------------------------------------------------
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+const isAdtsSync = (header) => header[0] === 0xFF && (header[1] & 0xF6) === 0xF0;
+
+const probeAac = async (reader) => {
+  let position = await skipId3v2(reader);
+  let totalSamples = 0;
+  let sampleRate = null;
+  let resyncBytes = 0;
+
+  while (position + 7 <= reader.size) {
+    const header = await reader.read(position, 7);
+    const rate = ADTS_SAMPLE_RATES[(header[2] >> 2) & 0x0F];
+    const frameLength = ((header[3] & 0x03) << 11) | (header[4] << 3) | (header[5] >> 5);
+    if (!isAdtsSync(header) || !rate || frameLength < 7) {
+      // Sincronia perdida: procura o próximo syncword, mas desiste em trechos longos de lixo
+      if (++resyncBytes > BLOCK_SIZE) break;
+      position += 1;
+      continue;
+    }
+    resyncBytes = 0;
+    sampleRate = rate;
+    totalSamples += 1024 * ((header[6] & 0x03) + 1);
+    position += frameLength;
+  }
+  return sampleRate ? totalSamples / sampleRate : null;
+};
+
+// ---------------------------------------------------------------------------
+// OGG (Vorbis / Opus)
+// ---------------------------------------------------------------------------
+const probeOgg = async (reader) => {
+  const firstPage = await reader.read(0, 27);
+  if (firstPage.toString('latin1', 0, 4) !== 'OggS') return null;
+
+  const segmentCount = firstPage[26];
+  const packet = await reader.read(27 + segmentCount, 64);
+  let sampleRate;
+  let preSkip = 0;
+  if (packet.toString('latin1', 1, 7) === 'vorbis') {
+    sampleRate = packet.readUInt32LE(12);
+  } else if (packet.toString('latin1', 0, 8) === 'OpusHead') {
+    sampleRate = 48000; // A posição de grânulo do Opus é sempre em 48kHz
+    preSkip = packet.readUInt16LE(10);
+  } else {
+    return null;
+  }
+
+  // A posição de grânulo da última página equivale ao total de amostras
+  const tailStart = Math.max(0, reader.size - BLOCK_SIZE);
+  const tail = await reader.read(tailStart, reader.size - tailStart);
+  const lastPage = tail.lastIndexOf('OggS', tail.length - 27, 'latin1');
+  if (lastPage === -1) return null;
+  const granule = Number(tail.readBigInt64LE(lastPage + 6));
+  return Math.max(0, granule - preSkip) / sampleRate;
+};
+
+// ---------------------------------------------------------------------------
+// WebM / Matroska (EBML)
+// ---------------------------------------------------------------------------
+const EBML_IDS = {
+  SEGMENT: 0x18538067,
+  INFO: 0x1549A966,
+  TIMECODE_SCALE: 0x2AD7B1,
+  DURATION: 0x4489,
+  CLUSTER: 0x1F43B675,
+  CLUSTER_TIMECODE: 0xE7,
+  SIMPLE_BLOCK: 0xA3,
+  BLOCK_GROUP: 0xA0,
+  BLOCK: 0xA1,
+};
+// Elementos em que descemos em vez de pular o conteúdo
+const EBML_CONTAINERS = new Set([EBML_IDS.SEGMENT, EBML_IDS.INFO, EBML_IDS.CLUSTER, EBML_IDS.BLOCK_GROUP]);
+
+// Lê um inteiro de tamanho variável do EBML; `keepMarker` mantém o bit marcador (usado nos IDs)
+const readVint = (bytes, offset, keepMarker) => {
+  const first = bytes[offset];
+  if (first === undefined || first === 0) return null;
+  const length = Math.clz32(first) - 23;
+  if (offset + length > bytes.length) return null;
+  let value = keepMarker ? first : first & (0xFF >> length);
+  let allOnes = value === (0xFF >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + bytes[offset + i];
+    allOnes = allOnes && bytes[offset + i] === 0xFF;
+  }
+  return { value, length, unknown: !keepMarker && allOnes };
+};
+
+const probeWebm = async (reader) => {
+  const magic = await reader.read(0, 4);
+  if (magic.readUInt32BE(0) !== 0x1A45DFA3) return null;
+
+  let timecodeScale = 1000000; // Padrão do Matroska: 1ms
+  let clusterTimecode = 0;
+  let maxTimecode = 0;
+  let position = 0;
+
+  while (position < reader.size) {
+    const header = await reader.read(position, 12);
+    const id = readVint(header, 0, true);
+    const size = id && readVint(header, id.length, false);
+    if (!id || !size) break;
+    const dataStart = position + id.length + size.length;
+
+    if (EBML_CONTAINERS.has(id.value)) {
+      position = dataStart;
+      continue;
+    }
+    if (size.unknown) break;
+
+    if (id.value === EBML_IDS.TIMECODE_SCALE) {
+      timecodeScale = (await reader.read(dataStart, size.value)).readUIntBE(0, size.value);
+    } else if (id.value === EBML_IDS.DURATION) {
+      const data = await reader.read(dataStart, size.value);
+      const duration = size.value === 4 ? data.readFloatBE(0) : data.readDoubleBE(0);
+      if (duration > 0) return (duration * timecodeScale) / 1e9;
+    } else if (id.value === EBML_IDS.CLUSTER_TIMECODE) {
+      clusterTimecode = (await reader.read(dataStart, size.value)).readUIntBE(0, size.value);
+    } else if (id.value === EBML_IDS.SIMPLE_BLOCK || id.value === EBML_IDS.BLOCK) {
+      // Gravações do MediaRecorder não trazem Duration: usamos o maior timecode de bloco
+      const block = await reader.read(dataStart, 12);
+      const track = readVint(block, 0, false);
+      if (track) maxTimecode = Math.max(maxTimecode, clusterTimecode + block.readInt16BE(track.length));
+    }
+    position = dataStart + size.value;
+  }
+
+  return maxTimecode > 0 ? (maxTimecode * timecodeScale) / 1e9 : null;
+};
+
+// ---------------------------------------------------------------------------
+// MP4 / M4A (ISO BMFF)
+// ---------------------------------------------------------------------------
+const findMp4Box = async (reader, type, start, end) => {
+  let position = start;
+  while (position + 8 <= end) {
+    const header = await reader.read(position, 16);
+    let boxSize = header.readUInt32BE(0);
+    let headerSize = 8;
+    if (boxSize === 1) {
+      boxSize = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (boxSize === 0) {
+      boxSize = end - position;
+    }
+    if (boxSize < headerSize) return null;
+    if (header.toString('latin1', 4, 8) === type) {
+      return { start: position + headerSize, end: position + boxSize };
+    }
+    position += boxSize;
+  }
+  return null;
+};
+
+const probeMp4 = async (reader) => {
+  const moov = await findMp4Box(reader, 'moov', 0, reader.size);
+  if (!moov) return null;
+  const mvhd = await findMp4Box(reader, 'mvhd', moov.start, moov.end);
+  if (!mvhd) return null;
+
+  const data = await reader.read(mvhd.start, 32);
+  const version = data[0];
+  const timescale = version === 1 ? data.readUInt32BE(20) : data.readUInt32BE(12);
+  const duration = version === 1 ? Number(data.readBigUInt64BE(24)) : data.readUInt32BE(16);
+  return timescale ? duration / timescale : null;
+};
+
+// ---------------------------------------------------------------------------
+
+const PROBES_BY_MIMETYPE = {
+  'audio/mpeg': probeMp3,
+  'audio/wav': probeWav,
+  'audio/x-wav': probeWav,
+  'audio/aac': probeAac,
+  'audio/ogg': probeOgg,
+  'audio/webm': probeWebm,
+  'audio/mp4': probeMp4,
+};
+
+// Identifica o contêiner pelos bytes iniciais; o mimetype enviado pelo navegador nem sempre é confiável
+const detectProbeByMagic = async (reader) => {
+  const magic = await reader.read(0, 12);
+  if (magic.toString('latin1', 0, 4) === 'RIFF') return probeWav;
+  if (magic.toString('latin1', 0, 4) === 'OggS') return probeOgg;
+  if (magic.length >= 4 && magic.readUInt32BE(0) === 0x1A45DFA3) return probeWebm;
+  if (magic.toString('latin1', 4, 8) === 'ftyp') return probeMp4;
+
+  const audioStart = await reader.read(await skipId3v2(reader), 2);
+  if (isAdtsSync(audioStart)) return probeAac;
+  if (audioStart[0] === 0xFF && (audioStart[1] & 0xE0) === 0xE0) return probeMp3;
+  return null;
+};
+
+// Fallback para arquivos que os cabeçalhos não resolvem (ex: contêiner com mimetype trocado)
+const probeWithFfprobe = async (filePath) => {
+  try {
+    const { stdout } = await ffmpeg.probe([
+      '-v', 'error', '-show_entries', 'format=duration', '-of', 'default=noprint_wrappers=1:nokey=1', filePath,
+    ]);
+    const duration = parseFloat(stdout.trim());
+    return Number.isFinite(duration) && duration > 0 ? duration : null;
+  } catch (error) {
+    console.warn(`[AudioProbe] ffprobe indisponível ou falhou para ${filePath}: ${error.message}`);
+    return null;
+  }
+};
+
+const audioProbe = {
+  /**
+   * Obtém a duração real de um arquivo de áudio.
+   * Tenta o parser do contêiner detectado pelos bytes iniciais, depois o do mimetype informado e,
+   * por último, o ffprobe.
+   * @param {string} filePath - Caminho do arquivo.
+   * @param {string} mimetype - Mimetype informado no upload.
+   * @returns {Promise<number>} Duração em segundos.
+   */
+  async getDurationSeconds(filePath, mimetype) {
+    const handle = await fsPromises.open(filePath, 'r');
+    try {
+      const { size } = await handle.stat();
+      const reader = new BlockReader(handle, size);
+      const probes = new Set([await detectProbeByMagic(reader), PROBES_BY_MIMETYPE[mimetype]].filter(Boolean));
+
+      for (const probe of probes) {
+        try {
+          const duration = await probe(reader);
+          if (duration && Number.isFinite(duration) && duration > 0) return duration;
+        } catch (error) {
+          // Cabeçalho truncado ou de outro formato: segue para o próximo parser
+        }
+      }
+    } finally {
+      await handle.close();
+    }
+
+    const duration = await probeWithFfprobe(filePath);
+    if (!duration) {
+      throw new Error('Não foi possível determinar a duração do áudio. O arquivo pode estar corrompido.');
+    }
+    return duration;
+  },
+};
+
+module.exports = audioProbe;
@@ -0,0 +1,60 @@
+// src/utils/chapterPlanner.js
+// Divisão de uma transcrição longa em capítulos a partir dos tempos dos segmentos. Os cortes ficam
+// entre segmentos, preferindo pausas longas e trocas de interlocutor perto da duração alvo.
+
+const DEFAULT_OPTIONS = {
+  targetSeconds: 300,   // Duração desejada de cada capítulo
+  minSeconds: 120,      // Nenhum capítulo (exceto um único) fica mais curto que isso
+  maxSeconds: 600,      // Passando disso, corta no melhor ponto já visto
+  pauseSeconds: 2,      // Depois da duração alvo, uma pausa assim já encerra o capítulo
+};
+
+/**
+ * Planeja os capítulos. Função pura, como o planChunks do audioChunker.
+ * @param {Array<{start: number, end: number, speaker?: string}>} segments - Em ordem.
+ * @param {object} [options] - Sobrescreve os valores de DEFAULT_OPTIONS.
+ * @returns {Array<{startIndex: number, endIndex: number, start: number, end: number}>}
+ *   Índices (posições em `segments`, inclusive) e tempos de cada capítulo.
+ */
+const planChapters = (segments, options = {}) => {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  if (!segments || segments.length === 0) return [];
+
+  const ranges = [];
+  let startIndex = 0;
+  let best = null;
+
+  for (let i = 0; i < segments.length - 1; i++) {
+    const elapsed = segments[i].end - segments[startIndex].start;
+    if (elapsed < opts.minSeconds) continue;
+
+    const gap = Math.max(0, segments[i + 1].start - segments[i].end);
+    const speakerChange = Boolean(segments[i].speaker && segments[i + 1].speaker && segments[i].speaker !== segments[i + 1].speaker);
+    const score = gap + (speakerChange ? 0.5 : 0) - Math.abs(elapsed - opts.targetSeconds) / opts.targetSeconds;
+    if (!best || score > best.score) best = { index: i, score };
+
+    const naturalBreak = elapsed >= opts.targetSeconds && gap >= opts.pauseSeconds;
+    if (naturalBreak || elapsed >= opts.maxSeconds) {
+      const cut = naturalBreak ? i : best.index;
+      ranges.push({ startIndex, endIndex: cut });
+      startIndex = cut + 1;
+      best = null;
+    }
+  }
+  ranges.push({ startIndex, endIndex: segments.length - 1 });
+
+  // Sobra muito curta no fim vira parte do capítulo anterior
+  const last = ranges[ranges.length - 1];
+  if (ranges.length > 1 && segments[last.endIndex].end - segments[last.startIndex].start < opts.minSeconds / 2) {
+    ranges.pop();
+    ranges[ranges.length - 1].endIndex = last.endIndex;
+  }
+
+  return ranges.map(range => ({
+    ...range,
+    start: segments[range.startIndex].start,
+    end: segments[range.endIndex].end,
+  }));
+};
+
+module.exports = { DEFAULT_OPTIONS, planChapters };
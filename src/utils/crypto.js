@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
@@ -9,6 +10,14 @@ if (!JWT_SECRET) {
   process.exit(1); // Encerra a aplicação se a chave secreta não estiver definida
 }
 
+// Chave (AES-256) dos dados cifrados no banco, como o mapeamento da anonimização. Sem
+// DATA_ENCRYPTION_KEY, deriva do JWT_SECRET: nesse caso, trocar o JWT_SECRET torna os dados ilegíveis.
+if (!process.env.DATA_ENCRYPTION_KEY) {
+  console.warn('Aviso: DATA_ENCRYPTION_KEY não definida. Os dados cifrados usarão uma chave derivada do JWT_SECRET.');
+}
+const DATA_ENCRYPTION_KEY = crypto.createHash('sha256').update(process.env.DATA_ENCRYPTION_KEY || JWT_SECRET).digest();
+const ENCRYPTION_VERSION = 'v1';
+
 const cryptoUtils = {
   /**
    * Gera um hash para a senha fornecida.
@@ -52,6 +61,55 @@ const cryptoUtils = {
       return null;
     }
   },
+
+  /**
+   * Assina um valor com HMAC-SHA256 (usado em URLs temporárias, ex: reprodução de áudio).
+   * @param {string} value - O valor a ser assinado.
+   * @returns {string} A assinatura em base64url.
+   */
+  signValue: (value) => {
+    return crypto.createHmac('sha256', JWT_SECRET).update(value).digest('base64url');
+  },
+
+  /**
+   * Confere, em tempo constante, se a assinatura corresponde ao valor.
+   * @param {string} value - O valor original.
+   * @param {string} signature - A assinatura recebida.
+   * @returns {boolean} True se a assinatura for válida.
+   */
+  verifySignature: (value, signature) => {
+    if (typeof signature !== 'string') return false;
+    const expected = Buffer.from(cryptoUtils.signValue(value));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  },
+
+  /**
+   * Cifra um texto com AES-256-GCM.
+   * @param {string} plaintext - O texto a ser cifrado.
+   * @returns {string} "v1.<iv>.<tag>.<dados>", cada parte em base64url.
+   */
+  encrypt: (plaintext) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', DATA_ENCRYPTION_KEY, iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return [ENCRYPTION_VERSION, iv, cipher.getAuthTag(), data].map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part)).join('.');
+  },
+
+  /**
+   * Decifra um valor gerado por `encrypt`. Lança erro se o valor foi adulterado ou a chave mudou.
+   * @param {string} payload - O valor cifrado.
+   * @returns {string} O texto original.
+   */
+  decrypt: (payload) => {
+    const [version, iv, tag, data] = String(payload).split('.');
+    if (version !== ENCRYPTION_VERSION || !iv || !tag || data === undefined) {
+      throw new Error('Dado cifrado inválido.');
+    }
+    const decipher = crypto.createDecipheriv('aes-256-gcm', DATA_ENCRYPTION_KEY, Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]).toString('utf8');
+  },
 };
 
 module.exports = cryptoUtils;
\ No newline at end of file
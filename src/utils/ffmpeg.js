@@ -0,0 +1,55 @@
+// src/utils/ffmpeg.js
+const { spawn } = require('child_process');
+
+// Caminhos dos binários podem ser sobrescritos pelo .env (ex: instalações fora do PATH)
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+// Nenhuma execução passa disso: um arquivo malformado pode deixar o ffmpeg preso indefinidamente
+const DEFAULT_TIMEOUT_SECONDS = Number(process.env.FFMPEG_TIMEOUT_SECONDS) || 1800;
+
+/**
+ * Executa um binário e coleta stdout/stderr.
+ * @param {string} binary - Caminho do executável.
+ * @param {Array<string>} args - Argumentos de linha de comando.
+ * @param {object} [options] - { timeoutSeconds: o processo é encerrado depois desse tempo }
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+const runBinary = (binary, args, { timeoutSeconds = DEFAULT_TIMEOUT_SECONDS } = {}) => new Promise((resolve, reject) => {
+  const child = spawn(binary, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  let stdout = '';
+  let stderr = '';
+  const timer = setTimeout(() => {
+    child.kill('SIGKILL');
+    child.stdout.destroy();
+    child.stderr.destroy();
+    reject(new Error(`${binary} interrompido: não terminou em ${timeoutSeconds} segundos.`));
+  }, timeoutSeconds * 1000);
+
+  child.stdout.on('data', (data) => { stdout += data.toString(); });
+  child.stderr.on('data', (data) => { stderr += data.toString(); });
+
+  child.on('error', (error) => {
+    clearTimeout(timer);
+    if (error.code === 'ENOENT') {
+      return reject(new Error(`Executável "${binary}" não encontrado. Verifique a instalação do ffmpeg.`));
+    }
+    reject(error);
+  });
+
+  child.on('close', (code) => {
+    clearTimeout(timer);
+    if (code !== 0) {
+      // As últimas linhas do stderr costumam conter a causa real do erro
+      const tail = stderr.trim().split('\n').slice(-3).join(' | ');
+      return reject(new Error(`${binary} finalizou com código ${code}: ${tail}`));
+    }
+    resolve({ stdout, stderr });
+  });
+});
+
+const ffmpeg = {
+  run: (args, options) => runBinary(FFMPEG_PATH, ['-hide_banner', '-nostats', ...args], options),
+  probe: (args, options) => runBinary(FFPROBE_PATH, ['-hide_banner', ...args], options),
+};
+
+module.exports = ffmpeg;
@@ -0,0 +1,43 @@
+// src/utils/httpRange.js
+// Interpretação do cabeçalho `Range` (RFC 9110) para respostas parciais (206), usadas pelos
+// players de áudio do navegador para avançar/retroceder sem baixar o arquivo inteiro.
+
+/**
+ * @param {string|undefined} header - Valor do cabeçalho Range (ex: "bytes=0-1023", "bytes=-500").
+ * @param {number} size - Tamanho total do arquivo em bytes.
+ * @returns {{start: number, end: number}|null|false}
+ *   O intervalo (inclusivo); null quando a resposta deve ser o arquivo inteiro (sem Range,
+ *   unidade desconhecida, vários intervalos ou cabeçalho inválido, que a RFC manda ignorar);
+ *   false quando o intervalo é válido mas não pode ser atendido, como um início depois do fim
+ *   do arquivo (416).
+ */
+const parseRange = (header, size) => {
+  const value = (header || '').trim();
+  // Unidades desconhecidas e múltiplos intervalos (multipart/byteranges) são ignorados: arquivo inteiro
+  if (!value.startsWith('bytes=') || value.includes(',')) return null;
+  const match = value.match(/^bytes=(\d*)-(\d*)$/);
+  if (!match) return null;
+
+  const [, startText, endText] = match;
+  if (startText === '' && endText === '') return null;
+  // Intervalo invertido ("bytes=5-2") também é um cabeçalho inválido
+  if (startText !== '' && endText !== '' && Number(endText) < Number(startText)) return null;
+
+  let start;
+  let end;
+  if (startText === '') {
+    // Sufixo: os últimos N bytes
+    const suffixLength = Number(endText);
+    if (suffixLength === 0) return false;
+    start = Math.max(0, size - suffixLength);
+    end = size - 1;
+  } else {
+    start = Number(startText);
+    end = endText === '' ? size - 1 : Math.min(Number(endText), size - 1);
+  }
+
+  if (start >= size || start > end) return false;
+  return { start, end };
+};
+
+module.exports = { parseRange };
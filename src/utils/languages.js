@@ -0,0 +1,44 @@
+// src/utils/languages.js
+// Idiomas aceitos na transcrição e na tradução, identificados pelo código ISO 639-1.
+// O Whisper da OpenAI devolve o idioma detectado por extenso e em inglês ("portuguese"),
+// enquanto servidores compatíveis costumam devolver o código ("pt"); normalizamos ambos.
+
+const LANGUAGES = {
+  pt: { name: 'Português', englishName: 'portuguese' },
+  en: { name: 'Inglês', englishName: 'english' },
+  es: { name: 'Espanhol', englishName: 'spanish' },
+  fr: { name: 'Francês', englishName: 'french' },
+  de: { name: 'Alemão', englishName: 'german' },
+  it: { name: 'Italiano', englishName: 'italian' },
+  nl: { name: 'Holandês', englishName: 'dutch' },
+  pl: { name: 'Polonês', englishName: 'polish' },
+  ru: { name: 'Russo', englishName: 'russian' },
+  uk: { name: 'Ucraniano', englishName: 'ukrainian' },
+  tr: { name: 'Turco', englishName: 'turkish' },
+  ar: { name: 'Árabe', englishName: 'arabic' },
+  hi: { name: 'Hindi', englishName: 'hindi' },
+  ja: { name: 'Japonês', englishName: 'japanese' },
+  ko: { name: 'Coreano', englishName: 'korean' },
+  zh: { name: 'Chinês', englishName: 'chinese' },
+};
+
+const CODE_BY_ENGLISH_NAME = Object.fromEntries(
+  Object.entries(LANGUAGES).map(([code, { englishName }]) => [englishName, code])
+);
+
+/**
+ * Converte o idioma informado por um provedor ou pelo usuário em código ISO 639-1.
+ * Aceita código ("pt"), variante regional ("pt-BR") ou nome em inglês ("portuguese").
+ * @returns {string|null} null quando vazio ou não reconhecido.
+ */
+const normalizeLanguage = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  const normalized = value.trim().toLowerCase();
+  const code = normalized.split(/[-_]/)[0];
+  if (LANGUAGES[code]) return code;
+  return CODE_BY_ENGLISH_NAME[normalized] || null;
+};
+
+const getLanguageName = (code) => LANGUAGES[code]?.name || code;
+
+module.exports = { LANGUAGES, normalizeLanguage, getLanguageName };
@@ -1,46 +1,46 @@
 // src/utils/pdfGenerator.js
 const PDFDocument = require('pdfkit');
-const fs = require('fs');
-const path = require('path');
+const storage = require('../lib/storage');
 
 const pdfGenerator = {
   /**
-   * Gera um arquivo PDF a partir de um texto.
+   * Gera um PDF em memória a partir de um texto.
    * @param {string} textContent - O texto a ser incluído no PDF.
-   * @param {string} fileName - O nome do arquivo PDF a ser salvo (sem extensão).
-   * @param {string} [outputDir] - O diretório onde o PDF será salvo. Padrão para 'src/uploads'.
-   * @returns {Promise<string>} O caminho completo do arquivo PDF gerado.
+   * @returns {Promise<Buffer>} O conteúdo do PDF.
    */
-  async generateTextPdf(textContent, fileName, outputDir = null) {
-    // Se um diretório de saída não for fornecido, usa o padrão antigo
-    const uploadsDir = outputDir || path.join(__dirname, '..', 'uploads');
-    
-    if (!fs.existsSync(uploadsDir)) {
-      fs.mkdirSync(uploadsDir, { recursive: true });
-    }
-
-    const filePath = path.join(uploadsDir, `${fileName}.pdf`);
-    const doc = new PDFDocument();
-    const stream = fs.createWriteStream(filePath);
-
-    doc.pipe(stream);
-
-    doc.fontSize(12).text(textContent, {
-      align: 'left',
-      indent: 20,
-      paragraphGap: 10,
-    });
-
-    doc.end();
-
+  renderTextPdf(textContent) {
     return new Promise((resolve, reject) => {
-      stream.on('finish', () => resolve(filePath));
-      stream.on('error', (err) => {
+      const doc = new PDFDocument();
+      const chunks = [];
+
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', (err) => {
         console.error('Erro ao gerar PDF:', err);
         reject(err);
       });
+
+      doc.fontSize(12).text(textContent, {
+        align: 'left',
+        indent: 20,
+        paragraphGap: 10,
+      });
+
+      doc.end();
     });
   },
+
+  /**
+   * Gera um PDF a partir de um texto e o grava no serviço de armazenamento.
+   * @param {string} textContent - O texto a ser incluído no PDF.
+   * @param {string} key - Chave do arquivo no armazenamento (ex: 'outputs/assistant_output_<id>.pdf').
+   * @returns {Promise<string>} A chave do PDF gravado.
+   */
+  async generateTextPdf(textContent, key) {
+    const pdfBuffer = await this.renderTextPdf(textContent);
+    await storage.put(key, pdfBuffer, { contentType: 'application/pdf' });
+    return key;
+  },
 };
 
-module.exports = pdfGenerator;
\ No newline at end of file
+module.exports = pdfGenerator;
@@ -0,0 +1,218 @@
+// src/utils/piiRedactor.js
+// Anonimização de dados pessoais em texto: identificadores brasileiros (CPF, RG, CNS, telefone,
+// e-mail, CEP) e nomes de pessoas. Cada valor encontrado vira um marcador estável (ex: [CPF_1],
+// [NOME_2]) e o mapeamento marcador -> valor original é devolvido para ser guardado cifrado.
+// A detecção é por regras (regex + dígitos verificadores + palavras-gatilho): pode deixar passar
+// algo ou marcar a mais; na dúvida, as regras preferem marcar.
+
+const TYPES = ['cpf', 'rg', 'cns', 'phone', 'email', 'cep', 'name'];
+
+const LABELS = { cpf: 'CPF', rg: 'RG', cns: 'CNS', phone: 'TELEFONE', email: 'EMAIL', cep: 'CEP', name: 'NOME' };
+
+// Palavras que costumam anteceder um nome próprio na fala
+const DEFAULT_NAME_CUES = [
+  'sr', 'sra', 'srta', 'senhor', 'senhora', 'dr', 'dra', 'doutor', 'doutora', 'dona', 'seu',
+  'paciente', 'meu nome é', 'me chamo', 'se chama', 'chamado', 'chamada', 'nome',
+];
+// Abreviações, que podem vir com ponto ("Dr. Fulano"); nas demais palavras o ponto encerra a frase
+const ABBREVIATION_CUES = ['sr', 'sra', 'srta', 'dr', 'dra'];
+const NAME_CONNECTORS = ['da', 'de', 'do', 'das', 'dos', 'e'];
+const NAME_WORD = "\\p{Lu}[\\p{Ll}'’]+";
+const NAME = `${NAME_WORD}(?:\\s+(?:(?:${NAME_CONNECTORS.join('|')})\\s+)?${NAME_WORD}){0,4}`;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const digitsOf = (value) => value.replace(/\D/g, '');
+
+// Sem a flag "i" (com ela, \p{Lu} também aceitaria minúsculas): cada letra do gatilho vira [aA]
+const caseInsensitive = (word) => [...escapeRegExp(word)].map(ch => {
+  const lower = ch.toLowerCase();
+  const upper = ch.toUpperCase();
+  return lower === upper ? ch : `[${lower}${upper}]`;
+}).join('').replace(/ /g, '\\s+');
+
+const isValidCpf = (value) => {
+  const digits = digitsOf(value);
+  if (digits.length !== 11 || /^(\d)\1{10}$/.test(digits)) return false;
+  const check = (length) => {
+    let sum = 0;
+    for (let i = 0; i < length; i++) sum += Number(digits[i]) * (length + 1 - i);
+    const rest = (sum * 10) % 11;
+    return (rest === 10 ? 0 : rest) === Number(digits[length]);
+  };
+  return check(9) && check(10);
+};
+
+// Cartão Nacional de Saúde: 15 dígitos, soma ponderada (15..1) múltipla de 11
+const isValidCns = (value) => {
+  const digits = digitsOf(value);
+  if (digits.length !== 15 || !/^[12789]/.test(digits)) return false;
+  let sum = 0;
+  for (let i = 0; i < 15; i++) sum += Number(digits[i]) * (15 - i);
+  return sum % 11 === 0;
+};
+
+// Texto imediatamente anterior ao trecho encontrado menciona o tipo (ex: "CPF: ...")
+const hasCue = (cuePattern) => (text, index) => cuePattern.test(text.slice(Math.max(0, index - 25), index));
+
+/**
+ * Regras de detecção, na ordem em que são aplicadas (as mais específicas primeiro, para um CNS não
+ * virar CPF nem um CPF virar telefone). Com o grupo "value", só esse trecho é substituído.
+ * `accept(value, text, index)` descarta falsos positivos.
+ */
+const RULES = [
+  { type: 'email', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  {
+    type: 'cns',
+    pattern: /(?<!\d)[12789]\d{2}[\s.]?\d{4}[\s.]?\d{4}[\s.]?\d{4}(?!\d)/g,
+    accept: (value, text, index) => isValidCns(value) || hasCue(/(CNS|cart[aã]o\s+(do\s+)?SUS)\W*$/i)(text, index),
+  },
+  {
+    type: 'cpf',
+    pattern: /(?<!\d)\d{3}[.\s]?\d{3}[.\s]?\d{3}[-.\s]?\d{2}(?!\d)/g,
+    accept: (value, text, index) => isValidCpf(value) || hasCue(/CPF\W*$/i)(text, index),
+  },
+  {
+    type: 'rg',
+    pattern: /(?:\bRG|\bR\.G\.|[Rr]egistro\s+[Gg]eral|[Ii]dentidade)(?:\s*(?:n[º°o]\.?|n[úu]mero))?\s*:?\s*(?<value>[\dXx](?:[\d.\s-]{3,12}[\dXx])?)(?![\d\p{L}])/gu,
+  },
+  { type: 'rg', pattern: /(?<!\d)\d{1,2}\.\d{3}\.\d{3}-[\dXx](?![\d\p{L}])/gu },
+  { type: 'cep', pattern: /\bCEP\s*:?\s*(?<value>\d{2}\.?\d{3}[-\s]?\d{3})(?!\d)/gi },
+  { type: 'cep', pattern: /(?<!\d)\d{5}-\d{3}(?!\d)/g },
+  {
+    type: 'phone',
+    pattern: /(?<![\d\w+])(?:\+?55[\s-]?)?(?:\(0?[1-9]\d\)|0?[1-9]\d)[\s-]?9?\s?\d{4}[\s.-]?\d{4}(?!\d)|(?<![\d\w])9\s?\d{4}-?\d{4}(?!\d)|(?<![\d\w])\d{4}-\d{4}(?!\d)/g,
+    // Intervalos de anos ("2019-2020") não são telefones
+    accept: (value) => !/^(19|20)\d{2}\D(19|20)\d{2}$/.test(value),
+  },
+];
+
+const buildNameRule = (cues) => {
+  const isAbbreviation = (cue) => ABBREVIATION_CUES.includes(cue.toLowerCase());
+  const abbreviations = cues.filter(isAbbreviation).map(caseInsensitive);
+  const words = cues.filter(cue => !isAbbreviation(cue)).map(caseInsensitive);
+  const cuePattern = [abbreviations.length && `(?:${abbreviations.join('|')})\\.?`, words.length && `(?:${words.join('|')})`]
+    .filter(Boolean).join('|');
+  return {
+    type: 'name',
+    pattern: new RegExp(`(?<![\\p{L}])(?:${cuePattern}):?\\s+(?<value>${NAME})`, 'gu'),
+  };
+};
+
+/**
+ * Regras personalizadas (configuração PII_REDACTION_CUSTOM_RULES): JSON
+ * [{ "type": "prontuario", "pattern": "PRT-\\d+", "flags": "i" }]. Regras inválidas são ignoradas.
+ */
+const parseCustomRules = (json) => {
+  if (!json) return [];
+  let rules;
+  try {
+    rules = JSON.parse(json);
+  } catch (error) {
+    console.warn('Aviso: PII_REDACTION_CUSTOM_RULES não é um JSON válido; regras personalizadas ignoradas.');
+    return [];
+  }
+  if (!Array.isArray(rules)) return [];
+  return rules.flatMap(rule => {
+    const type = String(rule?.type || '').trim().toLowerCase().replace(/[^a-z0-9_]/g, '_');
+    if (!type || !rule.pattern) return [];
+    try {
+      const flags = [...new Set(`${rule.flags || ''}gu`)].filter(flag => 'gimsu'.includes(flag)).join('');
+      return [{ type, pattern: new RegExp(rule.pattern, flags) }];
+    } catch (error) {
+      console.warn(`Aviso: regra de anonimização "${type}" ignorada (regex inválida): ${error.message}`);
+      return [];
+    }
+  });
+};
+
+const normalizedKey = (type, value) => {
+  const digits = digitsOf(value);
+  return ['cpf', 'cns', 'phone', 'cep'].includes(type) && digits ? `${type}:${digits}` : `${type}:${value.trim().toLowerCase()}`;
+};
+
+/**
+ * Substitui os dados pessoais do texto por marcadores.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string[]} [options.types] - Tipos ativos (padrão: todos de TYPES).
+ * @param {string[]} [options.nameCues] - Gatilhos extras de nomes (além dos padrões).
+ * @param {Array} [options.customRules] - Saída de `parseCustomRules`.
+ * @param {Array} [options.mapping] - Mapeamento anterior: os mesmos valores mantêm os mesmos marcadores.
+ * @returns {{ text: string, mapping: Array<{token, type, value}>, summary: object }}
+ *   summary = quantidade de valores distintos por tipo.
+ */
+const redact = (text, options = {}) => {
+  const types = options.types || TYPES;
+  const mapping = (options.mapping || []).map(entry => ({ ...entry }));
+  if (!text) return { text: text || '', mapping, summary: summarize(mapping) };
+
+  const byKey = new Map(mapping.map(entry => [normalizedKey(entry.type, entry.value), entry]));
+  const counters = {};
+  for (const entry of mapping) {
+    const number = Number(/_(\d+)\]$/.exec(entry.token)?.[1]) || 0;
+    counters[entry.type] = Math.max(counters[entry.type] || 0, number);
+  }
+  const tokenFor = (type, value) => {
+    const key = normalizedKey(type, value);
+    if (!byKey.has(key)) {
+      counters[type] = (counters[type] || 0) + 1;
+      const entry = { token: `[${LABELS[type] || type.toUpperCase()}_${counters[type]}]`, type, value: value.trim() };
+      byKey.set(key, entry);
+      mapping.push(entry);
+    }
+    return byKey.get(key).token;
+  };
+
+  const rules = [
+    ...RULES.filter(rule => types.includes(rule.type)),
+    ...(types.includes('name') ? [buildNameRule([...DEFAULT_NAME_CUES, ...(options.nameCues || [])])] : []),
+    ...(options.customRules || []),
+  ];
+
+  let result = text;
+  for (const rule of rules) {
+    result = result.replace(rule.pattern, (...args) => {
+      const match = args[0];
+      const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : undefined;
+      const index = args[groups ? args.length - 3 : args.length - 2];
+      const value = groups?.value ?? match;
+      if (!value.trim() || (rule.accept && !rule.accept(value, result, index))) return match;
+      const offset = match.lastIndexOf(value);
+      return match.slice(0, offset) + tokenFor(rule.type, value) + match.slice(offset + value.length);
+    });
+  }
+
+  // Outras menções dos valores já conhecidos (ex: o nome dito de novo sem o "Dr.", ou só o primeiro nome)
+  const known = [];
+  for (const entry of mapping) {
+    known.push({ value: entry.value, token: entry.token });
+    if (entry.type === 'name') {
+      for (const part of entry.value.split(/\s+/)) {
+        if (part.length >= 3 && !NAME_CONNECTORS.includes(part.toLowerCase())) known.push({ value: part, token: entry.token });
+      }
+    }
+  }
+  known.sort((a, b) => b.value.length - a.value.length);
+  for (const { value, token } of known) {
+    result = result.replace(new RegExp(`(?<![\\p{L}\\p{N}\\[_])${escapeRegExp(value)}(?![\\p{L}\\p{N}])`, 'gu'), token);
+  }
+
+  return { text: result, mapping, summary: summarize(mapping) };
+};
+
+const summarize = (mapping) => mapping.reduce((summary, entry) => {
+  summary[entry.type] = (summary[entry.type] || 0) + 1;
+  return summary;
+}, {});
+
+/**
+ * Devolve os valores originais no lugar dos marcadores (ex: na resposta de um assistente que
+ * recebeu o texto anonimizado).
+ */
+const restore = (text, mapping) => {
+  if (!text || !mapping?.length) return text;
+  const byToken = new Map(mapping.map(entry => [entry.token, entry.value]));
+  return text.replace(/\[[A-Z0-9_]+_\d+\]/g, token => (byToken.has(token) ? byToken.get(token) : token));
+};
+
+module.exports = { TYPES, redact, restore, parseCustomRules, isValidCpf, isValidCns };
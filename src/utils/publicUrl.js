@@ -0,0 +1,54 @@
+// src/utils/publicUrl.js
+// Validação de URLs informadas pelo usuário que o servidor vai acessar (webhooks, download de
+// gravações): só http(s) e, por padrão, só endereços públicos, para a API não ser usada para
+// alcançar a rede interna do servidor (SSRF).
+const dns = require('dns/promises');
+const net = require('net');
+
+const privateAddresses = new net.BlockList();
+privateAddresses.addSubnet('0.0.0.0', 8);
+privateAddresses.addSubnet('10.0.0.0', 8);
+privateAddresses.addSubnet('100.64.0.0', 10);
+privateAddresses.addSubnet('127.0.0.0', 8);
+privateAddresses.addSubnet('169.254.0.0', 16);
+privateAddresses.addSubnet('172.16.0.0', 12);
+privateAddresses.addSubnet('192.168.0.0', 16);
+privateAddresses.addAddress('::', 'ipv6');
+privateAddresses.addAddress('::1', 'ipv6');
+privateAddresses.addSubnet('fc00::', 7, 'ipv6');
+privateAddresses.addSubnet('fe80::', 10, 'ipv6');
+privateAddresses.addSubnet('::ffff:0:0', 96, 'ipv6'); // IPv4 mapeado em IPv6
+
+/**
+ * Valida a URL e, sem `allowPrivate`, confere que todos os endereços do domínio são públicos.
+ * A resolução é refeita a cada chamada: chame de novo antes de cada acesso (e a cada redirecionamento).
+ * @param {string} value - URL informada.
+ * @param {object} [options] - { allowPrivate: libera a rede interna, field: nome do campo nas mensagens }
+ * @returns {Promise<string>} A URL normalizada.
+ */
+const assertPublicUrl = async (value, { allowPrivate = false, field = 'url' } = {}) => {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch (error) {
+    throw new Error(`O campo "${field}" é obrigatório e deve ser uma URL válida.`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) throw new Error(`O campo "${field}" é inválido: use http ou https.`);
+  if (url.username || url.password) throw new Error(`O campo "${field}" é inválido: não inclua credenciais na URL.`);
+  if (allowPrivate) return url.toString();
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname, family: net.isIP(hostname) }]
+    : await dns.lookup(hostname, { all: true }).catch(() => {
+      throw new Error(`O campo "${field}" é inválido: não foi possível resolver "${hostname}".`);
+    });
+  for (const { address, family } of addresses) {
+    if (privateAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4')) {
+      throw new Error(`O campo "${field}" é inválido: endereços internos não são permitidos.`);
+    }
+  }
+  return url.toString();
+};
+
+module.exports = { assertPublicUrl };
@@ -0,0 +1,47 @@
+// src/utils/sendStoredFile.js
+const storage = require('../lib/storage');
+const { parseRange } = require('./httpRange');
+
+/**
+ * Envia um arquivo do armazenamento com suporte a `Range` (206), para players do navegador
+ * conseguirem avançar/retroceder sem baixar tudo.
+ * @param {object} req
+ * @param {object} res
+ * @param {object} file
+ * @param {string} file.key - Chave no armazenamento.
+ * @param {number} file.size - Tamanho em bytes.
+ * @param {string} file.contentType
+ * @param {string} [file.fileName] - Nome sugerido ao navegador.
+ * @param {boolean} [file.download=false] - Força o download (Content-Disposition: attachment).
+ */
+const sendStoredFile = async (req, res, file) => {
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Content-Type', file.contentType || 'application/octet-stream');
+  res.setHeader('Cache-Control', 'private, max-age=0');
+  if (file.download) {
+    res.attachment(file.fileName);
+  } else if (file.fileName) {
+    res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(file.fileName)}`);
+  }
+
+  const range = parseRange(req.headers.range, file.size);
+  if (range === false) {
+    res.setHeader('Content-Range', `bytes */${file.size}`);
+    return res.status(416).end();
+  }
+
+  const { start, end } = range || { start: 0, end: file.size - 1 };
+  res.status(range ? 206 : 200);
+  if (range) res.setHeader('Content-Range', `bytes ${start}-${end}/${file.size}`);
+  res.setHeader('Content-Length', file.size === 0 ? 0 : end - start + 1);
+  if (req.method === 'HEAD' || file.size === 0) return res.end();
+
+  const stream = await storage.stream(file.key, { start, end });
+  stream.on('error', (error) => {
+    console.error(`Erro ao ler o arquivo ${file.key} do armazenamento:`, error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+module.exports = sendStoredFile;
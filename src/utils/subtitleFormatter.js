@@ -0,0 +1,140 @@
+// src/utils/subtitleFormatter.js
+// Converte segmentos com marcação de tempo em legendas (SRT, WebVTT ou JSON com tempos).
+
+const DEFAULT_OPTIONS = {
+  maxLineLength: 42,       // Caracteres por linha (padrão usual de legendas)
+  maxLines: 2,             // Linhas por legenda
+  maxCharsPerSecond: 17,   // Velocidade máxima de leitura
+};
+
+const SENTENCE_END = /[.!?…]["')\]]*$/;
+const CLAUSE_END = /[,;:]$/;
+
+/**
+ * Associa um tempo a cada palavra do texto do segmento (que mantém a pontuação).
+ * Quando a contagem bate com a lista de palavras do Whisper, usa os tempos reais;
+ * caso contrário, distribui o tempo do segmento proporcionalmente ao número de caracteres.
+ */
+const timeTokens = (segment) => {
+  const tokens = segment.text.trim().split(/\s+/).filter(Boolean);
+  const words = segment.words || [];
+  if (words.length === tokens.length) {
+    return tokens.map((token, i) => ({ text: token, start: words[i].start, end: words[i].end }));
+  }
+
+  const totalChars = tokens.reduce((sum, t) => sum + t.length, 0) || 1;
+  const duration = segment.endTime - segment.startTime;
+  let consumed = 0;
+  return tokens.map(token => {
+    const start = segment.startTime + (consumed / totalChars) * duration;
+    consumed += token.length;
+    return { text: token, start, end: segment.startTime + (consumed / totalChars) * duration };
+  });
+};
+
+// Quebra um texto em linhas de no máximo `maxLineLength` caracteres, sem cortar palavras
+const wrapLines = (text, maxLineLength) => {
+  const lines = [];
+  let current = '';
+  for (const word of text.split(' ')) {
+    if (current && (current.length + 1 + word.length) > maxLineLength) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+};
+
+/**
+ * Monta as legendas a partir dos segmentos. Cada legenda termina em fim de frase ou quando a
+ * próxima palavra não cabe mais em `maxLines` linhas; legendas curtas demais para a
+ * velocidade de leitura são estendidas até o início da próxima, quando há espaço.
+ * @param {Array<{startTime: number, endTime: number, text: string, words?: Array}>} segments
+ * @param {object} [options] - Sobrescreve os valores de DEFAULT_OPTIONS.
+ * @returns {Array<{index: number, start: number, end: number, text: string, lines: Array<string>}>}
+ */
+const buildCues = (segments, options = {}) => {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const tokens = segments.flatMap(timeTokens);
+  const fits = (group) => wrapLines(group.map(t => t.text).join(' '), opts.maxLineLength).length <= opts.maxLines;
+
+  const groups = [];
+  let current = [];
+
+  for (const token of tokens) {
+    if (current.length > 0 && !fits([...current, token])) {
+      groups.push(current);
+      current = [];
+    }
+    current.push(token);
+    // Fecha a legenda no fim da frase, ou numa vírgula/ponto e vírgula quando já há uma linha cheia
+    const cueLength = current.map(t => t.text).join(' ').length;
+    if (SENTENCE_END.test(token.text) || (CLAUSE_END.test(token.text) && cueLength >= opts.maxLineLength)) {
+      groups.push(current);
+      current = [];
+    }
+  }
+  if (current.length > 0) groups.push(current);
+
+  const cues = groups.map((group, i) => {
+    const text = group.map(t => t.text).join(' ');
+    return { index: i + 1, start: group[0].start, end: group[group.length - 1].end, text };
+  });
+
+  cues.forEach((cue, i) => {
+    const minDuration = cue.text.length / opts.maxCharsPerSecond;
+    if (cue.end - cue.start < minDuration) {
+      const limit = cues[i + 1] ? cues[i + 1].start : Infinity;
+      cue.end = Math.max(cue.end, Math.min(cue.start + minDuration, limit));
+    }
+    cue.lines = wrapLines(cue.text, opts.maxLineLength);
+  });
+
+  return cues;
+};
+
+// Formata segundos como HH:MM:SS<sep>mmm
+const formatTimestamp = (seconds, separator) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const pad = (value, size = 2) => String(value).padStart(size, '0');
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+};
+
+const subtitleFormatter = {
+  DEFAULT_OPTIONS,
+  buildCues,
+
+  toSrt(cues) {
+    return cues
+      .map(cue => `${cue.index}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.lines.join('\n')}\n`)
+      .join('\n');
+  },
+
+  toVtt(cues) {
+    const body = cues
+      .map(cue => `${cue.index}\n${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.lines.join('\n')}\n`)
+      .join('\n');
+    return `WEBVTT\n\n${body}`;
+  },
+
+  toTimedJson(cues, metadata = {}) {
+    return JSON.stringify({
+      ...metadata,
+      cues: cues.map(cue => ({
+        index: cue.index,
+        start: Number(cue.start.toFixed(3)),
+        end: Number(cue.end.toFixed(3)),
+        text: cue.text,
+        lines: cue.lines,
+      })),
+    }, null, 2);
+  },
+};
+
+module.exports = subtitleFormatter;
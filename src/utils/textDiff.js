@@ -0,0 +1,98 @@
+// src/utils/textDiff.js
+// Diff por palavras entre duas versões de um texto (algoritmo de Myers, O(ND)), usado no
+// histórico de revisões das transcrições. Espaços em branco são tokens próprios, então juntar
+// os trechos "equal" + "delete" reconstrói o texto antigo e "equal" + "insert", o novo.
+
+// Acima disso o diff exato fica caro demais (memória cresce com o quadrado das edições);
+// o resultado vira "tudo removido, tudo inserido"
+const MAX_EDIT_DISTANCE = 3000;
+
+const tokenize = (text) => (text || '').split(/(\s+)/).filter(token => token !== '');
+
+const isWord = (token) => /\S/.test(token);
+
+/**
+ * Sequência mínima de operações que transforma `a` em `b`.
+ * @returns {Array<[string, string]>} Pares [tipo, token], com tipo 'equal' | 'insert' | 'delete'.
+ */
+const myers = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) { found = true; break; }
+    }
+    // Guarda só as diagonais alcançáveis neste passo (índice k + d)
+    trace.push(v.slice(offset - d, offset + d + 1));
+  }
+
+  if (!found) {
+    return [...a.map(token => ['delete', token]), ...b.map(token => ['insert', token])];
+  }
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const previous = trace[d - 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && previous[k - 1 + d - 1] < previous[k + 1 + d - 1])) ? k + 1 : k - 1;
+    const prevX = previous[prevK + d - 1];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) { ops.push(['equal', a[x - 1]]); x--; y--; }
+    if (x === prevX) ops.push(['insert', b[y - 1]]);
+    else ops.push(['delete', a[x - 1]]);
+    x = prevX;
+    y = prevY;
+  }
+  while (x > 0 && y > 0) { ops.push(['equal', a[x - 1]]); x--; y--; }
+  return ops.reverse();
+};
+
+/**
+ * Compara dois textos palavra a palavra.
+ * @returns {{changes: Array<{type: string, text: string}>, stats: {insertedWords: number, deletedWords: number}}}
+ */
+const diffWords = (oldText, newText) => {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+
+  // Prefixo e sufixo comuns ficam fora do algoritmo (o caso comum é uma correção pontual)
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const ops = [
+    ...a.slice(0, prefix).map(token => ['equal', token]),
+    ...myers(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix)),
+    ...a.slice(a.length - suffix).map(token => ['equal', token]),
+  ];
+
+  const changes = [];
+  const stats = { insertedWords: 0, deletedWords: 0 };
+  for (const [type, token] of ops) {
+    if (type === 'insert' && isWord(token)) stats.insertedWords++;
+    if (type === 'delete' && isWord(token)) stats.deletedWords++;
+
+    const last = changes[changes.length - 1];
+    if (last && last.type === type) last.text += token;
+    else changes.push({ type, text: token });
+  }
+  return { changes, stats };
+};
+
+module.exports = { diffWords };
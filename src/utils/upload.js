@@ -1,39 +1,66 @@
 // src/utils/upload.js
-const multer = require('multer');
-const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs');
+const fsPromises = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const multer = require('multer');
+const createMulterStorage = require('../lib/storage/multerStorage');
+const fileStorage = require('../lib/storage');
 
-// Cria a pasta de uploads se ela não existir
-const uploadDir = path.join(__dirname, '..', 'uploads');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
+// Os áudios vão direto para o serviço de armazenamento (disco local ou S3), sob o prefixo "audio/".
+// O arquivo recebido tem `key` (usada como Transcription.audioPath) em vez de `path`.
+const storage = createMulterStorage({ prefix: 'audio' });
 
-// Configuração de armazenamento do Multer
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadDir); // Onde os arquivos serão salvos
-  },
-  filename: (req, file, cb) => {
-    // Gera um nome de arquivo único para evitar colisões
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  },
-});
+// Tipos MIME de áudio comuns que o Whisper aceita
+const allowedMimeTypes = [
+  'audio/mpeg', // .mp3
+  'audio/wav',  // .wav
+  'audio/x-wav',
+  'audio/aac',  // .aac
+  'audio/ogg',  // .ogg
+  'audio/webm', // .webm
+  'audio/mp4',  // .m4a (MPEG-4 Audio)
+];
+
+// Mimetype pela extensão, para arquivos sem o tipo informado (transcrições antigas, áudios dentro de .zip)
+const audioMimeByExtension = {
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.aac': 'audio/aac',
+  '.ogg': 'audio/ogg',
+  '.webm': 'audio/webm',
+  '.m4a': 'audio/mp4',
+  '.mp4': 'audio/mp4',
+};
+
+// Vídeos aceitos na importação por URL (a faixa de áudio é extraída antes da transcrição)
+const videoMimeTypes = [
+  'video/mp4',
+  'video/quicktime',  // .mov
+  'video/webm',
+  'video/x-matroska', // .mkv
+  'video/x-msvideo',  // .avi
+  'video/mpeg',
+  'video/3gpp',
+];
+
+const videoMimeByExtension = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+  '.avi': 'video/x-msvideo',
+  '.mpeg': 'video/mpeg',
+  '.mpg': 'video/mpeg',
+  '.3gp': 'video/3gpp',
+};
 
 // Filtro para aceitar apenas arquivos de áudio
 const fileFilter = (req, file, cb) => {
-  // Tipos MIME de áudio comuns que o Whisper aceita
-  const allowedMimeTypes = [
-    'audio/mpeg', // .mp3
-    'audio/wav',  // .wav
-    'audio/x-wav',
-    'audio/aac',  // .aac
-    'audio/ogg',  // .ogg
-    'audio/webm', // .webm
-    'audio/mp4',  // .m4a (MPEG-4 Audio)
-  ];
-
   if (allowedMimeTypes.includes(file.mimetype)) {
     cb(null, true); // Aceita o arquivo
   } else {
@@ -41,13 +68,92 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+// Arquivos acima do limite de 25MB do Whisper são divididos em partes pelo serviço de transcrição,
+// então o limite aqui é apenas uma proteção do servidor (configurável via .env).
+const MAX_UPLOAD_SIZE_MB = Number(process.env.MAX_UPLOAD_SIZE_MB) || 500;
+
 // Configuração final do Multer
 const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 25 * 1024 * 1024, // Limite de 25MB por arquivo (limite do Whisper)
+    fileSize: MAX_UPLOAD_SIZE_MB * 1024 * 1024,
   },
 });
 
-module.exports = upload;
\ No newline at end of file
+// Upload em lote: vários áudios e/ou arquivos .zip com áudios. Os zips ficam em "temp/" até serem
+// extraídos pelo serviço de lotes.
+const zipMimeTypes = ['application/zip', 'application/x-zip-compressed', 'multipart/x-zip'];
+const MAX_BATCH_FILES = Number(process.env.BATCH_MAX_FILES) || 50;
+
+const batchUpload = multer({
+  storage: createMulterStorage({ prefix: (file) => (zipMimeTypes.includes(file.mimetype) ? 'temp' : 'audio') }),
+  fileFilter: (req, file, cb) => {
+    if (allowedMimeTypes.includes(file.mimetype) || zipMimeTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Tipo de arquivo não suportado. Envie arquivos de áudio (mp3, wav, m4a, ogg, webm, aac) ou um .zip com áudios.'), false);
+    }
+  },
+  limits: {
+    fileSize: MAX_UPLOAD_SIZE_MB * 1024 * 1024,
+    files: MAX_BATCH_FILES,
+  },
+});
+
+// Uploads retomáveis: cada PATCH é recebido primeiro em disco (no diretório de spool, limpo pela
+// retenção) e só então gravado no armazenamento. Se a conexão cair no meio, os bytes que chegaram
+// são mantidos e o cliente continua do ponto em que parou.
+const CHUNK_SPOOL_DIR = path.join(os.tmpdir(), 'storage-uploads');
+
+/**
+ * Recebe um pedaço de upload (corpo bruto da requisição) e o grava no armazenamento.
+ * @param {import('stream').Readable} source - Normalmente o próprio `req`.
+ * @param {string} key - Chave de destino no armazenamento.
+ * @param {object} options - { maxBytes }: tamanho máximo aceito para este pedaço.
+ * @returns {Promise<{size: number, interrupted: boolean}>} size 0 = nada gravado.
+ */
+const receiveChunk = async (source, key, { maxBytes }) => {
+  await fsPromises.mkdir(CHUNK_SPOOL_DIR, { recursive: true });
+  const spoolPath = path.join(CHUNK_SPOOL_DIR, `${crypto.randomUUID()}.part`);
+
+  let received = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) return callback(Object.assign(new Error('O pedaço enviado ultrapassa o tamanho declarado do upload.'), { code: 'UPLOAD_TOO_LARGE' }));
+      callback(null, chunk);
+    },
+  });
+
+  const output = fs.createWriteStream(spoolPath);
+  let interrupted = false;
+  try {
+    try {
+      await pipeline(source, limiter, output);
+    } catch (error) {
+      if (error.code === 'UPLOAD_TOO_LARGE') throw error;
+      // Conexão interrompida: aproveita o que foi gravado
+      interrupted = true;
+      if (!output.closed) await new Promise(resolve => output.once('close', resolve));
+    }
+
+    const { size } = await fsPromises.stat(spoolPath);
+    if (size > 0) await fileStorage.put(key, fs.createReadStream(spoolPath));
+    return { size, interrupted };
+  } finally {
+    await fsPromises.rm(spoolPath, { force: true });
+  }
+};
+
+module.exports = upload;
+module.exports.batchUpload = batchUpload;
+module.exports.audioMimeByExtension = audioMimeByExtension;
+module.exports.zipMimeTypes = zipMimeTypes;
+module.exports.MAX_BATCH_FILES = MAX_BATCH_FILES;
+module.exports.MAX_UPLOAD_SIZE_MB = MAX_UPLOAD_SIZE_MB;
+module.exports.allowedMimeTypes = allowedMimeTypes;
+module.exports.videoMimeTypes = videoMimeTypes;
+module.exports.videoMimeByExtension = videoMimeByExtension;
+module.exports.receiveChunk = receiveChunk;
+
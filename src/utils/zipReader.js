@@ -0,0 +1,125 @@
+// src/utils/zipReader.js
+// Leitura mínima de arquivos .zip (sem dependências): lista as entradas pelo diretório central e
+// abre cada uma como stream, descompactando com o zlib. Suporta os métodos "stored" (0) e
+// "deflate" (8), que cobrem os zips gerados pelos sistemas operacionais. ZIP64 e entradas
+// criptografadas não são suportados.
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+const invalidZip = (detail) => new Error(`Arquivo zip inválido: ${detail}.`);
+
+const readAt = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+/**
+ * Lista as entradas do zip (diretórios incluídos, com `isDirectory`).
+ * @param {string} filePath
+ * @returns {Promise<Array<{name: string, method: number, compressedSize: number, size: number,
+ *   localHeaderOffset: number, isDirectory: boolean, isEncrypted: boolean}>>}
+ */
+const readEntries = async (filePath) => {
+  const handle = await fsPromises.open(filePath, 'r');
+  try {
+    const { size: fileSize } = await handle.stat();
+    if (fileSize < EOCD_MIN_SIZE) throw invalidZip('arquivo muito pequeno');
+
+    // O registro final (EOCD) fica no fim do arquivo, depois de um comentário opcional
+    const tailLength = Math.min(fileSize, EOCD_MIN_SIZE + MAX_COMMENT_SIZE);
+    const tail = await readAt(handle, fileSize - tailLength, tailLength);
+    let eocd = -1;
+    for (let i = tail.length - EOCD_MIN_SIZE; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === EOCD_SIGNATURE) { eocd = i; break; }
+    }
+    if (eocd === -1) throw invalidZip('registro final não encontrado');
+
+    const entryCount = tail.readUInt16LE(eocd + 10);
+    const centralSize = tail.readUInt32LE(eocd + 12);
+    const centralOffset = tail.readUInt32LE(eocd + 16);
+    if (entryCount === 0xffff || centralOffset === 0xffffffff) throw invalidZip('formato ZIP64 não suportado');
+    if (centralOffset + centralSize > fileSize) throw invalidZip('diretório central fora do arquivo');
+
+    const central = await readAt(handle, centralOffset, centralSize);
+    const entries = [];
+    let position = 0;
+    for (let i = 0; i < entryCount; i++) {
+      if (position + 46 > central.length || central.readUInt32LE(position) !== CENTRAL_SIGNATURE) {
+        throw invalidZip('diretório central corrompido');
+      }
+      const flags = central.readUInt16LE(position + 8);
+      const nameLength = central.readUInt16LE(position + 28);
+      const extraLength = central.readUInt16LE(position + 30);
+      const commentLength = central.readUInt16LE(position + 32);
+      // Bit 11: nome em UTF-8; sem ele, a codificação antiga (CP437) é lida como latin1
+      const name = central.toString(flags & 0x800 ? 'utf8' : 'latin1', position + 46, position + 46 + nameLength);
+      entries.push({
+        name,
+        method: central.readUInt16LE(position + 10),
+        compressedSize: central.readUInt32LE(position + 20),
+        size: central.readUInt32LE(position + 24),
+        localHeaderOffset: central.readUInt32LE(position + 42),
+        isDirectory: name.endsWith('/'),
+        isEncrypted: Boolean(flags & 0x1),
+      });
+      position += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Abre uma entrada do zip como stream já descompactado.
+ * @param {string} filePath
+ * @param {object} entry - Item retornado por readEntries.
+ * @param {object} [options] - { maxBytes }: interrompe o stream se o conteúdo passar do limite
+ *   (proteção contra "zip bombs", cujo tamanho declarado não é confiável).
+ * @returns {Promise<import('stream').Readable>}
+ */
+const openEntryStream = async (filePath, entry, options = {}) => {
+  if (entry.isEncrypted) throw invalidZip(`"${entry.name}" está protegido por senha`);
+  if (![0, 8].includes(entry.method)) throw invalidZip(`"${entry.name}" usa um método de compressão não suportado`);
+
+  const handle = await fsPromises.open(filePath, 'r');
+  let header;
+  try {
+    header = await readAt(handle, entry.localHeaderOffset, 30);
+  } finally {
+    await handle.close();
+  }
+  if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_SIGNATURE) throw invalidZip(`cabeçalho de "${entry.name}" corrompido`);
+  const dataStart = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+
+  const raw = entry.compressedSize === 0
+    ? Readable.from([])
+    : fs.createReadStream(filePath, { start: dataStart, end: dataStart + entry.compressedSize - 1 });
+  const maxBytes = Math.min(options.maxBytes || Infinity, entry.size);
+
+  let total = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      total += chunk.length;
+      if (total > maxBytes) return callback(invalidZip(`"${entry.name}" é maior do que o declarado ou do que o permitido`));
+      callback(null, chunk);
+    },
+  });
+
+  const source = entry.method === 8 ? raw.pipe(zlib.createInflateRaw()) : raw;
+  // Erros de leitura/descompactação chegam a quem consome o stream final
+  raw.on('error', (error) => limiter.destroy(error));
+  if (source !== raw) source.on('error', (error) => limiter.destroy(error));
+  return source.pipe(limiter);
+};
+
+module.exports = { readEntries, openEntryStream };
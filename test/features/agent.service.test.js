@@ -0,0 +1,67 @@
+// test/features/agent.service.test.js
+// Os modelos são trocados por dublês: o teste não precisa de banco de dados.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../../src/models');
+
+mock.method(db.sequelize, 'authenticate', async () => {});
+const settings = require('../../src/config/settings');
+const agentService = require('../../src/features/Agent/agent.service');
+
+const { User, Agent, AgentAction, Transcription } = db;
+
+const TRANSCRIPTION_TEXT = 'Paciente João Silva, CPF 529.982.247-25, relata dor de cabeça.';
+
+const stubRun = (piiRedaction) => {
+  mock.method(settings, 'get', () => undefined);
+  mock.method(User, 'findByPk', async () => ({
+    id: 'user-1',
+    piiRedaction: 'off',
+    planExpiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    currentPlan: {
+      features: { piiRedaction, maxAgentUses: -1, allowedSystemAgentIds: [], useSystemTokenForSystemAgents: true },
+    },
+  }));
+  mock.method(Agent, 'findByPk', async () => ({ id: 'agent-1', isSystemAgent: true, outputFormat: 'text' }));
+  mock.method(Transcription, 'findByPk', async () => ({
+    id: 'transcription-1',
+    userId: 'user-1',
+    status: 'completed',
+    transcriptionText: TRANSCRIPTION_TEXT,
+    segmentsOutdated: true, // Usa o texto corrido, sem buscar os segmentos
+    redactedText: null,
+    redactionMapping: null,
+  }));
+  const transcriptionUpdate = mock.method(Transcription, 'update', async () => [1]);
+  const create = mock.method(AgentAction, 'create', async (fields) => ({ id: 'action-1', ...fields }));
+  const background = mock.method(agentService, '_processAgentActionInBackground', () => {});
+  return { create, background, transcriptionUpdate };
+};
+
+describe('agentService.runAgent', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('com a anonimização obrigatória no plano, o agente recebe e guarda só o texto anonimizado', async () => {
+    const { create, background, transcriptionUpdate } = stubRun('enforced');
+
+    await agentService.runAgent('user-1', 'agent-1', 'transcription-1');
+
+    const { inputText } = create.mock.calls[0].arguments[0];
+    assert.equal(inputText, 'Paciente [NOME_1], CPF [CPF_1], relata dor de cabeça.');
+    assert.equal(background.mock.calls[0].arguments[3], inputText);
+    // O mapeamento dos marcadores fica guardado (cifrado) na transcrição
+    assert.equal(transcriptionUpdate.mock.callCount(), 1);
+    assert.ok(!transcriptionUpdate.mock.calls[0].arguments[0].redactionMapping.includes('529.982.247-25'));
+  });
+
+  it('sem anonimização, o agente recebe o texto da transcrição', async () => {
+    const { create, background } = stubRun('disabled');
+
+    await agentService.runAgent('user-1', 'agent-1', 'transcription-1');
+
+    assert.equal(create.mock.calls[0].arguments[0].inputText, TRANSCRIPTION_TEXT);
+    assert.equal(background.mock.calls[0].arguments[3], TRANSCRIPTION_TEXT);
+  });
+});
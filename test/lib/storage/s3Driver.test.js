@@ -0,0 +1,226 @@
+// test/lib/storage/s3Driver.test.js
+// O driver contra um servidor local no lugar do S3/MinIO: guarda os objetos em memória, confere a
+// assinatura de cada requisição como recebida e responde como a API REST do S3.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Readable } = require('stream');
+const db = require('../../../src/models');
+
+mock.method(db.sequelize, 'authenticate', async () => {});
+const settings = require('../../../src/config/settings');
+const sigv4 = require('../../../src/lib/storage/sigv4');
+const s3Driver = require('../../../src/lib/storage/s3Driver');
+
+const BUCKET = 'transcricoes';
+const credentials = { accessKeyId: 'minio-test', secretAccessKey: 'minio-test-secret' };
+const LIST_PAGE_SIZE = 2;
+
+const escapeXml = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Recalcula a assinatura com os cabeçalhos que chegaram de fato (o fetch não pode ter alterado nenhum)
+const hasValidSignature = (req, url) => {
+  const authorization = req.headers.authorization || '';
+  const signedHeaders = authorization.match(/SignedHeaders=([^,]+)/)?.[1].split(';') || [];
+  const headers = {};
+  for (const name of signedHeaders) {
+    if (!['host', 'x-amz-date', 'x-amz-content-sha256'].includes(name)) headers[name] = req.headers[name];
+  }
+  const amzDate = req.headers['x-amz-date'] || '';
+  const date = new Date(amzDate.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+  const expected = sigv4.signRequest({
+    method: req.method, url, headers, payloadHash: req.headers['x-amz-content-sha256'], credentials, region: 'us-east-1', date,
+  });
+  return expected.authorization === authorization;
+};
+
+const createS3Stub = () => {
+  const objects = new Map();
+  const requests = [];
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks);
+    requests.push({ method: req.method, path: url.pathname, query: url.search, headers: req.headers });
+
+    const sendXml = (status, xml) => res.writeHead(status, { 'content-type': 'application/xml' }).end(xml);
+    if (!hasValidSignature(req, url)) {
+      return sendXml(403, '<Error><Code>SignatureDoesNotMatch</Code></Error>');
+    }
+
+    const [, bucket, ...keyParts] = url.pathname.split('/');
+    if (bucket !== BUCKET) return sendXml(404, '<Error><Code>NoSuchBucket</Code></Error>');
+    const key = keyParts.map(decodeURIComponent).join('/');
+
+    if (!key && req.method === 'GET') {
+      const prefix = url.searchParams.get('prefix') || '';
+      const keys = [...objects.keys()].filter(k => k.startsWith(prefix)).sort();
+      const start = Number(url.searchParams.get('continuation-token') || 0);
+      const page = keys.slice(start, start + LIST_PAGE_SIZE);
+      const truncated = start + LIST_PAGE_SIZE < keys.length;
+      return sendXml(200, `<ListBucketResult><IsTruncated>${truncated}</IsTruncated>${
+        truncated ? `<NextContinuationToken>${start + LIST_PAGE_SIZE}</NextContinuationToken>` : ''}${
+        page.map(k => `<Contents><Key>${escapeXml(k)}</Key><Size>${objects.get(k).body.length}</Size>`
+          + `<LastModified>${objects.get(k).lastModified.toISOString()}</LastModified></Contents>`).join('')}</ListBucketResult>`);
+    }
+
+    const object = objects.get(key);
+    switch (req.method) {
+      case 'PUT': {
+        const payloadHash = req.headers['x-amz-content-sha256'];
+        if (payloadHash !== sigv4.UNSIGNED_PAYLOAD && payloadHash !== sigv4.sha256Hex(body)) {
+          return sendXml(400, '<Error><Code>XAmzContentSHA256Mismatch</Code></Error>');
+        }
+        if (Number(req.headers['content-length']) !== body.length) {
+          return sendXml(400, '<Error><Code>IncompleteBody</Code></Error>');
+        }
+        objects.set(key, { body, contentType: req.headers['content-type'] || 'binary/octet-stream', lastModified: new Date('2026-01-02T03:04:05Z') });
+        return res.writeHead(200).end();
+      }
+      case 'HEAD':
+        if (!object) return res.writeHead(404).end();
+        return res.writeHead(200, {
+          'content-length': object.body.length,
+          'content-type': object.contentType,
+          'last-modified': object.lastModified.toUTCString(),
+        }).end();
+      case 'GET': {
+        if (!object) return sendXml(404, '<Error><Code>NoSuchKey</Code></Error>');
+        const range = req.headers.range?.match(/^bytes=(\d+)-(\d*)$/);
+        if (!range) return res.writeHead(200, { 'content-type': object.contentType }).end(object.body);
+        const start = Number(range[1]);
+        const end = range[2] ? Number(range[2]) : object.body.length - 1;
+        return res.writeHead(206, { 'content-range': `bytes ${start}-${end}/${object.body.length}` })
+          .end(object.body.subarray(start, end + 1));
+      }
+      case 'DELETE':
+        if (!object) return sendXml(404, '<Error><Code>NoSuchKey</Code></Error>');
+        objects.delete(key);
+        return res.writeHead(204).end();
+      default:
+        return sendXml(405, '<Error><Code>MethodNotAllowed</Code></Error>');
+    }
+  };
+  // Um erro no dublê vira 500 em vez de deixar a requisição (e o teste) sem resposta
+  const server = http.createServer((req, res) => handle(req, res).catch((error) => {
+    res.writeHead(500).end(`<Error><Code>StubError</Code><Message>${escapeXml(error.message)}</Message></Error>`);
+  }));
+  return { server, objects, requests };
+};
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+describe('s3Driver (servidor S3 local)', () => {
+  const stub = createS3Stub();
+  let config;
+
+  before(async () => {
+    await new Promise(resolve => stub.server.listen(0, '127.0.0.1', resolve));
+    config = {
+      S3_ENDPOINT: `http://127.0.0.1:${stub.server.address().port}`,
+      S3_BUCKET: BUCKET,
+      S3_ACCESS_KEY_ID: credentials.accessKeyId,
+      S3_SECRET_ACCESS_KEY: credentials.secretAccessKey,
+    };
+    mock.method(settings, 'get', key => config[key]);
+  });
+
+  after(() => {
+    mock.restoreAll();
+    stub.server.closeAllConnections();
+    stub.server.close();
+  });
+
+  beforeEach(() => {
+    stub.objects.clear();
+    stub.requests.length = 0;
+  });
+
+  it('grava um Buffer com o hash do conteúdo assinado e consulta o objeto', async () => {
+    const result = await s3Driver.put('audio/consulta.mp3', Buffer.from('conteúdo do áudio'), { contentType: 'audio/mpeg' });
+
+    assert.deepEqual(result, { key: 'audio/consulta.mp3', size: Buffer.byteLength('conteúdo do áudio') });
+    assert.equal(stub.requests[0].path, `/${BUCKET}/audio/consulta.mp3`);
+    assert.equal(stub.requests[0].headers['x-amz-content-sha256'], sigv4.sha256Hex('conteúdo do áudio'));
+    assert.deepEqual(await s3Driver.stat('audio/consulta.mp3'), {
+      size: Buffer.byteLength('conteúdo do áudio'),
+      contentType: 'audio/mpeg',
+      lastModified: new Date('2026-01-02T03:04:05Z'),
+    });
+    assert.equal(await s3Driver.stat('audio/outro.mp3'), null);
+  });
+
+  it('grava uma stream com Content-Length e payload não assinado', async () => {
+    const result = await s3Driver.put('uploads/sessao/parte', Readable.from([Buffer.from('abc'), Buffer.from('defgh')]));
+
+    assert.deepEqual(result, { key: 'uploads/sessao/parte', size: 8 });
+    assert.equal(stub.requests[0].headers['content-length'], '8');
+    assert.equal(stub.requests[0].headers['x-amz-content-sha256'], sigv4.UNSIGNED_PAYLOAD);
+    assert.equal(stub.objects.get('uploads/sessao/parte').body.toString(), 'abcdefgh');
+  });
+
+  it('lê o objeto inteiro ou um intervalo de bytes', async () => {
+    await s3Driver.put('audio/a.mp3', '0123456789');
+
+    assert.equal(await readAll(await s3Driver.stream('audio/a.mp3')), '0123456789');
+    assert.equal(await readAll(await s3Driver.stream('audio/a.mp3', { start: 2, end: 5 })), '2345');
+    assert.equal(stub.requests.at(-1).headers.range, 'bytes=2-5');
+    assert.equal(await readAll(await s3Driver.stream('audio/a.mp3', { start: 7 })), '789');
+  });
+
+  it('codifica chaves com espaços, acentos e caracteres reservados', async () => {
+    const key = "audio/Consulta João (1)+final's.mp3";
+    await s3Driver.put(key, 'x');
+
+    assert.ok(stub.objects.has(key));
+    assert.equal(stub.requests[0].path, `/${BUCKET}/audio/${sigv4.encodeRfc3986("Consulta João (1)+final's.mp3")}`);
+    assert.equal(await readAll(await s3Driver.stream(key)), 'x');
+  });
+
+  it('lista por prefixo seguindo as páginas', async () => {
+    for (const key of ['audio/1.mp3', 'audio/2.mp3', 'audio/3 & 4.mp3', 'outputs/a.pdf']) await s3Driver.put(key, key);
+
+    const files = await s3Driver.list('audio/');
+
+    assert.deepEqual(files.map(file => file.key), ['audio/1.mp3', 'audio/2.mp3', 'audio/3 & 4.mp3']);
+    assert.equal(files[2].size, Buffer.byteLength('audio/3 & 4.mp3'));
+    assert.ok(files[0].lastModified instanceof Date);
+    assert.equal(stub.requests.filter(request => request.method === 'GET').length, 2);
+  });
+
+  it('remove objetos e ignora os que não existem', async () => {
+    await s3Driver.put('temp/x', 'x');
+
+    await s3Driver.delete('temp/x');
+    await s3Driver.delete('temp/x');
+
+    assert.equal(stub.objects.size, 0);
+  });
+
+  it('traz o código de erro do S3 na mensagem', async () => {
+    config.S3_SECRET_ACCESS_KEY = 'chave-errada';
+    try {
+      await assert.rejects(s3Driver.put('audio/a.mp3', 'x'), /Falha no armazenamento S3 ao gravar "audio\/a\.mp3": 403 SignatureDoesNotMatch/);
+    } finally {
+      config.S3_SECRET_ACCESS_KEY = credentials.secretAccessKey;
+    }
+  });
+
+  it('exige a configuração do bucket e das credenciais', async () => {
+    const bucket = config.S3_BUCKET;
+    config.S3_BUCKET = '';
+    try {
+      await assert.rejects(s3Driver.stat('audio/a.mp3'), /Armazenamento S3 não configurado/);
+    } finally {
+      config.S3_BUCKET = bucket;
+    }
+  });
+});
@@ -0,0 +1,53 @@
+// test/utils/audioPreprocessor.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { planKeptRanges, toOriginalTime, remapSegments } = require('../../src/utils/audioPreprocessor');
+
+describe('planKeptRanges', () => {
+  it('mantém o áudio inteiro quando não há silêncios', () => {
+    assert.deepEqual(planKeptRanges(60, []), [{ start: 0, end: 60 }]);
+  });
+
+  it('corta as bordas e encurta só as pausas internas longas', () => {
+    const silences = [
+      { start: 0, end: 3 },      // Início: sobra edgeSilenceSeconds
+      { start: 20, end: 26 },    // Pausa longa: sobra keepSilenceSeconds, metade de cada lado
+      { start: 30, end: 31 },    // Pausa curta: fica como está
+      { start: 55, end: 60 },    // Fim
+    ];
+    assert.deepEqual(planKeptRanges(60, silences), [
+      { start: 2.75, end: 20.25 },
+      { start: 25.75, end: 55.25 },
+    ]);
+  });
+
+  it('não corta nada quando sobraria menos fala que o mínimo', () => {
+    assert.deepEqual(planKeptRanges(10, [{ start: 0, end: 9.8 }]), [{ start: 0, end: 10 }]);
+  });
+
+  it('respeita as opções', () => {
+    assert.deepEqual(planKeptRanges(60, [{ start: 20, end: 26 }], { maxSilenceSeconds: 10 }), [{ start: 0, end: 60 }]);
+  });
+});
+
+describe('toOriginalTime', () => {
+  const ranges = [{ start: 2.75, end: 20.25 }, { start: 25.75, end: 55.25 }];
+
+  it('soma os trechos cortados antes do tempo', () => {
+    assert.equal(toOriginalTime(0, ranges), 2.75);
+    assert.equal(toOriginalTime(10, ranges), 12.75);
+    assert.equal(toOriginalTime(17.5, ranges), 20.25);
+    assert.equal(toOriginalTime(18, ranges), 26.25);
+  });
+
+  it('limita ao fim do último trecho e não mexe sem trechos', () => {
+    assert.equal(toOriginalTime(100, ranges), 55.25);
+    assert.equal(toOriginalTime(5, []), 5);
+    assert.equal(toOriginalTime(5, null), 5);
+  });
+
+  it('é aplicado aos segmentos e às palavras por remapSegments', () => {
+    const [segment] = remapSegments([{ start: 17, end: 19, text: 'oi', words: [{ word: 'oi', start: 18, end: 19 }] }], ranges);
+    assert.deepEqual(segment, { start: 19.75, end: 27.25, text: 'oi', words: [{ word: 'oi', start: 26.25, end: 27.25 }] });
+  });
+});
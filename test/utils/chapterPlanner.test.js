@@ -0,0 +1,53 @@
+// test/utils/chapterPlanner.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { planChapters } = require('../../src/utils/chapterPlanner');
+
+// Segmentos de 10s seguidos; `pauses` = { índice: segundos de pausa depois do segmento }
+const buildSegments = (count, { pauses = {}, speaker } = {}) => {
+  const segments = [];
+  let time = 0;
+  for (let i = 0; i < count; i++) {
+    segments.push({ start: time, end: time + 10, ...(speaker ? { speaker: speaker(i) } : {}) });
+    time += 10 + (pauses[i] || 0);
+  }
+  return segments;
+};
+
+const indexes = (ranges) => ranges.map(range => [range.startIndex, range.endIndex]);
+
+describe('planChapters', () => {
+  it('não divide nada sem segmentos', () => {
+    assert.deepEqual(planChapters([]), []);
+    assert.deepEqual(planChapters(null), []);
+  });
+
+  it('devolve um único capítulo para transcrições curtas', () => {
+    assert.deepEqual(planChapters(buildSegments(10)), [{ startIndex: 0, endIndex: 9, start: 0, end: 100 }]);
+  });
+
+  it('corta na primeira pausa longa depois da duração alvo', () => {
+    assert.deepEqual(planChapters(buildSegments(60, { pauses: { 32: 3 } })), [
+      { startIndex: 0, endIndex: 32, start: 0, end: 330 },
+      { startIndex: 33, endIndex: 59, start: 333, end: 603 },
+    ]);
+  });
+
+  it('sem pausas, corta na duração máxima no ponto mais perto do alvo', () => {
+    assert.deepEqual(indexes(planChapters(buildSegments(70))), [[0, 29], [30, 69]]);
+  });
+
+  it('prefere as trocas de interlocutor', () => {
+    const segments = buildSegments(70, { speaker: i => (i < 20 ? 'SPEAKER_1' : 'SPEAKER_2') });
+    assert.deepEqual(indexes(planChapters(segments)), [[0, 19], [20, 69]]);
+  });
+
+  it('junta uma sobra muito curta no fim ao capítulo anterior', () => {
+    assert.deepEqual(indexes(planChapters(buildSegments(36, { pauses: { 32: 3 } }))), [[0, 35]]);
+  });
+
+  it('respeita as opções', () => {
+    const ranges = planChapters(buildSegments(12), { targetSeconds: 30, minSeconds: 20, maxSeconds: 40 });
+    assert.deepEqual(indexes(ranges), [[0, 2], [3, 5], [6, 8], [9, 11]]);
+  });
+});
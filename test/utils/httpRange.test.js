@@ -0,0 +1,27 @@
+// test/utils/httpRange.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRange } = require('../../src/utils/httpRange');
+
+const SIZE = 10;
+
+describe('parseRange', () => {
+  it('interpreta intervalos, intervalos abertos e sufixos', () => {
+    assert.deepEqual(parseRange('bytes=0-9', SIZE), { start: 0, end: 9 });
+    assert.deepEqual(parseRange('bytes=5-', SIZE), { start: 5, end: 9 });
+    assert.deepEqual(parseRange('bytes=-3', SIZE), { start: 7, end: 9 });
+    assert.deepEqual(parseRange('bytes=2-1000', SIZE), { start: 2, end: 9 });
+  });
+
+  it('ignora cabeçalhos ausentes, inválidos ou invertidos (arquivo inteiro)', () => {
+    for (const header of [undefined, '', 'bytes=abc', 'bytes=-', 'bytes=5-2', 'items=0-1', 'bytes=0-1,3-4']) {
+      assert.equal(parseRange(header, SIZE), null, header);
+    }
+  });
+
+  it('recusa intervalos que não podem ser atendidos (416)', () => {
+    assert.equal(parseRange('bytes=10-', SIZE), false);
+    assert.equal(parseRange('bytes=100-200', SIZE), false);
+    assert.equal(parseRange('bytes=-0', SIZE), false);
+  });
+});
@@ -0,0 +1,75 @@
+// test/utils/piiRedactor.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { redact, restore } = require('../../src/utils/piiRedactor');
+
+describe('redact', () => {
+  it('troca identificadores por marcadores e devolve o mapeamento', () => {
+    const result = redact('CPF 529.982.247-25, ligar para (11) 98765-4321 ou ana@exemplo.com, CEP 01310-100');
+
+    assert.equal(result.text, 'CPF [CPF_1], ligar para [TELEFONE_1] ou [EMAIL_1], CEP [CEP_1]');
+    assert.deepEqual(result.mapping, [
+      { token: '[EMAIL_1]', type: 'email', value: 'ana@exemplo.com' },
+      { token: '[CPF_1]', type: 'cpf', value: '529.982.247-25' },
+      { token: '[CEP_1]', type: 'cep', value: '01310-100' },
+      { token: '[TELEFONE_1]', type: 'phone', value: '(11) 98765-4321' },
+    ]);
+    assert.deepEqual(result.summary, { email: 1, cpf: 1, cep: 1, phone: 1 });
+  });
+
+  it('não marca números com dígitos verificadores inválidos e sem gatilho', () => {
+    assert.equal(redact('protocolo 123.456.789-00').text, 'protocolo 123.456.789-00');
+  });
+
+  it('marca o nome depois de um gatilho e as outras menções do mesmo nome', () => {
+    const result = redact('O Dr. João Silva atendeu. Depois o João voltou e a paciente: Ana Lima saiu.');
+
+    assert.equal(result.text, 'O Dr. [NOME_1] atendeu. Depois o [NOME_1] voltou e a paciente: [NOME_2] saiu.');
+    assert.deepEqual(result.mapping.map(entry => entry.value), ['João Silva', 'Ana Lima']);
+  });
+
+  it('aceita o ponto só depois das abreviações', () => {
+    assert.equal(redact('Dra. Maria de Souza e sr Pedro').text, 'Dra. [NOME_1] e sr [NOME_2]');
+    // O ponto depois de uma palavra inteira encerra a frase: a próxima palavra não é um nome
+    assert.equal(redact('falei com o doutor. Tá bom').text, 'falei com o doutor. Tá bom');
+    assert.equal(redact('chamei o paciente. Depois voltei').text, 'chamei o paciente. Depois voltei');
+  });
+
+  it('reaproveita os marcadores de um mapeamento anterior', () => {
+    const first = redact('CPF 529.982.247-25');
+    const second = redact('Meu nome é Carla e meu CPF é 52998224725', { mapping: first.mapping });
+
+    assert.equal(second.text, 'Meu nome é [NOME_1] e meu CPF é [CPF_1]');
+    assert.equal(second.mapping.length, 2);
+    assert.equal(first.mapping.length, 1, 'o mapeamento recebido não é alterado');
+  });
+
+  it('só aplica os tipos pedidos', () => {
+    assert.equal(redact('Dr. João e ana@x.com', { types: ['email'] }).text, 'Dr. João e [EMAIL_1]');
+  });
+
+  it('aplica gatilhos de nomes e regras personalizadas', () => {
+    const result = redact('a enfermeira Beatriz anotou PRT-1234', {
+      nameCues: ['enfermeira'],
+      customRules: [{ type: 'prontuario', pattern: /PRT-\d+/gu }],
+    });
+    assert.equal(result.text, 'a enfermeira [NOME_1] anotou [PRONTUARIO_1]');
+  });
+});
+
+describe('restore', () => {
+  it('devolve os valores originais no lugar dos marcadores', () => {
+    const original = 'O Dr. João Silva pediu retorno; CPF 529.982.247-25.';
+    const { text, mapping } = redact(original);
+
+    assert.equal(restore(text, mapping), original);
+  });
+
+  it('mantém marcadores desconhecidos e textos sem mapeamento', () => {
+    const { mapping } = redact('CPF 529.982.247-25');
+
+    assert.equal(restore('[CPF_1] e [NOME_9]', mapping), '529.982.247-25 e [NOME_9]');
+    assert.equal(restore('[CPF_1]', []), '[CPF_1]');
+    assert.equal(restore('', mapping), '');
+  });
+});